@@ -0,0 +1,34 @@
+import ImageKit from 'imagekit'
+
+let imagekitClient
+
+// Created on first use so the keys are read after dotenv has loaded.
+// Null when ImageKit is not configured.
+export const getImageKit = () => {
+  if (imagekitClient === undefined) {
+    const { IMAGEKIT_PUBLIC_KEY, IMAGEKIT_PRIVATE_KEY, IMAGEKIT_URL_ENDPOINT } = process.env
+    if (!IMAGEKIT_PUBLIC_KEY || !IMAGEKIT_PRIVATE_KEY || !IMAGEKIT_URL_ENDPOINT) {
+      console.error('CRITICAL: One or more ImageKit environment variables are missing.')
+      imagekitClient = null
+      return imagekitClient
+    }
+    try {
+      imagekitClient = new ImageKit({
+        publicKey: IMAGEKIT_PUBLIC_KEY,
+        privateKey: IMAGEKIT_PRIVATE_KEY,
+        urlEndpoint: IMAGEKIT_URL_ENDPOINT,
+      })
+    } catch (error) {
+      console.error('CRITICAL: Failed to initialize ImageKit SDK:', error.message)
+      imagekitClient = null
+    }
+  }
+  return imagekitClient
+}
+
+// Short-lived signed link to a private file, e.g. a verification document
+export const signedFileUrl = (filePath, expireSeconds = 300) => {
+  const imagekit = getImageKit()
+  if (!imagekit || !filePath) return null
+  return imagekit.url({ path: filePath, signed: true, expireSeconds })
+}
@@ -0,0 +1,19 @@
+import Stripe from 'stripe'
+
+let stripeClient = null
+
+// Created on first use so the key is read after dotenv has loaded
+export const getStripe = () => {
+  if (!stripeClient) {
+    if (!process.env.STRIPE_SECRET_KEY) {
+      console.warn('⚠️  Stripe secret key not found. Using test key. Please set STRIPE_SECRET_KEY environment variable.')
+    }
+    stripeClient = new Stripe(process.env.STRIPE_SECRET_KEY || 'sk_test_placeholder', {
+      apiVersion: '2023-10-16',
+    })
+  }
+  return stripeClient
+}
+
+// Whether an order was paid through Stripe and can be refunded there
+export const isStripePayment = (transactionId) => typeof transactionId === 'string' && transactionId.startsWith('pi_')
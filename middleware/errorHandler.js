@@ -1,3 +1,15 @@
+// Request body fields that must never reach the logs
+const SENSITIVE_FIELDS = /^(cardNumber|number|cvv|cvc|password|accessToken|token)$/i
+
+// Copy of a request body with sensitive fields masked, for logging
+const redact = (value) => {
+  if (Array.isArray(value)) return value.map(redact)
+  if (!value || typeof value !== 'object') return value
+  return Object.fromEntries(Object.entries(value).map(([key, field]) =>
+    [key, SENSITIVE_FIELDS.test(key) ? '[redacted]' : redact(field)]
+  ))
+}
+
 // Error handling middleware
 export const errorHandler = (err, req, res, next) => {
   const reqId = Math.random().toString(36).substring(7)
@@ -9,7 +21,7 @@ export const errorHandler = (err, req, res, next) => {
   
   // Log request details for debugging
   console.error(`💥 [${reqId}] Request headers:`, req.headers)
-  console.error(`💥 [${reqId}] Request body:`, req.body)
+  console.error(`💥 [${reqId}] Request body:`, redact(req.body))
 
   // Default error
   let error = { ...err }
@@ -17,25 +17,26 @@ const bankAccountSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
-  cardNumber: {
-    type: String,
-    required: true
-    // Will be encrypted before saving
+  // The vaulted card; only its display details are copied here
+  paymentMethod: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PaymentMethod'
   },
-  expiryMonth: {
+  brand: {
     type: String,
-    required: true
-    // Will be encrypted before saving
+    default: 'unknown'
   },
-  expiryYear: {
+  last4: {
     type: String,
-    required: true
-    // Will be encrypted before saving
+    match: [/^\d{4}$/, 'last4 must be four digits']
   },
-  cvv: {
-    type: String,
-    required: true
-    // Will be encrypted before saving
+  expMonth: {
+    type: Number,
+    min: 1,
+    max: 12
+  },
+  expYear: {
+    type: Number
   },
   bankName: {
     type: String,
@@ -65,8 +66,8 @@ bankAccountSchema.index({ isActive: 1 });
 
 // Virtual for masked card number
 bankAccountSchema.virtual('maskedCardNumber').get(function() {
-  if (this.cardNumber) {
-    return '**** **** **** ' + this.cardNumber.slice(-4);
+  if (this.last4) {
+    return '**** **** **** ' + this.last4;
   }
   return null;
 });
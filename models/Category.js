@@ -0,0 +1,122 @@
+import mongoose from 'mongoose';
+import { slugify } from '../utils/slugify.js';
+
+export const ATTRIBUTE_TYPES = ['text', 'number', 'select', 'boolean'];
+
+// Deepest level a category can sit at (0 is a top-level category)
+export const MAX_CATEGORY_DEPTH = 3;
+
+// A detail listings in the category should give, e.g. the glaze on ceramics.
+// Templates are inherited: a subcategory asks for its own attributes and
+// those of every category above it.
+const attributeTemplateSchema = new mongoose.Schema({
+  // Key stored on products, e.g. 'kiln_type'
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z][a-z0-9_]*$/, 'Attribute keys use lowercase letters, digits and underscores']
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 60
+  },
+  type: {
+    type: String,
+    enum: ATTRIBUTE_TYPES,
+    default: 'text'
+  },
+  // Allowed values for select attributes
+  options: [{
+    type: String,
+    trim: true
+  }],
+  unit: {
+    type: String,
+    trim: true
+  },
+  required: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+// A node in the product category tree. Products store category slugs, so a
+// slug is unique across the whole tree.
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    trim: true,
+    maxlength: 60
+  },
+  slug: {
+    type: String,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  image: {
+    url: String,
+    alt: String
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  // Every category above this one, top level first
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  attributes: [attributeTemplateSchema],
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  // Inactive categories are hidden from shoppers and cannot be given to new listings
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+categorySchema.index({ parent: 1, sortOrder: 1, name: 1 });
+categorySchema.index({ ancestors: 1 });
+
+categorySchema.pre('validate', function(next) {
+  if (!this.slug && this.name) {
+    this.slug = slugify(this.name);
+  }
+  if (!this.slug) {
+    this.invalidate('slug', 'Category name must contain letters or digits');
+  }
+  if (this.ancestors.length > MAX_CATEGORY_DEPTH) {
+    this.invalidate('parent', `Categories can be at most ${MAX_CATEGORY_DEPTH + 1} levels deep`);
+  }
+
+  const keys = this.attributes.map(attribute => attribute.key);
+  if (new Set(keys).size !== keys.length) {
+    this.invalidate('attributes', 'Attribute keys must be unique within a category');
+  }
+  this.attributes.forEach((attribute, index) => {
+    if (attribute.type === 'select' && attribute.options.length === 0) {
+      this.invalidate(`attributes.${index}.options`, `Select attribute "${attribute.key}" needs options`);
+    }
+  });
+  next();
+});
+
+export default mongoose.model('Category', categorySchema);
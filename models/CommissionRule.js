@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+
+// A commission rate that overrides the vendor's standing rate. Rules can be
+// scoped to a vendor, a product category, or both; a rule with neither
+// applies platform-wide. Rules with a start or end date are promotions
+// (e.g. a zero-commission month) and take precedence while they run.
+const commissionRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    default: null
+  },
+  category: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 1
+  },
+  startsAt: {
+    type: Date,
+    default: null
+  },
+  endsAt: {
+    type: Date,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+commissionRuleSchema.index({ isActive: 1, vendor: 1 });
+commissionRuleSchema.index({ isActive: 1, category: 1 });
+
+commissionRuleSchema.pre('validate', function(next) {
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    return next(new Error('Commission rule must end after it starts'));
+  }
+  next();
+});
+
+// Virtual for time-limited promotional rules
+commissionRuleSchema.virtual('isPromotion').get(function() {
+  return !!(this.startsAt || this.endsAt);
+});
+
+// Ensure virtual fields are serialized
+commissionRuleSchema.set('toJSON', { virtuals: true });
+commissionRuleSchema.set('toObject', { virtuals: true });
+
+// Static methods
+
+// Active rules that could apply to a vendor at a given moment
+commissionRuleSchema.statics.findApplicable = function(vendorId, at = new Date()) {
+  return this.find({
+    isActive: true,
+    vendor: { $in: [null, vendorId] },
+    $and: [
+      { $or: [{ startsAt: null }, { startsAt: { $lte: at } }] },
+      { $or: [{ endsAt: null }, { endsAt: { $gt: at } }] }
+    ]
+  });
+};
+
+const CommissionRule = mongoose.model('CommissionRule', commissionRuleSchema);
+
+export default CommissionRule;
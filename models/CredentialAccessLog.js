@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+export const CREDENTIAL_ACTIONS = ['create', 'read', 'revoke'];
+
+// Audit trail of every time a stored bank credential is created, decrypted
+// or revoked, and by whom
+const credentialAccessLogSchema = new mongoose.Schema({
+  credential: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PlaidCredential',
+    required: true
+  },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: CREDENTIAL_ACTIONS,
+    required: true
+  },
+  // What the credential was needed for, e.g. "Payout PAY-..."
+  purpose: {
+    type: String,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  success: {
+    type: Boolean,
+    default: true
+  },
+  error: {
+    type: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better performance
+credentialAccessLogSchema.index({ vendor: 1, createdAt: -1 });
+credentialAccessLogSchema.index({ credential: 1, createdAt: -1 });
+
+const CredentialAccessLog = mongoose.model('CredentialAccessLog', credentialAccessLogSchema);
+
+export default CredentialAccessLog;
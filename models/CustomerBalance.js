@@ -1,4 +1,13 @@
 import mongoose from 'mongoose';
+import {
+  PLATFORM_ACCOUNTS,
+  customerAccount,
+  postEntry,
+  ensureCustomerLedger,
+  getCustomerLedgerBalances,
+  syncCustomerBalance,
+  withBalanceLock
+} from '../utils/ledger.js';
 
 const customerBalanceSchema = new mongoose.Schema({
   customer: { 
@@ -9,7 +18,7 @@ const customerBalanceSchema = new mongoose.Schema({
   },
   spendingBalance: {
     type: Number,
-    default: 1000000, // 1 million starting balance
+    default: 0,
     min: 0
   },
   totalSpent: {
@@ -24,6 +33,15 @@ const customerBalanceSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Lease held while a spend checks and posts against the ledger (see withBalanceLock)
+  ledgerLockToken: {
+    type: mongoose.Schema.Types.ObjectId,
+    select: false
+  },
+  ledgerLockedUntil: {
+    type: Date,
+    select: false
+  },
   createdAt: { 
     type: Date, 
     default: Date.now 
@@ -40,21 +58,66 @@ const customerBalanceSchema = new mongoose.Schema({
 customerBalanceSchema.index({ customer: 1 });
 customerBalanceSchema.index({ isActive: 1 });
 
-// Method to deduct from balance
-customerBalanceSchema.methods.deductAmount = function(amount) {
-  if (this.spendingBalance >= amount) {
-    this.spendingBalance -= amount;
-    this.totalSpent += amount;
-    this.lastTransaction = new Date();
-    return true;
+// Open the ledger for the starting balance of new customers
+customerBalanceSchema.pre('save', function(next) {
+  this.$locals.wasNew = this.isNew;
+  next();
+});
+
+customerBalanceSchema.post('save', async function(doc) {
+  if (doc.$locals.wasNew) {
+    await ensureCustomerLedger(doc.customer);
   }
-  return false;
+});
+
+// Balances are projections of the ledger: these methods post a journal
+// entry and reload the derived figures rather than editing them in place.
+
+// Method to deduct from balance. Resolves to false if the balance is too low.
+customerBalanceSchema.methods.deductAmount = async function(amount, { order, description = 'Store credit spent' } = {}) {
+  // Check the ledger balance and post the charge under the customer's lock,
+  // so two concurrent purchases cannot both spend the same credit
+  const spent = await withBalanceLock('CustomerBalance', this._id, async () => {
+    await ensureCustomerLedger(this.customer);
+
+    const { spendingBalance } = await getCustomerLedgerBalances(this.customer);
+    if (spendingBalance < amount) {
+      return false;
+    }
+
+    await postEntry({
+      type: 'order_charge',
+      description,
+      order,
+      customer: this.customer,
+      lines: [
+        { account: customerAccount(this.customer), debit: amount },
+        { account: PLATFORM_ACCOUNTS.cash, credit: amount }
+      ]
+    });
+    return true;
+  });
+
+  this.set(await syncCustomerBalance(this.customer));
+  return spent;
 };
 
 // Method to add to balance
-customerBalanceSchema.methods.addAmount = function(amount) {
-  this.spendingBalance += amount;
-  this.lastTransaction = new Date();
+customerBalanceSchema.methods.addAmount = async function(amount, description = 'Balance top-up') {
+  if (this.isNew) await this.save();
+
+  await postEntry({
+    type: 'adjustment',
+    description,
+    customer: this.customer,
+    lines: [
+      { account: PLATFORM_ACCOUNTS.adjustments, debit: amount },
+      { account: customerAccount(this.customer), credit: amount }
+    ]
+  });
+
+  this.set(await syncCustomerBalance(this.customer));
+  return this;
 };
 
 // Virtual for formatted balance
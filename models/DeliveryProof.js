@@ -4,8 +4,7 @@ const arrivalProofSchema = new mongoose.Schema({
   order: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Order',
-    required: true,
-    unique: true // Each order can only have one arrival proof
+    required: true
   },
   vendor: {
     type: mongoose.Schema.Types.ObjectId,
@@ -86,7 +85,7 @@ const arrivalProofSchema = new mongoose.Schema({
 });
 
 // Indexes for better performance
-arrivalProofSchema.index({ order: 1 });
+arrivalProofSchema.index({ order: 1, vendor: 1 }, { unique: true }); // One arrival proof per vendor fulfillment
 arrivalProofSchema.index({ vendor: 1, uploadedAt: -1 });
 arrivalProofSchema.index({ verificationStatus: 1 });
 arrivalProofSchema.index({ uploadedAt: -1 });
@@ -0,0 +1,273 @@
+import mongoose from 'mongoose';
+
+// Case lifecycle: for each status, the statuses it may move to and the roles
+// allowed to make that move
+export const DISPUTE_STATUS_TRANSITIONS = {
+  open: {
+    vendor_responded: ['vendor', 'admin'],
+    under_review: ['admin'],
+    resolved: ['admin'],
+    withdrawn: ['customer', 'admin']
+  },
+  vendor_responded: {
+    under_review: ['admin'],
+    resolved: ['admin'],
+    withdrawn: ['customer', 'admin']
+  },
+  under_review: {
+    resolved: ['admin'],
+    withdrawn: ['customer', 'admin']
+  },
+  resolved: {},
+  withdrawn: {}
+};
+
+export const OPEN_DISPUTE_STATUSES = ['open', 'vendor_responded', 'under_review'];
+
+export const DISPUTE_REASONS = [
+  'not_received',
+  'not_as_described',
+  'damaged',
+  'wrong_item',
+  'unauthorized',
+  'duplicate',
+  'other'
+];
+
+export const DISPUTE_OUTCOMES = ['refund', 'partial_refund', 'release'];
+
+/**
+ * Build an error the global error handler reports with the given status
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} - Error with statusCode set
+ */
+function disputeError(message, statusCode = 409) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+const evidenceSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['image', 'document', 'delivery_proof', 'tracking', 'note'],
+    required: true
+  },
+  url: {
+    type: String,
+    trim: true
+  },
+  deliveryProof: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeliveryProof'
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  submittedByRole: String,
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const messageSchema = new mongoose.Schema({
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  authorRole: {
+    type: String,
+    enum: ['customer', 'vendor', 'admin', 'system']
+  },
+  body: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 2000
+  },
+  // Internal admin notes are hidden from the customer and vendor
+  internal: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const disputeHistorySchema = new mongoose.Schema({
+  status: String,
+  from: String,
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorRole: String,
+  note: String,
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const disputeSchema = new mongoose.Schema({
+  caseNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Unset for chargebacks, which cover the whole payment
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor'
+  },
+  source: {
+    type: String,
+    enum: ['customer', 'chargeback'],
+    default: 'customer'
+  },
+  reason: {
+    type: String,
+    enum: DISPUTE_REASONS,
+    required: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+  status: {
+    type: String,
+    enum: Object.keys(DISPUTE_STATUS_TRANSITIONS),
+    default: 'open'
+  },
+  evidence: [evidenceSchema],
+  messages: [messageSchema],
+  vendorResponseDueAt: Date,
+  vendorRespondedAt: Date,
+  // Card network chargeback this case mirrors
+  stripe: {
+    disputeId: String,
+    chargeId: String,
+    paymentIntentId: String,
+    amount: Number,
+    currency: String,
+    reason: String,
+    status: String,
+    evidenceDueBy: Date
+  },
+  resolution: {
+    outcome: {
+      type: String,
+      enum: DISPUTE_OUTCOMES
+    },
+    amount: Number,
+    notes: {
+      type: String,
+      maxlength: 2000
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: Date
+  },
+  history: [disputeHistorySchema]
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+disputeSchema.index({ customer: 1, createdAt: -1 });
+disputeSchema.index({ vendor: 1, status: 1, createdAt: -1 });
+disputeSchema.index({ status: 1, createdAt: 1 });
+disputeSchema.index({ order: 1 });
+disputeSchema.index({ 'stripe.disputeId': 1 }, { unique: true, sparse: true });
+
+// Generate case number before validation
+disputeSchema.pre('validate', function(next) {
+  if (this.isNew && !this.caseNumber) {
+    const date = new Date();
+    const stamp = date.getFullYear().toString().slice(-2) +
+      (date.getMonth() + 1).toString().padStart(2, '0') +
+      date.getDate().toString().padStart(2, '0');
+    const suffix = Math.random().toString(36).substring(2, 8).toUpperCase();
+    this.caseNumber = `DSP-${stamp}-${suffix}`;
+  }
+  if (this.isNew && this.history.length === 0) {
+    this.history.push({
+      status: this.status,
+      actor: this.source === 'customer' ? this.customer : undefined,
+      actorRole: this.source === 'customer' ? 'customer' : 'system',
+      note: this.source === 'customer' ? 'Dispute opened' : 'Chargeback received'
+    });
+  }
+  next();
+});
+
+// Virtual for whether the case still holds escrow
+disputeSchema.virtual('isOpen').get(function() {
+  return OPEN_DISPUTE_STATUSES.includes(this.status);
+});
+
+// Ensure virtual fields are serialized
+disputeSchema.set('toJSON', { virtuals: true });
+disputeSchema.set('toObject', { virtuals: true });
+
+// Static methods
+
+// Open cases on an order, optionally only those touching one vendor
+disputeSchema.statics.findOpenForOrder = function(orderId, vendorId = null) {
+  const query = { order: orderId, status: { $in: OPEN_DISPUTE_STATUSES } };
+  if (vendorId) {
+    query.$or = [{ vendor: vendorId }, { vendor: null }];
+  }
+  return this.find(query);
+};
+
+// Instance methods
+
+// Move the case along its lifecycle, recording who did it and why
+disputeSchema.methods.transition = function(newStatus, { role, actor, note } = {}) {
+  const allowed = DISPUTE_STATUS_TRANSITIONS[this.status]?.[newStatus];
+  if (!allowed) {
+    throw disputeError(`Dispute cannot move from ${this.status} to ${newStatus}`);
+  }
+  if (!allowed.includes(role)) {
+    throw disputeError(`${role} cannot move a dispute from ${this.status} to ${newStatus}`, 403);
+  }
+
+  this.history.push({ status: newStatus, from: this.status, actor, actorRole: role, note });
+  this.status = newStatus;
+  return this;
+};
+
+// The case as the customer or vendor should see it, without internal notes
+disputeSchema.methods.toPartyView = function() {
+  const dispute = this.toObject({ virtuals: true });
+  dispute.messages = dispute.messages.filter(message => !message.internal);
+  return dispute;
+};
+
+const Dispute = mongoose.model('Dispute', disputeSchema);
+
+export default Dispute;
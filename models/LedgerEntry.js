@@ -0,0 +1,150 @@
+import mongoose from 'mongoose';
+
+// Kinds of journal entry the platform records
+export const LEDGER_ENTRY_TYPES = [
+  'order_charge',
+  'escrow_hold',
+  'commission',
+  'escrow_release',
+  'payout',
+  'refund',
+  'adjustment'
+];
+
+// Amounts are compared in cents to avoid floating point noise
+const toCents = amount => Math.round((amount || 0) * 100);
+
+const ledgerLineSchema = new mongoose.Schema({
+  // e.g. "vendor:<id>:available", "customer:<id>:balance", "platform:cash"
+  account: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, { _id: false });
+
+const ledgerEntrySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: LEDGER_ENTRY_TYPES,
+    required: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  lines: {
+    type: [ledgerLineSchema],
+    required: true
+  },
+  // Posting the same key twice is a no-op, so retries never double count
+  idempotencyKey: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  payout: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payout'
+  },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor'
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better performance
+ledgerEntrySchema.index({ 'lines.account': 1, createdAt: -1 });
+ledgerEntrySchema.index({ vendor: 1, type: 1, createdAt: -1 });
+ledgerEntrySchema.index({ customer: 1, createdAt: -1 });
+ledgerEntrySchema.index({ order: 1 });
+ledgerEntrySchema.index({ type: 1, createdAt: -1 });
+
+// Every entry must balance: total debits equal total credits
+ledgerEntrySchema.pre('validate', function(next) {
+  if (!this.lines || this.lines.length < 2) {
+    return next(new Error('A ledger entry needs at least two lines'));
+  }
+
+  let debits = 0;
+  let credits = 0;
+  for (const line of this.lines) {
+    const debit = toCents(line.debit);
+    const credit = toCents(line.credit);
+    if ((debit > 0) === (credit > 0)) {
+      return next(new Error(`Ledger line for ${line.account} must have either a debit or a credit`));
+    }
+    debits += debit;
+    credits += credit;
+  }
+
+  if (debits !== credits) {
+    return next(new Error(`Ledger entry is unbalanced: debits ${debits / 100} != credits ${credits / 100}`));
+  }
+  next();
+});
+
+// Entries are append-only; corrections are made with new adjustment entries
+ledgerEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Ledger entries are append-only and cannot be modified'));
+  }
+  next();
+});
+
+const rejectMutation = function(next) {
+  next(new Error('Ledger entries are append-only and cannot be modified'));
+};
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace']
+  .forEach(operation => ledgerEntrySchema.pre(operation, rejectMutation));
+
+// Static methods
+
+// Sum debits and credits per account and entry type
+ledgerEntrySchema.statics.totalsByAccount = function(accounts) {
+  return this.aggregate([
+    { $match: { 'lines.account': { $in: accounts } } },
+    { $unwind: '$lines' },
+    { $match: { 'lines.account': { $in: accounts } } },
+    {
+      $group: {
+        _id: { account: '$lines.account', type: '$type' },
+        debit: { $sum: '$lines.debit' },
+        credit: { $sum: '$lines.credit' }
+      }
+    }
+  ]);
+};
+
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+
+export default LedgerEntry;
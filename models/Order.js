@@ -1,4 +1,48 @@
 import mongoose from 'mongoose';
+import { EventEmitter } from 'events';
+import { PLATFORM_ACCOUNTS, vendorAccount, postEntry } from '../utils/ledger.js';
+import { calculateFulfillmentCommission } from '../utils/commission.js';
+import { restoreStock } from '../utils/inventory.js';
+import { refundFulfillment, refundableForFulfillment } from '../utils/refunds.js';
+
+// Order lifecycle: for each status, the statuses it may move to and the roles
+// allowed to make that move. Every status change goes through this table.
+export const ORDER_STATUS_TRANSITIONS = {
+  pending: {
+    processing: ['vendor', 'admin', 'system'],
+    shipped: ['vendor', 'admin', 'system'],
+    cancelled: ['customer', 'vendor', 'admin', 'system']
+  },
+  processing: {
+    pending: ['admin', 'system'],
+    shipped: ['vendor', 'admin', 'system'],
+    cancelled: ['vendor', 'admin', 'system']
+  },
+  shipped: {
+    delivered: ['customer', 'admin', 'system']
+  },
+  delivered: {},
+  cancelled: {}
+};
+
+export const ORDER_ACTOR_ROLES = ['customer', 'vendor', 'admin', 'system'];
+
+// Emits 'transition' after every committed status change. Listeners are
+// awaited in registration order, so escrow and notification logic can rely
+// on the order having been saved.
+export const orderEvents = new EventEmitter();
+
+/**
+ * Build an error the global error handler reports with the given status
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} - Error with statusCode set
+ */
+function transitionError(message, statusCode = 409) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
 
 const orderItemSchema = new mongoose.Schema({
   product: {
@@ -20,6 +64,38 @@ const orderItemSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Vendor',
     required: true
+  },
+  // Snapshot of the variant bought; name/value are the option names and
+  // values joined for display, e.g. "Size / Glaze" and "Large / Matte"
+  variant: {
+    variantId: mongoose.Schema.Types.ObjectId,
+    sku: String,
+    name: String,
+    value: String,
+    options: [{
+      _id: false,
+      name: String,
+      value: String
+    }],
+    image: String
+  },
+  customizations: [{
+    name: String,
+    additionalPrice: {
+      type: Number,
+      default: 0
+    }
+  }],
+  // Units sent back and accepted on inspection, and units refunded
+  returnedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  refundedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
   }
 });
 
@@ -72,26 +148,276 @@ const shippingAddressSchema = new mongoose.Schema({
   }
 });
 
+// Card details kept for receipts. Card numbers are never stored: only the
+// saved vault entry (if any), brand, last four digits and expiry.
 const paymentMethodSchema = new mongoose.Schema({
-  cardNumber: {
+  method: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PaymentMethod'
+  },
+  provider: {
     type: String,
-    required: true
+    enum: ['stripe', 'fake']
+  },
+  brand: {
+    type: String,
+    default: 'unknown'
+  },
+  last4: {
+    type: String,
+    match: [/^\d{4}$/, 'last4 must be four digits']
   },
   cardholderName: {
     type: String,
-    required: true,
     trim: true
   },
   expiryMonth: {
+    type: String
+  },
+  expiryYear: {
+    type: String
+  }
+});
+
+// Platform commission taken from a fulfillment when its escrow is released
+const commissionLineSchema = new mongoose.Schema({
+  item: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  gross: {
+    type: Number,
+    min: 0
+  },
+  rate: {
+    type: Number,
+    min: 0,
+    max: 1
+  },
+  fee: {
+    type: Number,
+    min: 0
+  },
+  source: {
     type: String,
+    enum: ['promotion', 'rule', 'vendor', 'default']
+  },
+  rule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CommissionRule'
+  }
+}, { _id: false });
+
+const commissionSchema = new mongoose.Schema({
+  gross: Number,
+  shipping: Number,
+  fee: Number,
+  net: Number,
+  calculatedAt: Date,
+  lines: [commissionLineSchema]
+}, { _id: false });
+
+// A refund against one vendor's part of the order, and where the money went
+const refundSchema = new mongoose.Schema({
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
     required: true
   },
-  expiryYear: {
+  // Makes retries of the same refund (API call, return, dispute) a no-op
+  key: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['items', 'amount', 'full'],
+    required: true
+  },
+  items: [{
+    item: mongoose.Schema.Types.ObjectId,
+    quantity: Number,
+    _id: false
+  }],
+  merchandise: {
+    type: Number,
+    default: 0
+  },
+  shipping: {
+    type: Number,
+    default: 0
+  },
+  tax: {
+    type: Number,
+    default: 0
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Commission the platform gave back, when escrow had already been released
+  commissionReturned: {
+    type: Number,
+    default: 0
+  },
+  // Escrow bucket the vendor's share came out of
+  clawedBackFrom: {
+    type: String,
+    enum: ['pending', 'available']
+  },
+  destination: {
+    type: String,
+    enum: ['original_payment', 'customer_balance', 'chargeback'],
+    required: true
+  },
+  stripeRefundId: String,
+  status: {
     type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'succeeded'
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Each vendor in an order ships, proves delivery and is paid out independently
+const fulfillmentSchema = new mongoose.Schema({
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
     required: true
+  },
+  subtotal: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  shippingCost: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'shipped', 'delivered', 'cancelled'],
+    default: 'pending'
+  },
+  trackingNumber: {
+    type: String,
+    trim: true
+  },
+  trackingUrl: {
+    type: String,
+    trim: true
+  },
+  deliveryProof: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeliveryProof'
+  },
+  escrowStatus: {
+    type: String,
+    enum: ['held', 'released', 'refunded'],
+    default: 'held'
+  },
+  escrowAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  escrowReleaseDate: {
+    type: Date
+  },
+  commission: {
+    type: commissionSchema,
+    default: undefined
+  },
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // When delivered escrow is released automatically, unless frozen by a dispute
+  escrowReleaseAt: {
+    type: Date
+  },
+  escrowFrozen: {
+    type: Boolean,
+    default: false
+  },
+  escrowFrozenReason: {
+    type: String,
+    trim: true
+  },
+  // Claimed by the release job so only one server instance releases it
+  escrowReleaseLockedUntil: {
+    type: Date
+  },
+  shippedAt: {
+    type: Date
+  },
+  deliveredAt: {
+    type: Date
+  },
+  cancelledAt: {
+    type: Date
+  },
+  cancellationReason: {
+    type: String,
+    trim: true,
+    maxlength: 500
   }
+}, {
+  timestamps: true
 });
 
+const statusHistorySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: true
+  },
+  from: {
+    type: String
+  },
+  // Set when the change applies to one vendor's fulfillment
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor'
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorRole: {
+    type: String,
+    enum: ORDER_ACTOR_ROLES,
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const orderSchema = new mongoose.Schema({
   orderNumber: {
     type: String,
@@ -104,6 +430,7 @@ const orderSchema = new mongoose.Schema({
     required: true
   },
   items: [orderItemSchema],
+  fulfillments: [fulfillmentSchema],
   shippingAddress: {
     type: shippingAddressSchema,
     required: true
@@ -127,6 +454,7 @@ const orderSchema = new mongoose.Schema({
     enum: ['pending', 'processing', 'shipped', 'delivered', 'cancelled'],
     default: 'pending'
   },
+  statusHistory: [statusHistorySchema],
   escrowStatus: {
     type: String,
     enum: ['held', 'released', 'refunded'],
@@ -191,7 +519,20 @@ const orderSchema = new mongoose.Schema({
   paymentTransactionId: {
     type: String,
     trim: true
-  }
+  },
+  paidAt: {
+    type: Date
+  },
+  paymentFailureReason: {
+    type: String,
+    trim: true
+  },
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  refunds: [refundSchema]
 }, {
   timestamps: true
 });
@@ -219,7 +560,16 @@ orderSchema.pre('save', async function(next) {
   next();
 });
 
-// Calculate estimated delivery date and escrow amount
+// Escrow defaults to the order total. Set before validation, which runs
+// ahead of the save hooks and requires it.
+orderSchema.pre('validate', function(next) {
+  if (this.isNew && !this.escrowAmount) {
+    this.escrowAmount = this.total;
+  }
+  next();
+});
+
+// Calculate estimated delivery date
 orderSchema.pre('save', function(next) {
   if (this.isNew && !this.estimatedDelivery) {
     const deliveryDays = {
@@ -232,10 +582,21 @@ orderSchema.pre('save', function(next) {
     estimatedDate.setDate(estimatedDate.getDate() + deliveryDays[this.shippingMethod]);
     this.estimatedDelivery = estimatedDate;
   }
-  
-  // Set escrow amount to total if new order
-  if (this.isNew && !this.escrowAmount) {
-    this.escrowAmount = this.total;
+
+
+  // isNew is already false by the time post-save hooks run
+  this.$locals.wasNew = this.isNew;
+
+  if (this.isNew) {
+    this.ensureFulfillments();
+    if (this.statusHistory.length === 0) {
+      this.statusHistory.push({
+        status: this.status,
+        actor: this.customer,
+        actorRole: 'customer',
+        reason: 'Order placed'
+      });
+    }
   }
   
   next();
@@ -243,7 +604,7 @@ orderSchema.pre('save', function(next) {
 
 // Post-save hook to add to vendor pending balance for new orders
 orderSchema.post('save', async function(doc) {
-  if (this.isNew && doc.escrowStatus === 'held' && doc.paymentStatus === 'completed') {
+  if (doc.$locals.wasNew && doc.escrowStatus === 'held' && doc.paymentStatus === 'completed') {
     try {
       await doc.addToVendorPending();
     } catch (error) {
@@ -255,6 +616,9 @@ orderSchema.index({ customer: 1, createdAt: -1 });
 orderSchema.index({ orderNumber: 1 });
 orderSchema.index({ status: 1 });
 orderSchema.index({ 'items.vendor': 1 });
+orderSchema.index({ 'fulfillments.vendor': 1, 'fulfillments.status': 1 });
+orderSchema.index({ 'fulfillments.escrowStatus': 1, 'fulfillments.escrowReleaseAt': 1 });
+orderSchema.index({ paymentTransactionId: 1 }, { sparse: true });
 orderSchema.index({ createdAt: -1 });
 
 // Virtual for order summary
@@ -262,84 +626,405 @@ orderSchema.virtual('itemCount').get(function() {
   return this.items.reduce((total, item) => total + item.quantity, 0);
 });
 
-// Instance methods
-orderSchema.methods.updateStatus = function(newStatus) {
-  this.status = newStatus;
-  return this.save();
-};
+// Order status follows its least advanced active fulfillment
+const FULFILLMENT_PROGRESS = ['pending', 'processing', 'shipped', 'delivered'];
 
-orderSchema.methods.addTracking = function(trackingNumber, trackingUrl) {
-  this.trackingNumber = trackingNumber;
-  this.trackingUrl = trackingUrl;
-  this.status = 'shipped';
-  return this.save();
-};
+// Instance methods
 
-orderSchema.methods.releaseEscrow = async function() {
-  if (this.escrowStatus !== 'held') {
-    throw new Error('Escrow funds are not held');
+// Build one fulfillment per vendor from the line items. Orders created before
+// fulfillments existed get theirs built lazily the first time they are touched.
+orderSchema.methods.ensureFulfillments = function(shippingByVendor = {}) {
+  if (this.fulfillments && this.fulfillments.length > 0) {
+    return this.fulfillments;
   }
-  
-  this.escrowStatus = 'released';
-  this.escrowReleaseDate = new Date();
-  
-  // Process vendor balance updates
-  const VendorBalance = mongoose.model('VendorBalance');
-  
-  // Group items by vendor and calculate amounts
-  const vendorAmounts = {};
+
+  const groups = new Map();
   this.items.forEach(item => {
     const vendorId = item.vendor.toString();
-    const itemTotal = item.price * item.quantity;
-    
-    if (!vendorAmounts[vendorId]) {
-      vendorAmounts[vendorId] = 0;
+    if (!groups.has(vendorId)) {
+      groups.set(vendorId, { vendor: item.vendor, subtotal: 0 });
     }
-    vendorAmounts[vendorId] += itemTotal;
+    groups.get(vendorId).subtotal += item.price * item.quantity;
   });
-  
-  // Update vendor balances
-  for (const [vendorId, amount] of Object.entries(vendorAmounts)) {
-    let vendorBalance = await VendorBalance.findOne({ vendor: vendorId });
-    if (vendorBalance) {
-      // Move from pending to available
-      vendorBalance.pendingBalance = Math.max(0, vendorBalance.pendingBalance - amount);
-      vendorBalance.availableBalance += amount;
-      vendorBalance.totalEarnings += amount;
-      await vendorBalance.save();
+
+  const legacy = !this.isNew;
+  this.fulfillments = [...groups.values()].map(group => {
+    const shippingCost = shippingByVendor[group.vendor.toString()] || 0;
+    return {
+      vendor: group.vendor,
+      subtotal: group.subtotal,
+      shippingCost,
+      escrowAmount: group.subtotal + shippingCost,
+      // Existing orders carry their single status, tracking and escrow into every group
+      status: legacy ? this.status : 'pending',
+      trackingNumber: legacy ? this.trackingNumber : undefined,
+      trackingUrl: legacy ? this.trackingUrl : undefined,
+      deliveryProof: legacy ? this.deliveryProof : undefined,
+      escrowStatus: legacy ? this.escrowStatus : 'held',
+      escrowReleaseDate: legacy ? this.escrowReleaseDate : undefined
+    };
+  });
+
+  return this.fulfillments;
+};
+
+orderSchema.methods.getFulfillment = function(vendorId) {
+  this.ensureFulfillments();
+  return this.fulfillments.find(f => f.vendor.toString() === vendorId.toString()) || null;
+};
+
+orderSchema.methods.itemsForVendor = function(vendorId) {
+  return this.items.filter(item => item.vendor.toString() === vendorId.toString());
+};
+
+// Derive the order-level status and escrow state from the fulfillments
+orderSchema.methods.syncFromFulfillments = function() {
+  const active = this.fulfillments.filter(f => f.status !== 'cancelled');
+
+  if (active.length === 0) {
+    this.status = 'cancelled';
+  } else {
+    const progress = Math.min(...active.map(f => FULFILLMENT_PROGRESS.indexOf(f.status)));
+    this.status = FULFILLMENT_PROGRESS[progress];
+  }
+
+  if (this.fulfillments.some(f => f.escrowStatus === 'held')) {
+    this.escrowStatus = 'held';
+  } else if (this.fulfillments.some(f => f.escrowStatus === 'released')) {
+    this.escrowStatus = 'released';
+    this.escrowReleaseDate = this.escrowReleaseDate || new Date();
+  } else {
+    this.escrowStatus = 'refunded';
+  }
+
+  // Keep the single tracking fields meaningful for one-vendor orders
+  if (this.fulfillments.length === 1) {
+    this.trackingNumber = this.fulfillments[0].trackingNumber;
+    this.trackingUrl = this.fulfillments[0].trackingUrl;
+    this.deliveryProof = this.fulfillments[0].deliveryProof;
+  }
+};
+
+orderSchema.statics.canTransition = function(from, to, role) {
+  return (ORDER_STATUS_TRANSITIONS[from]?.[to] || []).includes(role);
+};
+
+// Validate and apply a status change to one vendor's fulfillment, or to every
+// open fulfillment when no vendor is given. Records history and queues events;
+// nothing is persisted until commitTransitions() runs.
+orderSchema.methods.applyTransition = function(newStatus, { role, actor, reason, vendorId = null } = {}) {
+  if (!ORDER_ACTOR_ROLES.includes(role)) {
+    throw transitionError(`Unknown actor role: ${role}`, 400);
+  }
+  if (!ORDER_STATUS_TRANSITIONS[newStatus]) {
+    throw transitionError(`Invalid status: ${newStatus}`, 400);
+  }
+
+  this.ensureFulfillments();
+
+  let targets;
+  if (vendorId) {
+    const fulfillment = this.getFulfillment(vendorId);
+    if (!fulfillment) {
+      throw transitionError('Vendor has no items in this order', 404);
     }
+    targets = [fulfillment];
+  } else {
+    // Whole-order changes leave finished fulfillments alone
+    targets = this.fulfillments.filter(f => f.status !== 'cancelled' && f.status !== newStatus);
+    if (targets.length === 0) {
+      throw transitionError(`Order cannot move from ${this.status} to ${newStatus}`);
+    }
+  }
+
+  for (const fulfillment of targets) {
+    const from = fulfillment.status;
+    if (!ORDER_STATUS_TRANSITIONS[from][newStatus]) {
+      throw transitionError(`Order cannot move from ${from} to ${newStatus}`);
+    }
+    if (!this.constructor.canTransition(from, newStatus, role)) {
+      throw transitionError(`A ${role} cannot move an order from ${from} to ${newStatus}`, 403);
+    }
+  }
+
+  const previousStatus = this.status;
+  const transitions = this.$locals.pendingTransitions || [];
+
+  for (const fulfillment of targets) {
+    const from = fulfillment.status;
+    fulfillment.status = newStatus;
+    if (newStatus === 'shipped' && !fulfillment.shippedAt) fulfillment.shippedAt = new Date();
+    if (newStatus === 'delivered' && !fulfillment.deliveredAt) fulfillment.deliveredAt = new Date();
+    if (newStatus === 'cancelled') {
+      fulfillment.cancelledAt = new Date();
+      fulfillment.cancellationReason = reason;
+    }
+
+    this.statusHistory.push({ status: newStatus, from, vendor: fulfillment.vendor, actor, actorRole: role, reason });
+    transitions.push({ from, to: newStatus, vendor: fulfillment.vendor, actor, role, reason });
+  }
+
+  this.syncFromFulfillments();
+
+  if (this.status !== previousStatus) {
+    this.statusHistory.push({ status: this.status, from: previousStatus, actor, actorRole: role, reason });
+  }
+
+  this.$locals.pendingTransitions = transitions;
+  return this;
+};
+
+// Save the order, then run lifecycle listeners for every queued transition
+orderSchema.methods.commitTransitions = async function() {
+  await this.save();
+
+  const transitions = this.$locals.pendingTransitions || [];
+  this.$locals.pendingTransitions = [];
+
+  for (const transition of transitions) {
+    for (const listener of orderEvents.listeners('transition')) {
+      try {
+        await listener({ order: this, ...transition });
+      } catch (error) {
+        console.error(`❌ Order lifecycle listener failed (${transition.from} -> ${transition.to}):`, error);
+      }
+    }
+  }
+
+  return this;
+};
+
+orderSchema.methods.transitionStatus = async function(newStatus, options = {}) {
+  if (newStatus === 'cancelled') {
+    return this.cancelFulfillments(options);
+  }
+
+  this.applyTransition(newStatus, options);
+  return this.commitTransitions();
+};
+
+orderSchema.methods.updateStatus = function(newStatus, options = {}) {
+  return this.transitionStatus(newStatus, options);
+};
+
+orderSchema.methods.addTracking = function(trackingNumber, trackingUrl, options = {}) {
+  this.ensureFulfillments();
+  const { vendorId = null } = options;
+  const targets = vendorId ? [this.getFulfillment(vendorId)] : this.fulfillments;
+
+  targets.forEach(fulfillment => {
+    if (!fulfillment || fulfillment.status === 'cancelled') return;
+    fulfillment.trackingNumber = trackingNumber;
+    fulfillment.trackingUrl = trackingUrl;
+  });
+
+  // Correcting tracking on an already shipped fulfillment is not a transition
+  const needsTransition = targets.some(f => f && !['shipped', 'cancelled'].includes(f.status));
+  if (!needsTransition) {
+    this.syncFromFulfillments();
+    return this.save();
+  }
+
+  return this.transitionStatus('shipped', options);
+};
+
+// Release held escrow to one vendor, or to every vendor when no vendor is given
+orderSchema.methods.releaseEscrow = async function(vendorId = null) {
+  this.ensureFulfillments();
+  const groups = this.fulfillments.filter(f =>
+    f.escrowStatus === 'held' &&
+    f.status !== 'cancelled' &&
+    (!vendorId || f.vendor.toString() === vendorId.toString())
+  );
+
+  if (this.paymentStatus !== 'completed') {
+    throw transitionError('Escrow can only be released on a paid order');
+  }
+  if (groups.length === 0) {
+    throw transitionError('Escrow funds are not held');
+  }
+  if (groups.some(f => f.escrowFrozen)) {
+    throw transitionError('Escrow is frozen while a dispute is open for this order');
   }
   
+  const releasedAt = new Date();
+
+  for (const group of groups) {
+    // Commission is worked out per line item at the rates in force on release
+    const commission = group.commission?.calculatedAt
+      ? group.commission
+      : await calculateFulfillmentCommission(this, group, releasedAt);
+
+    // Move from pending to available
+    await this.recordEscrowHold(group);
+    await postEntry({
+      type: 'escrow_release',
+      description: `Escrow released for order ${this.orderNumber}`,
+      idempotencyKey: `order:${this._id}:release:${group.vendor}`,
+      order: this._id,
+      vendor: group.vendor,
+      lines: [
+        { account: vendorAccount(group.vendor, 'pending'), debit: group.escrowAmount },
+        { account: vendorAccount(group.vendor, 'available'), credit: group.escrowAmount }
+      ]
+    });
+    await postEntry({
+      type: 'commission',
+      description: `Platform commission on order ${this.orderNumber}`,
+      idempotencyKey: `order:${this._id}:commission:${group.vendor}`,
+      order: this._id,
+      vendor: group.vendor,
+      metadata: { gross: commission.gross, fee: commission.fee, net: commission.net },
+      lines: [
+        { account: vendorAccount(group.vendor, 'available'), debit: commission.fee },
+        { account: PLATFORM_ACCOUNTS.revenue, credit: commission.fee }
+      ]
+    });
+
+    group.commission = commission;
+    group.escrowStatus = 'released';
+    group.escrowReleaseDate = releasedAt;
+  }
+
+  this.syncFromFulfillments();
   return this.save();
 };
 
+// Record the customer's payment for the order
+orderSchema.methods.recordCharge = function() {
+  return postEntry({
+    type: 'order_charge',
+    description: `Payment for order ${this.orderNumber}`,
+    idempotencyKey: `order:${this._id}:charge`,
+    order: this._id,
+    customer: this.customer,
+    lines: [
+      { account: PLATFORM_ACCOUNTS.cash, debit: this.total },
+      { account: PLATFORM_ACCOUNTS.orderClearing, credit: this.total - this.tax },
+      { account: PLATFORM_ACCOUNTS.taxPayable, credit: this.tax }
+    ]
+  });
+};
+
+// Hold one vendor's share of the order in their pending balance
+orderSchema.methods.recordEscrowHold = function(group) {
+  return postEntry({
+    type: 'escrow_hold',
+    description: `Escrow held for order ${this.orderNumber}`,
+    idempotencyKey: `order:${this._id}:hold:${group.vendor}`,
+    order: this._id,
+    vendor: group.vendor,
+    lines: [
+      { account: PLATFORM_ACCOUNTS.orderClearing, debit: group.escrowAmount },
+      { account: vendorAccount(group.vendor, 'pending'), credit: group.escrowAmount }
+    ]
+  });
+};
+
 orderSchema.methods.addToVendorPending = async function() {
   if (this.escrowStatus !== 'held') {
     return; // Only process held escrow
   }
+
+  if (this.paymentStatus === 'completed') {
+    await this.recordCharge();
+  }
   
-  const VendorBalance = mongoose.model('VendorBalance');
-  
-  // Group items by vendor and calculate amounts
-  const vendorAmounts = {};
-  this.items.forEach(item => {
-    const vendorId = item.vendor.toString();
-    const itemTotal = item.price * item.quantity;
-    
-    if (!vendorAmounts[vendorId]) {
-      vendorAmounts[vendorId] = 0;
+  // Add each vendor's held fulfillment to their pending balance
+  for (const group of this.ensureFulfillments()) {
+    if (group.escrowStatus !== 'held') continue;
+    await this.recordEscrowHold(group);
+  }
+};
+
+// Cancel one vendor's fulfillment: its escrow hold is reversed and its items
+// go back in stock. Returns the cancelled items.
+orderSchema.methods.cancelFulfillment = async function(vendorId, options = {}) {
+  const fulfillment = this.getFulfillment(vendorId);
+  if (!fulfillment) {
+    throw transitionError('Vendor has no items in this order', 404);
+  }
+
+  this.applyTransition('cancelled', { ...options, vendorId });
+
+  // Paid orders give the customer back whatever is left of this vendor's
+  // part, which also takes it out of the vendor's pending balance
+  if (this.paymentStatus === 'completed' && refundableForFulfillment(this, fulfillment).total > 0) {
+    await refundFulfillment(this, fulfillment.vendor, {
+      type: 'full',
+      reason: options.reason,
+      actor: options.actor,
+      key: `cancel:${this._id}:${fulfillment.vendor}`
+    });
+  }
+
+  if (fulfillment.escrowStatus === 'held') {
+    fulfillment.escrowStatus = 'refunded';
+  }
+
+  this.syncFromFulfillments();
+  await this.commitTransitions();
+
+  const items = this.itemsForVendor(vendorId);
+  await restoreStock(items.map(item => ({
+    product: item.product,
+    variant: item.variant?.variantId,
+    quantity: item.quantity
+  })));
+  return items;
+};
+
+// Cancel one vendor's fulfillment, or every open one when no vendor is given.
+// Status changes to 'cancelled' come here so they always undo escrow and stock.
+orderSchema.methods.cancelFulfillments = async function({ vendorId = null, ...options } = {}) {
+  this.ensureFulfillments();
+  const targets = vendorId
+    ? [this.getFulfillment(vendorId)]
+    : this.fulfillments.filter(f => f.status !== 'cancelled');
+  if (targets.length === 0) {
+    throw transitionError(`Order cannot move from ${this.status} to cancelled`);
+  }
+
+  // Check every fulfillment first so a refused one leaves the others untouched
+  for (const fulfillment of targets) {
+    if (!fulfillment) {
+      throw transitionError('Vendor has no items in this order', 404);
     }
-    vendorAmounts[vendorId] += itemTotal;
-  });
-  
-  // Add to vendor pending balances
-  for (const [vendorId, amount] of Object.entries(vendorAmounts)) {
-    let vendorBalance = await VendorBalance.findOne({ vendor: vendorId });
-    if (vendorBalance) {
-      vendorBalance.pendingBalance += amount;
-      await vendorBalance.save();
+    if (!ORDER_STATUS_TRANSITIONS[fulfillment.status].cancelled) {
+      throw transitionError(`Order cannot move from ${fulfillment.status} to cancelled`);
+    }
+    if (!this.constructor.canTransition(fulfillment.status, 'cancelled', options.role)) {
+      throw transitionError(`A ${options.role} cannot move an order from ${fulfillment.status} to cancelled`, 403);
     }
   }
+
+  for (const fulfillment of targets) {
+    await this.cancelFulfillment(fulfillment.vendor, options);
+  }
+  return this;
+};
+
+// The order as one vendor should see it: only their items and fulfillment
+orderSchema.methods.toVendorView = function(vendorId) {
+  const fulfillment = this.getFulfillment(vendorId);
+  const order = this.toObject({ virtuals: true });
+
+  order.items = order.items.filter(item => {
+    const itemVendor = item.vendor?._id || item.vendor;
+    return itemVendor.toString() === vendorId.toString();
+  });
+  order.fulfillment = fulfillment ? fulfillment.toObject() : null;
+  order.orderStatus = order.status;
+  if (fulfillment) {
+    order.status = fulfillment.status;
+    order.trackingNumber = fulfillment.trackingNumber;
+    order.trackingUrl = fulfillment.trackingUrl;
+    order.deliveryProof = order.fulfillment.deliveryProof;
+    order.escrowStatus = fulfillment.escrowStatus;
+  }
+  delete order.fulfillments;
+
+  return order;
 };
 
 // Static methods
@@ -351,6 +1036,19 @@ orderSchema.statics.findByCustomer = function(customerId, limit = 10) {
     .limit(limit);
 };
 
+// Query for a vendor's orders, optionally filtered by their fulfillment status.
+// Orders without fulfillments fall back to the order-level status.
+orderSchema.statics.vendorQuery = function(vendorId, status) {
+  const query = { 'items.vendor': vendorId };
+  if (status) {
+    query.$or = [
+      { fulfillments: { $elemMatch: { vendor: vendorId, status } } },
+      { 'fulfillments.0': { $exists: false }, status }
+    ];
+  }
+  return query;
+};
+
 orderSchema.statics.findByVendor = function(vendorId, limit = 10) {
   return this.find({ 'items.vendor': vendorId })
     .populate('customer', 'name email')
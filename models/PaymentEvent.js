@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+// Every webhook event Stripe delivers, kept so replays are ignored and
+// events that failed to apply can be retried
+const paymentEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  livemode: {
+    type: Boolean,
+    default: false
+  },
+  // PaymentIntent, charge or dispute the event is about
+  objectId: {
+    type: String
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['received', 'processing', 'processed', 'ignored', 'failed'],
+    default: 'received'
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String
+  },
+  processingStartedAt: {
+    type: Date
+  },
+  processedAt: {
+    type: Date
+  },
+  deliveries: {
+    type: Number,
+    default: 1
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+paymentEventSchema.index({ status: 1, createdAt: -1 });
+paymentEventSchema.index({ type: 1, createdAt: -1 });
+paymentEventSchema.index({ order: 1 });
+paymentEventSchema.index({ objectId: 1 });
+
+const PaymentEvent = mongoose.model('PaymentEvent', paymentEventSchema);
+
+export default PaymentEvent;
@@ -0,0 +1,118 @@
+import mongoose from 'mongoose';
+
+export const CARD_BRANDS = ['visa', 'mastercard', 'amex', 'discover', 'diners', 'jcb', 'unionpay', 'unknown'];
+
+// A saved card. Only the provider's token and display details are kept:
+// card numbers and security codes never reach our database.
+const paymentMethodSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  provider: {
+    type: String,
+    enum: ['stripe', 'fake'],
+    required: true
+  },
+  // Stripe PaymentMethod ID (pm_...) or the fake provider's token
+  providerMethodId: {
+    type: String,
+    required: true
+  },
+  providerCustomerId: {
+    type: String
+  },
+  brand: {
+    type: String,
+    enum: CARD_BRANDS,
+    default: 'unknown'
+  },
+  last4: {
+    type: String,
+    required: true,
+    match: [/^\d{4}$/, 'last4 must be four digits']
+  },
+  expMonth: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 12
+  },
+  expYear: {
+    type: Number,
+    required: true
+  },
+  cardholderName: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  // Provider's fingerprint for the underlying card, used to spot duplicates
+  fingerprint: {
+    type: String
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+paymentMethodSchema.index({ user: 1, providerMethodId: 1 }, { unique: true });
+paymentMethodSchema.index({ user: 1, isDefault: 1 });
+
+// Virtual for whether the card has expired
+paymentMethodSchema.virtual('isExpired').get(function() {
+  const now = new Date();
+  return this.expYear < now.getFullYear() ||
+    (this.expYear === now.getFullYear() && this.expMonth < now.getMonth() + 1);
+});
+
+// Ensure virtual fields are serialized
+paymentMethodSchema.set('toJSON', { virtuals: true });
+paymentMethodSchema.set('toObject', { virtuals: true });
+
+// Static methods
+
+// A user's saved methods, default first
+paymentMethodSchema.statics.findByUser = function(userId) {
+  return this.find({ user: userId }).sort({ isDefault: -1, createdAt: -1 });
+};
+
+// Make one method the user's default and clear the flag on the rest
+paymentMethodSchema.statics.setDefault = async function(userId, methodId) {
+  const method = await this.findOne({ _id: methodId, user: userId });
+  if (!method) return null;
+
+  await this.updateMany({ user: userId, _id: { $ne: method._id } }, { isDefault: false });
+  if (!method.isDefault) {
+    method.isDefault = true;
+    await method.save();
+  }
+  return method;
+};
+
+// Instance methods
+
+// What clients see; the provider token stays server-side
+paymentMethodSchema.methods.toSummary = function() {
+  return {
+    id: this._id,
+    provider: this.provider,
+    brand: this.brand,
+    last4: this.last4,
+    expMonth: this.expMonth,
+    expYear: this.expYear,
+    cardholderName: this.cardholderName,
+    isDefault: this.isDefault,
+    isExpired: this.isExpired,
+    createdAt: this.createdAt
+  };
+};
+
+const PaymentMethod = mongoose.model('PaymentMethod', paymentMethodSchema);
+
+export default PaymentMethod;
@@ -0,0 +1,275 @@
+import mongoose from 'mongoose';
+import {
+  PLATFORM_ACCOUNTS,
+  vendorAccount,
+  postEntry,
+  ensureVendorLedger,
+  getVendorLedgerBalances,
+  withBalanceLock
+} from '../utils/ledger.js';
+
+// Allowed payout state changes
+export const PAYOUT_TRANSITIONS = {
+  requested: ['processing', 'failed'],
+  processing: ['paid', 'failed'],
+  paid: ['reversed'],
+  failed: [],
+  reversed: []
+};
+
+/**
+ * Build an error the global error handler reports with the given status
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} - Error with statusCode set
+ */
+function payoutError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+const payoutSchema = new mongoose.Schema({
+  payoutNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: true
+  },
+  vendorBalance: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VendorBalance',
+    required: true
+  },
+  bankAccount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BankAccount'
+  },
+  // Snapshot of where the money went, so history survives account changes
+  destination: {
+    bankName: String,
+    accountHolderName: String,
+    mask: String
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  status: {
+    type: String,
+    enum: Object.keys(PAYOUT_TRANSITIONS),
+    default: 'requested'
+  },
+  provider: {
+    type: String,
+    enum: ['manual', 'plaid'],
+    default: 'manual'
+  },
+  providerTransferId: {
+    type: String,
+    trim: true
+  },
+  failureReason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  reversalReason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  processingAt: Date,
+  paidAt: Date,
+  failedAt: Date,
+  reversedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+payoutSchema.index({ vendor: 1, createdAt: -1 });
+payoutSchema.index({ status: 1, createdAt: -1 });
+payoutSchema.index({ providerTransferId: 1 });
+
+// Generate payout number before validation
+payoutSchema.pre('validate', function(next) {
+  if (this.isNew && !this.payoutNumber) {
+    const date = new Date();
+    const stamp = date.getFullYear().toString().slice(-2) +
+      (date.getMonth() + 1).toString().padStart(2, '0') +
+      date.getDate().toString().padStart(2, '0');
+    const suffix = Math.random().toString(36).substring(2, 8).toUpperCase();
+    this.payoutNumber = `PO-${stamp}-${suffix}`;
+  }
+  next();
+});
+
+// Static methods
+
+// Create a payout request. The amount leaves the vendor's available balance
+// straight away so it cannot be requested twice; it comes back if the payout fails.
+payoutSchema.statics.request = async function({ vendorBalance, bankAccount, amount, description, provider = 'manual', destination }) {
+  // The balance is checked against the ledger and the hold is posted while
+  // holding the vendor's lock, so two concurrent requests cannot both pass
+  // the check. The stored VendorBalance figures are only a projection.
+  return withBalanceLock('VendorBalance', vendorBalance._id, async () => {
+    await ensureVendorLedger(vendorBalance.vendor);
+
+    const { availableBalance } = await getVendorLedgerBalances(vendorBalance.vendor);
+    if (availableBalance < amount) {
+      throw payoutError('Insufficient available balance for this payout amount');
+    }
+
+    const payout = await this.create({
+      vendor: vendorBalance.vendor,
+      vendorBalance: vendorBalance._id,
+      bankAccount: bankAccount?._id,
+      destination: destination || (bankAccount ? {
+        bankName: bankAccount.bankName,
+        accountHolderName: bankAccount.cardHolderName
+      } : undefined),
+      amount,
+      description,
+      provider
+    });
+
+    // The hold: available moves to in transit until the payout settles or fails
+    try {
+      await postEntry({
+        type: 'payout',
+        description: `Payout ${payout.payoutNumber} requested`,
+        idempotencyKey: `payout:${payout._id}:requested`,
+        vendor: payout.vendor,
+        payout: payout._id,
+        lines: [
+          { account: vendorAccount(payout.vendor, 'available'), debit: amount },
+          { account: vendorAccount(payout.vendor, 'in_transit'), credit: amount }
+        ]
+      });
+    } catch (error) {
+      await payout.deleteOne();
+      throw error;
+    }
+
+    return payout;
+  });
+};
+
+payoutSchema.statics.findByVendor = function(vendorId, { page = 1, limit = 20, status } = {}) {
+  const query = { vendor: vendorId };
+  if (status) query.status = status;
+
+  return this.find(query)
+    .sort({ createdAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit);
+};
+
+// Instance methods
+
+// Move the payout to a new state and post its ledger entry. The status
+// check and update are a single atomic operation, and each entry has an
+// idempotency key, so the same balance change is never applied twice.
+payoutSchema.methods.transitionTo = async function(newStatus, { reason, providerTransferId } = {}) {
+  const from = this.status;
+  if (!PAYOUT_TRANSITIONS[from]?.includes(newStatus)) {
+    throw payoutError(`Payout cannot move from ${from} to ${newStatus}`, 409);
+  }
+
+  const now = new Date();
+  const update = { status: newStatus, [`${newStatus}At`]: now };
+  if (newStatus === 'failed') update.failureReason = reason || 'Payout failed';
+  if (newStatus === 'reversed') update.reversalReason = reason || 'Payout reversed';
+  if (providerTransferId) update.providerTransferId = providerTransferId;
+
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, status: from },
+    update,
+    { new: true }
+  );
+
+  if (!updated) {
+    throw payoutError('Payout was updated by another process', 409);
+  }
+
+  const available = vendorAccount(this.vendor, 'available');
+  const inTransit = vendorAccount(this.vendor, 'in_transit');
+  const linesByStatus = {
+    // Money left the platform
+    paid: [
+      { account: inTransit, debit: this.amount },
+      { account: PLATFORM_ACCOUNTS.cash, credit: this.amount }
+    ],
+    // Never sent: back to the vendor's available balance
+    failed: [
+      { account: inTransit, debit: this.amount },
+      { account: available, credit: this.amount }
+    ],
+    // Sent, then returned by the bank
+    reversed: [
+      { account: PLATFORM_ACCOUNTS.cash, debit: this.amount },
+      { account: available, credit: this.amount }
+    ]
+  };
+
+  if (linesByStatus[newStatus]) {
+    await postEntry({
+      type: 'payout',
+      description: `Payout ${this.payoutNumber} ${newStatus}`,
+      idempotencyKey: `payout:${this._id}:${newStatus}`,
+      vendor: this.vendor,
+      payout: this._id,
+      lines: linesByStatus[newStatus]
+    });
+  }
+
+  if (newStatus === 'paid') {
+    await mongoose.model('VendorBalance').updateOne(
+      { _id: this.vendorBalance },
+      { lastPayout: now, lastPayoutAmount: this.amount }
+    );
+  }
+
+  this.set(updated.toObject());
+  return this;
+};
+
+// Summary used in vendor-facing responses
+payoutSchema.methods.toSummary = function() {
+  return {
+    id: this._id,
+    payoutNumber: this.payoutNumber,
+    amount: this.amount,
+    currency: this.currency,
+    description: this.description,
+    status: this.status,
+    failureReason: this.failureReason,
+    reversalReason: this.reversalReason,
+    requestedAt: this.requestedAt,
+    processedAt: this.paidAt || this.failedAt || this.processingAt || null,
+    bankAccount: this.destination
+  };
+};
+
+const Payout = mongoose.model('Payout', payoutSchema);
+
+export default Payout;
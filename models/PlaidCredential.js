@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+
+// A vendor's Plaid item. The access token is encrypted with utils/encryption.js,
+// never selected by default and stripped from JSON; read it only through
+// utils/plaidCredentials.js so every access is audited.
+const plaidCredentialSchema = new mongoose.Schema({
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  itemId: {
+    type: String,
+    required: true
+  },
+  accountId: {
+    type: String
+  },
+  institutionName: {
+    type: String
+  },
+  accessToken: {
+    type: String,
+    select: false
+  },
+  status: {
+    type: String,
+    enum: ['active', 'revoked'],
+    default: 'active'
+  },
+  lastSync: {
+    type: Date
+  },
+  lastAccessedAt: {
+    type: Date
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokeReason: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+plaidCredentialSchema.index(
+  { vendor: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+plaidCredentialSchema.index({ vendor: 1, createdAt: -1 });
+plaidCredentialSchema.index({ itemId: 1 });
+
+// Never serialize the token, even when it was explicitly selected
+plaidCredentialSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.accessToken;
+    return ret;
+  }
+});
+
+const PlaidCredential = mongoose.model('PlaidCredential', plaidCredentialSchema);
+
+export default PlaidCredential;
@@ -1,4 +1,61 @@
 import mongoose from 'mongoose'
+import { slugify } from '../utils/slugify.js'
+
+// At most this many option types (e.g. size, color, glaze) per product
+export const MAX_PRODUCT_OPTIONS = 3
+
+// Default SKU code: the end of the product ID plus the option values
+export const generateSku = (productId, values) =>
+  [productId.toString().slice(-6), ...values.map(slugify)].join('-').toUpperCase()
+
+// One sellable combination of option values, with its own price and stock
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  options: [{
+    _id: false,
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    value: {
+      type: String,
+      required: true,
+      trim: true
+    }
+  }],
+  // Falls back to the product price when not set
+  price: {
+    type: Number,
+    min: [0, 'Price cannot be negative']
+  },
+  comparePrice: {
+    type: Number,
+    min: [0, 'Compare price cannot be negative']
+  },
+  inventory: {
+    quantity: {
+      type: Number,
+      default: 0,
+      min: [0, 'Inventory cannot be negative']
+    }
+  },
+  images: [{
+    url: {
+      type: String,
+      required: true
+    },
+    alt: String
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+})
 
 const productSchema = new mongoose.Schema({
   title: {
@@ -30,29 +87,27 @@ const productSchema = new mongoose.Schema({
     default: 'USD',
     enum: ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'JPY']
   },
+  // Category slugs; see models/Category.js for the tree
   categories: {
-    type: [String],
-    required: [true, 'Product category is required'],
-    enum: [
-      'ceramics',
-      'textiles',
-      'jewelry',
-      'leather-goods',
-      'woodwork',
-      'metalwork',
-      'glass',
-      'paintings',
-      'sculptures',
-      'home-decor',
-      'accessories',
-      'toys',
-      'other'
-    ]
-  },
-  subcategory: {
-    type: String,
-    trim: true
+    type: [{
+      type: String,
+      lowercase: true,
+      trim: true
+    }],
+    required: [true, 'Product category is required']
   },
+  // Details asked for by the attribute templates of the product's categories
+  attributes: [{
+    _id: false,
+    key: {
+      type: String,
+      required: true
+    },
+    value: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true
+    }
+  }],
   tags: [{
     type: String,
     trim: true
@@ -87,18 +142,28 @@ const productSchema = new mongoose.Schema({
       default: true
     }
   },
-  variants: [{
-    name: {
-      type: String,
-      required: true
-    },
-    value: {
-      type: String,
-      required: true
-    },
-    price: Number,
-    inventory: Number
-  }],
+  // Option types and their values, e.g. { name: 'Size', values: ['S', 'M'] }
+  options: {
+    type: [{
+      _id: false,
+      name: {
+        type: String,
+        required: true,
+        trim: true
+      },
+      values: [{
+        type: String,
+        trim: true
+      }]
+    }],
+    validate: {
+      validator: options => options.length <= MAX_PRODUCT_OPTIONS,
+      message: `A product can have at most ${MAX_PRODUCT_OPTIONS} options`
+    }
+  },
+  // SKUs; when present, stock is tracked per variant and inventory.quantity
+  // is their total
+  variants: [variantSchema],
   dimensions: {
     length: Number,
     width: Number,
@@ -157,6 +222,24 @@ const productSchema = new mongoose.Schema({
     enum: ['active', 'inactive', 'pending', 'rejected', 'out-of-stock'],
     default: 'pending'
   },
+  // Review state for listings held by moderation (see utils/productModeration.js)
+  moderation: {
+    flags: [{
+      _id: false,
+      check: {
+        type: String,
+        enum: ['missing_images', 'banned_words', 'price_outlier']
+      },
+      message: String
+    }],
+    submittedAt: Date,
+    reviewedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    rejectionReason: String
+  },
   featured: {
     type: Boolean,
     default: false
@@ -203,18 +286,76 @@ const productSchema = new mongoose.Schema({
 productSchema.index({ vendor: 1 })
 productSchema.index({ categories: 1 })
 productSchema.index({ status: 1 })
+productSchema.index({ status: 1, 'moderation.submittedAt': 1 })
 productSchema.index({ featured: 1 })
 productSchema.index({ 'ratings.average': -1 })
 productSchema.index({ price: 1 })
 productSchema.index({ createdAt: -1 })
-// Text search index for product content
-productSchema.index({ title: 'text', description: 'text', tags: 'text' })
+// Text search index for product content, weighted for relevance ranking.
+// Replacing an older text index needs scripts/syncProductSearchIndex.js.
+productSchema.index(
+  { title: 'text', tags: 'text', materials: 'text', techniques: 'text', description: 'text' },
+  {
+    name: 'product_text_search',
+    weights: { title: 10, tags: 5, materials: 3, techniques: 3, description: 1 }
+  }
+)
 
 // Individual indexes for regex searches
 productSchema.index({ title: 1 })
 productSchema.index({ description: 1 })
 productSchema.index({ tags: 1 })
 productSchema.index({ vendor: 1 }) // Index for vendor reference
+productSchema.index({ 'variants.sku': 1 }, { unique: true, sparse: true })
+
+// Check every variant picks exactly one listed value per option, that no two
+// variants share a combination or SKU, and generate missing SKU codes
+productSchema.pre('validate', function(next) {
+  if (!this.variants?.length) return next()
+
+  const optionValues = new Map(this.options.map(option => [option.name, option.values]))
+  const combinations = new Set()
+  const skus = new Set()
+
+  this.variants.forEach((variant, index) => {
+    const names = new Set(variant.options.map(option => option.name))
+    const valid = names.size === optionValues.size &&
+      variant.options.length === optionValues.size &&
+      variant.options.every(option => optionValues.get(option.name)?.includes(option.value))
+    if (!valid) {
+      this.invalidate(`variants.${index}.options`, `Each variant must pick one value for each option: ${[...optionValues.keys()].join(', ')}`)
+      return
+    }
+
+    const values = this.options.map(option => variant.options.find(o => o.name === option.name).value)
+    const combination = values.join('\u0000')
+    if (combinations.has(combination)) {
+      this.invalidate(`variants.${index}.options`, `Duplicate variant: ${values.join(' / ')}`)
+      return
+    }
+    combinations.add(combination)
+
+    if (!variant.sku) {
+      variant.sku = generateSku(this._id, values)
+    }
+    if (skus.has(variant.sku)) {
+      this.invalidate(`variants.${index}.sku`, `Duplicate SKU: ${variant.sku}`)
+    }
+    skus.add(variant.sku)
+  })
+
+  next()
+})
+
+// Keep the product-level stock equal to the total across active variants
+productSchema.pre('save', function(next) {
+  if (this.variants.length > 0 && this.isModified('variants')) {
+    this.inventory.quantity = this.variants
+      .filter(variant => variant.isActive)
+      .reduce((sum, variant) => sum + (variant.inventory?.quantity || 0), 0)
+  }
+  next()
+})
 
 // Generate slug before saving
 productSchema.pre('save', function(next) {
@@ -235,6 +376,14 @@ productSchema.virtual('primaryImage').get(function() {
   return primary ? primary.url : (this.images[0]?.url || null)
 })
 
+// Display label for a variant, e.g. "Large / Blue"
+productSchema.methods.variantLabel = function(variant) {
+  return this.options
+    .map(option => variant.options.find(o => o.name === option.name)?.value)
+    .filter(Boolean)
+    .join(' / ')
+}
+
 // Update ratings when reviews change
 productSchema.methods.updateRatings = async function() {
   const Review = mongoose.model('Review')
@@ -0,0 +1,266 @@
+import mongoose from 'mongoose';
+
+// Return lifecycle: for each status, the statuses it may move to and the
+// roles allowed to make that move
+export const RETURN_STATUS_TRANSITIONS = {
+  requested: {
+    approved: ['vendor', 'admin'],
+    denied: ['vendor', 'admin'],
+    cancelled: ['customer', 'admin']
+  },
+  approved: {
+    in_transit: ['customer', 'admin'],
+    received: ['vendor', 'admin'],
+    cancelled: ['customer', 'admin']
+  },
+  in_transit: {
+    received: ['vendor', 'admin']
+  },
+  received: {
+    completed: ['vendor', 'admin'],
+    rejected: ['vendor', 'admin']
+  },
+  denied: {},
+  completed: {},
+  rejected: {},
+  cancelled: {}
+};
+
+export const RETURN_REASONS = [
+  'damaged',
+  'defective',
+  'not_as_described',
+  'wrong_item',
+  'no_longer_needed',
+  'other'
+];
+
+/**
+ * Build an error the global error handler reports with the given status
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} - Error with statusCode set
+ */
+function returnError(message, statusCode = 409) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+const returnItemSchema = new mongoose.Schema({
+  // _id of the line item on the order
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Snapshot of the variant bought; name/value are the option names and
+  // values joined for display, e.g. "Size / Glaze" and "Large / Matte"
+  variant: {
+    variantId: mongoose.Schema.Types.ObjectId,
+    sku: String,
+    name: String,
+    value: String,
+    options: [{
+      _id: false,
+      name: String,
+      value: String
+    }],
+    image: String
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  reason: {
+    type: String,
+    enum: RETURN_REASONS,
+    required: true
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  // Set at inspection: whether the unit goes back into stock
+  restock: {
+    type: Boolean,
+    default: false
+  },
+  condition: {
+    type: String,
+    enum: ['as_new', 'opened', 'damaged', 'unsellable']
+  }
+}, { _id: false });
+
+const returnHistorySchema = new mongoose.Schema({
+  status: String,
+  from: String,
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorRole: String,
+  note: String,
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const returnRequestSchema = new mongoose.Schema({
+  rmaNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: true
+  },
+  items: {
+    type: [returnItemSchema],
+    validate: [items => items.length > 0, 'A return must include at least one item']
+  },
+  photos: [{
+    type: String,
+    trim: true
+  }],
+  comments: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  // What the customer asked for; the vendor may settle an exchange as a refund
+  requestedResolution: {
+    type: String,
+    enum: ['refund', 'exchange'],
+    default: 'refund'
+  },
+  status: {
+    type: String,
+    enum: Object.keys(RETURN_STATUS_TRANSITIONS),
+    default: 'requested'
+  },
+  denialReason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  // Provided by the vendor on approval: a prepaid label or written instructions
+  returnShipping: {
+    labelUrl: String,
+    carrier: String,
+    trackingNumber: String,
+    instructions: {
+      type: String,
+      maxlength: 1000
+    }
+  },
+  inspection: {
+    accepted: Boolean,
+    notes: {
+      type: String,
+      maxlength: 1000
+    },
+    receivedAt: Date,
+    inspectedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  resolution: {
+    type: {
+      type: String,
+      enum: ['refund', 'exchange']
+    },
+    refundAmount: Number,
+    replacementTrackingNumber: String,
+    resolvedAt: Date
+  },
+  history: [returnHistorySchema]
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+returnRequestSchema.index({ customer: 1, createdAt: -1 });
+returnRequestSchema.index({ vendor: 1, status: 1, createdAt: -1 });
+returnRequestSchema.index({ order: 1 });
+
+// Generate RMA number before validation
+returnRequestSchema.pre('validate', function(next) {
+  if (this.isNew && !this.rmaNumber) {
+    const date = new Date();
+    const stamp = date.getFullYear().toString().slice(-2) +
+      (date.getMonth() + 1).toString().padStart(2, '0') +
+      date.getDate().toString().padStart(2, '0');
+    const suffix = Math.random().toString(36).substring(2, 8).toUpperCase();
+    this.rmaNumber = `RMA-${stamp}-${suffix}`;
+  }
+  if (this.isNew && this.history.length === 0) {
+    this.history.push({ status: this.status, actor: this.customer, actorRole: 'customer', note: 'Return requested' });
+  }
+  next();
+});
+
+// Virtual for refundable merchandise value
+returnRequestSchema.virtual('itemsTotal').get(function() {
+  return this.items.reduce((sum, item) => sum + item.unitPrice * item.quantity, 0);
+});
+
+// Ensure virtual fields are serialized
+returnRequestSchema.set('toJSON', { virtuals: true });
+returnRequestSchema.set('toObject', { virtuals: true });
+
+// Static methods
+
+// Returns that still count against an order line's returnable quantity
+returnRequestSchema.statics.findOpenForOrder = function(orderId) {
+  return this.find({
+    order: orderId,
+    status: { $nin: ['denied', 'rejected', 'cancelled'] }
+  });
+};
+
+// Instance methods
+
+// Move the return along its lifecycle, recording who did it and why
+returnRequestSchema.methods.transition = function(newStatus, { role, actor, note } = {}) {
+  const allowed = RETURN_STATUS_TRANSITIONS[this.status]?.[newStatus];
+  if (!allowed) {
+    throw returnError(`Return cannot move from ${this.status} to ${newStatus}`);
+  }
+  if (!allowed.includes(role)) {
+    throw returnError(`${role} cannot move a return from ${this.status} to ${newStatus}`, 403);
+  }
+
+  this.history.push({ status: newStatus, from: this.status, actor, actorRole: role, note });
+  this.status = newStatus;
+  return this;
+};
+
+const ReturnRequest = mongoose.model('ReturnRequest', returnRequestSchema);
+
+export default ReturnRequest;
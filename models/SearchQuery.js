@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+
+export const SEARCH_SOURCES = ['products', 'combined'];
+
+// Days a logged search is kept before MongoDB removes it
+const RETENTION_DAYS = parseInt(process.env.SEARCH_LOG_RETENTION_DAYS || '180');
+
+// Result shown to the shopper that they went on to open
+const searchClickSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // 1-based position in the results across pages
+  position: Number,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// One search made by a shopper. Nothing identifies the shopper: `session`
+// is a salted hash that changes daily, only used to tell repeat searches apart.
+const searchQuerySchema = new mongoose.Schema({
+  // Normalised query text (lowercase, personal details masked)
+  query: {
+    type: String,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: SEARCH_SOURCES,
+    required: true
+  },
+  filters: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  sort: String,
+  page: Number,
+  resultCount: {
+    type: Number,
+    required: true
+  },
+  zeroResults: {
+    type: Boolean,
+    default: false
+  },
+  correctedQuery: String,
+  session: String,
+  clicks: [searchClickSchema],
+  clickCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better performance
+searchQuerySchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+searchQuerySchema.index({ query: 1, createdAt: -1 });
+searchQuerySchema.index({ zeroResults: 1, createdAt: -1 });
+
+const SearchQuery = mongoose.model('SearchQuery', searchQuerySchema);
+
+export default SearchQuery;
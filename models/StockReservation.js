@@ -0,0 +1,99 @@
+import mongoose from 'mongoose';
+
+// How long stock stays held while the customer completes payment
+const HOLD_MINUTES = parseInt(process.env.STOCK_HOLD_MINUTES || '15');
+
+const reservationItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Set for products sold as variants; stock is held on the variant
+  variant: mongoose.Schema.Types.ObjectId,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // False when the product does not track inventory and nothing was decremented
+  stockApplied: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
+
+const stockReservationSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  items: [reservationItemSchema],
+  status: {
+    type: String,
+    enum: ['active', 'committed', 'released', 'expired'],
+    default: 'active'
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    default: function() {
+      return new Date(Date.now() + HOLD_MINUTES * 60 * 1000);
+    }
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+stockReservationSchema.index({ customer: 1, status: 1 });
+stockReservationSchema.index({ status: 1, expiresAt: 1 });
+
+// Virtual to check if the hold is still usable
+stockReservationSchema.virtual('isExpired').get(function() {
+  return this.status === 'active' && new Date() >= this.expiresAt;
+});
+
+// Ensure virtual fields are serialized
+stockReservationSchema.set('toJSON', { virtuals: true });
+stockReservationSchema.set('toObject', { virtuals: true });
+
+// Static methods
+
+// Atomically claim an active, unexpired hold for an order. Returns null if the
+// hold was already used, released or has expired.
+stockReservationSchema.statics.commit = function(reservationId, customerId) {
+  return this.findOneAndUpdate(
+    {
+      _id: reservationId,
+      customer: customerId,
+      status: 'active',
+      expiresAt: { $gt: new Date() }
+    },
+    { status: 'committed' },
+    { new: true }
+  );
+};
+
+// Atomically move an active hold to a final state. Only one caller can win,
+// so stock is never restored twice.
+stockReservationSchema.statics.close = function(filter, status) {
+  return this.findOneAndUpdate(
+    { ...filter, status: 'active' },
+    { status },
+    { new: true }
+  );
+};
+
+stockReservationSchema.statics.findExpired = function(limit = 100) {
+  return this.find({ status: 'active', expiresAt: { $lte: new Date() } })
+    .sort({ expiresAt: 1 })
+    .limit(limit);
+};
+
+export default mongoose.model('StockReservation', stockReservationSchema);
@@ -59,6 +59,8 @@ const userSchema = new mongoose.Schema({
   passwordResetToken: String,
   passwordResetExpires: Date,
   lastLogin: Date,
+  // Stripe customer that saved cards are attached to
+  stripeCustomerId: String,
   preferences: {
     newsletter: {
       type: Boolean,
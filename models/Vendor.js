@@ -1,4 +1,115 @@
 import mongoose from 'mongoose'
+import { slugify } from '../utils/slugify.js'
+
+// What anyone may see of a store, as select paths for queries and populate.
+// Contact details, business registration, tax ID, financials, verification
+// and settings other than vacation mode stay private.
+export const PUBLIC_VENDOR_FIELDS = [
+  'storeName',
+  'slug',
+  'slogan',
+  'storeDescription',
+  'logo',
+  'banner',
+  'story',
+  'craftsmanship',
+  'specialties',
+  'metrics.totalProducts',
+  'metrics.averageRating',
+  'metrics.totalReviews',
+  'metrics.responseTime',
+  'metrics.fulfillmentRate',
+  'shipping',
+  'policies',
+  'business.address.city',
+  'business.address.state',
+  'business.address.country',
+  'settings.vacationMode.enabled',
+  'settings.vacationMode.message',
+  'isActive',
+  'createdAt'
+].join(' ')
+
+// Compact public fields for vendors shown alongside products, orders and search results
+export const VENDOR_SUMMARY_FIELDS = [
+  'storeName',
+  'slug',
+  'slogan',
+  'storeDescription',
+  'logo',
+  'specialties',
+  'metrics.averageRating',
+  'metrics.totalReviews',
+  'business.address.city',
+  'business.address.country'
+].join(' ')
+
+/**
+ * Copy the given dotted paths from a plain object
+ * @param {Object} source - Plain object
+ * @param {string[]} paths - Dotted paths to keep
+ * @returns {Object} - Object holding only those paths
+ */
+function pickPaths(source, paths) {
+  const result = {}
+  for (const path of paths) {
+    const keys = path.split('.')
+    const value = keys.reduce((obj, key) => obj?.[key], source)
+    if (value === undefined) continue
+
+    let target = result
+    for (const key of keys.slice(0, -1)) {
+      target[key] = target[key] || {}
+      target = target[key]
+    }
+    target[keys[keys.length - 1]] = value
+  }
+  return result
+}
+
+export const VERIFICATION_STATUSES = ['pending', 'submitted', 'info_requested', 'approved', 'rejected', 'suspended']
+export const VERIFICATION_DOCUMENT_KINDS = ['identity', 'business_registration', 'tax', 'address_proof', 'other']
+
+// Identity or business document uploaded to ImageKit as a private file
+const verificationDocumentSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: VERIFICATION_DOCUMENT_KINDS,
+    required: true
+  },
+  description: String,
+  fileId: String,
+  filePath: String,
+  fileName: String,
+  mimeType: String,
+  size: Number,
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+})
+
+// Submissions and review decisions, newest last
+const verificationEventSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: VERIFICATION_STATUSES,
+    required: true
+  },
+  note: String,
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorRole: {
+    type: String,
+    enum: ['vendor', 'admin']
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false })
 
 const vendorSchema = new mongoose.Schema({
   user: {
@@ -13,6 +124,17 @@ const vendorSchema = new mongoose.Schema({
     maxlength: [100, 'Store name cannot exceed 100 characters'],
     default: ''
   },
+  // Storefront URL segment, generated from the store name
+  slug: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  // Slugs the store had before being renamed, so old links keep working
+  previousSlugs: [{
+    type: String,
+    lowercase: true
+  }],
   slogan: {
     type: String,
     trim: true,
@@ -116,15 +238,27 @@ const vendorSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
+    acceptsReturns: {
+      type: Boolean,
+      default: true
+    },
+    // Days after delivery a customer may request a return
+    returnWindowDays: {
+      type: Number,
+      default: 30,
+      min: 0,
+      max: 365
+    },
     customOrders: {
       type: Boolean,
       default: false
     }
   },
   verification: {
+    // pending: not yet submitted; submitted: waiting in the admin queue
     status: {
       type: String,
-      enum: ['pending', 'approved', 'rejected', 'suspended'],
+      enum: VERIFICATION_STATUSES,
       default: 'pending'
     },
     submittedAt: Date,
@@ -134,13 +268,14 @@ const vendorSchema = new mongoose.Schema({
       ref: 'User'
     },
     rejectionReason: String,
-    documents: [{
-      type: String,
-      description: String,
-      uploadedAt: Date
-    }]
+    // What the reviewer asked for when requesting more information
+    infoRequest: String,
+    documents: [verificationDocumentSchema],
+    history: [verificationEventSchema]
   },
   financials: {
+    // balance, pendingBalance and totalEarnings are no longer maintained;
+    // vendor balances are derived from the ledger (see utils/ledger.js)
     balance: {
       type: Number,
       default: 0
@@ -178,8 +313,8 @@ const vendorSchema = new mongoose.Schema({
       stripe: {
         accountId: String
       },
+      // The access token is kept in the PlaidCredential store
       plaid: {
-        accessToken: String,
         itemId: String,
         accountId: String,
         lastSync: Date
@@ -254,6 +389,25 @@ const vendorSchema = new mongoose.Schema({
       }
     }
   },
+  // Seller tier; trusted sellers wait less for escrow release after delivery
+  tier: {
+    type: String,
+    enum: ['standard', 'trusted', 'premium'],
+    default: 'standard'
+  },
+  // Set by admins; a flagged vendor's listings are reviewed before going live
+  moderation: {
+    flagged: {
+      type: Boolean,
+      default: false
+    },
+    reason: String,
+    flaggedAt: Date,
+    flaggedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -266,11 +420,53 @@ const vendorSchema = new mongoose.Schema({
 
 // Indexes for better performance
 vendorSchema.index({ user: 1 })
+vendorSchema.index({ slug: 1 }, { unique: true, sparse: true })
+vendorSchema.index({ previousSlugs: 1 })
 vendorSchema.index({ 'verification.status': 1 })
 vendorSchema.index({ 'metrics.averageRating': -1 })
 vendorSchema.index({ isActive: 1 })
+// Prefix indexes for search suggestions (see utils/searchSuggestions.js)
+vendorSchema.index({ storeName: 1 })
+vendorSchema.index({ specialties: 1 })
 vendorSchema.index({ storeName: 'text', storeDescription: 'text' })
 
+// Plaid access tokens live in the PlaidCredential store. Strip any still
+// sitting on older profiles so they can never be serialized.
+vendorSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    for (const details of [ret.financials?.payoutDetails, ret.payoutDetails]) {
+      if (details?.plaid) delete details.plaid.accessToken
+    }
+    return ret
+  }
+})
+
+// Public storefront representation
+vendorSchema.methods.toPublicProfile = function() {
+  return pickPaths(this.toJSON(), ['_id', ...PUBLIC_VENDOR_FIELDS.split(' ')])
+}
+
+// The vendor's own profile: everything except platform-side bookkeeping
+vendorSchema.methods.toOwnerView = function() {
+  const view = this.toJSON()
+  if (view.financials) {
+    // Balances come from the ledger (see utils/ledger.js)
+    delete view.financials.balance
+    delete view.financials.pendingBalance
+    delete view.financials.totalEarnings
+    delete view.financials.payoutDetails?.plaid
+  }
+  delete view.payoutDetails
+  if (view.verification) delete view.verification.reviewedBy
+  if (view.moderation) delete view.moderation.flaggedBy
+  return view
+}
+
+// Full profile for admins (credentials are still stripped by toJSON)
+vendorSchema.methods.toAdminView = function() {
+  return this.toJSON()
+}
+
 // Pre-save middleware to ensure payoutDetails is initialized
 vendorSchema.pre('save', function(next) {
   if (!this.payoutDetails) {
@@ -279,6 +475,54 @@ vendorSchema.pre('save', function(next) {
   next();
 })
 
+// Keep the storefront slug in step with the store name, remembering the old one
+vendorSchema.pre('save', async function(next) {
+  if (!this.storeName?.trim() || (this.slug && !this.isModified('storeName'))) {
+    return next()
+  }
+
+  // Already on this name's slug (or a numbered variant of it)
+  const base = slugify(this.storeName)
+  if (!base || (this.slug && new RegExp(`^${base}(-\\d+)?$`).test(this.slug))) {
+    return next()
+  }
+
+  const slug = await this.constructor.availableSlug(base, this._id)
+  if (this.slug) {
+    this.previousSlugs = [...this.previousSlugs.filter(s => s !== slug), this.slug]
+  }
+  this.slug = slug
+  next()
+})
+
+// First free slug for a store name: base, base-2, base-3, ... A slug is taken
+// if another store uses it now or used it before a rename.
+vendorSchema.statics.availableSlug = async function(base, excludeId) {
+  const pattern = new RegExp(`^${base}(-\\d+)?$`)
+  const others = await this.find({
+    _id: { $ne: excludeId },
+    $or: [{ slug: pattern }, { previousSlugs: pattern }]
+  }).select('slug previousSlugs')
+
+  const taken = new Set(others.flatMap(v => [v.slug, ...v.previousSlugs]))
+  if (!taken.has(base)) return base
+
+  let n = 2
+  while (taken.has(`${base}-${n}`)) n++
+  return `${base}-${n}`
+}
+
+// Find a store by its current slug, a previous slug, or its ID
+vendorSchema.statics.findBySlugOrId = async function(slugOrId, projection) {
+  if (mongoose.isValidObjectId(slugOrId)) {
+    const vendor = await this.findById(slugOrId).select(projection)
+    if (vendor) return vendor
+  }
+  const slug = String(slugOrId).toLowerCase()
+  return await this.findOne({ slug }).select(projection) ||
+    this.findOne({ previousSlugs: slug }).select(projection)
+}
+
 // Update metrics when vendor data changes
 vendorSchema.methods.updateMetrics = async function() {
   const Product = mongoose.model('Product')
@@ -1,4 +1,11 @@
 import mongoose from 'mongoose';
+import {
+  PLATFORM_ACCOUNTS,
+  vendorAccount,
+  postEntry,
+  ensureVendorLedger,
+  syncVendorBalance
+} from '../utils/ledger.js';
 
 const vendorBalanceSchema = new mongoose.Schema({
   vendor: { 
@@ -56,6 +63,15 @@ const vendorBalanceSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Lease held while a spend checks and posts against the ledger (see withBalanceLock)
+  ledgerLockToken: {
+    type: mongoose.Schema.Types.ObjectId,
+    select: false
+  },
+  ledgerLockedUntil: {
+    type: Date,
+    select: false
+  },
   createdAt: { 
     type: Date, 
     default: Date.now 
@@ -95,47 +111,89 @@ vendorBalanceSchema.virtual('formattedPendingBalance').get(function() {
 vendorBalanceSchema.set('toJSON', { virtuals: true });
 vendorBalanceSchema.set('toObject', { virtuals: true });
 
+// Open the ledger for balances created with non-zero figures
+vendorBalanceSchema.pre('save', function(next) {
+  this.$locals.wasNew = this.isNew;
+  next();
+});
+
+vendorBalanceSchema.post('save', async function(doc) {
+  if (doc.$locals.wasNew) {
+    await ensureVendorLedger(doc.vendor);
+  }
+});
+
 // Instance methods
-vendorBalanceSchema.methods.addEarnings = function(amount) {
-  this.totalEarnings += amount;
-  this.availableBalance += amount;
-  this.updatedAt = new Date();
-  return this.save();
+
+// Balances are projections of the ledger: each method posts a journal entry
+// and reloads the derived figures rather than editing them in place.
+vendorBalanceSchema.methods.refreshFromLedger = async function() {
+  const balances = await syncVendorBalance(this.vendor);
+  const { inTransitBalance, ...stored } = balances;
+  this.set(stored);
+  return this;
+};
+
+vendorBalanceSchema.methods.addEarnings = async function(amount, description = 'Manual earnings adjustment') {
+  if (this.isNew) await this.save();
+
+  await postEntry({
+    type: 'adjustment',
+    description,
+    vendor: this.vendor,
+    lines: [
+      { account: PLATFORM_ACCOUNTS.adjustments, debit: amount },
+      { account: vendorAccount(this.vendor, 'available'), credit: amount }
+    ]
+  });
+  return this.refreshFromLedger();
 };
 
-vendorBalanceSchema.methods.processPayout = function(amount) {
+// Pay out immediately, recorded as a Payout that is settled straight away
+vendorBalanceSchema.methods.processPayout = async function(amount) {
   if (amount > this.availableBalance) {
     throw new Error('Insufficient balance for payout');
   }
-  
-  this.availableBalance -= amount;
-  this.totalPayouts += amount;
-  this.lastPayout = new Date();
-  this.lastPayoutAmount = amount;
-  this.updatedAt = new Date();
-  return this.save();
+
+  const Payout = mongoose.model('Payout');
+  const payout = await Payout.request({ vendorBalance: this, amount, description: 'Vendor payout' });
+  await payout.transitionTo('processing');
+  await payout.transitionTo('paid');
+  return this.refreshFromLedger();
 };
 
-vendorBalanceSchema.methods.moveToPending = function(amount) {
+vendorBalanceSchema.methods.moveToPending = async function(amount) {
   if (amount > this.availableBalance) {
     throw new Error('Insufficient balance to move to pending');
   }
-  
-  this.availableBalance -= amount;
-  this.pendingBalance += amount;
-  this.updatedAt = new Date();
-  return this.save();
+
+  await postEntry({
+    type: 'adjustment',
+    description: 'Moved from available to pending',
+    vendor: this.vendor,
+    lines: [
+      { account: vendorAccount(this.vendor, 'available'), debit: amount },
+      { account: vendorAccount(this.vendor, 'pending'), credit: amount }
+    ]
+  });
+  return this.refreshFromLedger();
 };
 
-vendorBalanceSchema.methods.releasePending = function(amount) {
+vendorBalanceSchema.methods.releasePending = async function(amount) {
   if (amount > this.pendingBalance) {
     throw new Error('Insufficient pending balance to release');
   }
-  
-  this.pendingBalance -= amount;
-  this.availableBalance += amount;
-  this.updatedAt = new Date();
-  return this.save();
+
+  await postEntry({
+    type: 'escrow_release',
+    description: 'Pending balance released',
+    vendor: this.vendor,
+    lines: [
+      { account: vendorAccount(this.vendor, 'pending'), debit: amount },
+      { account: vendorAccount(this.vendor, 'available'), credit: amount }
+    ]
+  });
+  return this.refreshFromLedger();
 };
 
 const VendorBalance = mongoose.model('VendorBalance', vendorBalanceSchema);
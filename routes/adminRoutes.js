@@ -68,7 +68,8 @@ router.get('/orders', requireAdminAuth, async (req, res) => {
       .populate('customer', 'name email')
       .populate('items.product', 'title images price')
       .populate('items.vendor', 'storeName contact.email')
-      .populate('deliveryProof')
+      .populate('fulfillments.vendor', 'storeName contact.email')
+      .populate('fulfillments.deliveryProof')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit))
@@ -97,22 +98,22 @@ router.patch('/orders/:orderId/status', requireAdminAuth, async (req, res) => {
     const Order = (await import('../models/Order.js')).default
     
     const { orderId } = req.params
-    const { status, adminNotes } = req.body
+    const { status, adminNotes, vendorId } = req.body
     
     const order = await Order.findById(orderId)
     if (!order) {
       return res.status(404).json({ success: false, message: 'Order not found' })
     }
-    
+
+    // vendorId targets one vendor's fulfillment; without it every fulfillment is updated.
+    // Delivered fulfillments have their escrow release scheduled by the order lifecycle hooks.
     const oldStatus = order.status
-    order.status = status
-    
-    // If marking as delivered and escrow is held, release it
-    if (status === 'delivered' && order.escrowStatus === 'held') {
-      await order.releaseEscrow()
-    }
-    
-    await order.save()
+    await order.transitionStatus(status, {
+      role: 'admin',
+      actor: req.user.userId,
+      reason: adminNotes,
+      vendorId
+    })
     
     res.json({ 
       success: true, 
@@ -121,7 +122,7 @@ router.patch('/orders/:orderId/status', requireAdminAuth, async (req, res) => {
     })
   } catch (err) {
     console.error('Update order status error:', err)
-    res.status(500).json({ success: false, message: 'Server error' })
+    res.status(err.statusCode || 500).json({ success: false, message: err.statusCode ? err.message : 'Server error' })
   }
 })
 
@@ -181,22 +182,34 @@ router.patch('/arrival-proofs/:proofId/review', requireAdminAuth, async (req, re
     const adminId = req.user.userId
     
     switch (action) {
-      case 'approve':
+      case 'approve': {
         await arrivalProof.approve(adminId, adminNotes)
-        // Move order to next stage if approved
-        if (arrivalProof.order.status === 'processing') {
-          arrivalProof.order.status = 'shipped' // Move to shipped after approval
-          await arrivalProof.order.save()
+        // Move the vendor's fulfillment to next stage if approved
+        const fulfillment = arrivalProof.order.getFulfillment(arrivalProof.vendor)
+        if (fulfillment && fulfillment.status === 'processing') {
+          await arrivalProof.order.transitionStatus('shipped', { // Move to shipped after approval
+            role: 'admin',
+            actor: adminId,
+            reason: 'Arrival proof approved',
+            vendorId: arrivalProof.vendor
+          })
         }
         break
-      case 'reject':
+      }
+      case 'reject': {
         await arrivalProof.reject(adminId, adminNotes)
-        // Revert order status back to pending
-        if (arrivalProof.order.status === 'processing') {
-          arrivalProof.order.status = 'pending'
-          await arrivalProof.order.save()
+        // Revert the vendor's fulfillment back to pending
+        const fulfillment = arrivalProof.order.getFulfillment(arrivalProof.vendor)
+        if (fulfillment && fulfillment.status === 'processing') {
+          await arrivalProof.order.transitionStatus('pending', {
+            role: 'admin',
+            actor: adminId,
+            reason: adminNotes || 'Arrival proof rejected',
+            vendorId: arrivalProof.vendor
+          })
         }
         break
+      }
       case 'requires_review':
         await arrivalProof.requiresReview(adminId, adminNotes)
         break
@@ -221,18 +234,21 @@ router.post('/orders/:orderId/release-escrow', requireAdminAuth, async (req, res
     const Order = (await import('../models/Order.js')).default
     
     const { orderId } = req.params
-    const { reason } = req.body
+    const { reason, vendorId } = req.body
     
     const order = await Order.findById(orderId)
     if (!order) {
       return res.status(404).json({ success: false, message: 'Order not found' })
     }
-    
-    if (order.escrowStatus !== 'held') {
+
+    // vendorId releases one vendor's fulfillment; without it all held escrow is released
+    const fulfillment = vendorId ? order.getFulfillment(vendorId) : null
+    const escrowStatus = vendorId ? fulfillment?.escrowStatus : order.escrowStatus
+    if (escrowStatus !== 'held') {
       return res.status(400).json({ success: false, message: 'Escrow is not held for this order' })
     }
     
-    await order.releaseEscrow()
+    await order.releaseEscrow(vendorId)
     
     res.json({ 
       success: true, 
@@ -242,10 +258,300 @@ router.post('/orders/:orderId/release-escrow', requireAdminAuth, async (req, res
     })
   } catch (err) {
     console.error('Release escrow error:', err)
+    res.status(err.statusCode || 500).json({ success: false, message: err.statusCode ? err.message : 'Server error' })
+  }
+})
+
+// Get vendor payouts
+router.get('/payouts', requireAdminAuth, async (req, res) => {
+  try {
+    const Payout = (await import('../models/Payout.js')).default
+
+    const { status, vendorId, page = 1, limit = 20 } = req.query
+    const skip = (page - 1) * limit
+
+    let query = {}
+    if (status && status !== 'all') {
+      query.status = status
+    }
+    if (vendorId) {
+      query.vendor = vendorId
+    }
+
+    const payouts = await Payout.find(query)
+      .populate('vendor', 'storeName contact.email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+
+    const total = await Payout.countDocuments(query)
+
+    res.json({
+      success: true,
+      payouts,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit)
+      }
+    })
+  } catch (err) {
+    console.error('Admin payouts error:', err)
+    res.status(500).json({ success: false, message: 'Server error' })
+  }
+})
+
+// Update payout status: confirm settlement, record a failure or reverse a paid payout
+router.patch('/payouts/:payoutId/status', requireAdminAuth, async (req, res) => {
+  try {
+    const Payout = (await import('../models/Payout.js')).default
+
+    const { status, reason, providerTransferId } = req.body
+    if ((status === 'failed' || status === 'reversed') && !reason) {
+      return res.status(400).json({ success: false, message: `A reason is required when a payout is ${status}` })
+    }
+
+    const payout = await Payout.findById(req.params.payoutId)
+    if (!payout) {
+      return res.status(404).json({ success: false, message: 'Payout not found' })
+    }
+
+    const oldStatus = payout.status
+    await payout.transitionTo(status, { reason, providerTransferId })
+
+    res.json({
+      success: true,
+      message: `Payout status updated from ${oldStatus} to ${status}`,
+      payout
+    })
+  } catch (err) {
+    console.error('Update payout status error:', err)
+    res.status(err.statusCode || 500).json({ success: false, message: err.statusCode ? err.message : 'Server error' })
+  }
+})
+
+// Get ledger journal entries
+router.get('/ledger', requireAdminAuth, async (req, res) => {
+  try {
+    const LedgerEntry = (await import('../models/LedgerEntry.js')).default
+
+    const { type, vendorId, customerId, orderId, account, page = 1, limit = 50 } = req.query
+    const skip = (page - 1) * limit
+
+    let query = {}
+    if (type) query.type = type
+    if (vendorId) query.vendor = vendorId
+    if (customerId) query.customer = customerId
+    if (orderId) query.order = orderId
+    if (account) query['lines.account'] = account
+
+    const entries = await LedgerEntry.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+
+    const total = await LedgerEntry.countDocuments(query)
+
+    res.json({
+      success: true,
+      entries,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit)
+      }
+    })
+  } catch (err) {
+    console.error('Admin ledger error:', err)
+    res.status(500).json({ success: false, message: 'Server error' })
+  }
+})
+
+// Check the ledger balances and every stored balance matches it
+router.get('/ledger/consistency', requireAdminAuth, async (req, res) => {
+  try {
+    const { checkLedgerConsistency } = await import('../utils/ledger.js')
+
+    const report = await checkLedgerConsistency()
+
+    res.json({ success: true, report })
+  } catch (err) {
+    console.error('Ledger consistency error:', err)
+    res.status(500).json({ success: false, message: 'Server error' })
+  }
+})
+
+// Carry balances stored before the ledger existed into it as opening entries
+router.post('/ledger/opening-balances', requireAdminAuth, async (req, res) => {
+  try {
+    const { openLedgerAccounts } = await import('../utils/ledger.js')
+
+    const checked = await openLedgerAccounts()
+
+    res.json({ success: true, message: 'Opening balances recorded', checked })
+  } catch (err) {
+    console.error('Ledger opening balances error:', err)
+    res.status(500).json({ success: false, message: 'Server error' })
+  }
+})
+
+// Get commission rules (vendor, category and promotional overrides)
+router.get('/commission-rules', requireAdminAuth, async (req, res) => {
+  try {
+    const CommissionRule = (await import('../models/CommissionRule.js')).default
+
+    const { vendorId, category, active } = req.query
+
+    let query = {}
+    if (vendorId) query.vendor = vendorId
+    if (category) query.category = category
+    if (active !== undefined) query.isActive = active === 'true'
+
+    const rules = await CommissionRule.find(query)
+      .populate('vendor', 'storeName')
+      .sort({ createdAt: -1 })
+
+    res.json({ success: true, rules })
+  } catch (err) {
+    console.error('Admin commission rules error:', err)
+    res.status(500).json({ success: false, message: 'Server error' })
+  }
+})
+
+// Create a commission rule
+router.post('/commission-rules', requireAdminAuth, async (req, res) => {
+  try {
+    const CommissionRule = (await import('../models/CommissionRule.js')).default
+
+    const { name, vendorId, category, rate, startsAt, endsAt } = req.body
+
+    const rule = await CommissionRule.create({
+      name,
+      vendor: vendorId || null,
+      category: category || null,
+      rate,
+      startsAt: startsAt || null,
+      endsAt: endsAt || null,
+      createdBy: req.user.userId
+    })
+
+    res.status(201).json({ success: true, message: 'Commission rule created', rule })
+  } catch (err) {
+    console.error('Create commission rule error:', err)
+    if (err.name === 'ValidationError' || err.name === 'CastError' || /must end after/.test(err.message)) {
+      return res.status(400).json({ success: false, message: err.message })
+    }
+    res.status(500).json({ success: false, message: 'Server error' })
+  }
+})
+
+// Update a commission rule. Changes apply to escrow released from now on.
+router.patch('/commission-rules/:ruleId', requireAdminAuth, async (req, res) => {
+  try {
+    const CommissionRule = (await import('../models/CommissionRule.js')).default
+
+    const rule = await CommissionRule.findById(req.params.ruleId)
+    if (!rule) {
+      return res.status(404).json({ success: false, message: 'Commission rule not found' })
+    }
+
+    const { name, vendorId, category, rate, startsAt, endsAt, isActive } = req.body
+    if (name !== undefined) rule.name = name
+    if (vendorId !== undefined) rule.vendor = vendorId || null
+    if (category !== undefined) rule.category = category || null
+    if (rate !== undefined) rule.rate = rate
+    if (startsAt !== undefined) rule.startsAt = startsAt || null
+    if (endsAt !== undefined) rule.endsAt = endsAt || null
+    if (isActive !== undefined) rule.isActive = isActive
+
+    await rule.save()
+
+    res.json({ success: true, message: 'Commission rule updated', rule })
+  } catch (err) {
+    console.error('Update commission rule error:', err)
+    if (err.name === 'ValidationError' || err.name === 'CastError' || /must end after/.test(err.message)) {
+      return res.status(400).json({ success: false, message: err.message })
+    }
+    res.status(500).json({ success: false, message: 'Server error' })
+  }
+})
+
+// Delete a commission rule. Commission already taken keeps its recorded rule.
+router.delete('/commission-rules/:ruleId', requireAdminAuth, async (req, res) => {
+  try {
+    const CommissionRule = (await import('../models/CommissionRule.js')).default
+
+    const rule = await CommissionRule.findByIdAndDelete(req.params.ruleId)
+    if (!rule) {
+      return res.status(404).json({ success: false, message: 'Commission rule not found' })
+    }
+
+    res.json({ success: true, message: 'Commission rule deleted' })
+  } catch (err) {
+    console.error('Delete commission rule error:', err)
+    res.status(500).json({ success: false, message: 'Server error' })
+  }
+})
+
+// Category tree including inactive categories, with product counts
+router.get('/categories', requireAdminAuth, async (req, res) => {
+  try {
+    const { categoryTree } = await import('../utils/categories.js')
+
+    const categories = await categoryTree({ includeInactive: true })
+
+    res.json({ success: true, categories })
+  } catch (err) {
+    console.error('Admin categories error:', err)
     res.status(500).json({ success: false, message: 'Server error' })
   }
 })
 
+// Create a category; `parent` places it under an existing one
+router.post('/categories', requireAdminAuth, async (req, res) => {
+  try {
+    const { createCategory } = await import('../utils/categories.js')
+
+    const category = await createCategory(req.body)
+
+    res.status(201).json({ success: true, message: 'Category created', category })
+  } catch (err) {
+    console.error('Create category error:', err)
+    res.status(err.statusCode || 500).json({ success: false, message: err.statusCode ? err.message : 'Server error' })
+  }
+})
+
+// Update a category. Moving it takes its subcategories along; a new slug is
+// applied to listings and commission rules.
+router.patch('/categories/:categoryId', requireAdminAuth, async (req, res) => {
+  try {
+    const { updateCategory } = await import('../utils/categories.js')
+
+    const category = await updateCategory(req.params.categoryId, req.body)
+
+    res.json({ success: true, message: 'Category updated', category })
+  } catch (err) {
+    console.error('Update category error:', err)
+    res.status(err.statusCode || 500).json({ success: false, message: err.statusCode ? err.message : 'Server error' })
+  }
+})
+
+// Delete an unused category. Categories with listings or subcategories can only be deactivated.
+router.delete('/categories/:categoryId', requireAdminAuth, async (req, res) => {
+  try {
+    const { deleteCategory } = await import('../utils/categories.js')
+
+    await deleteCategory(req.params.categoryId)
+
+    res.json({ success: true, message: 'Category deleted' })
+  } catch (err) {
+    console.error('Delete category error:', err)
+    res.status(err.statusCode || 500).json({ success: false, message: err.statusCode ? err.message : 'Server error' })
+  }
+})
+
 router.get('/vendors', requireAdminAuth, async (req, res) => {
   try {
     const Vendor = (await import('../models/Vendor.js')).default
@@ -254,11 +560,507 @@ router.get('/vendors', requireAdminAuth, async (req, res) => {
       .populate('user', 'name email createdAt')
       .sort({ createdAt: -1 })
     
-    res.json({ success: true, vendors })
+    res.json({ success: true, vendors: vendors.map(vendor => vendor.toAdminView()) })
   } catch (err) {
     console.error('Admin vendors error:', err)
     res.status(500).json({ success: false, message: 'Server error' })
   }
 })
 
+// Set a vendor's tier (controls how long escrow is held after delivery)
+router.patch('/vendors/:vendorId/tier', requireAdminAuth, async (req, res) => {
+  try {
+    const Vendor = (await import('../models/Vendor.js')).default
+
+    const vendor = await Vendor.findByIdAndUpdate(
+      req.params.vendorId,
+      { tier: req.body.tier },
+      { new: true, runValidators: true }
+    )
+    if (!vendor) {
+      return res.status(404).json({ success: false, message: 'Vendor not found' })
+    }
+
+    res.json({ success: true, message: `Vendor tier set to ${vendor.tier}`, vendor: vendor.toAdminView() })
+  } catch (err) {
+    console.error('Update vendor tier error:', err)
+    if (err.name === 'ValidationError' || err.name === 'CastError') {
+      return res.status(400).json({ success: false, message: err.message })
+    }
+    res.status(500).json({ success: false, message: 'Server error' })
+  }
+})
+
+// Audit trail of a vendor's bank credential: connections, token reads and revokes
+router.get('/vendors/:vendorId/credential-access', requireAdminAuth, async (req, res) => {
+  try {
+    const CredentialAccessLog = (await import('../models/CredentialAccessLog.js')).default
+    const PlaidCredential = (await import('../models/PlaidCredential.js')).default
+
+    const { page = 1, limit = 50, action } = req.query
+    const skip = (page - 1) * limit
+
+    const query = { vendor: req.params.vendorId }
+    if (action) query.action = action
+
+    const [credentials, logs, total] = await Promise.all([
+      PlaidCredential.find({ vendor: req.params.vendorId }).sort({ createdAt: -1 }),
+      CredentialAccessLog.find(query)
+        .populate('actor', 'name email role')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      CredentialAccessLog.countDocuments(query)
+    ])
+
+    res.json({
+      success: true,
+      credentials,
+      logs,
+      pagination: { total, page: parseInt(page), limit: parseInt(limit), pages: Math.ceil(total / limit) }
+    })
+  } catch (err) {
+    console.error('Admin credential access error:', err)
+    if (err.name === 'CastError') {
+      return res.status(400).json({ success: false, message: err.message })
+    }
+    res.status(500).json({ success: false, message: 'Server error' })
+  }
+})
+
+// Revoke a vendor's Plaid connection (e.g. suspected compromise)
+router.post('/vendors/:vendorId/plaid/revoke', requireAdminAuth, async (req, res) => {
+  try {
+    const { findActivePlaidCredential, revokePlaidCredential } = await import('../utils/plaidCredentials.js')
+
+    const credential = await findActivePlaidCredential(req.params.vendorId)
+    if (!credential) {
+      return res.status(404).json({ success: false, message: 'Vendor has no active bank connection' })
+    }
+
+    const revoked = await revokePlaidCredential(credential, {
+      actor: req.user.userId,
+      reason: req.body.reason || 'Revoked by admin'
+    })
+
+    res.json({ success: true, message: 'Bank connection revoked', credential: revoked })
+  } catch (err) {
+    console.error('Revoke Plaid credential error:', err)
+    if (err.name === 'CastError') {
+      return res.status(400).json({ success: false, message: err.message })
+    }
+    res.status(err.statusCode || 500).json({ success: false, message: err.statusCode ? err.message : 'Server error' })
+  }
+})
+
+// Vendor verification queue: submitted applications oldest first, or filter by status
+router.get('/vendor-verifications', requireAdminAuth, async (req, res) => {
+  try {
+    const Vendor = (await import('../models/Vendor.js')).default
+
+    const { page = 1, limit = 20, status = 'submitted' } = req.query
+    const skip = (page - 1) * limit
+
+    const query = { 'verification.status': status }
+
+    const [vendors, total] = await Promise.all([
+      Vendor.find(query)
+        .select('storeName slug business.type business.name contact.email user verification.status verification.submittedAt verification.reviewedAt verification.documents.kind')
+        .populate('user', 'name email')
+        .sort({ 'verification.submittedAt': 1, createdAt: 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Vendor.countDocuments(query)
+    ])
+
+    res.json({
+      success: true,
+      vendors: vendors.map(vendor => ({
+        _id: vendor._id,
+        storeName: vendor.storeName,
+        slug: vendor.slug,
+        business: vendor.business,
+        contact: vendor.contact,
+        user: vendor.user,
+        status: vendor.verification.status,
+        submittedAt: vendor.verification.submittedAt,
+        reviewedAt: vendor.verification.reviewedAt,
+        documentKinds: [...new Set(vendor.verification.documents.map(d => d.kind))],
+        documentCount: vendor.verification.documents.length
+      })),
+      pagination: { total, page: parseInt(page), limit: parseInt(limit), pages: Math.ceil(total / limit) }
+    })
+  } catch (err) {
+    console.error('Admin vendor verifications error:', err)
+    res.status(500).json({ success: false, message: 'Server error' })
+  }
+})
+
+// One vendor's application, with short-lived links to each document
+router.get('/vendor-verifications/:vendorId', requireAdminAuth, async (req, res) => {
+  try {
+    const Vendor = (await import('../models/Vendor.js')).default
+    const { documentsForReview, requiredDocumentKinds } = await import('../utils/vendorVerification.js')
+
+    const vendor = await Vendor.findById(req.params.vendorId)
+      .populate('user', 'name email createdAt')
+      .populate('verification.reviewedBy', 'name email')
+      .populate('verification.history.actor', 'name email role')
+    if (!vendor) {
+      return res.status(404).json({ success: false, message: 'Vendor not found' })
+    }
+
+    res.json({
+      success: true,
+      vendor: vendor.toAdminView(),
+      requiredDocumentKinds: requiredDocumentKinds(vendor),
+      documents: documentsForReview(vendor)
+    })
+  } catch (err) {
+    console.error('Admin vendor verification error:', err)
+    if (err.name === 'CastError') {
+      return res.status(400).json({ success: false, message: err.message })
+    }
+    res.status(500).json({ success: false, message: 'Server error' })
+  }
+})
+
+// Approve, reject, request more information or suspend; the vendor is notified
+router.post('/vendor-verifications/:vendorId/review', requireAdminAuth, async (req, res) => {
+  try {
+    const Vendor = (await import('../models/Vendor.js')).default
+    const { reviewVerification } = await import('../utils/vendorVerification.js')
+
+    const vendor = await Vendor.findById(req.params.vendorId)
+    if (!vendor) {
+      return res.status(404).json({ success: false, message: 'Vendor not found' })
+    }
+
+    const { decision, reason } = req.body
+    await reviewVerification(vendor, { decision, reason, actor: req.user.userId })
+
+    res.json({
+      success: true,
+      message: `Vendor verification ${vendor.verification.status.replace('_', ' ')}`,
+      vendor: vendor.toAdminView()
+    })
+  } catch (err) {
+    console.error('Review vendor verification error:', err)
+    if (err.name === 'CastError') {
+      return res.status(400).json({ success: false, message: err.message })
+    }
+    res.status(err.statusCode || 500).json({ success: false, message: err.statusCode ? err.message : 'Server error' })
+  }
+})
+
+// Product moderation queue: pending listings oldest first, or filter by status, failed check or vendor
+router.get('/products/moderation', requireAdminAuth, async (req, res) => {
+  try {
+    const Product = (await import('../models/Product.js')).default
+    const { VENDOR_SUMMARY_FIELDS } = await import('../models/Vendor.js')
+    const { MODERATION_MODE } = await import('../utils/productModeration.js')
+
+    const { page = 1, limit = 20, status = 'pending', check, vendor } = req.query
+    const skip = (page - 1) * limit
+
+    const query = { status, isDeleted: false }
+    if (check) query['moderation.flags.check'] = check
+    if (vendor) query.vendor = vendor
+
+    const [products, total] = await Promise.all([
+      Product.find(query)
+        .select('title description price currency images categories tags vendor status moderation createdAt updatedAt')
+        .populate('vendor', `${VENDOR_SUMMARY_FIELDS} verification.status moderation.flagged moderation.reason`)
+        .populate('moderation.reviewedBy', 'name email')
+        .sort({ 'moderation.submittedAt': 1, createdAt: 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Product.countDocuments(query)
+    ])
+
+    res.json({
+      success: true,
+      mode: MODERATION_MODE,
+      products,
+      pagination: { total, page: parseInt(page), limit: parseInt(limit), pages: Math.ceil(total / limit) }
+    })
+  } catch (err) {
+    console.error('Admin moderation queue error:', err)
+    if (err.name === 'CastError') {
+      return res.status(400).json({ success: false, message: err.message })
+    }
+    res.status(500).json({ success: false, message: 'Server error' })
+  }
+})
+
+// Approve or reject pending listings in bulk; each vendor is notified
+router.post('/products/moderation/review', requireAdminAuth, async (req, res) => {
+  try {
+    const { reviewListings } = await import('../utils/productModeration.js')
+
+    const { productIds, decision, reason } = req.body
+    const result = await reviewListings(productIds, { decision, reason, actor: req.user.userId })
+
+    res.json({
+      success: true,
+      message: `${result.updated.length} listing(s) ${decision === 'approve' ? 'approved' : 'rejected'}, ${result.skipped.length} skipped`,
+      ...result
+    })
+  } catch (err) {
+    console.error('Review listings error:', err)
+    res.status(err.statusCode || 500).json({ success: false, message: err.statusCode ? err.message : 'Server error' })
+  }
+})
+
+// Flag or unflag a vendor; a flagged vendor's listings are reviewed before going live
+router.patch('/vendors/:vendorId/moderation-flag', requireAdminAuth, async (req, res) => {
+  try {
+    const Vendor = (await import('../models/Vendor.js')).default
+
+    const { flagged, reason } = req.body
+    if (typeof flagged !== 'boolean') {
+      return res.status(400).json({ success: false, message: 'flagged must be true or false' })
+    }
+    if (flagged && !reason?.trim()) {
+      return res.status(400).json({ success: false, message: 'A reason is required to flag a vendor' })
+    }
+
+    const moderation = flagged
+      ? { flagged, reason: reason.trim(), flaggedAt: new Date(), flaggedBy: req.user.userId }
+      : { flagged }
+    const vendor = await Vendor.findByIdAndUpdate(req.params.vendorId, { moderation }, { new: true, runValidators: true })
+    if (!vendor) {
+      return res.status(404).json({ success: false, message: 'Vendor not found' })
+    }
+
+    res.json({ success: true, message: flagged ? 'Vendor flagged for moderation' : 'Vendor flag cleared', vendor: vendor.toAdminView() })
+  } catch (err) {
+    console.error('Flag vendor error:', err)
+    if (err.name === 'ValidationError' || err.name === 'CastError') {
+      return res.status(400).json({ success: false, message: err.message })
+    }
+    res.status(500).json({ success: false, message: 'Server error' })
+  }
+})
+
+// Search analytics: most searched queries with result counts and click-through rate
+router.get('/search-analytics/top-queries', requireAdminAuth, async (req, res) => {
+  try {
+    const { topQueries } = await import('../utils/searchAnalytics.js')
+    const report = await topQueries(req.query)
+    res.json({ success: true, ...report })
+  } catch (err) {
+    console.error('Search top queries error:', err)
+    res.status(err.statusCode || 500).json({ success: false, message: err.statusCode ? err.message : 'Server error' })
+  }
+})
+
+// Search analytics: queries that returned nothing (unmet demand, missing synonyms)
+router.get('/search-analytics/zero-results', requireAdminAuth, async (req, res) => {
+  try {
+    const { zeroResultQueries } = await import('../utils/searchAnalytics.js')
+    const report = await zeroResultQueries(req.query)
+    res.json({ success: true, ...report })
+  } catch (err) {
+    console.error('Search zero results error:', err)
+    res.status(err.statusCode || 500).json({ success: false, message: err.statusCode ? err.message : 'Server error' })
+  }
+})
+
+// Search analytics: click-through and zero-result rates per day, week or month
+router.get('/search-analytics/click-through', requireAdminAuth, async (req, res) => {
+  try {
+    const { clickThroughSeries } = await import('../utils/searchAnalytics.js')
+    const report = await clickThroughSeries(req.query)
+    res.json({ success: true, ...report })
+  } catch (err) {
+    console.error('Search click-through error:', err)
+    res.status(err.statusCode || 500).json({ success: false, message: err.statusCode ? err.message : 'Server error' })
+  }
+})
+
+// Dispute queue: open cases oldest first, or filter by status, vendor or source
+router.get('/disputes', requireAdminAuth, async (req, res) => {
+  try {
+    const { default: Dispute, OPEN_DISPUTE_STATUSES } = await import('../models/Dispute.js')
+
+    const { status, vendorId, source, page = 1, limit = 20 } = req.query
+    const skip = (page - 1) * limit
+
+    let query = {}
+    if (status && status !== 'all') {
+      query.status = status
+    } else if (!status) {
+      query.status = { $in: OPEN_DISPUTE_STATUSES }
+    }
+    if (vendorId) {
+      query.vendor = vendorId
+    }
+    if (source) {
+      query.source = source
+    }
+
+    const disputes = await Dispute.find(query)
+      .select('-messages')
+      .populate('order', 'orderNumber total paymentStatus')
+      .populate('customer', 'name email')
+      .populate('vendor', 'storeName')
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+
+    const total = await Dispute.countDocuments(query)
+
+    res.json({
+      success: true,
+      disputes,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit)
+      }
+    })
+  } catch (err) {
+    console.error('Admin disputes error:', err)
+    res.status(500).json({ success: false, message: 'Server error' })
+  }
+})
+
+// Take a dispute into review
+router.patch('/disputes/:disputeId/review', requireAdminAuth, async (req, res) => {
+  try {
+    const Dispute = (await import('../models/Dispute.js')).default
+
+    const dispute = await Dispute.findById(req.params.disputeId)
+    if (!dispute) {
+      return res.status(404).json({ success: false, message: 'Dispute not found' })
+    }
+
+    dispute.transition('under_review', { role: 'admin', actor: req.user.userId, note: req.body.note })
+    await dispute.save()
+
+    res.json({ success: true, message: 'Dispute under review', dispute })
+  } catch (err) {
+    console.error('Review dispute error:', err)
+    res.status(err.statusCode || 500).json({ success: false, message: err.statusCode ? err.message : 'Server error' })
+  }
+})
+
+// Resolve a dispute with a full refund, a partial refund or release to the vendor
+router.post('/disputes/:disputeId/resolve', requireAdminAuth, async (req, res) => {
+  try {
+    const Dispute = (await import('../models/Dispute.js')).default
+    const { resolveDispute } = await import('../utils/disputes.js')
+
+    const { outcome, amount, vendorId, notes } = req.body
+    if (!notes) {
+      return res.status(400).json({ success: false, message: 'Resolution notes are required' })
+    }
+
+    const dispute = await Dispute.findById(req.params.disputeId)
+    if (!dispute) {
+      return res.status(404).json({ success: false, message: 'Dispute not found' })
+    }
+
+    await resolveDispute(dispute, { outcome, amount, vendorId, notes, actor: req.user.userId })
+
+    res.json({ success: true, message: `Dispute resolved: ${outcome.replace('_', ' ')}`, dispute })
+  } catch (err) {
+    console.error('Resolve dispute error:', err)
+    res.status(err.statusCode || 500).json({ success: false, message: err.statusCode ? err.message : 'Server error' })
+  }
+})
+
+// Stripe webhook event log, newest first; filter by status, type or order
+router.get('/payment-events', requireAdminAuth, async (req, res) => {
+  try {
+    const PaymentEvent = (await import('../models/PaymentEvent.js')).default
+
+    const { status, type, orderId, page = 1, limit = 20 } = req.query
+    const skip = (page - 1) * limit
+
+    let query = {}
+    if (status && status !== 'all') {
+      query.status = status
+    }
+    if (type) {
+      query.type = type
+    }
+    if (orderId) {
+      query.order = orderId
+    }
+
+    const events = await PaymentEvent.find(query)
+      .select('-payload')
+      .populate('order', 'orderNumber total paymentStatus')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+
+    const total = await PaymentEvent.countDocuments(query)
+
+    res.json({
+      success: true,
+      events,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit)
+      }
+    })
+  } catch (err) {
+    console.error('Admin payment events error:', err)
+    if (err.name === 'CastError') {
+      return res.status(400).json({ success: false, message: err.message })
+    }
+    res.status(500).json({ success: false, message: 'Server error' })
+  }
+})
+
+// Get one webhook event with its full payload
+router.get('/payment-events/:eventId', requireAdminAuth, async (req, res) => {
+  try {
+    const PaymentEvent = (await import('../models/PaymentEvent.js')).default
+
+    const event = await PaymentEvent.findOne({ eventId: req.params.eventId })
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' })
+    }
+
+    res.json({ success: true, event })
+  } catch (err) {
+    console.error('Admin payment event error:', err)
+    res.status(500).json({ success: false, message: 'Server error' })
+  }
+})
+
+// Retry a webhook event that failed to apply
+router.post('/payment-events/:eventId/retry', requireAdminAuth, async (req, res) => {
+  try {
+    const PaymentEvent = (await import('../models/PaymentEvent.js')).default
+    const { processPaymentEvent } = await import('../utils/paymentEvents.js')
+
+    const existing = await PaymentEvent.findOne({ eventId: req.params.eventId }).select('status')
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Event not found' })
+    }
+
+    const event = await processPaymentEvent(req.params.eventId)
+    if (!event) {
+      return res.status(409).json({ success: false, message: `Event is ${existing.status} and cannot be retried` })
+    }
+
+    res.status(event.status === 'failed' ? 422 : 200).json({
+      success: event.status !== 'failed',
+      message: event.status === 'failed' ? `Retry failed: ${event.lastError}` : `Event ${event.status}`,
+      event
+    })
+  } catch (err) {
+    console.error('Retry payment event error:', err)
+    res.status(500).json({ success: false, message: 'Server error' })
+  }
+})
+
 export default router
@@ -2,15 +2,12 @@ import express from 'express';
 import { body, validationResult } from 'express-validator';
 import { requireAuth } from '../middleware/authMiddleware.js';
 import { 
-  encrypt, 
-  decrypt, 
-  maskSensitiveData, 
   validateCardNumber, 
-  validateExpiryDate, 
-  validateCVV,
   getTestCardNumbers
 } from '../utils/encryption.js';
+import { saveCard } from '../utils/paymentVault.js';
 import BankAccount from '../models/BankAccount.js';
+import PaymentMethod from '../models/PaymentMethod.js';
 import VendorBalance from '../models/VendorBalance.js';
 import CustomerBalance from '../models/CustomerBalance.js';
 import Vendor from '../models/Vendor.js';
@@ -18,6 +15,45 @@ import User from '../models/User.js';
 
 const router = express.Router();
 
+/**
+ * Resolve the card a bank account is linked to: one already in the user's
+ * vault, or a new provider token saved to it now
+ * @param {Object} user - Authenticated user
+ * @param {Object} body - { paymentMethodId, paymentMethodToken, cardHolderName }
+ * @returns {Promise<Object|null>} - PaymentMethod document, or null if not found
+ */
+async function resolveCard(user, { paymentMethodId, paymentMethodToken, cardHolderName }) {
+  if (paymentMethodId) {
+    return PaymentMethod.findOne({ _id: paymentMethodId, user: user._id });
+  }
+  return saveCard(user, { token: paymentMethodToken, cardholderName: cardHolderName });
+}
+
+/**
+ * Display fields copied from a vaulted card onto the bank account
+ * @param {Object} card - PaymentMethod document
+ * @returns {Object} - BankAccount card fields
+ */
+function cardFields(card) {
+  return {
+    paymentMethod: card._id,
+    brand: card.brand,
+    last4: card.last4,
+    expMonth: card.expMonth,
+    expYear: card.expYear
+  };
+}
+
+/**
+ * Masked expiry as MM/YY
+ * @param {Object} bankAccount - BankAccount document
+ * @returns {string|null} - Masked expiry
+ */
+function formatExpiry(bankAccount) {
+  if (!bankAccount.expMonth || !bankAccount.expYear) return null;
+  return `${String(bankAccount.expMonth).padStart(2, '0')}/${String(bankAccount.expYear).slice(-2)}`;
+}
+
 // Connect bank account
 router.post('/connect', 
   requireAuth,
@@ -26,25 +62,15 @@ router.post('/connect',
       .trim()
       .isLength({ min: 2, max: 100 })
       .withMessage('Cardholder name must be between 2 and 100 characters'),
-    body('cardNumber')
-      .trim()
-      .isLength({ min: 13, max: 19 })
-      .withMessage('Card number must be between 13 and 19 digits'),
-    body('expiryMonth')
-      .trim()
-      .isLength({ min: 1, max: 2 })
-      .isInt({ min: 1, max: 12 })
-      .withMessage('Expiry month must be between 1 and 12'),
-    body('expiryYear')
-      .trim()
-      .isLength({ min: 2, max: 4 })
-      .isInt({ min: 2024 })
-      .withMessage('Expiry year must be 2024 or later'),
-    body('cvv')
-      .trim()
-      .isLength({ min: 3, max: 4 })
-      .isNumeric()
-      .withMessage('CVV must be 3 or 4 digits'),
+    body('paymentMethodToken')
+      .if(body('paymentMethodId').not().exists())
+      .isString()
+      .notEmpty()
+      .withMessage('A payment method token or saved payment method is required'),
+    body('paymentMethodId')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid payment method'),
     body('bankName')
       .trim()
       .isLength({ min: 2, max: 100 })
@@ -65,38 +91,7 @@ router.post('/connect',
         });
       }
 
-      const { 
-        cardHolderName, 
-        cardNumber, 
-        expiryMonth, 
-        expiryYear, 
-        cvv, 
-        bankName, 
-        type 
-      } = req.body;
-
-      // Additional validation
-      if (!validateCardNumber(cardNumber)) {
-        console.log(`❌ Card validation failed for: ${cardNumber.replace(/\d(?=\d{4})/g, '*')}`);
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid card number. Please ensure the card number is valid and follows the Luhn algorithm.'
-        });
-      }
-
-      if (!validateExpiryDate(expiryMonth, expiryYear)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid expiry date'
-        });
-      }
-
-      if (!validateCVV(cvv)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid CVV'
-        });
-      }
+      const { cardHolderName, bankName, type } = req.body;
 
       // Check if user already has a bank account
       const existingAccount = await BankAccount.findOne({ user: req.user.id });
@@ -107,21 +102,21 @@ router.post('/connect',
         });
       }
 
-      // Encrypt sensitive data
-      const encryptedCardNumber = encrypt(cardNumber);
-      const encryptedExpiryMonth = encrypt(expiryMonth);
-      const encryptedExpiryYear = encrypt(expiryYear);
-      const encryptedCvv = encrypt(cvv);
+      // Card details go to the payment provider; we keep only its token
+      const card = await resolveCard(req.user, req.body);
+      if (!card) {
+        return res.status(404).json({
+          success: false,
+          message: 'Saved payment method not found'
+        });
+      }
 
       // Create bank account
       const bankAccount = new BankAccount({
         user: req.user.id,
         type,
         cardHolderName,
-        cardNumber: encryptedCardNumber,
-        expiryMonth: encryptedExpiryMonth,
-        expiryYear: encryptedExpiryYear,
-        cvv: encryptedCvv,
+        ...cardFields(card),
         bankName
       });
 
@@ -152,7 +147,7 @@ router.post('/connect',
         if (!customerBalance) {
           customerBalance = new CustomerBalance({
             customer: req.user.id,
-            spendingBalance: 1000000, // 1 million starting balance
+            spendingBalance: 0,
             totalSpent: 0
           });
           await customerBalance.save();
@@ -168,7 +163,8 @@ router.post('/connect',
           id: bankAccount._id,
           type: bankAccount.type,
           cardHolderName: bankAccount.cardHolderName,
-          maskedCardNumber: maskSensitiveData(cardNumber, 'card'),
+          maskedCardNumber: bankAccount.maskedCardNumber,
+          brand: bankAccount.brand,
           bankName: bankAccount.bankName,
           isActive: bankAccount.isActive
         }
@@ -176,7 +172,7 @@ router.post('/connect',
 
     } catch (error) {
       console.error('❌ Error connecting bank account:', error);
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
         message: 'Failed to connect bank account',
         error: error.message
@@ -198,19 +194,15 @@ router.get('/account', requireAuth, async (req, res) => {
       });
     }
 
-    // Decrypt card number for masking
-    const decryptedCardNumber = decrypt(bankAccount.cardNumber);
-    const decryptedExpiryMonth = decrypt(bankAccount.expiryMonth);
-    const decryptedExpiryYear = decrypt(bankAccount.expiryYear);
-
     res.json({
       success: true,
       bankAccount: {
         id: bankAccount._id,
         type: bankAccount.type,
         cardHolderName: bankAccount.cardHolderName,
-        maskedCardNumber: maskSensitiveData(decryptedCardNumber, 'card'),
-        maskedExpiry: maskSensitiveData(decryptedExpiryMonth + decryptedExpiryYear, 'expiry'),
+        maskedCardNumber: bankAccount.maskedCardNumber,
+        maskedExpiry: formatExpiry(bankAccount),
+        brand: bankAccount.brand,
         bankName: bankAccount.bankName,
         isActive: bankAccount.isActive,
         createdAt: bankAccount.createdAt,
@@ -237,29 +229,15 @@ router.put('/account',
       .trim()
       .isLength({ min: 2, max: 100 })
       .withMessage('Cardholder name must be between 2 and 100 characters'),
-    body('cardNumber')
-      .optional()
-      .trim()
-      .isLength({ min: 13, max: 19 })
-      .withMessage('Card number must be between 13 and 19 digits'),
-    body('expiryMonth')
-      .optional()
-      .trim()
-      .isLength({ min: 1, max: 2 })
-      .isInt({ min: 1, max: 12 })
-      .withMessage('Expiry month must be between 1 and 12'),
-    body('expiryYear')
+    body('paymentMethodToken')
       .optional()
-      .trim()
-      .isLength({ min: 2, max: 4 })
-      .isInt({ min: 2024 })
-      .withMessage('Expiry year must be 2024 or later'),
-    body('cvv')
+      .isString()
+      .notEmpty()
+      .withMessage('Invalid payment method token'),
+    body('paymentMethodId')
       .optional()
-      .trim()
-      .isLength({ min: 3, max: 4 })
-      .isNumeric()
-      .withMessage('CVV must be 3 or 4 digits'),
+      .isMongoId()
+      .withMessage('Invalid payment method'),
     body('bankName')
       .optional()
       .trim()
@@ -292,35 +270,19 @@ router.put('/account',
         updateFields.cardHolderName = req.body.cardHolderName;
       }
       
-      if (req.body.cardNumber) {
-        if (!validateCardNumber(req.body.cardNumber)) {
-          return res.status(400).json({
-            success: false,
-            message: 'Invalid card number'
-          });
-        }
-        updateFields.cardNumber = encrypt(req.body.cardNumber);
-      }
-      
-      if (req.body.expiryMonth && req.body.expiryYear) {
-        if (!validateExpiryDate(req.body.expiryMonth, req.body.expiryYear)) {
-          return res.status(400).json({
-            success: false,
-            message: 'Invalid expiry date'
-          });
-        }
-        updateFields.expiryMonth = encrypt(req.body.expiryMonth);
-        updateFields.expiryYear = encrypt(req.body.expiryYear);
-      }
-      
-      if (req.body.cvv) {
-        if (!validateCVV(req.body.cvv)) {
-          return res.status(400).json({
+      // Switching cards goes through the vault like connecting does
+      if (req.body.paymentMethodId || req.body.paymentMethodToken) {
+        const card = await resolveCard(req.user, {
+          ...req.body,
+          cardHolderName: req.body.cardHolderName || bankAccount.cardHolderName
+        });
+        if (!card) {
+          return res.status(404).json({
             success: false,
-            message: 'Invalid CVV'
+            message: 'Saved payment method not found'
           });
         }
-        updateFields.cvv = encrypt(req.body.cvv);
+        Object.assign(updateFields, cardFields(card));
       }
       
       if (req.body.bankName) {
@@ -345,9 +307,8 @@ router.put('/account',
           id: updatedAccount._id,
           type: updatedAccount.type,
           cardHolderName: updatedAccount.cardHolderName,
-          maskedCardNumber: req.body.cardNumber ? 
-            maskSensitiveData(req.body.cardNumber, 'card') : 
-            maskSensitiveData(decrypt(updatedAccount.cardNumber), 'card'),
+          maskedCardNumber: updatedAccount.maskedCardNumber,
+          brand: updatedAccount.brand,
           bankName: updatedAccount.bankName,
           isActive: updatedAccount.isActive,
           updatedAt: updatedAccount.updatedAt
@@ -356,7 +317,7 @@ router.put('/account',
 
     } catch (error) {
       console.error('❌ Error updating bank account:', error);
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
         message: 'Failed to update bank account',
         error: error.message
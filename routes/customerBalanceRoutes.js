@@ -13,7 +13,7 @@ router.get('/balance', requireAuth, asyncHandler(async (req, res) => {
   if (!customerBalance) {
     customerBalance = new CustomerBalance({
       customer: req.user._id,
-      spendingBalance: 1000000, // 1 million starting balance
+      spendingBalance: 0,
       totalSpent: 0
     });
     await customerBalance.save();
@@ -27,7 +27,7 @@ router.get('/balance', requireAuth, asyncHandler(async (req, res) => {
 
 // Deduct amount from balance
 router.post('/deduct', requireAuth, asyncHandler(async (req, res) => {
-  const { amount } = req.body;
+  const amount = parseFloat(req.body.amount);
 
   if (!amount || amount <= 0) {
     return res.status(400).json({
@@ -54,8 +54,7 @@ router.post('/deduct', requireAuth, asyncHandler(async (req, res) => {
     });
   }
 
-  const success = customerBalance.deductAmount(amount);
-  await customerBalance.save();
+  const success = await customerBalance.deductAmount(amount);
 
   if (success) {
     res.json({
@@ -72,39 +71,6 @@ router.post('/deduct', requireAuth, asyncHandler(async (req, res) => {
   }
 }));
 
-// Add amount to balance
-router.post('/add', requireAuth, asyncHandler(async (req, res) => {
-  const { amount } = req.body;
-
-  if (!amount || amount <= 0) {
-    return res.status(400).json({
-      success: false,
-      message: 'Valid amount is required'
-    });
-  }
-
-  let customerBalance = await CustomerBalance.findOne({ customer: req.user._id });
-
-  if (!customerBalance) {
-    customerBalance = new CustomerBalance({
-      customer: req.user._id,
-      spendingBalance: 1000000 + amount, // 1 million + additional amount
-      totalSpent: 0
-    });
-  } else {
-    customerBalance.addAmount(amount);
-  }
-
-  await customerBalance.save();
-
-  res.json({
-    success: true,
-    message: 'Amount added successfully',
-    newBalance: customerBalance.spendingBalance,
-    addedAmount: amount
-  });
-}));
-
 // Get transaction history
 router.get('/transactions', requireAuth, asyncHandler(async (req, res) => {
   const customerBalance = await CustomerBalance.findOne({ customer: req.user._id });
@@ -32,6 +32,7 @@ router.get('/order/:orderId', requireAuth, async (req, res) => {
 
     // Check if the user has access to this order
     let hasAccess = false;
+    let vendorId = null;
     
     // Check if user is the customer
     const orderCustomerId = order.customer?._id || order.customer;
@@ -50,6 +51,7 @@ router.get('/order/:orderId', requireAuth, async (req, res) => {
         );
         if (vendorItems && vendorItems.length > 0) {
           hasAccess = true;
+          vendorId = vendor._id;
           console.log('Access granted - user is a vendor for items in this order');
         }
       }
@@ -60,20 +62,21 @@ router.get('/order/:orderId', requireAuth, async (req, res) => {
       return res.status(403).json({ success: false, message: 'Access denied' });
     }
 
-    // Find delivery proof for this order (the field is 'order', not 'orderId')
-    const deliveryProof = await DeliveryProof.findOne({ order: orderId });
+    // Find delivery proofs for this order (the field is 'order', not 'orderId').
+    // Each vendor fulfillment has its own proof; vendors only see theirs.
+    const proofQuery = vendorId ? { order: orderId, vendor: vendorId } : { order: orderId };
+    const deliveryProofs = await DeliveryProof.find(proofQuery).sort({ uploadedAt: 1 });
 
     console.log('Delivery proof search:', { 
       searchOrderId: orderId, 
-      found: deliveryProof ? 'Yes' : 'No',
-      deliveryProofOrderId: deliveryProof?.order 
+      found: deliveryProofs.length
     });
 
-    if (!deliveryProof) {
-      return res.json({ success: true, deliveryProof: null });
-    }
-
-    res.json({ success: true, deliveryProof });
+    res.json({
+      success: true,
+      deliveryProof: deliveryProofs[0] || null,
+      deliveryProofs
+    });
   } catch (err) {
     console.error('Get delivery proof error:', err);
     res.status(500).json({ success: false, message: 'Server error' });
@@ -0,0 +1,254 @@
+import express from 'express';
+import { requireAuth } from '../middleware/authMiddleware.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import Order from '../models/Order.js';
+import Dispute from '../models/Dispute.js';
+import { openDispute, respondToDispute, withdrawDispute, evidenceFromUrls } from '../utils/disputes.js';
+import { io } from '../server.js'; // Import Socket.IO instance
+
+const router = express.Router();
+
+/**
+ * Work out how the current user relates to a case
+ * @param {Object} dispute - Dispute document
+ * @param {Object} user - Authenticated user
+ * @returns {string|null} - 'customer', 'vendor', 'admin', or null if unrelated
+ */
+function roleFor(dispute, user) {
+  if (user.role === 'admin') return 'admin';
+  if (user.vendorId && dispute.vendor?.toString() === user.vendorId.toString()) return 'vendor';
+  if (dispute.customer.toString() === user._id.toString()) return 'customer';
+  return null;
+}
+
+/**
+ * Load a case the current user is party to
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} - { dispute, role } or {} if not found
+ */
+async function loadDispute(req) {
+  const dispute = await Dispute.findById(req.params.id);
+  const role = dispute && roleFor(dispute, req.user);
+  return role ? { dispute, role } : {};
+}
+
+/**
+ * The case as the given role should see it
+ * @param {Object} dispute - Dispute document
+ * @param {string} role - Viewer's role
+ * @returns {Object} - Serializable case
+ */
+function viewFor(dispute, role) {
+  return role === 'admin' ? dispute : dispute.toPartyView();
+}
+
+// Open a dispute on a paid order
+router.post('/', requireAuth, asyncHandler(async (req, res) => {
+  const { orderId, vendorId, reason, description, evidence } = req.body;
+
+  const order = await Order.findOne({ _id: orderId, customer: req.user.id });
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+  }
+
+  const dispute = await openDispute(order, {
+    vendorId,
+    reason,
+    description,
+    evidence,
+    actor: req.user._id
+  });
+
+  io.to(`vendor-${dispute.vendor}`).emit('dispute-opened', {
+    disputeId: dispute._id,
+    caseNumber: dispute.caseNumber,
+    orderId: order._id,
+    respondBy: dispute.vendorResponseDueAt
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Dispute opened. Payment to the seller is on hold until it is resolved.',
+    dispute: dispute.toPartyView()
+  });
+}));
+
+// List disputes: customers see their own, vendors see theirs, admins see all
+router.get('/', requireAuth, asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, status, orderId } = req.query;
+  const skip = (page - 1) * limit;
+
+  const query = {};
+  if (req.user.role === 'vendor' && req.user.vendorId) {
+    query.vendor = req.user.vendorId;
+  } else if (req.user.role !== 'admin') {
+    query.customer = req.user.id;
+  }
+  if (status) query.status = status;
+  if (orderId) query.order = orderId;
+
+  const [disputes, total] = await Promise.all([
+    Dispute.find(query)
+      .select('-messages -evidence')
+      .populate('order', 'orderNumber total')
+      .populate('vendor', 'storeName')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    Dispute.countDocuments(query)
+  ]);
+
+  res.json({
+    success: true,
+    disputes,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+}));
+
+// Get a single dispute with its evidence and messages
+router.get('/:id', requireAuth, asyncHandler(async (req, res) => {
+  const { dispute, role } = await loadDispute(req);
+  if (!dispute) {
+    return res.status(404).json({
+      success: false,
+      message: 'Dispute not found'
+    });
+  }
+
+  await dispute.populate([
+    { path: 'order', select: 'orderNumber total items fulfillments.vendor fulfillments.status' },
+    { path: 'vendor', select: 'storeName' }
+  ]);
+
+  res.json({
+    success: true,
+    dispute: viewFor(dispute, role)
+  });
+}));
+
+// Add a message to the case thread (admins may leave internal notes)
+router.post('/:id/messages', requireAuth, asyncHandler(async (req, res) => {
+  const { dispute, role } = await loadDispute(req);
+  if (!dispute) {
+    return res.status(404).json({
+      success: false,
+      message: 'Dispute not found'
+    });
+  }
+
+  const { body, internal } = req.body;
+  if (!body) {
+    return res.status(400).json({
+      success: false,
+      message: 'Message cannot be empty'
+    });
+  }
+  if (!dispute.isOpen) {
+    return res.status(409).json({
+      success: false,
+      message: 'This dispute is closed'
+    });
+  }
+
+  dispute.messages.push({
+    author: req.user._id,
+    authorRole: role,
+    body,
+    internal: role === 'admin' && !!internal
+  });
+  await dispute.save();
+
+  res.status(201).json({
+    success: true,
+    dispute: viewFor(dispute, role)
+  });
+}));
+
+// Customer adds more evidence to their own case
+router.post('/:id/evidence', requireAuth, asyncHandler(async (req, res) => {
+  const { dispute, role } = await loadDispute(req);
+  if (!dispute || role !== 'customer') {
+    return res.status(404).json({
+      success: false,
+      message: 'Dispute not found'
+    });
+  }
+  if (!dispute.isOpen) {
+    return res.status(409).json({
+      success: false,
+      message: 'This dispute is closed'
+    });
+  }
+
+  const urls = Array.isArray(req.body.evidence) ? req.body.evidence : [];
+  if (urls.length === 0 || dispute.evidence.length + urls.length > 20) {
+    return res.status(400).json({
+      success: false,
+      message: 'Attach between 1 and 20 files in total'
+    });
+  }
+
+  dispute.evidence.push(...evidenceFromUrls(urls, { actor: req.user._id, role }));
+  await dispute.save();
+
+  res.status(201).json({
+    success: true,
+    dispute: dispute.toPartyView()
+  });
+}));
+
+// Vendor responds with a message and evidence, including delivery proof
+router.post('/:id/respond', requireAuth, asyncHandler(async (req, res) => {
+  const { dispute, role } = await loadDispute(req);
+  if (!dispute || !['vendor', 'admin'].includes(role)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Dispute not found'
+    });
+  }
+
+  const { message, evidence, deliveryProofIds, trackingNumber } = req.body;
+  await respondToDispute(dispute, {
+    message,
+    evidence,
+    deliveryProofIds,
+    trackingNumber,
+    role,
+    actor: req.user._id
+  });
+
+  res.json({
+    success: true,
+    message: 'Response submitted',
+    dispute: viewFor(dispute, role)
+  });
+}));
+
+// Customer withdraws the dispute
+router.patch('/:id/withdraw', requireAuth, asyncHandler(async (req, res) => {
+  const { dispute, role } = await loadDispute(req);
+  if (!dispute) {
+    return res.status(404).json({
+      success: false,
+      message: 'Dispute not found'
+    });
+  }
+
+  await withdrawDispute(dispute, { role, actor: req.user._id, note: req.body.reason });
+
+  res.json({
+    success: true,
+    message: 'Dispute withdrawn',
+    dispute: viewFor(dispute, role)
+  });
+}));
+
+export default router;
@@ -3,7 +3,20 @@ import mongoose from 'mongoose';
 import { requireAuth } from '../middleware/authMiddleware.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import Order from '../models/Order.js';
-import Product from '../models/Product.js';
+import StockReservation from '../models/StockReservation.js';
+import { VENDOR_SUMMARY_FIELDS } from '../models/Vendor.js';
+import { calculateOrderPricing, findPricingMismatches } from '../utils/orderPricing.js';
+import {
+  decrementStock,
+  restoreStock,
+  createReservation,
+  releaseReservation,
+  reservationMatches
+} from '../utils/inventory.js';
+import { confirmReceipt } from '../utils/escrow.js';
+import { refundOrder, REFUND_DESTINATIONS } from '../utils/refunds.js';
+import { orderPaymentSnapshot, verifyPaymentIntent } from '../utils/paymentVault.js';
+import { getStripe } from '../config/stripe.js';
 
 const router = express.Router();
 
@@ -19,7 +32,7 @@ router.get('/', requireAuth, asyncHandler(async (req, res) => {
 
   const orders = await Order.find(query)
     .populate('items.product', 'title images price')
-    .populate('items.vendor', 'storeName')
+    .populate('items.vendor', VENDOR_SUMMARY_FIELDS)
     .sort({ createdAt: -1 })
     .skip(skip)
     .limit(parseInt(limit));
@@ -44,7 +57,7 @@ router.get('/:id', requireAuth, asyncHandler(async (req, res) => {
     customer: req.user.id
   })
     .populate('items.product', 'title images price description')
-    .populate('items.vendor', 'storeName storeDescription logo');
+    .populate('items.vendor', VENDOR_SUMMARY_FIELDS);
 
   if (!order) {
     return res.status(404).json({
@@ -59,58 +72,149 @@ router.get('/:id', requireAuth, asyncHandler(async (req, res) => {
   });
 }));
 
+// Hold stock while the customer completes payment
+router.post('/reservations', requireAuth, asyncHandler(async (req, res) => {
+  const { items } = req.body;
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Items are required'
+    });
+  }
+
+  const lines = items.map(item => ({
+    product: item.productId,
+    variant: item.variantId,
+    quantity: parseInt(item.quantity)
+  }));
+
+  if (lines.some(line => !Number.isInteger(line.quantity) || line.quantity < 1)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid item quantity'
+    });
+  }
+
+  // One hold per customer: replace any hold left over from a previous attempt
+  const previous = await StockReservation.find({ customer: req.user.id, status: 'active' }).select('_id');
+  for (const hold of previous) {
+    await releaseReservation({ _id: hold._id });
+  }
+
+  const reservation = await createReservation(req.user.id, lines);
+
+  res.status(201).json({
+    success: true,
+    reservation
+  });
+}));
+
+// Release a stock hold (e.g. customer left checkout)
+router.delete('/reservations/:reservationId', requireAuth, asyncHandler(async (req, res) => {
+  const reservation = await releaseReservation({
+    _id: req.params.reservationId,
+    customer: req.user.id
+  });
+
+  if (!reservation) {
+    return res.status(404).json({
+      success: false,
+      message: 'Active reservation not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Reservation released successfully',
+    reservation
+  });
+}));
+
+// Quote an order without creating it
+router.post('/quote', requireAuth, asyncHandler(async (req, res) => {
+  const { items, shippingAddress, shippingMethod } = req.body;
+
+  const pricing = await calculateOrderPricing(items, { shippingMethod, shippingAddress });
+
+  res.json({
+    success: true,
+    pricing
+  });
+}));
+
 // Create a new order
 router.post('/', requireAuth, asyncHandler(async (req, res) => {
   const {
     items,
     shippingAddress,
     paymentMethod,
+    paymentMethodId,
     shippingMethod,
-    orderNotes,
-    subtotal,
-    shippingCost,
-    tax,
-    total
+    orderNotes
   } = req.body;
 
   // Validate required fields
-  if (!items || !shippingAddress || !paymentMethod || !total) {
+  if (!items || !shippingAddress || !(paymentMethod || paymentMethodId)) {
     return res.status(400).json({
       success: false,
       message: 'Missing required fields'
     });
   }
 
-  // Validate items and check inventory
-  const orderItems = [];
-  for (const item of items) {
-    const product = await Product.findById(item.productId);
-    if (!product) {
-      return res.status(400).json({
+  // Price the order server-side; client totals are only used as a cross-check
+  const pricing = await calculateOrderPricing(items, { shippingMethod, shippingAddress });
+
+  const mismatches = findPricingMismatches(pricing, req.body);
+  if (mismatches.length > 0) {
+    return res.status(409).json({
+      success: false,
+      message: 'Order totals have changed. Please review the updated pricing.',
+      mismatches,
+      pricing
+    });
+  }
+
+  // Only display details of the card are kept on the order
+  const paymentSnapshot = await orderPaymentSnapshot(req.user.id, { paymentMethodId, paymentMethod });
+
+  // A PaymentIntent is only linked once we know it is the customer's own and for this total
+  const paymentIntentId = req.body.paymentIntentId
+    ? await verifyPaymentIntent(req.user.id, req.body.paymentIntentId, pricing.total)
+    : undefined;
+
+  // Take stock: either claim an existing hold or decrement atomically now
+  let reservation = null;
+  let takenStock = [];
+  if (req.body.reservationId) {
+    reservation = await StockReservation.commit(req.body.reservationId, req.user.id);
+    if (!reservation) {
+      return res.status(409).json({
         success: false,
-        message: `Product ${item.productId} not found`
+        message: 'Stock reservation has expired or was already used'
       });
     }
 
-    if (product.inventory.quantity < item.quantity) {
+    if (!reservationMatches(reservation, pricing.items)) {
+      await StockReservation.updateOne({ _id: reservation._id }, { status: 'active' });
       return res.status(400).json({
         success: false,
-        message: `Insufficient inventory for ${product.title}`
+        message: 'Order items do not match the stock reservation'
       });
     }
-
-    orderItems.push({
-      product: item.productId,
-      quantity: item.quantity,
-      price: product.price,
-      vendor: product.vendor
-    });
-
-    // Update inventory
-    product.inventory.quantity -= item.quantity;
-    await product.save();
+  } else {
+    takenStock = await decrementStock(pricing.items);
   }
 
+  const orderItems = pricing.items.map(line => ({
+    product: line.product,
+    quantity: line.quantity,
+    price: line.unitPrice,
+    vendor: line.vendor,
+    variant: line.variant,
+    customizations: line.customizations
+  }));
+
   // Generate order number
   const date = new Date();
   const year = date.getFullYear().toString().slice(-2);
@@ -134,22 +238,56 @@ router.post('/', requireAuth, asyncHandler(async (req, res) => {
     customer: req.user.id,
     items: orderItems,
     shippingAddress,
-    paymentMethod,
-    shippingMethod,
+    paymentMethod: paymentSnapshot,
+    shippingMethod: pricing.shippingMethod,
     orderNotes,
-    subtotal,
-    shippingCost,
-    tax,
-    total,
-    paymentStatus: req.body.paymentStatus || 'pending',
-    isPaid: req.body.paymentStatus === 'completed'
+    subtotal: pricing.subtotal,
+    shippingCost: pricing.shippingCost,
+    tax: pricing.tax,
+    total: pricing.total,
+    // Only a verified Stripe payment (see utils/paymentEvents.js) marks an order paid
+    paymentStatus: 'pending',
+    isPaid: false,
+    paymentTransactionId: paymentIntentId
   });
 
-  await order.save();
+  // One fulfillment per vendor, carrying that vendor's shipping charge
+  order.ensureFulfillments(Object.fromEntries(
+    pricing.vendors.map(v => [v.vendor.toString(), v.shippingCost])
+  ));
+
+  try {
+    await order.save();
+  } catch (error) {
+    // Give the stock back so a failed order never leaves inventory decremented
+    if (reservation) {
+      await StockReservation.updateOne({ _id: reservation._id }, { status: 'active' });
+    } else {
+      await restoreStock(takenStock);
+    }
+    throw error;
+  }
+
+  if (reservation) {
+    reservation.order = order._id;
+    await reservation.save();
+  }
+
+  // Tag the PaymentIntent so Stripe webhook events lead back to this order
+  if (order.paymentTransactionId) {
+    try {
+      await getStripe().paymentIntents.update(order.paymentTransactionId, {
+        metadata: { orderId: order._id.toString(), orderNumber: order.orderNumber }
+      });
+    } catch (error) {
+      // Webhooks can still match on paymentTransactionId
+      console.error(`❌ Failed to link PaymentIntent to order ${order.orderNumber}:`, error.message);
+    }
+  }
 
   // Populate order details for response
   await order.populate('items.product', 'title images price');
-  await order.populate('items.vendor', 'storeName');
+  await order.populate('items.vendor', VENDOR_SUMMARY_FIELDS);
 
   res.status(201).json({
     success: true,
@@ -158,6 +296,18 @@ router.post('/', requireAuth, asyncHandler(async (req, res) => {
   });
 }));
 
+// Work out which vendor fulfillment a request may act on. Vendors act on their
+// own group; admins may target one with vendorId or act on the whole order.
+const resolveFulfillmentVendor = (order, req) => {
+  if (req.user.vendorId && order.getFulfillment(req.user.vendorId)) {
+    return { allowed: true, vendorId: req.user.vendorId };
+  }
+  if (req.user.role === 'admin') {
+    return { allowed: true, vendorId: req.body.vendorId || null };
+  }
+  return { allowed: false };
+};
+
 // Update order status (for vendors)
 router.patch('/:id/status', requireAuth, asyncHandler(async (req, res) => {
   const { status } = req.body;
@@ -177,25 +327,25 @@ router.patch('/:id/status', requireAuth, asyncHandler(async (req, res) => {
     });
   }
 
-  // Check if user is vendor for any item in the order
-  const isVendor = order.items.some(item => 
-    item.vendor.toString() === req.user.id
-  );
-
-  if (!isVendor && req.user.role !== 'admin') {
+  const { allowed, vendorId } = resolveFulfillmentVendor(order, req);
+  if (!allowed) {
     return res.status(403).json({
       success: false,
       message: 'Not authorized to update this order'
     });
   }
 
-  order.status = status;
-  await order.save();
+  await order.updateStatus(status, {
+    role: req.user.role === 'admin' ? 'admin' : 'vendor',
+    actor: req.user._id,
+    reason: req.body.reason,
+    vendorId
+  });
 
   res.json({
     success: true,
     message: 'Order status updated successfully',
-    order
+    order: vendorId && req.user.role !== 'admin' ? order.toVendorView(vendorId) : order
   });
 }));
 
@@ -211,27 +361,24 @@ router.patch('/:id/tracking', requireAuth, asyncHandler(async (req, res) => {
     });
   }
 
-  // Check if user is vendor for any item in the order
-  const isVendor = order.items.some(item => 
-    item.vendor.toString() === req.user.id
-  );
-
-  if (!isVendor && req.user.role !== 'admin') {
+  const { allowed, vendorId } = resolveFulfillmentVendor(order, req);
+  if (!allowed) {
     return res.status(403).json({
       success: false,
       message: 'Not authorized to update this order'
     });
   }
 
-  order.trackingNumber = trackingNumber;
-  order.trackingUrl = trackingUrl;
-  order.status = 'shipped';
-  await order.save();
+  await order.addTracking(trackingNumber, trackingUrl, {
+    role: req.user.role === 'admin' ? 'admin' : 'vendor',
+    actor: req.user._id,
+    vendorId
+  });
 
   res.json({
     success: true,
     message: 'Tracking information updated successfully',
-    order
+    order: vendorId && req.user.role !== 'admin' ? order.toVendorView(vendorId) : order
   });
 }));
 
@@ -251,10 +398,7 @@ router.get('/vendor/orders', requireAuth, asyncHandler(async (req, res) => {
     });
   }
 
-  const query = { 'items.vendor': vendor._id };
-  if (status) {
-    query.status = status;
-  }
+  const query = Order.vendorQuery(vendor._id, status);
 
   const orders = await Order.find(query)
     .populate('customer', 'name email')
@@ -267,7 +411,7 @@ router.get('/vendor/orders', requireAuth, asyncHandler(async (req, res) => {
 
   res.json({
     success: true,
-    orders,
+    orders: orders.map(order => order.toVendorView(vendor._id)),
     pagination: {
       currentPage: parseInt(page),
       totalPages: Math.ceil(total / limit),
@@ -290,30 +434,135 @@ router.patch('/:id/cancel', requireAuth, asyncHandler(async (req, res) => {
     });
   }
 
-  if (order.status !== 'pending') {
+  const openFulfillments = order.ensureFulfillments().filter(f => f.status !== 'cancelled');
+  if (order.status !== 'pending' || openFulfillments.some(f => f.status !== 'pending')) {
     return res.status(400).json({
       success: false,
       message: 'Order cannot be cancelled at this stage'
     });
   }
 
-  order.status = 'cancelled';
-  await order.save();
+  // Each cancelled fulfillment gives back its escrow hold and its stock
+  await order.cancelFulfillments({
+    role: 'customer',
+    actor: req.user._id,
+    reason: req.body.reason || 'Cancelled by customer'
+  });
 
-  // Restore inventory
-  for (const item of order.items) {
-    const product = await Product.findById(item.product);
-    if (product) {
-      product.inventory.quantity += item.quantity;
-      await product.save();
-    }
+  res.json({
+    success: true,
+    message: 'Order cancelled successfully',
+    order
+  });
+}));
+
+// Confirm receipt (customer only). Releases the vendor's payment immediately
+// instead of waiting for the automatic release window.
+router.post('/:id/confirm-receipt', requireAuth, asyncHandler(async (req, res) => {
+  const order = await Order.findOne({
+    _id: req.params.id,
+    customer: req.user.id
+  });
+
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
   }
 
+  await confirmReceipt(order, {
+    actor: req.user._id,
+    vendorId: req.body.vendorId
+  });
+
   res.json({
     success: true,
-    message: 'Order cancelled successfully',
+    message: 'Receipt confirmed',
     order
   });
 }));
 
+// Refund an order, fully or by items or amount (vendors refund their own
+// part; admins may refund any vendor's part or the whole order)
+router.post('/:id/refunds', requireAuth, asyncHandler(async (req, res) => {
+  const { type, items, amount, reason, destination } = req.body;
+
+  if (destination && !REFUND_DESTINATIONS.includes(destination)) {
+    return res.status(400).json({
+      success: false,
+      message: `Refund destination must be one of: ${REFUND_DESTINATIONS.join(', ')}`
+    });
+  }
+
+  const order = await Order.findById(req.params.id);
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+  }
+
+  const { allowed, vendorId } = resolveFulfillmentVendor(order, req);
+  if (!allowed) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to refund this order'
+    });
+  }
+
+  // Clients may send an Idempotency-Key so a retried request refunds once.
+  // Ledger keys are unique across orders, so the client's key is scoped to this one.
+  const key = `refund:${order._id}:${req.get('Idempotency-Key') || new mongoose.Types.ObjectId()}`;
+  const refunds = await refundOrder(order, {
+    vendorId,
+    type,
+    items,
+    amount,
+    reason,
+    destination,
+    actor: req.user._id,
+    key
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Refund issued',
+    refunds,
+    refundedAmount: order.refundedAmount,
+    paymentStatus: order.paymentStatus
+  });
+}));
+
+// List refunds on an order
+router.get('/:id/refunds', requireAuth, asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.id).select('customer refunds refundedAmount paymentStatus fulfillments.vendor');
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+  }
+
+  const isCustomer = order.customer.toString() === req.user.id;
+  const { allowed, vendorId } = resolveFulfillmentVendor(order, req);
+  if (!isCustomer && !allowed) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to view this order'
+    });
+  }
+
+  const refunds = vendorId && req.user.role !== 'admin'
+    ? order.refunds.filter(refund => refund.vendor.toString() === vendorId.toString())
+    : order.refunds;
+
+  res.json({
+    success: true,
+    refunds,
+    refundedAmount: order.refundedAmount,
+    paymentStatus: order.paymentStatus
+  });
+}));
+
 export default router;
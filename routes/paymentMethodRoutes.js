@@ -0,0 +1,71 @@
+import express from 'express';
+import { requireAuth } from '../middleware/authMiddleware.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import PaymentMethod from '../models/PaymentMethod.js';
+import { saveCard, removeCard, vaultProvider } from '../utils/paymentVault.js';
+
+const router = express.Router();
+
+// List the current user's saved cards, default first
+router.get('/', requireAuth, asyncHandler(async (req, res) => {
+  const methods = await PaymentMethod.findByUser(req.user._id);
+
+  res.json({
+    success: true,
+    provider: vaultProvider(),
+    paymentMethods: methods.map(method => method.toSummary())
+  });
+}));
+
+// Save a card from a provider token (a Stripe PaymentMethod ID, or a fake
+// test card such as pm_card_visa in development)
+router.post('/', requireAuth, asyncHandler(async (req, res) => {
+  const { token, cardholderName, makeDefault } = req.body;
+
+  const method = await saveCard(req.user, {
+    token,
+    cardholderName,
+    makeDefault: makeDefault === true || makeDefault === 'true'
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Payment method saved',
+    paymentMethod: method.toSummary()
+  });
+}));
+
+// Make a saved card the default
+router.patch('/:id/default', requireAuth, asyncHandler(async (req, res) => {
+  const method = await PaymentMethod.setDefault(req.user._id, req.params.id);
+  if (!method) {
+    return res.status(404).json({
+      success: false,
+      message: 'Payment method not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Default payment method updated',
+    paymentMethod: method.toSummary()
+  });
+}));
+
+// Remove a saved card
+router.delete('/:id', requireAuth, asyncHandler(async (req, res) => {
+  const removed = await removeCard(req.user._id, req.params.id);
+  if (!removed) {
+    return res.status(404).json({
+      success: false,
+      message: 'Payment method not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Payment method removed'
+  });
+}));
+
+export default router;
@@ -1,20 +1,17 @@
 import express from 'express';
-import Stripe from 'stripe';
 import { Configuration, PlaidApi, PlaidEnvironments } from 'plaid';
 import { body, validationResult } from 'express-validator';
 import { requireAuth } from '../middleware/authMiddleware.js';
+import Vendor from '../models/Vendor.js';
+import { receiveStripeEvent } from '../utils/paymentEvents.js';
+import { storePlaidCredential, usePlaidAccessToken } from '../utils/plaidCredentials.js';
+import { ensureStripeCustomer } from '../utils/paymentVault.js';
+import { getStripe } from '../config/stripe.js';
 
 const router = express.Router();
 
-// Initialize Stripe
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY || 'sk_test_placeholder', {
-  apiVersion: '2023-10-16',
-});
-
-// Check if Stripe credentials are properly configured
-if (!process.env.STRIPE_SECRET_KEY) {
-  console.warn('⚠️  Stripe secret key not found. Using test key. Please set STRIPE_SECRET_KEY environment variable.');
-}
+// Metadata only the server sets: webhooks and order checks trust these keys
+const SERVER_METADATA_KEYS = ['orderId', 'orderNumber', 'userId'];
 
 // Initialize Plaid
 const plaidConfig = new Configuration({
@@ -54,14 +51,20 @@ router.post('/create-payment-intent',
       }
 
       const { amount, currency = 'usd', metadata = {} } = req.body;
-
-      // Create payment intent
-      const paymentIntent = await stripe.paymentIntents.create({
+      const clientMetadata = Object.fromEntries(
+        Object.entries(metadata).filter(([key]) => !SERVER_METADATA_KEYS.includes(key))
+      );
+
+      // Create the payment intent on the caller's Stripe customer, so an
+      // order can check it is theirs before linking it (see verifyPaymentIntent)
+      const customer = await ensureStripeCustomer(req.user);
+      const paymentIntent = await getStripe().paymentIntents.create({
         amount: Math.round(amount * 100), // Convert to cents
         currency,
+        customer,
         metadata: {
-          userId: req.user.id,
-          ...metadata
+          ...clientMetadata,
+          userId: req.user.id
         },
         automatic_payment_methods: {
           enabled: true,
@@ -127,6 +130,7 @@ router.post('/exchange-token',
   requireAuth,
   [
     body('publicToken').isString().withMessage('Public token is required'),
+    body('accountId').optional().isString(),
   ],
   async (req, res) => {
     try {
@@ -139,18 +143,30 @@ router.post('/exchange-token',
         });
       }
 
-      const { publicToken } = req.body;
+      const vendor = await Vendor.findOne({ user: req.user.id });
+      if (!vendor) {
+        return res.status(404).json({
+          success: false,
+          message: 'Vendor profile not found'
+        });
+      }
+
+      const { publicToken, accountId } = req.body;
 
       const exchangeResponse = await plaidClient.itemPublicTokenExchange({
         public_token: publicToken
       });
 
-      // Store access token securely (you might want to encrypt this)
-      const accessToken = exchangeResponse.data.access_token;
+      // The access token goes to the encrypted credential store and never back to the client
+      await storePlaidCredential(vendor, {
+        accessToken: exchangeResponse.data.access_token,
+        itemId: exchangeResponse.data.item_id,
+        accountId,
+        actor: req.user._id
+      });
 
       res.json({
         success: true,
-        accessToken,
         itemId: exchangeResponse.data.item_id
       });
     } catch (error) {
@@ -167,21 +183,21 @@ router.post('/exchange-token',
 // Get bank account information
 router.post('/get-accounts',
   requireAuth,
-  [
-    body('accessToken').isString().withMessage('Access token is required'),
-  ],
   async (req, res) => {
     try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({
+      const vendor = await Vendor.findOne({ user: req.user.id });
+      if (!vendor) {
+        return res.status(404).json({
           success: false,
-          message: 'Validation failed',
-          errors: errors.array()
+          message: 'Vendor profile not found'
         });
       }
 
-      const { accessToken } = req.body;
+      // Fails with a 400 if no bank account is connected
+      const { accessToken } = await usePlaidAccessToken(vendor._id, {
+        purpose: 'List bank accounts',
+        actor: req.user._id
+      });
 
       const accountsResponse = await plaidClient.accountsGet({
         access_token: accessToken
@@ -193,9 +209,9 @@ router.post('/get-accounts',
       });
     } catch (error) {
       console.error('Error getting accounts:', error);
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
-        message: 'Failed to get accounts',
+        message: error.statusCode ? error.message : 'Failed to get accounts',
         error: error.message
       });
     }
@@ -206,8 +222,7 @@ router.post('/get-accounts',
 router.post('/create-transfer',
   requireAuth,
   [
-    body('accessToken').isString().withMessage('Access token is required'),
-    body('accountId').isString().withMessage('Account ID is required'),
+    body('accountId').optional().isString().withMessage('Account ID must be a string'),
     body('amount').isNumeric().withMessage('Amount must be a number'),
     body('description').isString().withMessage('Description is required'),
   ],
@@ -222,7 +237,22 @@ router.post('/create-transfer',
         });
       }
 
-      const { accessToken, accountId, amount, description } = req.body;
+      const vendor = await Vendor.findOne({ user: req.user.id });
+      if (!vendor) {
+        return res.status(404).json({
+          success: false,
+          message: 'Vendor profile not found'
+        });
+      }
+
+      // Fails with a 400 if no bank account is connected
+      const { credential, accessToken } = await usePlaidAccessToken(vendor._id, {
+        purpose: 'Bank transfer',
+        actor: req.user._id
+      });
+
+      const { amount, description } = req.body;
+      const accountId = req.body.accountId || credential.accountId;
 
       // First, create a transfer authorization
       const authResponse = await plaidClient.transferAuthorizationCreate({
@@ -274,9 +304,9 @@ router.post('/create-transfer',
       });
     } catch (error) {
       console.error('Error creating transfer:', error);
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
-        message: 'Failed to create transfer',
+        message: error.statusCode ? error.message : 'Failed to create transfer',
         error: error.message
       });
     }
@@ -291,38 +321,27 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
   let event;
 
   try {
-    event = stripe.webhooks.constructEvent(req.body, sig, endpointSecret);
+    event = getStripe().webhooks.constructEvent(req.body, sig, endpointSecret);
   } catch (err) {
     console.error('Webhook signature verification failed:', err.message);
     return res.status(400).send(`Webhook Error: ${err.message}`);
   }
 
-  // Handle the event
-  switch (event.type) {
-    case 'payment_intent.succeeded':
-      const paymentIntent = event.data.object;
-      console.log('Payment succeeded:', paymentIntent.id);
-      // Update order status, send confirmation email, etc.
-      break;
-    
-    case 'payment_intent.payment_failed':
-      const failedPayment = event.data.object;
-      console.log('Payment failed:', failedPayment.id);
-      // Handle failed payment
-      break;
-    
-    case 'charge.succeeded':
-      const charge = event.data.object;
-      console.log('Charge succeeded:', charge.id);
-      break;
-    
-    case 'charge.failed':
-      const failedCharge = event.data.object;
-      console.log('Charge failed:', failedCharge.id);
-      break;
-    
-    default:
-      console.log(`Unhandled event type ${event.type}`);
+  // Log the event, then apply it to the order it belongs to
+  let result;
+  try {
+    result = await receiveStripeEvent(event);
+  } catch (error) {
+    console.error('Error logging webhook event:', error);
+    return res.status(500).json({ received: false });
+  }
+
+  if (result.duplicate) {
+    return res.json({ received: true, duplicate: true });
+  }
+  if (result.log.status === 'failed') {
+    // Non-2xx makes Stripe retry the event; admins can also retry it
+    return res.status(500).json({ received: true, processed: false });
   }
 
   res.json({ received: true });
@@ -335,7 +354,7 @@ router.get('/payment-methods/:customerId',
     try {
       const { customerId } = req.params;
       
-      const paymentMethods = await stripe.paymentMethods.list({
+      const paymentMethods = await getStripe().paymentMethods.list({
         customer: customerId,
         type: 'card',
       });
@@ -375,7 +394,7 @@ router.post('/create-customer',
 
       const { email, name } = req.body;
 
-      const customer = await stripe.customers.create({
+      const customer = await getStripe().customers.create({
         email,
         name,
         metadata: {
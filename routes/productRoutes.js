@@ -3,147 +3,57 @@ import Product from '../models/Product.js'
 import { getCache, setCache, deleteCache } from '../config/redis.js'
 import { requireAuth } from '../middleware/authMiddleware.js'; // Assuming auth middleware exists
 import { io } from '../server.js'; // Import Socket.IO instance
-import Vendor from '../models/Vendor.js'; // Added import for Vendor
+import Vendor, { PUBLIC_VENDOR_FIELDS, VENDOR_SUMMARY_FIELDS } from '../models/Vendor.js'; // Added import for Vendor
 import mongoose from 'mongoose';
+import { publishDecision, REVIEWED_FIELDS } from '../utils/productModeration.js';
+import { parseSearchParams, searchProducts } from '../utils/productSearch.js';
+import { getSuggestions } from '../utils/searchSuggestions.js';
+import { unifiedSearch } from '../utils/unifiedSearch.js';
+import { attributeTemplate, categoryTree, CATEGORY_LIST_CACHE_KEY, resolveCategories, validateAttributes } from '../utils/categories.js';
+import { logSearch, recordClick } from '../utils/searchAnalytics.js';
 
 const router = express.Router()
 
-// Get all products with filtering, pagination, and search
+// Get all products with filtering, pagination, and search.
+// Results are ranked by relevance when searching and come with facet counts.
 router.get('/', async (req, res) => {
   try {
-    const {
-      page = 1,
-      limit = 12,
-      category,
-      search,
-      minPrice,
-      maxPrice,
-      sortBy = 'createdAt',
-      sortOrder = 'desc',
-      featured
-    } = req.query
-
-    // Build query
-    const query = { status: 'active', isDeleted: false }
-    
-    if (category) {
-      query.categories = category
-    }
-    
-    if (search) {
-      // Search in product fields
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } },
-        { tags: { $in: [new RegExp(search, 'i')] } }
-      ]
-    }
-    
-    if (minPrice || maxPrice) {
-      query.price = {}
-      if (minPrice) query.price.$gte = parseFloat(minPrice)
-      if (maxPrice) query.price.$lte = parseFloat(maxPrice)
-    }
-    
-    if (featured === 'true') {
-      query.featured = true
-    }
-    // Add vendor filter
-    if (req.query.vendor) {
-      query.vendor = req.query.vendor;
-    }
+    const { sortBy = 'createdAt', sortOrder = 'desc' } = req.query
+    const params = parseSearchParams(req.query)
 
-    // Create cache key
-    const cacheKey = `products:${JSON.stringify(query)}:${page}:${limit}:${sortBy}:${sortOrder}`
+    // Create cache key (vendor dashboards' default listing key is invalidated on product changes)
+    const cacheFilters = { status: 'active', isDeleted: false, ...params.filters, ...(params.q && { search: params.q }) }
+    const cacheKey = `products:${JSON.stringify(cacheFilters)}:${params.page}:${params.limit}:${req.query.sort || `${sortBy}:${sortOrder}`}`
     
+    // Searches are logged for analytics whether or not they were cached, once
+    // per search: later pages are not logged again and their clicks use the
+    // searchId of the first page
+    const logProductSearch = (results) => params.page > 1 ? null : logSearch(req, {
+      source: 'products',
+      params,
+      resultCount: results.pagination.totalProducts,
+      correctedQuery: results.correctedQuery
+    })
+
     // Check cache
     const cachedProducts = await getCache(cacheKey)
     if (cachedProducts) {
-      return res.json(cachedProducts)
-    }
-
-    // Calculate pagination
-    const skip = (page - 1) * limit
-    const sortOptions = {}
-    sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1
-
-    // Execute query
-    let products = await Product.find(query)
-      .populate('vendor', 'storeName user')
-      .sort(sortOptions)
-      .skip(skip)
-      .limit(parseInt(limit))
-
-    // If searching, also search in vendor store names
-    if (search) {
-      // Get vendor IDs that match the search term
-      const Vendor = mongoose.model('Vendor')
-      const matchingVendors = await Vendor.find({
-        storeName: { $regex: search, $options: 'i' }
-      }).select('_id')
-      
-      if (matchingVendors.length > 0) {
-        const vendorIds = matchingVendors.map(v => v._id)
-        
-        // Get products from matching vendors
-        const vendorProducts = await Product.find({
-          ...query,
-          vendor: { $in: vendorIds }
-        })
-        .populate('vendor', 'storeName user')
-        .sort(sortOptions)
-        .skip(skip)
-        .limit(parseInt(limit))
-        
-        // Combine and deduplicate results
-        const allProducts = [...products, ...vendorProducts]
-        const uniqueProducts = allProducts.filter((product, index, self) => 
-          index === self.findIndex(p => p._id.toString() === product._id.toString())
-        )
-        
-        products = uniqueProducts.slice(0, parseInt(limit))
-      }
+      const searchId = logProductSearch(cachedProducts)
+      return res.json({ ...cachedProducts, ...(searchId && { searchId }) })
     }
 
-    let totalProducts = await Product.countDocuments(query)
-    
-    // If searching, also count products from matching vendors
-    if (search) {
-      const Vendor = mongoose.model('Vendor')
-      const matchingVendors = await Vendor.find({
-        storeName: { $regex: search, $options: 'i' }
-      }).select('_id')
-      
-      if (matchingVendors.length > 0) {
-        const vendorIds = matchingVendors.map(v => v._id)
-        const vendorProductCount = await Product.countDocuments({
-          ...query,
-          vendor: { $in: vendorIds }
-        })
-        
-        // Use the larger count to ensure pagination works correctly
-        totalProducts = Math.max(totalProducts, vendorProductCount)
-      }
-    }
-    
-    const totalPages = Math.ceil(totalProducts / limit)
+    const results = await searchProducts(params)
 
     const response = {
       success: true,
-      products,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages,
-        totalProducts,
-        hasNext: page < totalPages,
-        hasPrev: page > 1
-      }
+      ...results
     }
 
     // Cache the response for 5 minutes
     await setCache(cacheKey, response, 300)
 
-    res.json(response)
+    const searchId = logProductSearch(response)
+    res.json({ ...response, ...(searchId && { searchId }) })
   } catch (error) {
     console.error('Get products error:', error)
     res.status(500).json({
@@ -153,84 +63,59 @@ router.get('/', async (req, res) => {
   }
 })
 
-// Enhanced search endpoint that returns both products and stores
+// Search products, stores and categories as one ranked stream. Pass
+// `cursor` from pageInfo.nextCursor for the next page; `types` narrows the
+// stream to one kind of hit for a "see all" page.
 router.get('/search/combined', async (req, res) => {
   try {
-    const {
-      search,
-      page = 1,
-      limit = 12
-    } = req.query
-
-    if (!search || search.trim().length === 0) {
-      return res.json({
-        success: true,
-        products: [],
-        stores: [],
-        pagination: {
-          currentPage: parseInt(page),
-          totalPages: 0,
-          totalItems: 0
-        }
-      })
-    }
-
-    const searchTerm = search.trim()
-    const skip = (page - 1) * limit
-
-    // Search for products
-    const productQuery = {
-      status: 'active',
-      isDeleted: false,
-      $or: [
-        { title: { $regex: searchTerm, $options: 'i' } },
-        { description: { $regex: searchTerm, $options: 'i' } },
-        { tags: { $in: [new RegExp(searchTerm, 'i')] } }
-      ]
-    }
-
-    const products = await Product.find(productQuery)
-      .populate('vendor', 'storeName user logo business.address.city business.address.country')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit))
+    const { q, search, types, limit, cursor } = req.query
+    const results = await unifiedSearch({ q: q ?? search, types, limit, cursor })
+
+    // Later pages of the same search are not logged again; clicks on them
+    // are recorded against the searchId of the first page
+    const searchId = cursor ? null : logSearch(req, {
+      source: 'combined',
+      params: { q: results.query },
+      resultCount: results.counts.total,
+      correctedQuery: results.correctedQuery
+    })
 
-    // Search for stores/vendors
-    const Vendor = mongoose.model('Vendor')
-    const storeQuery = {
-      storeName: { $regex: searchTerm, $options: 'i' }
-    }
+    res.json({ success: true, searchId, ...results })
+  } catch (error) {
+    console.error('Combined search error:', error)
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Internal server error'
+    })
+  }
+})
 
-    const stores = await Vendor.find(storeQuery)
-      .select('storeName storeDescription logo business.address.city business.address.country specialties')
-      .sort({ storeName: 1 })
-      .skip(skip)
-      .limit(parseInt(limit))
+// Record that a shopper opened a search result (searchId comes from the search response)
+router.post('/search/:searchId/click', async (req, res) => {
+  try {
+    await recordClick(req.params.searchId, { productId: req.body.productId, position: req.body.position })
+    res.json({ success: true })
+  } catch (error) {
+    console.error('Search click error:', error)
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Internal server error'
+    })
+  }
+})
 
-    // Get total counts
-    const totalProducts = await Product.countDocuments(productQuery)
-    const totalStores = await Vendor.countDocuments(storeQuery)
-    const totalItems = totalProducts + totalStores
-    const totalPages = Math.ceil(totalItems / limit)
+// Autocomplete while typing: products, stores, categories, tags and specialties
+// starting with q, most popular first (declared before /:id so it is not taken for an ID)
+router.get('/suggest', async (req, res) => {
+  try {
+    const suggestions = await getSuggestions(req.query.q, { limit: req.query.limit })
 
-    const response = {
+    res.json({
       success: true,
-      products,
-      stores,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages,
-        totalItems,
-        totalProducts,
-        totalStores,
-        hasNext: page < totalPages,
-        hasPrev: page > 1
-      }
-    }
-
-    res.json(response)
+      ...suggestions
+    })
   } catch (error) {
-    console.error('Combined search error:', error)
+    console.error('Search suggestions error:', error)
     res.status(500).json({
       success: false,
       message: 'Internal server error'
@@ -248,7 +133,7 @@ router.get('/:id', async (req, res) => {
       });
     }
     const product = await Product.findById(req.params.id)
-      .populate('vendor', 'storeName user storeDescription contact business logo')
+      .populate('vendor', PUBLIC_VENDOR_FIELDS)
       .populate('reviews')
 
     if (!product || product.isDeleted) {
@@ -290,7 +175,7 @@ router.get('/featured/list', async (req, res) => {
       status: 'active',
       isDeleted: false 
     })
-      .populate('vendor', 'storeName user')
+      .populate('vendor', VENDOR_SUMMARY_FIELDS)
       .sort({ 'ratings.average': -1 })
       .limit(8)
 
@@ -312,22 +197,17 @@ router.get('/featured/list', async (req, res) => {
   }
 })
 
-// Get categories
+// Get the category tree. Each category has `productCount` (its own
+// listings) and `totalCount` (listings in it or any subcategory).
 router.get('/categories/list', async (req, res) => {
   try {
-    const cacheKey = 'categories:list'
-    const cachedCategories = await getCache(cacheKey)
+    const cachedCategories = await getCache(CATEGORY_LIST_CACHE_KEY)
     
     if (cachedCategories) {
       return res.json(cachedCategories)
     }
 
-    const categories = await Product.aggregate([
-      { $match: { status: 'active', isDeleted: false } },
-      { $unwind: '$categories' },
-      { $group: { _id: '$categories', count: { $sum: 1 } } },
-      { $sort: { count: -1 } }
-    ])
+    const categories = await categoryTree()
 
     const response = {
       success: true,
@@ -335,7 +215,7 @@ router.get('/categories/list', async (req, res) => {
     }
 
     // Cache for 1 hour
-    await setCache(cacheKey, response, 3600)
+    await setCache(CATEGORY_LIST_CACHE_KEY, response, 3600)
 
     res.json(response)
   } catch (error) {
@@ -347,6 +227,22 @@ router.get('/categories/list', async (req, res) => {
   }
 })
 
+// Attributes a listing in the given categories should fill in, for the
+// vendor's product form: GET /categories/attributes?categories=ceramics,vases
+router.get('/categories/attributes', async (req, res) => {
+  try {
+    const slugs = String(req.query.categories || '').split(',').map(slug => slug.trim().toLowerCase()).filter(Boolean)
+    const attributes = await attributeTemplate(slugs)
+    res.json({ success: true, attributes })
+  } catch (error) {
+    console.error('Get category attributes error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    })
+  }
+})
+
 // Helper function to get and emit updated products for a vendor
 const emitVendorProducts = async (vendorId) => {
   try {
@@ -377,25 +273,33 @@ const isAuthorizedToModifyProduct = async (productId, userId) => {
 // Create a new product
 router.post('/', requireAuth, async (req, res) => {
   try {
-    const { title, description, price, categories, tags, images, inventory } = req.body;
+    const { title, description, price, categories, attributes, tags, images, inventory, options, variants } = req.body;
     const vendorId = req.user.vendorId;
 
     if (!vendorId) {
       return res.status(403).json({ success: false, message: "User is not a vendor." });
     }
 
+    const categorySlugs = await resolveCategories(categories);
+
     const newProduct = new Product({
       title,
       description,
       price,
-      categories: categories.map(c => c.toLowerCase().replace(/\s+/g, '-')),
+      categories: categorySlugs,
+      attributes: await validateAttributes(categorySlugs, attributes),
       tags,
       images,
       inventory,
+      options,
+      variants,
       vendor: vendorId,
-      status: 'active',
     });
 
+    // Unverified vendors can build their catalogue, but it stays hidden;
+    // listings that need moderation wait in the admin queue
+    const decision = await publishDecision(newProduct);
+    newProduct.status = decision.status;
     await newProduct.save();
     
     // Invalidate cache and emit update
@@ -403,9 +307,22 @@ router.post('/', requireAuth, async (req, res) => {
     await deleteCache(cacheKey);
     emitVendorProducts(vendorId);
 
-    res.status(201).json({ success: true, product: newProduct });
+    res.status(201).json({
+      success: true,
+      product: newProduct,
+      ...(decision.message && { message: decision.blocked ? `Product saved as inactive. ${decision.message}.` : decision.message })
+    });
   } catch (error) {
     console.error('Create product error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: 'A SKU on this product is already in use' });
+    }
     res.status(500).json({ success: false, message: 'Internal server error' });
   }
 });
@@ -438,7 +355,20 @@ router.patch('/:id/status', requireAuth, async (req, res) => {
       });
     }
 
-    product.status = status;
+    let message;
+    if (status === 'inactive') {
+      product.status = 'inactive';
+    } else if (!['active', 'pending'].includes(product.status)) {
+      const decision = await publishDecision(product);
+      if (decision.blocked) {
+        return res.status(403).json({
+          success: false,
+          message: decision.message
+        });
+      }
+      product.status = decision.status;
+      message = decision.message;
+    }
     await product.save();
 
     // Invalidate cache and emit update
@@ -447,7 +377,8 @@ router.patch('/:id/status', requireAuth, async (req, res) => {
 
     res.json({
       success: true,
-      product
+      product,
+      ...(message && { message })
     });
   } catch (error) {
     console.error('Update product status error:', error);
@@ -520,13 +451,41 @@ router.put('/:id', requireAuth, async (req, res) => {
       });
     }
 
-    // Update product fields
-    const updates = { ...req.body };
+    // Update product fields. Status and review state only change through
+    // publishing and moderation.
+    const { status, moderation, ...updates } = req.body;
     if (updates.categories) {
-      updates.categories = updates.categories.map(c => c.toLowerCase().replace(/\s+/g, '-'));
+      updates.categories = await resolveCategories(updates.categories);
+    }
+    // New categories can ask for different attributes
+    if (updates.categories || updates.attributes) {
+      updates.attributes = await validateAttributes(
+        updates.categories || product.categories,
+        updates.attributes || product.attributes
+      );
     }
 
     Object.assign(product, updates);
+
+    // Publishing, or editing a listing that is live, queued or rejected,
+    // goes back through moderation
+    const edited = ['active', 'pending', 'rejected'].includes(product.status)
+      && REVIEWED_FIELDS.some(field => product.isModified(field));
+    const publishing = status === 'active' && !['active', 'pending'].includes(product.status);
+    let message;
+    if (status === 'inactive') {
+      product.status = 'inactive';
+    } else if (edited || publishing) {
+      const decision = await publishDecision(product);
+      if (decision.blocked && publishing) {
+        return res.status(403).json({
+          success: false,
+          message: decision.message
+        });
+      }
+      product.status = decision.status;
+      message = decision.message;
+    }
     await product.save();
 
     // Invalidate cache and emit update
@@ -535,10 +494,20 @@ router.put('/:id', requireAuth, async (req, res) => {
 
     res.json({
       success: true,
-      product
+      product,
+      ...(message && { message })
     });
   } catch (error) {
     console.error('Update product error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: 'A SKU on this product is already in use' });
+    }
     res.status(500).json({
       success: false,
       message: 'Internal server error'
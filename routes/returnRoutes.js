@@ -0,0 +1,271 @@
+import express from 'express';
+import { requireAuth } from '../middleware/authMiddleware.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import Order from '../models/Order.js';
+import ReturnRequest from '../models/ReturnRequest.js';
+import { createReturnRequest, receiveReturn, resolveReturn } from '../utils/returns.js';
+import { io } from '../server.js'; // Import Socket.IO instance
+
+const router = express.Router();
+
+/**
+ * Work out how the current user relates to a return
+ * @param {Object} returnRequest - ReturnRequest document
+ * @param {Object} user - Authenticated user
+ * @returns {string|null} - 'customer', 'vendor', 'admin', or null if unrelated
+ */
+function roleFor(returnRequest, user) {
+  if (user.role === 'admin') return 'admin';
+  if (user.vendorId && returnRequest.vendor.toString() === user.vendorId.toString()) return 'vendor';
+  if (returnRequest.customer.toString() === user._id.toString()) return 'customer';
+  return null;
+}
+
+/**
+ * Load a return the current user is party to
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} - { returnRequest, role } or {} if not found
+ */
+async function loadReturn(req) {
+  const returnRequest = await ReturnRequest.findById(req.params.id);
+  const role = returnRequest && roleFor(returnRequest, req.user);
+  return role ? { returnRequest, role } : {};
+}
+
+/**
+ * Let the vendor know their return queue changed
+ * @param {Object} returnRequest - ReturnRequest document
+ * @param {string} event - Socket event name
+ */
+function notifyVendor(returnRequest, event) {
+  io.to(`vendor-${returnRequest.vendor}`).emit(event, {
+    returnId: returnRequest._id,
+    rmaNumber: returnRequest.rmaNumber,
+    status: returnRequest.status
+  });
+}
+
+// Open a return for items on a delivered order
+router.post('/', requireAuth, asyncHandler(async (req, res) => {
+  const { orderId, items, photos, comments, resolution } = req.body;
+
+  const order = await Order.findOne({ _id: orderId, customer: req.user.id });
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+  }
+
+  const returnRequest = await createReturnRequest(order, { items, photos, comments, resolution });
+  notifyVendor(returnRequest, 'return-requested');
+
+  res.status(201).json({
+    success: true,
+    message: 'Return requested',
+    returnRequest
+  });
+}));
+
+// List returns: customers see their own, vendors see theirs, admins see all
+router.get('/', requireAuth, asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, status, orderId } = req.query;
+  const skip = (page - 1) * limit;
+
+  const query = {};
+  if (req.user.role === 'vendor' && req.user.vendorId) {
+    query.vendor = req.user.vendorId;
+  } else if (req.user.role !== 'admin') {
+    query.customer = req.user.id;
+  }
+  if (status) query.status = status;
+  if (orderId) query.order = orderId;
+
+  const [returns, total] = await Promise.all([
+    ReturnRequest.find(query)
+      .populate('order', 'orderNumber')
+      .populate('vendor', 'storeName')
+      .populate('items.product', 'title images')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    ReturnRequest.countDocuments(query)
+  ]);
+
+  res.json({
+    success: true,
+    returns,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+}));
+
+// Get a single return
+router.get('/:id', requireAuth, asyncHandler(async (req, res) => {
+  const { returnRequest } = await loadReturn(req);
+  if (!returnRequest) {
+    return res.status(404).json({
+      success: false,
+      message: 'Return not found'
+    });
+  }
+
+  await returnRequest.populate([
+    { path: 'order', select: 'orderNumber createdAt' },
+    { path: 'vendor', select: 'storeName policies' },
+    { path: 'items.product', select: 'title images' }
+  ]);
+
+  res.json({
+    success: true,
+    returnRequest
+  });
+}));
+
+// Vendor approves and tells the customer how to send the items back
+router.patch('/:id/approve', requireAuth, asyncHandler(async (req, res) => {
+  const { returnRequest, role } = await loadReturn(req);
+  if (!returnRequest) {
+    return res.status(404).json({
+      success: false,
+      message: 'Return not found'
+    });
+  }
+
+  const { labelUrl, carrier, trackingNumber, instructions } = req.body;
+  if (!labelUrl && !instructions) {
+    return res.status(400).json({
+      success: false,
+      message: 'Provide a return label or return instructions'
+    });
+  }
+
+  returnRequest.transition('approved', { role, actor: req.user._id, note: instructions });
+  returnRequest.returnShipping = { labelUrl, carrier, trackingNumber, instructions };
+  await returnRequest.save();
+
+  res.json({
+    success: true,
+    message: 'Return approved',
+    returnRequest
+  });
+}));
+
+// Vendor declines the return
+router.patch('/:id/deny', requireAuth, asyncHandler(async (req, res) => {
+  const { returnRequest, role } = await loadReturn(req);
+  if (!returnRequest) {
+    return res.status(404).json({
+      success: false,
+      message: 'Return not found'
+    });
+  }
+
+  const { reason } = req.body;
+  if (!reason) {
+    return res.status(400).json({
+      success: false,
+      message: 'A reason is required to deny a return'
+    });
+  }
+
+  returnRequest.transition('denied', { role, actor: req.user._id, note: reason });
+  returnRequest.denialReason = reason;
+  await returnRequest.save();
+
+  res.json({
+    success: true,
+    message: 'Return denied',
+    returnRequest
+  });
+}));
+
+// Customer reports the parcel is on its way back
+router.patch('/:id/ship', requireAuth, asyncHandler(async (req, res) => {
+  const { returnRequest, role } = await loadReturn(req);
+  if (!returnRequest) {
+    return res.status(404).json({
+      success: false,
+      message: 'Return not found'
+    });
+  }
+
+  const { carrier, trackingNumber } = req.body;
+  returnRequest.transition('in_transit', { role, actor: req.user._id });
+  if (carrier) returnRequest.returnShipping.carrier = carrier;
+  if (trackingNumber) returnRequest.returnShipping.trackingNumber = trackingNumber;
+  await returnRequest.save();
+  notifyVendor(returnRequest, 'return-shipped');
+
+  res.json({
+    success: true,
+    message: 'Return marked as shipped',
+    returnRequest
+  });
+}));
+
+// Vendor records receipt and inspection; failed inspections are rejected
+router.patch('/:id/receive', requireAuth, asyncHandler(async (req, res) => {
+  const { returnRequest, role } = await loadReturn(req);
+  if (!returnRequest) {
+    return res.status(404).json({
+      success: false,
+      message: 'Return not found'
+    });
+  }
+
+  const { accepted, notes, items } = req.body;
+  await receiveReturn(returnRequest, { accepted, notes, items, role, actor: req.user._id });
+
+  res.json({
+    success: true,
+    message: returnRequest.status === 'rejected' ? 'Return rejected after inspection' : 'Return received',
+    returnRequest
+  });
+}));
+
+// Vendor settles an inspected return with a refund or an exchange
+router.patch('/:id/resolve', requireAuth, asyncHandler(async (req, res) => {
+  const { returnRequest, role } = await loadReturn(req);
+  if (!returnRequest) {
+    return res.status(404).json({
+      success: false,
+      message: 'Return not found'
+    });
+  }
+
+  const { resolution, replacementTrackingNumber } = req.body;
+  await resolveReturn(returnRequest, { resolution, replacementTrackingNumber, role, actor: req.user._id });
+
+  res.json({
+    success: true,
+    message: returnRequest.resolution.type === 'exchange' ? 'Replacement sent' : 'Return refunded',
+    returnRequest
+  });
+}));
+
+// Customer withdraws the return before it ships back
+router.patch('/:id/cancel', requireAuth, asyncHandler(async (req, res) => {
+  const { returnRequest, role } = await loadReturn(req);
+  if (!returnRequest) {
+    return res.status(404).json({
+      success: false,
+      message: 'Return not found'
+    });
+  }
+
+  returnRequest.transition('cancelled', { role, actor: req.user._id, note: req.body.reason });
+  await returnRequest.save();
+
+  res.json({
+    success: true,
+    message: 'Return cancelled',
+    returnRequest
+  });
+}));
+
+export default router;
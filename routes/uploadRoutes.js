@@ -51,6 +51,8 @@ router.post('/imagekit-auth', (req, res) => {
 
 // If requireAuth is available, import it:
 import { requireAuth } from '../middleware/authMiddleware.js';
+import Vendor, { VERIFICATION_DOCUMENT_KINDS } from '../models/Vendor.js';
+import { addVerificationDocument, assertCanAddDocument } from '../utils/vendorVerification.js';
 
 const upload = multer({ storage: multer.memoryStorage() });
 
@@ -96,4 +98,67 @@ router.post('/avatar', requireAuth, upload.single('avatar'), async (req, res) =>
   }
 });
 
+// Identity and business documents are stored as private files, viewable
+// only through short-lived signed links
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    cb(null, ['application/pdf', 'image/jpeg', 'image/png', 'image/webp'].includes(file.mimetype));
+  }
+});
+
+// POST /verification-document - upload a vendor verification document
+router.post('/verification-document', requireAuth, documentUpload.single('document'), async (req, res) => {
+  if (!imagekit) {
+    return res.status(500).json({ message: 'ImageKit SDK not initialized.' });
+  }
+  if (!req.user.vendorId) {
+    return res.status(403).json({ success: false, message: 'Only vendors can upload verification documents.' });
+  }
+  if (!req.file) {
+    return res.status(400).json({ success: false, message: 'Upload a PDF, JPEG, PNG or WebP file of up to 10MB.' });
+  }
+  if (!VERIFICATION_DOCUMENT_KINDS.includes(req.body.kind)) {
+    return res.status(400).json({
+      success: false,
+      message: `Document kind must be one of: ${VERIFICATION_DOCUMENT_KINDS.join(', ')}`
+    });
+  }
+  try {
+    const vendor = await Vendor.findById(req.user.vendorId);
+    if (!vendor) {
+      return res.status(404).json({ success: false, message: 'Vendor profile not found' });
+    }
+    // Check before uploading so a refused document leaves no stray file
+    assertCanAddDocument(vendor);
+
+    const result = await imagekit.upload({
+      file: req.file.buffer,
+      fileName: `${req.body.kind}_${Date.now()}_${req.file.originalname}`,
+      folder: `/verification/${vendor._id}`,
+      isPrivateFile: true,
+      useUniqueFileName: true
+    });
+
+    const document = await addVerificationDocument(vendor, {
+      kind: req.body.kind,
+      description: req.body.description,
+      fileId: result.fileId,
+      filePath: result.filePath,
+      fileName: req.file.originalname,
+      mimeType: req.file.mimetype,
+      size: req.file.size
+    });
+
+    res.status(201).json({ success: true, document });
+  } catch (error) {
+    console.error('Verification document upload error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Document upload failed.'
+    });
+  }
+});
+
 export default router;
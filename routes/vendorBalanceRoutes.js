@@ -4,6 +4,9 @@ import { requireAuth } from '../middleware/authMiddleware.js';
 import VendorBalance from '../models/VendorBalance.js';
 import Vendor from '../models/Vendor.js';
 import BankAccount from '../models/BankAccount.js';
+import Payout from '../models/Payout.js';
+import Order from '../models/Order.js';
+import { roundCurrency } from '../utils/orderPricing.js';
 
 const router = express.Router();
 
@@ -105,7 +108,8 @@ router.post('/payout',
         });
       }
 
-      const { amount, description = 'Vendor payout request' } = req.body;
+      const { description = 'Vendor payout request' } = req.body;
+      const amount = parseFloat(req.body.amount);
 
       const vendor = await Vendor.findOne({ user: req.user.id });
       if (!vendor) {
@@ -148,165 +152,165 @@ router.post('/payout',
         });
       }
 
-      if (amount > vendorBalance.availableBalance) {
-        return res.status(400).json({
-          success: false,
-          message: 'Insufficient available balance for this payout amount'
-        });
-      }
+      // Create the payout record; this takes the amount out of the
+      // available balance and fails if there is not enough
+      const payout = await Payout.request({
+        vendorBalance,
+        bankAccount,
+        amount,
+        description
+      });
 
       // Process payout (simulate bank transfer)
       try {
         // In a real implementation, you would:
         // 1. Create a bank transfer via your banking API
-        // 2. Wait for confirmation
-        // 3. Update the balance
+        // 2. Leave the payout processing until the bank confirms it
         
         // For demo purposes, we'll simulate the transfer
-        await vendorBalance.processPayout(amount);
-
-        console.log(`✅ Payout processed for vendor: ${req.user.id}, Amount: $${amount}`);
-
-        res.json({
-          success: true,
-          message: 'Payout processed successfully',
-          payout: {
-            id: `payout_${Date.now()}`,
-            amount: amount,
-            description: description,
-            status: 'completed',
-            processedAt: new Date(),
-            bankAccount: {
-              cardHolderName: bankAccount.cardHolderName,
-              bankName: bankAccount.bankName
-            }
-          },
-          newBalance: {
-            availableBalance: vendorBalance.availableBalance,
-            totalPayouts: vendorBalance.totalPayouts,
-            lastPayout: vendorBalance.lastPayout
-          }
-        });
+        await payout.transitionTo('processing');
+        await payout.transitionTo('paid');
 
-      } catch (payoutError) {
-        console.error('❌ Payout processing error:', payoutError);
-        res.status(500).json({
-          success: false,
-          message: 'Failed to process payout',
-          error: payoutError.message
-        });
+        console.log(`✅ Payout ${payout.payoutNumber} processed for vendor: ${req.user.id}, Amount: $${amount}`);
+      } catch (transferError) {
+        console.error('❌ Payout processing error:', transferError);
+        await payout.transitionTo('failed', { reason: transferError.message });
       }
 
+      const updatedBalance = await VendorBalance.findById(vendorBalance._id);
+
+      res.status(payout.status === 'failed' ? 502 : 201).json({
+        success: payout.status !== 'failed',
+        message: payout.status === 'failed' ? 'Payout failed' : 'Payout processed successfully',
+        payout: payout.toSummary(),
+        newBalance: {
+          availableBalance: updatedBalance.availableBalance,
+          totalPayouts: updatedBalance.totalPayouts,
+          lastPayout: updatedBalance.lastPayout
+        }
+      });
+
     } catch (error) {
       console.error('❌ Error requesting payout:', error);
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
-        message: 'Failed to request payout',
+        message: error.statusCode ? error.message : 'Failed to request payout',
         error: error.message
       });
     }
   }
 );
 
-// Add earnings (for demo/testing purposes)
-router.post('/add-earnings', 
-  requireAuth,
-  [
-    body('amount')
-      .isFloat({ min: 0.01 })
-      .withMessage('Amount must be greater than 0'),
-    body('description')
-      .optional()
-      .trim()
-      .isLength({ max: 200 })
-      .withMessage('Description must be less than 200 characters')
-  ],
-  async (req, res) => {
-    try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({
-          success: false,
-          message: 'Validation failed',
-          errors: errors.array()
-        });
-      }
+// Get payout history
+router.get('/payout-history', requireAuth, async (req, res) => {
+  try {
+    // Verify user is a vendor
+    if (req.user.role !== 'vendor') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only vendors can access payout history'
+      });
+    }
 
-      // Verify user is a vendor
-      if (req.user.role !== 'vendor') {
-        return res.status(403).json({
-          success: false,
-          message: 'Only vendors can add earnings'
-        });
-      }
+    const vendor = await Vendor.findOne({ user: req.user.id });
+    if (!vendor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vendor profile not found'
+      });
+    }
 
-      const { amount, description = 'Demo earnings' } = req.body;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const { status } = req.query;
 
-      const vendor = await Vendor.findOne({ user: req.user.id });
-      if (!vendor) {
-        return res.status(404).json({
-          success: false,
-          message: 'Vendor profile not found'
-        });
-      }
+    const query = { vendor: vendor._id };
+    if (status) query.status = status;
 
-      let vendorBalance = await VendorBalance.findOne({ vendor: vendor._id });
-      
-      // Create vendor balance if it doesn't exist
-      if (!vendorBalance) {
-        const bankAccount = await BankAccount.findOne({ user: req.user.id });
-        if (!bankAccount) {
-          return res.status(400).json({
-            success: false,
-            message: 'No bank account found. Please connect a bank account first.'
-          });
-        }
+    const [payouts, total] = await Promise.all([
+      Payout.findByVendor(vendor._id, { page, limit, status }),
+      Payout.countDocuments(query)
+    ]);
 
-        vendorBalance = new VendorBalance({
-          vendor: vendor._id,
-          bankAccount: bankAccount._id
-        });
+    res.json({
+      success: true,
+      payoutHistory: payouts.map(payout => payout.toSummary()),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
       }
+    });
 
-      // Add earnings
-      await vendorBalance.addEarnings(amount);
+  } catch (error) {
+    console.error('❌ Error getting payout history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get payout history',
+      error: error.message
+    });
+  }
+});
 
-      console.log(`✅ Earnings added for vendor: ${req.user.id}, Amount: $${amount}`);
+// Get a single payout
+router.get('/payouts/:payoutId', requireAuth, async (req, res) => {
+  try {
+    // Verify user is a vendor
+    if (req.user.role !== 'vendor') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only vendors can access payout details'
+      });
+    }
 
-      res.json({
-        success: true,
-        message: 'Earnings added successfully',
-        earnings: {
-          amount: amount,
-          description: description,
-          addedAt: new Date()
-        },
-        newBalance: {
-          totalEarnings: vendorBalance.totalEarnings,
-          availableBalance: vendorBalance.availableBalance,
-          pendingBalance: vendorBalance.pendingBalance
-        }
+    const vendor = await Vendor.findOne({ user: req.user.id });
+    if (!vendor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vendor profile not found'
       });
+    }
 
-    } catch (error) {
-      console.error('❌ Error adding earnings:', error);
-      res.status(500).json({
+    const payout = await Payout.findOne({ _id: req.params.payoutId, vendor: vendor._id });
+    if (!payout) {
+      return res.status(404).json({
         success: false,
-        message: 'Failed to add earnings',
-        error: error.message
+        message: 'Payout not found'
       });
     }
+
+    res.json({
+      success: true,
+      payout: {
+        ...payout.toSummary(),
+        provider: payout.provider,
+        providerTransferId: payout.providerTransferId,
+        processingAt: payout.processingAt,
+        paidAt: payout.paidAt,
+        failedAt: payout.failedAt,
+        reversedAt: payout.reversedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error getting payout:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get payout',
+      error: error.message
+    });
   }
-);
+});
 
-// Get payout history
-router.get('/payout-history', requireAuth, async (req, res) => {
+// Get earnings statement: gross, commission and net per released order
+router.get('/statement', requireAuth, async (req, res) => {
   try {
     // Verify user is a vendor
     if (req.user.role !== 'vendor') {
       return res.status(403).json({
         success: false,
-        message: 'Only vendors can access payout history'
+        message: 'Only vendors can access earnings statements'
       });
     }
 
@@ -318,42 +322,77 @@ router.get('/payout-history', requireAuth, async (req, res) => {
       });
     }
 
-    const vendorBalance = await VendorBalance.findOne({ vendor: vendor._id });
-    if (!vendorBalance) {
-      return res.json({
-        success: true,
-        payoutHistory: []
-      });
-    }
-
-    // For demo purposes, create a mock payout history
-    // In a real implementation, you would have a separate PayoutHistory model
-    const mockPayoutHistory = [];
-    
-    if (vendorBalance.lastPayout) {
-      mockPayoutHistory.push({
-        id: `payout_${vendorBalance.lastPayout.getTime()}`,
-        amount: vendorBalance.lastPayoutAmount,
-        status: 'completed',
-        description: 'Vendor payout',
-        processedAt: vendorBalance.lastPayout,
-        bankAccount: {
-          cardHolderName: 'Demo Account',
-          bankName: 'Demo Bank'
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const releasedAt = { $ne: null };
+    if (req.query.from) releasedAt.$gte = new Date(req.query.from);
+    if (req.query.to) releasedAt.$lte = new Date(req.query.to);
+
+    const match = {
+      fulfillments: { $elemMatch: { vendor: vendor._id, 'commission.calculatedAt': releasedAt } }
+    };
+
+    const [orders, total, [totals]] = await Promise.all([
+      Order.find(match)
+        .select('orderNumber createdAt fulfillments')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Order.countDocuments(match),
+      Order.aggregate([
+        { $match: match },
+        { $unwind: '$fulfillments' },
+        { $match: { 'fulfillments.vendor': vendor._id, 'fulfillments.commission.calculatedAt': releasedAt } },
+        {
+          $group: {
+            _id: null,
+            gross: { $sum: '$fulfillments.commission.gross' },
+            shipping: { $sum: '$fulfillments.commission.shipping' },
+            fee: { $sum: '$fulfillments.commission.fee' },
+            net: { $sum: '$fulfillments.commission.net' }
+          }
         }
-      });
-    }
+      ])
+    ]);
+
+    const statement = orders.map(order => {
+      const { commission, escrowReleaseDate } = order.getFulfillment(vendor._id);
+      return {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        orderedAt: order.createdAt,
+        releasedAt: escrowReleaseDate,
+        gross: commission.gross,
+        shipping: commission.shipping,
+        fee: commission.fee,
+        net: commission.net,
+        lines: commission.lines
+      };
+    });
 
     res.json({
       success: true,
-      payoutHistory: mockPayoutHistory
+      statement,
+      totals: {
+        gross: roundCurrency(totals?.gross || 0),
+        shipping: roundCurrency(totals?.shipping || 0),
+        fee: roundCurrency(totals?.fee || 0),
+        net: roundCurrency(totals?.net || 0)
+      },
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
     });
 
   } catch (error) {
-    console.error('❌ Error getting payout history:', error);
+    console.error('❌ Error getting earnings statement:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to get payout history',
+      message: 'Failed to get earnings statement',
       error: error.message
     });
   }
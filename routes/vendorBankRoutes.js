@@ -2,6 +2,15 @@ import express from 'express';
 import { body, validationResult } from 'express-validator';
 import { requireAuth } from '../middleware/authMiddleware.js';
 import Vendor from '../models/Vendor.js';
+import VendorBalance from '../models/VendorBalance.js';
+import Payout from '../models/Payout.js';
+import { getVendorLedgerBalances } from '../utils/ledger.js';
+import {
+  findActivePlaidCredential,
+  storePlaidCredential,
+  usePlaidAccessToken,
+  revokePlaidCredential
+} from '../utils/plaidCredentials.js';
 import { plaidClient } from '../server.js';
 
 const router = express.Router();
@@ -113,21 +122,17 @@ router.post('/setup-bank-account',
             });
           }
 
-          // Update vendor with mock bank account information
-          vendor.payoutMethod = 'bank_transfer';
-          
-          // Initialize payoutDetails if it doesn't exist
-          if (!vendor.payoutDetails) {
-            vendor.payoutDetails = {};
-          }
-          
-          vendor.payoutDetails.plaid = {
+          await storePlaidCredential(vendor, {
             accessToken: 'mock_access_token',
             itemId: 'mock_item_id',
-            accountId: accountId,
-            lastSync: new Date()
-          };
-          vendor.payoutDetails.bankAccount = {
+            accountId,
+            institutionName: 'Development Bank',
+            actor: req.user._id
+          });
+
+          // Update vendor with mock bank account information
+          vendor.financials.payoutMethod = 'bank_transfer';
+          vendor.financials.payoutDetails.bankAccount = {
             accountNumber: '****1234',
             routingNumber: '123456789',
             accountHolderName: 'Mock Bank Account',
@@ -191,21 +196,18 @@ router.post('/setup-bank-account',
         });
       }
 
+      // The access token goes to the encrypted credential store, not the profile
+      await storePlaidCredential(vendor, {
+        accessToken,
+        itemId,
+        accountId,
+        institutionName: selectedAccount.institution_id,
+        actor: req.user._id
+      });
+
       // Update vendor with bank account information
-      vendor.payoutMethod = 'bank_transfer';
-      
-      // Initialize payoutDetails if it doesn't exist
-      if (!vendor.payoutDetails) {
-        vendor.payoutDetails = {};
-      }
-      
-      vendor.payoutDetails.plaid = {
-        accessToken: accessToken,
-        itemId: itemId,
-        accountId: accountId,
-        lastSync: new Date()
-      };
-      vendor.payoutDetails.bankAccount = {
+      vendor.financials.payoutMethod = 'bank_transfer';
+      vendor.financials.payoutDetails.bankAccount = {
         accountNumber: selectedAccount.mask || '****',
         routingNumber: '', // Plaid doesn't provide routing number for security
         accountHolderName: selectedAccount.name || 'Vendor Account',
@@ -229,9 +231,9 @@ router.post('/setup-bank-account',
       });
     } catch (error) {
       console.error('Error setting up bank account for vendor:', error);
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
-        message: 'Failed to set up bank account',
+        message: error.statusCode ? error.message : 'Failed to set up bank account',
         error: error.message
       });
     }
@@ -259,17 +261,20 @@ router.get('/bank-account',
         });
       }
 
+      const credential = await findActivePlaidCredential(vendor._id);
+      const bankAccount = vendor.financials.payoutDetails?.bankAccount;
+
       // Return bank account info (masked for security)
       const bankAccountInfo = {
-        isConnected: !!(vendor.payoutDetails?.plaid?.accessToken),
-        payoutMethod: vendor.payoutMethod,
-        bankAccount: vendor.payoutDetails?.bankAccount ? {
-          accountNumber: vendor.payoutDetails.bankAccount.accountNumber,
-          accountHolderName: vendor.payoutDetails.bankAccount.accountHolderName,
-          bankName: vendor.payoutDetails.bankAccount.bankName,
-          accountType: vendor.payoutDetails.bankAccount.accountType
+        isConnected: !!credential,
+        payoutMethod: vendor.financials.payoutMethod,
+        bankAccount: credential && bankAccount ? {
+          accountNumber: bankAccount.accountNumber,
+          accountHolderName: bankAccount.accountHolderName,
+          bankName: bankAccount.bankName,
+          accountType: bankAccount.accountType
         } : null,
-        lastSync: vendor.payoutDetails?.plaid?.lastSync
+        lastSync: credential?.lastSync
       };
 
       res.json({
@@ -287,6 +292,60 @@ router.get('/bank-account',
   }
 );
 
+// Disconnect the vendor's bank account and remove the item at Plaid
+router.delete('/bank-account',
+  requireAuth,
+  async (req, res) => {
+    try {
+      // Verify user is a vendor
+      if (req.user.role !== 'vendor') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only vendors can manage bank accounts'
+        });
+      }
+
+      const vendor = await Vendor.findOne({ user: req.user.id });
+      if (!vendor) {
+        return res.status(404).json({
+          success: false,
+          message: 'Vendor profile not found'
+        });
+      }
+
+      const credential = await findActivePlaidCredential(vendor._id);
+      if (!credential) {
+        return res.status(404).json({
+          success: false,
+          message: 'No bank account connected'
+        });
+      }
+
+      await revokePlaidCredential(credential, {
+        actor: req.user._id,
+        reason: req.body?.reason || 'Disconnected by vendor'
+      });
+
+      vendor.financials.payoutDetails.bankAccount = undefined;
+      await vendor.save();
+
+      console.log('Bank account disconnected for vendor:', req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Bank account disconnected'
+      });
+    } catch (error) {
+      console.error('Error disconnecting bank account:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to disconnect bank account',
+        error: error.message
+      });
+    }
+  }
+);
+
 // Simulate a payout to vendor's bank account
 router.post('/simulate-payout',
   requireAuth,
@@ -313,7 +372,8 @@ router.post('/simulate-payout',
         });
       }
 
-      const { amount, description = 'ArtisanMarket Payout' } = req.body;
+      const { description = 'ArtisanMarket Payout' } = req.body;
+      const amount = parseFloat(req.body.amount);
 
       const vendor = await Vendor.findOne({ user: req.user.id });
       if (!vendor) {
@@ -323,26 +383,39 @@ router.post('/simulate-payout',
         });
       }
 
-      if (!vendor.payoutDetails?.plaid?.accessToken) {
-        return res.status(400).json({
-          success: false,
-          message: 'No bank account connected. Please set up a bank account first.'
-        });
-      }
+      // Fails with a 400 if no bank account is connected
+      const { credential, accessToken } = await usePlaidAccessToken(vendor._id, {
+        purpose: 'Vendor payout',
+        actor: req.user._id
+      });
 
-      // Check if vendor has sufficient balance
-      if (vendor.financials.balance < amount) {
+      const vendorBalance = await VendorBalance.findOne({ vendor: vendor._id });
+      if (!vendorBalance) {
         return res.status(400).json({
           success: false,
           message: 'Insufficient balance for payout'
         });
       }
 
+      // Create the payout record; this takes the amount out of the
+      // available balance and fails if there is not enough
+      const payout = await Payout.request({
+        vendorBalance,
+        amount,
+        description,
+        provider: 'plaid',
+        destination: {
+          bankName: vendor.financials.payoutDetails?.bankAccount?.bankName,
+          accountHolderName: vendor.financials.payoutDetails?.bankAccount?.accountHolderName,
+          mask: vendor.financials.payoutDetails?.bankAccount?.accountNumber?.slice(-4)
+        }
+      });
+
       try {
         // Create a transfer using Plaid
         const transferResponse = await plaidClient.transferCreate({
-          access_token: vendor.payoutDetails?.plaid.accessToken,
-          account_id: vendor.payoutDetails?.plaid.accountId,
+          access_token: accessToken,
+          account_id: credential.accountId,
           authorization_id: 'auth_placeholder', // In real implementation, you'd create this first
           type: 'debit',
           network: 'ach',
@@ -362,16 +435,17 @@ router.post('/simulate-payout',
           }
         });
 
-        // Update vendor balance
-        vendor.financials.balance -= amount;
-        vendor.financials.totalEarnings += amount;
-        await vendor.save();
+        // The payout stays processing until the transfer settles
+        await payout.transitionTo('processing', {
+          providerTransferId: transferResponse.data.transfer.id
+        });
 
-        console.log('Payout simulated successfully for vendor:', req.user.id, 'Amount:', amount);
+        console.log('Payout initiated for vendor:', req.user.id, 'Payout:', payout.payoutNumber, 'Amount:', amount);
 
-        res.json({
+        res.status(201).json({
           success: true,
           message: 'Payout initiated successfully',
+          payout: payout.toSummary(),
           transfer: {
             id: transferResponse.data.transfer.id,
             amount: amount,
@@ -381,17 +455,17 @@ router.post('/simulate-payout',
         });
       } catch (plaidError) {
         console.error('Plaid transfer error:', plaidError);
-        
-        // For simulation purposes, we'll still update the balance even if Plaid fails
-        vendor.financials.balance -= amount;
-        vendor.financials.totalEarnings += amount;
-        await vendor.save();
 
-        res.json({
+        // For simulation purposes, the payout still proceeds with a simulated transfer ID
+        const simulatedTransferId = `sim_${Date.now()}`;
+        await payout.transitionTo('processing', { providerTransferId: simulatedTransferId });
+
+        res.status(201).json({
           success: true,
           message: 'Payout simulated successfully (Plaid integration in test mode)',
+          payout: payout.toSummary(),
           transfer: {
-            id: `sim_${Date.now()}`,
+            id: simulatedTransferId,
             amount: amount,
             status: 'pending',
             description: description
@@ -400,9 +474,9 @@ router.post('/simulate-payout',
       }
     } catch (error) {
       console.error('Error simulating payout:', error);
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
-        message: 'Failed to process payout',
+        message: error.statusCode ? error.message : 'Failed to process payout',
         error: error.message
       });
     }
@@ -430,15 +504,23 @@ router.get('/financial-summary',
         });
       }
 
+      // Balances come from the ledger, not the legacy copy on the vendor profile
+      const [balances, credential] = await Promise.all([
+        getVendorLedgerBalances(vendor._id),
+        findActivePlaidCredential(vendor._id)
+      ]);
+
       res.json({
         success: true,
                   financials: {
-            balance: vendor.financials.balance,
-            pendingBalance: vendor.financials.pendingBalance,
-            totalEarnings: vendor.financials.totalEarnings,
+            balance: balances.availableBalance,
+            pendingBalance: balances.pendingBalance,
+            inTransitBalance: balances.inTransitBalance,
+            totalEarnings: balances.totalEarnings,
+            totalPayouts: balances.totalPayouts,
             commissionRate: vendor.financials.commissionRate,
-            payoutMethod: vendor.payoutMethod,
-            isBankConnected: !!vendor.payoutDetails?.plaid?.accessToken
+            payoutMethod: vendor.financials.payoutMethod,
+            isBankConnected: !!credential
           }
       });
     } catch (error) {
@@ -1,11 +1,16 @@
 import express from 'express'
-import Vendor from '../models/Vendor.js'
+import Vendor, { PUBLIC_VENDOR_FIELDS } from '../models/Vendor.js'
 import User from '../models/User.js'
 import DeliveryProof from '../models/DeliveryProof.js'
+import { getStorefront } from '../utils/storefront.js'
+import { requiredDocumentKinds, removeVerificationDocument, submitForVerification } from '../utils/vendorVerification.js'
 import jwt from 'jsonwebtoken'
 
 const router = express.Router()
 
+// Fields only the platform sets; ignored when a vendor creates their profile
+const PROTECTED_PROFILE_FIELDS = ['user', 'verification', 'tier', 'financials', 'metrics', 'isActive', 'slug', 'previousSlugs', 'moderation']
+
 // Simple JWT auth middleware
 function requireAuth(req, res, next) {
   const authHeader = req.headers.authorization
@@ -30,7 +35,7 @@ router.get('/profile', requireAuth, async (req, res) => {
     if (!vendor) {
       return res.status(404).json({ success: false, message: 'Vendor profile not found' })
     }
-    res.json({ success: true, profile: vendor })
+    res.json({ success: true, profile: vendor.toOwnerView() })
   } catch (err) {
     res.status(500).json({ success: false, message: 'Server error' })
   }
@@ -45,7 +50,9 @@ router.put('/profile', requireAuth, async (req, res) => {
       // Create new vendor profile
       const user = await User.findById(userId)
       if (!user) return res.status(404).json({ success: false, message: 'User not found' })
-      vendor = new Vendor({ user: userId, contact: { email: user.email }, ...req.body })
+      const profile = { ...req.body }
+      PROTECTED_PROFILE_FIELDS.forEach(field => delete profile[field])
+      vendor = new Vendor({ contact: { email: user.email }, ...profile, user: userId })
     } else {
       // Update only the fields provided in req.body
       if (req.body.storeName !== undefined) vendor.storeName = req.body.storeName;
@@ -89,7 +96,7 @@ router.put('/profile', requireAuth, async (req, res) => {
       await user.save()
     }
     
-    res.json({ success: true, profile: vendor })
+    res.json({ success: true, profile: vendor.toOwnerView() })
   } catch (err) {
     console.error('Profile update error:', err)
     res.status(500).json({ success: false, message: 'Server error' })
@@ -167,16 +174,14 @@ router.get('/stats', requireAuth, async (req, res) => {
     });
 
     // Get pending orders count
-    const pendingOrders = await Order.countDocuments({
-      'items.vendor': vendor._id,
-      status: { $in: ['pending', 'processing', 'confirmed'] }
-    });
+    const pendingOrders = await Order.countDocuments(
+      Order.vendorQuery(vendor._id, { $in: ['pending', 'processing', 'confirmed'] })
+    );
 
     // Calculate total revenue from completed orders
-    const completedOrders = await Order.find({
-      'items.vendor': vendor._id,
-      status: { $in: ['delivered', 'completed'] }
-    });
+    const completedOrders = await Order.find(
+      Order.vendorQuery(vendor._id, { $in: ['delivered', 'completed'] })
+    );
 
     let totalRevenue = 0;
     completedOrders.forEach(order => {
@@ -213,11 +218,7 @@ router.get('/orders', requireAuth, async (req, res) => {
     const Order = (await import('../models/Order.js')).default;
     
     const { status, page = 1, limit = 10 } = req.query;
-    let query = { 'items.vendor': vendor._id };
-    
-    if (status && status !== 'all') {
-      query.status = status;
-    }
+    const query = Order.vendorQuery(vendor._id, status && status !== 'all' ? status : null);
     
     const skip = (parseInt(page) - 1) * parseInt(limit);
     const totalOrders = await Order.countDocuments(query);
@@ -225,14 +226,14 @@ router.get('/orders', requireAuth, async (req, res) => {
     const orders = await Order.find(query)
       .populate('customer', 'name email')
       .populate('items.product', 'title images price')
-      .populate('deliveryProof')
+      .populate('fulfillments.deliveryProof')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit));
 
     res.json({ 
       success: true, 
-      orders,
+      orders: orders.map(order => order.toVendorView(vendor._id)),
       pagination: {
         currentPage: parseInt(page),
         totalPages: Math.ceil(totalOrders / parseInt(limit)),
@@ -266,14 +267,14 @@ router.post('/orders/:orderId/delivery-proof', requireAuth, async (req, res) =>
     const Order = (await import('../models/Order.js')).default;
     const DeliveryProof = (await import('../models/DeliveryProof.js')).default;
 
-    // Verify order belongs to vendor and is in pending status
+    // Verify order belongs to vendor and the vendor's fulfillment is pending
     const order = await Order.findOne({ 
       _id: orderId, 
-      'items.vendor': vendor._id,
-      status: 'pending' // Only allow for pending orders
+      'items.vendor': vendor._id
     });
+    const fulfillment = order ? order.getFulfillment(vendor._id) : null;
 
-    if (!order) {
+    if (!order || !fulfillment || fulfillment.status !== 'pending') {
       return res.status(404).json({ 
         success: false, 
         message: 'Order not found, not associated with this vendor, or not in pending status' 
@@ -281,7 +282,7 @@ router.post('/orders/:orderId/delivery-proof', requireAuth, async (req, res) =>
     }
 
     // Check if delivery proof already exists
-    let existingProof = await DeliveryProof.findOne({ order: orderId });
+    let existingProof = await DeliveryProof.findOne({ order: orderId, vendor: vendor._id });
     
     if (existingProof) {
       // Check if within 15-minute window for re-upload
@@ -324,8 +325,9 @@ router.post('/orders/:orderId/delivery-proof', requireAuth, async (req, res) =>
 
       await deliveryProof.save();
 
-      // Update order with delivery proof (keep status as pending)
-      order.deliveryProof = deliveryProof._id;
+      // Attach the proof to this vendor's fulfillment (keep status as pending)
+      fulfillment.deliveryProof = deliveryProof._id;
+      order.syncFromFulfillments();
       // Status remains 'pending' - no automatic change to processing
       
       // Ensure escrowAmount is set if missing (for backward compatibility)
@@ -347,6 +349,76 @@ router.post('/orders/:orderId/delivery-proof', requireAuth, async (req, res) =>
   }
 });
 
+// PATCH /orders/:orderId/tracking - add tracking to the vendor's fulfillment
+router.patch('/orders/:orderId/tracking', requireAuth, async (req, res) => {
+  try {
+    const vendor = await Vendor.findOne({ user: req.user.userId });
+    if (!vendor) {
+      return res.status(404).json({ success: false, message: 'Vendor profile not found' });
+    }
+
+    const { trackingNumber, trackingUrl } = req.body;
+    if (!trackingNumber) {
+      return res.status(400).json({ success: false, message: 'Tracking number is required' });
+    }
+
+    const Order = (await import('../models/Order.js')).default;
+    const order = await Order.findOne({ _id: req.params.orderId, 'items.vendor': vendor._id });
+    const fulfillment = order ? order.getFulfillment(vendor._id) : null;
+    if (!fulfillment) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+
+    if (['cancelled', 'delivered'].includes(fulfillment.status)) {
+      return res.status(400).json({ success: false, message: `Cannot add tracking to a ${fulfillment.status} fulfillment` });
+    }
+
+    await order.addTracking(trackingNumber, trackingUrl, {
+      role: 'vendor',
+      actor: req.user.userId,
+      vendorId: vendor._id
+    });
+
+    res.json({ success: true, message: 'Tracking information updated successfully', order: order.toVendorView(vendor._id) });
+  } catch (err) {
+    console.error('Vendor tracking update error:', err);
+    res.status(err.statusCode || 500).json({ success: false, message: err.statusCode ? err.message : 'Server error' });
+  }
+});
+
+// PATCH /orders/:orderId/cancel - cancel the vendor's fulfillment and restock its items
+router.patch('/orders/:orderId/cancel', requireAuth, async (req, res) => {
+  try {
+    const vendor = await Vendor.findOne({ user: req.user.userId });
+    if (!vendor) {
+      return res.status(404).json({ success: false, message: 'Vendor profile not found' });
+    }
+
+    const Order = (await import('../models/Order.js')).default;
+
+    const order = await Order.findOne({ _id: req.params.orderId, 'items.vendor': vendor._id });
+    const fulfillment = order ? order.getFulfillment(vendor._id) : null;
+    if (!fulfillment) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+
+    if (!['pending', 'processing'].includes(fulfillment.status)) {
+      return res.status(400).json({ success: false, message: 'Fulfillment cannot be cancelled at this stage' });
+    }
+
+    await order.cancelFulfillment(vendor._id, {
+      role: 'vendor',
+      actor: req.user.userId,
+      reason: req.body.reason || 'Cancelled by vendor'
+    });
+
+    res.json({ success: true, message: 'Fulfillment cancelled successfully', order: order.toVendorView(vendor._id) });
+  } catch (err) {
+    console.error('Vendor cancel fulfillment error:', err);
+    res.status(err.statusCode || 500).json({ success: false, message: err.statusCode ? err.message : 'Server error' });
+  }
+});
+
 // GET /delivery-proofs - get delivery proofs for current vendor
 router.get('/delivery-proofs', requireAuth, async (req, res) => {
   try {
@@ -367,14 +439,101 @@ router.get('/delivery-proofs', requireAuth, async (req, res) => {
   }
 });
 
+// GET /verification - verification status and documents for the current vendor
+router.get('/verification', requireAuth, async (req, res) => {
+  try {
+    const vendor = await Vendor.findOne({ user: req.user.userId }).select('business.type verification')
+    if (!vendor) {
+      return res.status(404).json({ success: false, message: 'Vendor profile not found' })
+    }
+    const { status, submittedAt, reviewedAt, rejectionReason, infoRequest, documents, history } = vendor.verification
+    res.json({
+      success: true,
+      verification: {
+        status,
+        submittedAt,
+        reviewedAt,
+        rejectionReason,
+        infoRequest,
+        requiredDocumentKinds: requiredDocumentKinds(vendor),
+        documents: documents.map(({ _id, kind, description, fileName, mimeType, size, uploadedAt }) => ({ _id, kind, description, fileName, mimeType, size, uploadedAt })),
+        history: history.map(({ status, note, actorRole, at }) => ({ status, note, actorRole, at }))
+      }
+    })
+  } catch (err) {
+    console.error('Verification status error:', err)
+    res.status(500).json({ success: false, message: 'Server error' })
+  }
+})
+
+// DELETE /verification/documents/:documentId - remove an uploaded document before submitting
+router.delete('/verification/documents/:documentId', requireAuth, async (req, res) => {
+  try {
+    const vendor = await Vendor.findOne({ user: req.user.userId })
+    if (!vendor) {
+      return res.status(404).json({ success: false, message: 'Vendor profile not found' })
+    }
+    const document = await removeVerificationDocument(vendor, req.params.documentId)
+    if (!document) {
+      return res.status(404).json({ success: false, message: 'Document not found' })
+    }
+    res.json({ success: true, message: 'Document removed' })
+  } catch (err) {
+    console.error('Verification document removal error:', err)
+    res.status(err.statusCode || 500).json({ success: false, message: err.statusCode ? err.message : 'Server error' })
+  }
+})
+
+// POST /verification/submit - send documents to the admin review queue
+router.post('/verification/submit', requireAuth, async (req, res) => {
+  try {
+    const vendor = await Vendor.findOne({ user: req.user.userId })
+    if (!vendor) {
+      return res.status(404).json({ success: false, message: 'Vendor profile not found' })
+    }
+    await submitForVerification(vendor, { note: req.body.note, actor: req.user.userId })
+    res.json({
+      success: true,
+      message: 'Submitted for review',
+      verification: { status: vendor.verification.status, submittedAt: vendor.verification.submittedAt }
+    })
+  } catch (err) {
+    console.error('Verification submit error:', err)
+    res.status(err.statusCode || 500).json({ success: false, message: err.statusCode ? err.message : 'Server error' })
+  }
+})
+
+// Public GET /storefront/:slugOrId - store profile, products, reviews and categories in one call.
+// Stores can be addressed by slug or ID; slugs from before a rename redirect to the current one.
+router.get('/storefront/:slugOrId', async (req, res) => {
+  try {
+    const { slugOrId } = req.params
+    const vendor = await Vendor.findBySlugOrId(slugOrId, `${PUBLIC_VENDOR_FIELDS} previousSlugs`)
+    if (!vendor || !vendor.isActive) {
+      return res.status(404).json({ success: false, message: 'Store not found' })
+    }
+
+    if (vendor.previousSlugs.includes(slugOrId.toLowerCase()) && vendor.slug) {
+      const queryString = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?')) : ''
+      return res.redirect(301, `${req.baseUrl}/storefront/${vendor.slug}${queryString}`)
+    }
+
+    const storefront = await getStorefront(vendor, req.query)
+    res.json({ success: true, ...storefront })
+  } catch (err) {
+    console.error('Storefront error:', err)
+    res.status(500).json({ success: false, message: 'Server error' })
+  }
+})
+
 // Public GET /public/:vendorId - get vendor profile by vendor ID
 router.get('/public/:vendorId', async (req, res) => {
   try {
-    const vendor = await Vendor.findById(req.params.vendorId)
+    const vendor = await Vendor.findById(req.params.vendorId).select(PUBLIC_VENDOR_FIELDS)
     if (!vendor) {
       return res.status(404).json({ success: false, message: 'Vendor not found' })
     }
-    res.json({ success: true, profile: vendor })
+    res.json({ success: true, profile: vendor.toPublicProfile() })
   } catch (err) {
     res.status(500).json({ success: false, message: 'Server error' })
   }
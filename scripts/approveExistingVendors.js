@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+/**
+ * Vendor Verification Rollout
+ * Vendors who were selling before verification existed default to
+ * 'pending', which stops them publishing listings or taking orders. This
+ * approves every vendor created before the cutoff that has never been
+ * through verification. Run it when verification is deployed; vendors who
+ * sign up afterwards go through the normal review.
+ *
+ * Usage: node scripts/approveExistingVendors.js [--before=YYYY-MM-DD] [--dry-run]
+ */
+
+import 'dotenv/config'
+import mongoose from 'mongoose'
+import Vendor from '../models/Vendor.js'
+
+const DRY_RUN = process.argv.includes('--dry-run')
+const BEFORE_ARG = process.argv.find(arg => arg.startsWith('--before='))
+
+async function main() {
+  if (!process.env.MONGODB_URI) {
+    throw new Error('MONGODB_URI environment variable is not defined')
+  }
+
+  const before = BEFORE_ARG ? new Date(BEFORE_ARG.slice('--before='.length)) : new Date()
+  if (Number.isNaN(before.getTime())) {
+    throw new Error(`Invalid --before date: ${BEFORE_ARG}`)
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI)
+  console.log(`🔄 Approving vendors created before ${before.toISOString()}${DRY_RUN ? ' (dry run)' : ''}...`)
+
+  // Never submitted and never reviewed: these predate verification
+  const filter = {
+    createdAt: { $lt: before },
+    'verification.status': { $in: [null, 'pending'] },
+    'verification.history.0': { $exists: false }
+  }
+
+  const vendors = await Vendor.find(filter).select('storeName')
+  for (const vendor of vendors) {
+    console.log(`   ${vendor.storeName || vendor._id}`)
+  }
+
+  if (!DRY_RUN && vendors.length > 0) {
+    const now = new Date()
+    await Vendor.updateMany(
+      { ...filter, _id: { $in: vendors.map(vendor => vendor._id) } },
+      {
+        $set: { 'verification.status': 'approved', 'verification.reviewedAt': now },
+        $push: { 'verification.history': { status: 'approved', note: 'Approved when vendor verification was introduced', at: now } }
+      }
+    )
+  }
+
+  console.log(`✅ ${vendors.length} existing vendor(s) approved`)
+  if (DRY_RUN) console.log('📝 Dry run: nothing was written')
+}
+
+main()
+  .catch(error => {
+    console.error('❌ Vendor approval failed:', error)
+    process.exitCode = 1
+  })
+  .finally(() => mongoose.disconnect())
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+
+/**
+ * Vendor Slug Backfill
+ * Gives every store that has a name but no storefront slug one, generated
+ * the same way as on save. New and renamed stores get slugs automatically.
+ *
+ * Usage: node scripts/backfillVendorSlugs.js [--dry-run]
+ */
+
+import 'dotenv/config'
+import mongoose from 'mongoose'
+import Vendor from '../models/Vendor.js'
+import { slugify } from '../utils/slugify.js'
+
+const DRY_RUN = process.argv.includes('--dry-run')
+
+async function main() {
+  if (!process.env.MONGODB_URI) {
+    throw new Error('MONGODB_URI environment variable is not defined')
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI)
+  console.log(`🔄 Generating storefront slugs${DRY_RUN ? ' (dry run)' : ''}...`)
+
+  const cursor = Vendor.find({ slug: { $in: [null, ''] }, storeName: { $nin: [null, ''] } })
+    .select('storeName')
+    .sort({ createdAt: 1 })
+    .cursor()
+
+  let generated = 0
+  let skipped = 0
+  for await (const vendor of cursor) {
+    const base = slugify(vendor.storeName)
+    if (!base) {
+      skipped++
+      continue
+    }
+
+    // Oldest stores claim a name first; later ones get a numbered suffix
+    const slug = await Vendor.availableSlug(base, vendor._id)
+    if (!DRY_RUN) await Vendor.updateOne({ _id: vendor._id }, { slug })
+    console.log(`   ${vendor.storeName} → ${slug}`)
+    generated++
+  }
+
+  console.log(`✅ ${generated} slug(s) generated, ${skipped} store name(s) with nothing to slugify`)
+  if (DRY_RUN) console.log('📝 Dry run: nothing was written')
+}
+
+main()
+  .catch(error => {
+    console.error('❌ Slug backfill failed:', error)
+    process.exitCode = 1
+  })
+  .finally(() => mongoose.disconnect())
@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+
+/**
+ * Category Migration
+ * Creates the category tree from the categories that used to be hard-coded
+ * on the product model, plus any other category found on a listing. Each
+ * free-text `subcategory` on a listing becomes a child of the listing's
+ * first category; the listing is added to it and `subcategory` removed.
+ * Categories that already exist are left as they are, so the script can be
+ * run again safely.
+ *
+ * Usage: node scripts/migrateCategories.js [--dry-run]
+ */
+
+import 'dotenv/config'
+import mongoose from 'mongoose'
+import Category from '../models/Category.js'
+import { slugify } from '../utils/slugify.js'
+
+const DRY_RUN = process.argv.includes('--dry-run')
+
+// The former product category enum, in its original order
+const LEGACY_CATEGORIES = [
+  { slug: 'ceramics', name: 'Ceramics' },
+  { slug: 'textiles', name: 'Textiles' },
+  { slug: 'jewelry', name: 'Jewelry' },
+  { slug: 'leather-goods', name: 'Leather Goods' },
+  { slug: 'woodwork', name: 'Woodwork' },
+  { slug: 'metalwork', name: 'Metalwork' },
+  { slug: 'glass', name: 'Glass' },
+  { slug: 'paintings', name: 'Paintings' },
+  { slug: 'sculptures', name: 'Sculptures' },
+  { slug: 'home-decor', name: 'Home Decor' },
+  { slug: 'accessories', name: 'Accessories' },
+  { slug: 'toys', name: 'Toys' },
+  { slug: 'other', name: 'Other' }
+]
+
+// Starting attribute templates; optional so existing listings stay valid
+const STARTER_ATTRIBUTES = {
+  ceramics: [
+    { key: 'glaze', label: 'Glaze', type: 'text' },
+    { key: 'kiln_type', label: 'Kiln type', type: 'select', options: ['Electric', 'Gas', 'Wood', 'Raku', 'Pit'] },
+    { key: 'food_safe', label: 'Food safe', type: 'boolean' }
+  ]
+}
+
+/**
+ * 'leather-goods' -> 'Leather Goods'
+ */
+function nameFromSlug(slug) {
+  return slug.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ')
+}
+
+async function main() {
+  if (!process.env.MONGODB_URI) {
+    throw new Error('MONGODB_URI environment variable is not defined')
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI)
+  console.log(`🔄 Migrating product categories${DRY_RUN ? ' (dry run)' : ''}...`)
+
+  const products = mongoose.connection.db.collection('products')
+  const existing = new Map((await Category.find().lean()).map(category => [category.slug, category]))
+  let created = 0
+
+  /**
+   * Create a category unless its slug is taken; returns the category either way
+   */
+  async function ensureCategory(fields, parent = null) {
+    if (existing.has(fields.slug)) return existing.get(fields.slug)
+
+    const category = new Category({
+      ...fields,
+      parent: parent?._id || null,
+      ancestors: parent ? [...parent.ancestors, parent._id] : []
+    })
+    await category.validate()
+    if (!DRY_RUN) await category.save()
+
+    existing.set(category.slug, category.toObject())
+    created++
+    console.log(`➕ ${parent ? `${parent.slug} > ` : ''}${category.slug}`)
+    return existing.get(category.slug)
+  }
+
+  // Top-level categories: the old enum, then anything else listings use
+  for (const [index, legacy] of LEGACY_CATEGORIES.entries()) {
+    await ensureCategory({ ...legacy, sortOrder: index, attributes: STARTER_ATTRIBUTES[legacy.slug] || [] })
+  }
+  const used = (await products.distinct('categories')).filter(slug => typeof slug === 'string' && slug)
+  for (const slug of used) {
+    await ensureCategory({ slug, name: nameFromSlug(slug), sortOrder: LEGACY_CATEGORIES.length })
+  }
+
+  // Subcategories: one child per distinct subcategory under each first category
+  const groups = await products.aggregate([
+    { $match: { subcategory: { $type: 'string', $ne: '' } } },
+    {
+      $group: {
+        _id: { parent: { $arrayElemAt: ['$categories', 0] }, name: { $trim: { input: '$subcategory' } } },
+        ids: { $push: '$_id' }
+      }
+    }
+  ]).toArray()
+
+  let moved = 0
+  const manual = []
+  for (const { _id: { parent: parentSlug, name }, ids } of groups) {
+    const parent = parentSlug && existing.get(parentSlug)
+    const base = slugify(name)
+    if (!parent || !base) {
+      manual.push(`${ids.length} listing(s) with subcategory "${name}" have no usable category`)
+      continue
+    }
+
+    // A slug taken elsewhere in the tree gets the parent's slug in front
+    const taken = existing.get(base)
+    const slug = taken && String(taken.parent) !== String(parent._id) ? `${parent.slug}-${base}` : base
+    const clash = existing.get(slug)
+    if (clash && String(clash.parent) !== String(parent._id)) {
+      manual.push(`${ids.length} listing(s) with subcategory "${name}": slug "${slug}" is already used`)
+      continue
+    }
+    const child = await ensureCategory({ slug, name }, parent)
+
+    if (!DRY_RUN) {
+      await products.updateMany(
+        { _id: { $in: ids } },
+        { $addToSet: { categories: child.slug }, $unset: { subcategory: '' } }
+      )
+    }
+    moved += ids.length
+  }
+
+  if (!DRY_RUN) {
+    await products.updateMany({ subcategory: { $exists: true, $in: ['', null] } }, { $unset: { subcategory: '' } })
+  }
+
+  console.log(`✅ ${created} categor${created === 1 ? 'y' : 'ies'} created, ${moved} listing(s) moved into subcategories`)
+  manual.forEach(line => console.warn(`⚠️ ${line}`))
+  if (DRY_RUN) console.log('📝 Dry run: nothing was written')
+}
+
+main()
+  .catch(error => {
+    console.error('❌ Category migration failed:', error)
+    process.exitCode = 1
+  })
+  .finally(() => mongoose.disconnect())
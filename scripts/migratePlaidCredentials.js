@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+
+/**
+ * Plaid Credential Migration
+ * Moves Plaid access tokens stored in plain text on vendor profiles
+ * (store_profiles) into the encrypted PlaidCredential store, then removes
+ * them from the profiles.
+ *
+ * Usage: node scripts/migratePlaidCredentials.js [--dry-run]
+ */
+
+import 'dotenv/config'
+import mongoose from 'mongoose'
+import PlaidCredential from '../models/PlaidCredential.js'
+import CredentialAccessLog from '../models/CredentialAccessLog.js'
+import { encrypt, encryptionStatus, isEncrypted } from '../utils/encryption.js'
+
+const DRY_RUN = process.argv.includes('--dry-run')
+
+// Where older code left the token: the schema path, and the top-level path
+// some routes wrote to
+const TOKEN_PATHS = ['financials.payoutDetails.plaid', 'payoutDetails.plaid']
+
+function plaidAt(doc, path) {
+  return path.split('.').reduce((value, key) => value?.[key], doc)
+}
+
+async function main() {
+  const status = encryptionStatus()
+  if (!status.configured) {
+    throw new Error(`Encryption is not configured: ${status.error}`)
+  }
+  if (!process.env.MONGODB_URI) {
+    throw new Error('MONGODB_URI environment variable is not defined')
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI)
+  console.log(`🔄 Moving Plaid access tokens off vendor profiles${DRY_RUN ? ' (dry run)' : ''}...`)
+
+  const profiles = mongoose.connection.db.collection('store_profiles')
+  const filter = { $or: TOKEN_PATHS.map(path => ({ [`${path}.accessToken`]: { $exists: true } })) }
+  const counts = { moved: 0, alreadyStored: 0, cleared: 0 }
+
+  for await (const vendor of profiles.find(filter)) {
+    const plaid = TOKEN_PATHS.map(path => plaidAt(vendor, path)).find(p => p?.accessToken)
+
+    if (plaid) {
+      const existing = await PlaidCredential.exists({ vendor: vendor._id, status: 'active' })
+      if (existing) {
+        counts.alreadyStored++
+      } else {
+        if (!DRY_RUN) {
+          const credential = await PlaidCredential.create({
+            vendor: vendor._id,
+            user: vendor.user,
+            itemId: plaid.itemId || 'unknown',
+            accountId: plaid.accountId,
+            accessToken: isEncrypted(plaid.accessToken) ? plaid.accessToken : encrypt(plaid.accessToken),
+            lastSync: plaid.lastSync
+          })
+          await CredentialAccessLog.create({
+            credential: credential._id,
+            vendor: vendor._id,
+            action: 'create',
+            purpose: 'Migrated from vendor profile'
+          })
+        }
+        counts.moved++
+      }
+    }
+
+    if (!DRY_RUN) {
+      await profiles.updateOne(
+        { _id: vendor._id },
+        { $unset: Object.fromEntries(TOKEN_PATHS.map(path => [`${path}.accessToken`, ''])) }
+      )
+    }
+    counts.cleared++
+  }
+
+  console.log(`✅ ${counts.moved} token(s) moved, ${counts.alreadyStored} already in the store, ${counts.cleared} profile(s) cleared`)
+  if (DRY_RUN) console.log('📝 Dry run: nothing was written')
+}
+
+main()
+  .catch(error => {
+    console.error('❌ Plaid credential migration failed:', error)
+    process.exitCode = 1
+  })
+  .finally(() => mongoose.disconnect())
@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+
+/**
+ * Product Variant Migration
+ * Converts the old flat variant list ({ name, value, price, inventory })
+ * into an option type with one SKU per value. Variant IDs are kept so
+ * existing orders still point at the right SKU. Products whose old variants
+ * use more than one name (e.g. both Size and Color) cannot be combined
+ * automatically and are listed for the vendor to set up by hand.
+ *
+ * Usage: node scripts/migrateProductVariants.js [--dry-run]
+ */
+
+import 'dotenv/config'
+import mongoose from 'mongoose'
+import { generateSku } from '../models/Product.js'
+
+const DRY_RUN = process.argv.includes('--dry-run')
+
+/**
+ * Build the new options and variants for a product, or explain why not
+ */
+function convert(product) {
+  const names = [...new Set(product.variants.map(variant => variant.name))]
+  if (names.length !== 1) {
+    return { error: `variants use ${names.length} option names (${names.join(', ')})` }
+  }
+
+  const values = product.variants.map(variant => variant.value)
+  if (new Set(values).size !== values.length) {
+    return { error: `duplicate values for ${names[0]}` }
+  }
+
+  const variants = product.variants.map(variant => ({
+    _id: variant._id,
+    sku: generateSku(product._id, [variant.value]),
+    options: [{ name: names[0], value: variant.value }],
+    ...(typeof variant.price === 'number' && { price: variant.price }),
+    inventory: { quantity: Math.max(variant.inventory || 0, 0) },
+    images: [],
+    isActive: true
+  }))
+
+  return {
+    options: [{ name: names[0], values }],
+    variants,
+    quantity: variants.reduce((sum, variant) => sum + variant.inventory.quantity, 0)
+  }
+}
+
+async function main() {
+  if (!process.env.MONGODB_URI) {
+    throw new Error('MONGODB_URI environment variable is not defined')
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI)
+  console.log(`🔄 Converting product variants to SKUs${DRY_RUN ? ' (dry run)' : ''}...`)
+
+  const products = mongoose.connection.db.collection('products')
+  const cursor = products.find(
+    { 'variants.name': { $exists: true } },
+    { projection: { title: 1, variants: 1 } }
+  )
+
+  let converted = 0
+  const manual = []
+  for await (const product of cursor) {
+    const result = convert(product)
+    if (result.error) {
+      manual.push(`${product._id} "${product.title}": ${result.error}`)
+      continue
+    }
+
+    if (!DRY_RUN) {
+      await products.updateOne(
+        { _id: product._id },
+        { $set: { options: result.options, variants: result.variants, 'inventory.quantity': result.quantity } }
+      )
+    }
+    converted++
+  }
+
+  console.log(`✅ ${converted} product(s) converted, ${manual.length} need setting up by hand`)
+  manual.forEach(line => console.warn(`⚠️ ${line}`))
+  if (DRY_RUN) console.log('📝 Dry run: nothing was written')
+}
+
+main()
+  .catch(error => {
+    console.error('❌ Product variant migration failed:', error)
+    process.exitCode = 1
+  })
+  .finally(() => mongoose.disconnect())
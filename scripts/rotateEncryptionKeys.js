@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+
+/**
+ * Encryption Key Rotation
+ * Re-encrypts every stored secret with the current key (BANK_ENCRYPTION_KEY_ID)
+ * using AES-256-GCM. Older keys must stay in BANK_ENCRYPTION_KEYS until this
+ * has run; after that they can be removed.
+ *
+ * Usage: node scripts/rotateEncryptionKeys.js [--dry-run]
+ */
+
+import 'dotenv/config'
+import mongoose from 'mongoose'
+import { encryptionStatus, isEncrypted, needsReencryption, reencrypt } from '../utils/encryption.js'
+
+const DRY_RUN = process.argv.includes('--dry-run')
+const BATCH_SIZE = 500
+
+// Encrypted fields, by collection
+const TARGETS = [
+  // Card fields left over until scripts/scrubPaymentData.js has run
+  { collection: 'bankaccounts', fields: ['cardNumber', 'expiryMonth', 'expiryYear', 'cvv'] },
+  { collection: 'plaidcredentials', fields: ['accessToken'] }
+]
+
+/**
+ * Read a dotted path from a raw document
+ */
+function valueAt(doc, path) {
+  return path.split('.').reduce((value, key) => value?.[key], doc)
+}
+
+/**
+ * Re-encrypt the given fields on every document in a collection, in batches
+ */
+async function rotateCollection(collection, fields) {
+  const filter = { $or: fields.map(field => ({ [field]: { $type: 'string' } })) }
+  const projection = Object.fromEntries(fields.map(field => [field, 1]))
+  const cursor = collection.find(filter, { projection })
+
+  const counts = { rotated: 0, current: 0, plaintext: 0, failed: 0 }
+  let operations = []
+
+  const flush = async () => {
+    if (operations.length === 0) return
+    if (!DRY_RUN) await collection.bulkWrite(operations, { ordered: false })
+    operations = []
+  }
+
+  for await (const doc of cursor) {
+    const $set = {}
+
+    for (const field of fields) {
+      const value = valueAt(doc, field)
+      if (typeof value !== 'string') continue
+
+      if (!isEncrypted(value)) {
+        counts.plaintext++
+      } else if (!needsReencryption(value)) {
+        counts.current++
+      } else {
+        try {
+          $set[field] = reencrypt(value)
+          counts.rotated++
+        } catch (error) {
+          console.error(`❌ ${collection.collectionName} ${doc._id} ${field}: ${error.message}`)
+          counts.failed++
+        }
+      }
+    }
+
+    if (Object.keys($set).length > 0) {
+      operations.push({ updateOne: { filter: { _id: doc._id }, update: { $set } } })
+      if (operations.length >= BATCH_SIZE) await flush()
+    }
+  }
+  await flush()
+
+  return counts
+}
+
+async function main() {
+  const status = encryptionStatus()
+  if (!status.configured) {
+    throw new Error(`Encryption is not configured: ${status.error}`)
+  }
+  if (!process.env.MONGODB_URI) {
+    throw new Error('MONGODB_URI environment variable is not defined')
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI)
+  console.log(`🔄 Re-encrypting with key ${status.currentKeyId} (keyring: ${status.keyIds.join(', ')})${DRY_RUN ? ' (dry run)' : ''}...`)
+
+  let failed = 0
+  for (const { collection, fields } of TARGETS) {
+    const counts = await rotateCollection(mongoose.connection.db.collection(collection), fields)
+    failed += counts.failed
+    console.log(`✅ ${collection}: ${counts.rotated} rotated, ${counts.current} already current, ${counts.plaintext} not encrypted, ${counts.failed} failed`)
+  }
+
+  if (DRY_RUN) console.log('📝 Dry run: nothing was written')
+  if (failed > 0) {
+    console.warn(`⚠️ ${failed} value(s) could not be decrypted; keep the old keys until they are fixed`)
+    process.exitCode = 1
+  }
+}
+
+main()
+  .catch(error => {
+    console.error('❌ Key rotation failed:', error)
+    process.exitCode = 1
+  })
+  .finally(() => mongoose.disconnect())
@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+
+/**
+ * Payment Data Scrub
+ * Removes card numbers, CVVs and encrypted expiry dates stored before the
+ * payment method vault. Bank accounts and orders keep only the card brand,
+ * last four digits and expiry needed for display.
+ *
+ * Usage: node scripts/scrubPaymentData.js [--dry-run]
+ */
+
+import 'dotenv/config'
+import mongoose from 'mongoose'
+import { detectCardBrand } from '../utils/paymentVault.js'
+import { decrypt, encryptionStatus } from '../utils/encryption.js'
+
+const DRY_RUN = process.argv.includes('--dry-run')
+const BATCH_SIZE = 500
+
+// Bank account card fields were encrypted; they can only be read with the keys
+const canDecrypt = encryptionStatus().keyIds.length > 0
+if (!canDecrypt) {
+  console.warn('⚠️ No encryption keys set: bank account cards will be scrubbed without keeping last4 or expiry')
+}
+
+/**
+ * Decrypt a stored value, or null if it cannot be read
+ */
+function tryDecrypt(value) {
+  if (!canDecrypt || !value) return null
+  try {
+    return decrypt(value)
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Display fields recoverable from a full card number
+ */
+function cardDisplay(cardNumber) {
+  const digits = String(cardNumber || '').replace(/\D/g, '')
+  if (digits.length < 4) return {}
+  return { brand: detectCardBrand(digits), last4: digits.slice(-4) }
+}
+
+/**
+ * Run an update for every document matching the filter, in batches
+ */
+async function scrubCollection(collection, filter, buildUpdate) {
+  const cursor = collection.find(filter)
+  let operations = []
+  let scrubbed = 0
+
+  const flush = async () => {
+    if (operations.length === 0) return
+    if (!DRY_RUN) await collection.bulkWrite(operations, { ordered: false })
+    scrubbed += operations.length
+    operations = []
+  }
+
+  for await (const doc of cursor) {
+    operations.push({ updateOne: { filter: { _id: doc._id }, update: buildUpdate(doc) } })
+    if (operations.length >= BATCH_SIZE) await flush()
+  }
+  await flush()
+
+  return scrubbed
+}
+
+function bankAccountUpdate(account) {
+  const $set = { ...cardDisplay(tryDecrypt(account.cardNumber)) }
+
+  const expMonth = parseInt(tryDecrypt(account.expiryMonth))
+  let expYear = parseInt(tryDecrypt(account.expiryYear))
+  if (expYear < 100) expYear += 2000
+  if (expMonth >= 1 && expMonth <= 12) $set.expMonth = expMonth
+  if (expYear) $set.expYear = expYear
+
+  const update = { $unset: { cardNumber: '', cvv: '', expiryMonth: '', expiryYear: '' } }
+  if (Object.keys($set).length > 0) update.$set = $set
+  return update
+}
+
+function orderUpdate(order) {
+  const { cardNumber, brand, last4 } = order.paymentMethod
+  const display = cardDisplay(cardNumber)
+
+  const $set = {}
+  if (!last4 && display.last4) $set['paymentMethod.last4'] = display.last4
+  if (!brand && display.brand) $set['paymentMethod.brand'] = display.brand
+
+  const update = { $unset: { 'paymentMethod.cardNumber': '', 'paymentMethod.cvv': '' } }
+  if (Object.keys($set).length > 0) update.$set = $set
+  return update
+}
+
+async function main() {
+  if (!process.env.MONGODB_URI) {
+    throw new Error('MONGODB_URI environment variable is not defined')
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI)
+  console.log(`🔄 Scrubbing stored card data${DRY_RUN ? ' (dry run)' : ''}...`)
+
+  const db = mongoose.connection.db
+
+  const bankAccounts = await scrubCollection(
+    db.collection('bankaccounts'),
+    { $or: [{ cardNumber: { $exists: true } }, { cvv: { $exists: true } }, { expiryMonth: { $exists: true } }, { expiryYear: { $exists: true } }] },
+    bankAccountUpdate
+  )
+  console.log(`✅ Bank accounts scrubbed: ${bankAccounts}`)
+
+  const orders = await scrubCollection(
+    db.collection('orders'),
+    { $or: [{ 'paymentMethod.cardNumber': { $exists: true } }, { 'paymentMethod.cvv': { $exists: true } }] },
+    orderUpdate
+  )
+  console.log(`✅ Orders scrubbed: ${orders}`)
+
+  if (DRY_RUN) console.log('📝 Dry run: nothing was written')
+}
+
+main()
+  .catch(error => {
+    console.error('❌ Scrub failed:', error)
+    process.exitCode = 1
+  })
+  .finally(() => mongoose.disconnect())
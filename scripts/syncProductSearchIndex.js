@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+
+/**
+ * Product Search Index Sync
+ * MongoDB allows one text index per collection, so the weighted search index
+ * cannot be built while an older text index exists. This drops any other
+ * text index on products and builds the one defined in models/Product.js.
+ *
+ * Usage: node scripts/syncProductSearchIndex.js [--dry-run]
+ */
+
+import 'dotenv/config'
+import mongoose from 'mongoose'
+import Product from '../models/Product.js'
+
+const DRY_RUN = process.argv.includes('--dry-run')
+const INDEX_NAME = 'product_text_search'
+
+async function main() {
+  if (!process.env.MONGODB_URI) {
+    throw new Error('MONGODB_URI environment variable is not defined')
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI, { autoIndex: false })
+  console.log(`🔄 Syncing the product search index${DRY_RUN ? ' (dry run)' : ''}...`)
+
+  const indexes = await Product.collection.indexes()
+  const stale = indexes.filter(index => index.key._fts === 'text' && index.name !== INDEX_NAME)
+
+  for (const index of stale) {
+    console.log(`🗑️ Dropping text index ${index.name}`)
+    if (!DRY_RUN) await Product.collection.dropIndex(index.name)
+  }
+
+  if (indexes.some(index => index.name === INDEX_NAME)) {
+    console.log(`✅ ${INDEX_NAME} already exists`)
+  } else {
+    console.log(`🔨 Building ${INDEX_NAME}`)
+    if (!DRY_RUN) await Product.createIndexes()
+    console.log('✅ Search index built')
+  }
+
+  if (DRY_RUN) console.log('📝 Dry run: nothing was written')
+}
+
+main()
+  .catch(error => {
+    console.error('❌ Search index sync failed:', error)
+    process.exitCode = 1
+  })
+  .finally(() => mongoose.disconnect())
@@ -35,8 +35,16 @@ import vendorBalanceRoutes from './routes/vendorBalanceRoutes.js'
 import customerBalanceRoutes from './routes/customerBalanceRoutes.js'
 import customerRoutes from './routes/customerRoutes.js'
 import deliveryProofRoutes from './routes/deliveryProofRoutes.js'
+import returnRoutes from './routes/returnRoutes.js'
+import disputeRoutes from './routes/disputeRoutes.js'
+import paymentMethodRoutes from './routes/paymentMethodRoutes.js'
 import mockApiRoutes from './routes/mockApi.js'
 import keepAliveService from './utils/keepAliveService.js'
+import { releaseExpiredReservations } from './utils/inventory.js'
+import { checkLedgerConsistency } from './utils/ledger.js'
+import { releaseDueEscrow } from './utils/escrow.js'
+import { registerOrderLifecycleHooks } from './utils/orderLifecycle.js'
+import { encryptionStatus } from './utils/encryption.js'
 
 // Import middleware
 import { errorHandler } from './middleware/errorHandler.js'
@@ -160,6 +168,21 @@ try {
   stripeStatus = '❌ Failed'
 }
 
+// Encryption keys for stored bank and Plaid credentials. Set
+// BANK_ENCRYPTION_OPTIONAL=true to start without them; anything that
+// encrypts or decrypts then fails with a 503.
+const encryption = encryptionStatus()
+let encryptionStatusLabel = `✅ Key ${encryption.currentKeyId} (${encryption.keyIds.length} in keyring)`
+if (!encryption.configured) {
+  console.error(`❌ ${encryption.error}`)
+  console.error('📝 Generate a secure key: node -e "console.log(require(\'crypto\').randomBytes(32).toString(\'hex\'))"')
+  if (process.env.BANK_ENCRYPTION_OPTIONAL !== 'true') {
+    process.exit(1)
+  }
+  console.warn('⚠️ Continuing without encryption (BANK_ENCRYPTION_OPTIONAL=true)')
+  encryptionStatusLabel = '⚠️ Not configured'
+}
+
 // Create Express app
 const app = express()
 const server = createServer(app)
@@ -237,13 +260,13 @@ app.use((req, res, next) => {
   next()
 })
 
+// Raw body parsing for webhooks (must be before JSON parsing)
+app.use('/api/payments/webhook', express.raw({ type: 'application/json' }))
+
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }))
 app.use(express.urlencoded({ extended: true, limit: '10mb' }))
 
-// Raw body parsing for webhooks (must be before JSON parsing)
-app.use('/api/payments/webhook', express.raw({ type: 'application/json' }))
-
 // Compression middleware
 app.use(compression())
 
@@ -364,6 +387,12 @@ app.use('/api/vendor-balance', vendorBalanceRoutes)
 app.use('/api/customer-balance', customerBalanceRoutes)
 app.use('/api/customers', customerRoutes)
 app.use('/api/delivery-proof', deliveryProofRoutes)
+app.use('/api/returns', returnRoutes)
+app.use('/api/disputes', disputeRoutes)
+app.use('/api/payment-methods', paymentMethodRoutes)
+
+// Order status side effects (escrow release scheduling, vendor notifications)
+registerOrderLifecycleHooks()
 
 // Socket.IO connection handling
 io.on('connection', (socket) => {
@@ -456,6 +485,34 @@ setInterval(() => {
   }
 }, 5 * 60 * 1000) // Every 5 minutes
 
+// Release stock holds whose payment window has passed
+setInterval(() => {
+  if (mongoose.connection.readyState !== 1) return
+  releaseExpiredReservations().catch((error) => {
+    console.error('❌ Stock reservation sweep failed:', error)
+  })
+}, 60 * 1000) // Every minute
+
+// Release escrow whose post-delivery window has passed
+setInterval(() => {
+  if (mongoose.connection.readyState !== 1) return
+  releaseDueEscrow().catch((error) => {
+    console.error('❌ Escrow release sweep failed:', error)
+  })
+}, 15 * 60 * 1000) // Every 15 minutes
+
+// Flag stored balances that have drifted from the ledger
+setInterval(() => {
+  if (mongoose.connection.readyState !== 1) return
+  checkLedgerConsistency().then((report) => {
+    if (!report.consistent) {
+      console.warn(`⚠️ Ledger inconsistency: ${report.drift.length} drifted balance(s), ${report.unbalancedEntries.length} unbalanced entr(ies), debits ${report.totals.debits} vs credits ${report.totals.credits}`)
+    }
+  }).catch((error) => {
+    console.error('❌ Ledger consistency check failed:', error)
+  })
+}, 60 * 60 * 1000) // Every hour
+
 server.listen(PORT, () => {
   console.log('')
   console.log('🎉 ArtisanMarket Server Started Successfully!')
@@ -470,6 +527,7 @@ server.listen(PORT, () => {
   console.log(`   🔴 Redis: ${process.env.NODE_ENV === 'development' && !process.env.REDIS_URL ? '📝 Disabled (dev mode)' : '✅ Connected'}`)
   console.log(`   💳 Plaid: ${plaidStatus}`)
   console.log(`   💳 Stripe: ${stripeStatus}`)
+  console.log(`   🔐 Encryption: ${encryptionStatusLabel}`)
   console.log(`   🔌 Socket.IO: ✅ Ready`)
   console.log('')
   
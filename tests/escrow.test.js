@@ -0,0 +1,74 @@
+import Order from '../models/Order.js';
+import '../models/VendorBalance.js';
+import '../models/CustomerBalance.js';
+import { getVendorLedgerBalances } from '../utils/ledger.js';
+import { releaseDueEscrow, confirmReceipt } from '../utils/escrow.js';
+import { useMemoryMongo } from './helpers/memoryMongo.js';
+import { createOrder } from './helpers/fixtures.js';
+
+const db = useMemoryMongo();
+
+// Mark the only fulfillment delivered, with its release window already passed
+async function deliver(order) {
+  const fulfillment = order.fulfillments[0];
+  fulfillment.status = 'delivered';
+  fulfillment.deliveredAt = new Date(Date.now() - 60 * 1000);
+  fulfillment.escrowReleaseAt = new Date(Date.now() - 1000);
+  order.syncFromFulfillments();
+  return order.save();
+}
+
+describe('escrow release', () => {
+  beforeEach(() => db.reset());
+
+  test('a paid order moves the vendor share from pending to available, less commission', async () => {
+    const order = await deliver(await createOrder({ paymentStatus: 'completed', isPaid: true }));
+    const vendorId = order.fulfillments[0].vendor;
+    expect(await getVendorLedgerBalances(vendorId)).toMatchObject({ pendingBalance: 110, availableBalance: 0 });
+
+    await order.releaseEscrow(vendorId);
+
+    const { fee } = order.fulfillments[0].commission;
+    expect(order.fulfillments[0].escrowStatus).toBe('released');
+    expect(await getVendorLedgerBalances(vendorId)).toMatchObject({ pendingBalance: 0, availableBalance: 110 - fee });
+  });
+
+  test('releasing twice does not pay the vendor twice', async () => {
+    const order = await deliver(await createOrder({ paymentStatus: 'completed', isPaid: true }));
+    const vendorId = order.fulfillments[0].vendor;
+    await order.releaseEscrow(vendorId);
+    const afterFirst = await getVendorLedgerBalances(vendorId);
+
+    await expect(order.releaseEscrow(vendorId)).rejects.toMatchObject({ statusCode: 409 });
+    expect(await getVendorLedgerBalances(vendorId)).toEqual(afterFirst);
+  });
+
+  test('an unpaid order cannot be released', async () => {
+    const order = await deliver(await createOrder());
+    const vendorId = order.fulfillments[0].vendor;
+
+    await expect(order.releaseEscrow(vendorId)).rejects.toMatchObject({
+      statusCode: 409,
+      message: 'Escrow can only be released on a paid order'
+    });
+    expect(await getVendorLedgerBalances(vendorId)).toMatchObject({ pendingBalance: 0, availableBalance: 0 });
+    expect(db.docs('LedgerEntry')).toHaveLength(0);
+  });
+
+  test('the scheduled release only picks up paid orders', async () => {
+    const paid = await deliver(await createOrder({ paymentStatus: 'completed', isPaid: true }));
+    const unpaid = await deliver(await createOrder());
+
+    expect(await releaseDueEscrow()).toBe(1);
+    expect((await Order.findById(paid._id)).fulfillments[0].escrowStatus).toBe('released');
+    expect((await Order.findById(unpaid._id)).fulfillments[0].escrowStatus).toBe('held');
+    expect(await getVendorLedgerBalances(unpaid.fulfillments[0].vendor)).toMatchObject({ availableBalance: 0 });
+  });
+
+  test('receipt cannot be confirmed on an unpaid order', async () => {
+    const order = await deliver(await createOrder());
+
+    await expect(confirmReceipt(order, { actor: order.customer })).rejects.toMatchObject({ statusCode: 409 });
+    expect(order.fulfillments[0].escrowStatus).toBe('held');
+  });
+});
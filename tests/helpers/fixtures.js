@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+import Order from '../../models/Order.js';
+
+/**
+ * Save a one-vendor order: two units at 50.00, 10.00 shipping and 8.00 tax,
+ * so the total is 118.00 and the vendor's escrow is 110.00
+ * @param {Object} overrides - Order fields to set, e.g. { paymentStatus: 'completed' }
+ * @returns {Promise<Object>} - Saved Order document
+ */
+export async function createOrder(overrides = {}) {
+  const vendor = new mongoose.Types.ObjectId();
+
+  const order = new Order({
+    orderNumber: `ORD-TEST-${vendor.toString().slice(-8)}`,
+    customer: new mongoose.Types.ObjectId(),
+    items: [{ product: new mongoose.Types.ObjectId(), vendor, quantity: 2, price: 50 }],
+    shippingAddress: {
+      firstName: 'Ada',
+      lastName: 'Lovelace',
+      email: 'ada@example.com',
+      phone: '555-0100',
+      address: '1 Test Street',
+      city: 'London',
+      state: 'LDN',
+      zipCode: 'N1 1AA',
+      country: 'GB'
+    },
+    paymentMethod: { provider: 'fake', brand: 'visa', last4: '4242' },
+    subtotal: 100,
+    shippingCost: 10,
+    tax: 8,
+    total: 118,
+    escrowAmount: 110,
+    ...overrides
+  });
+  order.ensureFulfillments({ [vendor.toString()]: 10 });
+
+  return order.save();
+}
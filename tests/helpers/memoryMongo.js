@@ -0,0 +1,357 @@
+import mongoose from 'mongoose';
+import sift from 'sift';
+
+/**
+ * In-memory stand-in for the MongoDB collections behind a set of models, so
+ * model, ledger and payment code can be tested without a database server.
+ * Only the operations that code uses are implemented; anything else throws
+ * so a test never passes by accident.
+ */
+
+const { BSON } = mongoose.mongo;
+
+/**
+ * Copy a document the way a round trip through the database would
+ * @param {Object} doc - Plain document
+ * @returns {Object} - Independent copy with ObjectIds and Dates intact
+ */
+function clone(doc) {
+  return BSON.deserialize(BSON.serialize(doc), { promoteValues: true });
+}
+
+function getPath(doc, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+function setPath(doc, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => {
+    if (target[key] == null) target[key] = {};
+    return target[key];
+  }, doc);
+  if (value === undefined) {
+    delete parent[last];
+  } else {
+    parent[last] = value;
+  }
+}
+
+/**
+ * Replace the positional `$` in an update path with the index of the first
+ * array element the filter matched, as MongoDB does
+ * @param {Object} doc - Stored document
+ * @param {string} path - Update path, e.g. 'fulfillments.$.status'
+ * @param {Object} filter - Filter the document was found with
+ * @returns {string} - Path with a concrete index
+ */
+function resolvePositional(doc, path, filter) {
+  const [arrayPath, rest] = path.split('.$');
+  if (rest === undefined) return path;
+
+  const condition = filter[arrayPath]?.$elemMatch || Object.fromEntries(Object.entries(filter)
+    .filter(([key]) => key.startsWith(`${arrayPath}.`))
+    .map(([key, value]) => [key.slice(arrayPath.length + 1), value]));
+  const index = (getPath(doc, arrayPath) || []).findIndex(sift(condition));
+  if (index === -1) {
+    throw new Error(`memoryMongo: no array element matched for positional update ${path}`);
+  }
+  return `${arrayPath}.${index}${rest}`;
+}
+
+/**
+ * Apply an update document to a copy of a stored document
+ * @param {Object} original - Stored document, left untouched
+ * @param {Object} update - Update with operators
+ * @param {Object} filter - Filter the document was found with
+ * @param {boolean} inserting - Whether the update is creating the document
+ * @returns {Object} - Updated copy
+ */
+function applyUpdate(original, update, filter, inserting) {
+  const doc = clone(original);
+  for (const [operator, fields] of Object.entries(update)) {
+    for (const [rawPath, value] of Object.entries(fields)) {
+      // Positions refer to the document as it was matched
+      const path = resolvePositional(original, rawPath, filter);
+      switch (operator) {
+        case '$set':
+          setPath(doc, path, value);
+          break;
+        case '$setOnInsert':
+          if (inserting) setPath(doc, path, value);
+          break;
+        case '$unset':
+          setPath(doc, path, undefined);
+          break;
+        case '$inc':
+          setPath(doc, path, (getPath(doc, path) || 0) + value);
+          break;
+        case '$push': {
+          const list = getPath(doc, path) || [];
+          list.push(...(value?.$each || [value]));
+          setPath(doc, path, list);
+          break;
+        }
+        default:
+          throw new Error(`memoryMongo: update operator ${operator} is not supported`);
+      }
+    }
+  }
+  return doc;
+}
+
+/**
+ * Evaluate a $group expression against a document
+ * @param {*} expression - Field path, literal, or object of expressions
+ * @param {Object} doc - Document
+ * @returns {*} - Value
+ */
+function evaluate(expression, doc) {
+  if (typeof expression === 'string' && expression.startsWith('$')) {
+    return getPath(doc, expression.slice(1));
+  }
+  if (expression && typeof expression === 'object' && !(expression instanceof Date)) {
+    return Object.fromEntries(Object.entries(expression).map(([key, value]) => [key, evaluate(value, doc)]));
+  }
+  return expression;
+}
+
+/**
+ * Run the aggregation stages the ledger uses: $match, $unwind, $group, $sort and $limit
+ * @param {Object[]} docs - Input documents
+ * @param {Object[]} pipeline - Aggregation pipeline
+ * @returns {Object[]} - Output documents
+ */
+function aggregate(docs, pipeline) {
+  return pipeline.reduce((input, stage) => {
+    const [name, spec] = Object.entries(stage)[0];
+    switch (name) {
+      case '$match':
+        return input.filter(sift(spec));
+      case '$unwind': {
+        const path = (spec.path || spec).slice(1);
+        return input.flatMap(doc => (getPath(doc, path) || []).map(value => {
+          const unwound = { ...doc };
+          setPath(unwound, path, value);
+          return unwound;
+        }));
+      }
+      case '$group': {
+        const { _id, ...accumulators } = spec;
+        const groups = new Map();
+        for (const doc of input) {
+          const id = evaluate(_id, doc);
+          const key = JSON.stringify(id);
+          if (!groups.has(key)) {
+            groups.set(key, { _id: id, ...Object.fromEntries(Object.keys(accumulators).map(field => [field, 0])) });
+          }
+          const group = groups.get(key);
+          for (const [field, accumulator] of Object.entries(accumulators)) {
+            if (!('$sum' in accumulator)) {
+              throw new Error(`memoryMongo: only $sum is supported in $group (${field})`);
+            }
+            group[field] += Number(evaluate(accumulator.$sum, doc)) || 0;
+          }
+        }
+        return [...groups.values()];
+      }
+      case '$sort':
+        return [...input].sort((a, b) => {
+          for (const [path, direction] of Object.entries(spec)) {
+            const x = getPath(a, path);
+            const y = getPath(b, path);
+            if (x < y) return -direction;
+            if (x > y) return direction;
+          }
+          return 0;
+        });
+      case '$limit':
+        return input.slice(0, spec);
+      default:
+        throw new Error(`memoryMongo: aggregation stage ${name} is not supported`);
+    }
+  }, docs);
+}
+
+/**
+ * Keys that must be unique, from the schema's unique indexes
+ * @param {Object} model - Mongoose model
+ * @returns {Array<{ fields: string[], sparse: boolean }>} - Unique keys
+ */
+function uniqueKeys(model) {
+  return model.schema.indexes()
+    .filter(([, options]) => options?.unique)
+    .map(([fields, options]) => ({ fields: Object.keys(fields), sparse: !!options.sparse }));
+}
+
+function duplicateKeyError(model, fields) {
+  const error = new Error(`E11000 duplicate key error collection: ${model.collection.name} index: ${fields.join('_')}`);
+  error.code = 11000;
+  return error;
+}
+
+/**
+ * Replace a model's collection methods with in-memory ones
+ * @param {Object} model - Mongoose model
+ * @param {Object[]} docs - Backing array of stored documents
+ */
+function installCollection(model, docs) {
+  const unique = [{ fields: ['_id'], sparse: false }, ...uniqueKeys(model)];
+  const collection = model.collection;
+
+  const assertUnique = (doc) => {
+    for (const { fields, sparse } of unique) {
+      const values = fields.map(field => getPath(doc, field));
+      if (sparse && values.every(value => value === undefined)) continue;
+      const clash = docs.some(other => other !== doc && fields.every((field, i) =>
+        JSON.stringify(getPath(other, field)) === JSON.stringify(values[i])
+      ));
+      if (clash) throw duplicateKeyError(model, fields);
+    }
+  };
+
+  const findFirst = (filter, options = {}) => {
+    const matches = docs.filter(sift(filter || {}));
+    return options.sort ? aggregate(matches, [{ $sort: options.sort }])[0] : matches[0];
+  };
+
+  // Updates are applied to a copy and only stored if they keep keys unique
+  const update = (doc, changes, filter, inserting) => {
+    const next = applyUpdate(doc, changes, filter || {}, inserting);
+    const index = docs.indexOf(doc);
+    docs[index] = next;
+    try {
+      assertUnique(next);
+    } catch (error) {
+      docs[index] = doc;
+      throw error;
+    }
+    return next;
+  };
+
+  const upsert = (filter, changes) => {
+    const seed = Object.fromEntries(Object.entries(filter).filter(([key, value]) =>
+      !key.startsWith('$') && (typeof value !== 'object' || value === null || value instanceof mongoose.Types.ObjectId)
+    ));
+    const doc = { _id: new mongoose.Types.ObjectId(), ...seed };
+    docs.push(doc);
+    try {
+      return update(doc, changes, filter, true);
+    } catch (error) {
+      docs.splice(docs.indexOf(doc), 1);
+      throw error;
+    }
+  };
+
+  // Every call yields first, as a round trip to the server would, so
+  // concurrent callers interleave the way they do in production
+  const tick = () => new Promise(resolve => setImmediate(resolve));
+
+  Object.assign(collection, {
+    async insertOne(doc) {
+      await tick();
+      const stored = clone(doc);
+      docs.push(stored);
+      try {
+        assertUnique(stored);
+      } catch (error) {
+        docs.splice(docs.indexOf(stored), 1);
+        throw error;
+      }
+      return { acknowledged: true, insertedId: stored._id };
+    },
+
+    async findOne(filter, options) {
+      await tick();
+      const doc = findFirst(filter, options);
+      return doc ? clone(doc) : null;
+    },
+
+    async find(filter, options = {}) {
+      await tick();
+      let matches = docs.filter(sift(filter || {}));
+      if (options.sort) matches = aggregate(matches, [{ $sort: options.sort }]);
+      if (options.skip) matches = matches.slice(options.skip);
+      if (options.limit) matches = matches.slice(0, options.limit);
+      const results = matches.map(clone);
+      return { toArray: async () => results };
+    },
+
+    async countDocuments(filter) {
+      await tick();
+      return docs.filter(sift(filter || {})).length;
+    },
+
+    async updateOne(filter, changes, options = {}) {
+      await tick();
+      const doc = findFirst(filter);
+      if (!doc) {
+        if (!options.upsert) return { acknowledged: true, matchedCount: 0, modifiedCount: 0 };
+        const created = upsert(filter, changes);
+        return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: created._id };
+      }
+      update(doc, changes, filter, false);
+      return { acknowledged: true, matchedCount: 1, modifiedCount: 1 };
+    },
+
+    async updateMany(filter, changes) {
+      await tick();
+      const matches = docs.filter(sift(filter || {}));
+      for (const doc of matches) update(doc, changes, filter, false);
+      return { acknowledged: true, matchedCount: matches.length, modifiedCount: matches.length };
+    },
+
+    async findOneAndUpdate(filter, changes, options = {}) {
+      await tick();
+      const doc = findFirst(filter, options);
+      let value = null;
+      if (doc) {
+        const next = update(doc, changes, filter, false);
+        value = clone(options.returnDocument === 'after' ? next : doc);
+      } else if (options.upsert) {
+        const created = upsert(filter, changes);
+        value = options.returnDocument === 'after' ? clone(created) : null;
+      }
+      return options.includeResultMetadata === false ? value : { value, ok: 1 };
+    },
+
+    async deleteOne(filter) {
+      await tick();
+      const doc = findFirst(filter);
+      if (doc) docs.splice(docs.indexOf(doc), 1);
+      return { acknowledged: true, deletedCount: doc ? 1 : 0 };
+    },
+
+    aggregate(pipeline) {
+      const run = async () => {
+        await tick();
+        return aggregate(docs.map(clone), pipeline);
+      };
+      return { toArray: run };
+    }
+  });
+}
+
+/**
+ * Back every registered model with in-memory collections
+ * @returns {Object} - { reset, docs } where docs(modelName) lists stored documents
+ */
+export function useMemoryMongo() {
+  const stores = new Map();
+
+  for (const name of mongoose.modelNames()) {
+    const docs = [];
+    stores.set(name, docs);
+    installCollection(mongoose.model(name), docs);
+  }
+
+  return {
+    // Empty every collection between tests
+    reset() {
+      for (const docs of stores.values()) docs.length = 0;
+    },
+    docs(modelName) {
+      return stores.get(modelName);
+    }
+  };
+}
@@ -0,0 +1,119 @@
+import mongoose from 'mongoose';
+import LedgerEntry from '../models/LedgerEntry.js';
+import VendorBalance from '../models/VendorBalance.js';
+import CustomerBalance from '../models/CustomerBalance.js';
+import {
+  PLATFORM_ACCOUNTS,
+  vendorAccount,
+  postEntry,
+  getVendorLedgerBalances,
+  getCustomerLedgerBalances
+} from '../utils/ledger.js';
+import { useMemoryMongo } from './helpers/memoryMongo.js';
+
+const db = useMemoryMongo();
+
+const earnings = (vendorId, amount, idempotencyKey) => postEntry({
+  type: 'adjustment',
+  description: 'Test earnings',
+  idempotencyKey,
+  vendor: vendorId,
+  lines: [
+    { account: PLATFORM_ACCOUNTS.adjustments, debit: amount },
+    { account: vendorAccount(vendorId, 'available'), credit: amount }
+  ]
+});
+
+describe('ledger', () => {
+  let vendorId;
+
+  beforeEach(async () => {
+    db.reset();
+    vendorId = new mongoose.Types.ObjectId();
+    await VendorBalance.create({ vendor: vendorId, bankAccount: new mongoose.Types.ObjectId() });
+  });
+
+  test('posting the same idempotency key twice records one entry', async () => {
+    const first = await earnings(vendorId, 25, 'test:earnings:1');
+    const second = await earnings(vendorId, 25, 'test:earnings:1');
+
+    expect(second._id.toString()).toBe(first._id.toString());
+    expect(db.docs('LedgerEntry')).toHaveLength(1);
+    expect((await getVendorLedgerBalances(vendorId)).availableBalance).toBe(25);
+  });
+
+  test('rejects an entry whose debits and credits differ', async () => {
+    await expect(postEntry({
+      type: 'adjustment',
+      vendor: vendorId,
+      lines: [
+        { account: PLATFORM_ACCOUNTS.adjustments, debit: 10 },
+        { account: vendorAccount(vendorId, 'available'), credit: 9.99 }
+      ]
+    })).rejects.toThrow('unbalanced');
+    expect(db.docs('LedgerEntry')).toHaveLength(0);
+  });
+
+  test('stored vendor balance is rebuilt from the ledger after each posting', async () => {
+    await earnings(vendorId, 40, 'test:earnings:1');
+    await postEntry({
+      type: 'adjustment',
+      vendor: vendorId,
+      lines: [
+        { account: vendorAccount(vendorId, 'available'), debit: 15 },
+        { account: vendorAccount(vendorId, 'pending'), credit: 15 }
+      ]
+    });
+
+    const stored = await VendorBalance.findOne({ vendor: vendorId });
+    expect(stored.availableBalance).toBe(25);
+    expect(stored.pendingBalance).toBe(15);
+  });
+
+  test('every entry balances across the whole ledger', async () => {
+    await earnings(vendorId, 40, 'test:earnings:1');
+    await earnings(vendorId, 12.5, 'test:earnings:2');
+
+    const lines = (await LedgerEntry.find()).flatMap(entry => entry.lines);
+    const debits = lines.reduce((sum, line) => sum + line.debit, 0);
+    const credits = lines.reduce((sum, line) => sum + line.credit, 0);
+    expect(debits).toBeCloseTo(credits, 2);
+  });
+});
+
+describe('customer store credit', () => {
+  let customerId;
+  let customerBalance;
+
+  beforeEach(async () => {
+    db.reset();
+    customerId = new mongoose.Types.ObjectId();
+    customerBalance = await CustomerBalance.create({ customer: customerId, spendingBalance: 100 });
+  });
+
+  test('opens the ledger from the stored starting balance', async () => {
+    expect((await getCustomerLedgerBalances(customerId)).spendingBalance).toBe(100);
+  });
+
+  test('two concurrent purchases cannot spend the same credit', async () => {
+    const other = await CustomerBalance.findById(customerBalance._id);
+
+    const results = await Promise.all([
+      customerBalance.deductAmount(80),
+      other.deductAmount(80)
+    ]);
+
+    expect(results.sort()).toEqual([false, true]);
+    expect((await getCustomerLedgerBalances(customerId)).spendingBalance).toBe(20);
+    expect((await CustomerBalance.findById(customerBalance._id)).spendingBalance).toBe(20);
+  });
+
+  test('a spend does not depend on the stored projection', async () => {
+    // A stale or overwritten projection must not let the customer overspend
+    await CustomerBalance.updateOne({ _id: customerBalance._id }, { spendingBalance: 500 });
+
+    expect(await customerBalance.deductAmount(150)).toBe(false);
+    expect(await customerBalance.deductAmount(60)).toBe(true);
+    expect((await getCustomerLedgerBalances(customerId)).spendingBalance).toBe(40);
+  });
+});
@@ -0,0 +1,123 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import '../models/VendorBalance.js';
+import '../models/CustomerBalance.js';
+import { getStripe } from '../config/stripe.js';
+import { getVendorLedgerBalances, getCustomerLedgerBalances } from '../utils/ledger.js';
+import { useMemoryMongo } from './helpers/memoryMongo.js';
+import { createOrder } from './helpers/fixtures.js';
+
+const db = useMemoryMongo();
+process.env.STRIPE_SECRET_KEY = 'sk_test_unused';
+
+/**
+ * Stock the order's product, with the two ordered units already taken
+ * @param {Object} order - Order document
+ */
+async function stockProduct(order) {
+  await Product.collection.insertOne({
+    _id: order.items[0].product,
+    inventory: { quantity: 3, trackQuantity: true },
+    variants: []
+  });
+}
+
+async function stockOf(order) {
+  return (await Product.findById(order.items[0].product)).inventory.quantity;
+}
+
+describe('cancelling through the status table', () => {
+  const admin = { role: 'admin', actor: new mongoose.Types.ObjectId(), reason: 'Out of stock' };
+
+  beforeEach(() => db.reset());
+
+  test('reverses the escrow hold and restocks the items', async () => {
+    const order = await createOrder();
+    await stockProduct(order);
+
+    await order.transitionStatus('cancelled', admin);
+
+    const saved = await Order.findById(order._id);
+    expect(saved.status).toBe('cancelled');
+    expect(saved.fulfillments[0]).toMatchObject({ status: 'cancelled', escrowStatus: 'refunded' });
+    expect(await stockOf(order)).toBe(5);
+  });
+
+  test('a paid order no longer holds the vendor share once cancelled', async () => {
+    const order = await createOrder({ paymentStatus: 'completed', isPaid: true });
+    const vendorId = order.fulfillments[0].vendor;
+    await stockProduct(order);
+    expect((await getVendorLedgerBalances(vendorId)).pendingBalance).toBe(110);
+
+    await order.updateStatus('cancelled', { ...admin, vendorId });
+
+    expect((await getVendorLedgerBalances(vendorId)).pendingBalance).toBe(0);
+    expect(await stockOf(order)).toBe(5);
+  });
+
+  test('a fulfillment that cannot be cancelled is left as it was', async () => {
+    const order = await createOrder();
+    await stockProduct(order);
+    await order.transitionStatus('shipped', admin);
+
+    await expect(order.transitionStatus('cancelled', admin)).rejects.toMatchObject({ statusCode: 409 });
+    expect((await Order.findById(order._id)).fulfillments[0]).toMatchObject({ status: 'shipped', escrowStatus: 'held' });
+    expect(await stockOf(order)).toBe(3);
+  });
+});
+
+describe('cancelling a paid fulfillment', () => {
+  const customerCancel = { role: 'customer', reason: 'Changed my mind' };
+  let stripeRefund;
+
+  beforeEach(() => {
+    db.reset();
+    stripeRefund = jest.spyOn(getStripe().refunds, 'create')
+      .mockImplementation(async ({ amount }) => ({ id: `re_${amount}`, status: 'succeeded' }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('refunds the card payment in full', async () => {
+    const order = await createOrder({ paymentStatus: 'completed', isPaid: true, paymentTransactionId: 'pi_test_123' });
+    const vendorId = order.fulfillments[0].vendor;
+    await stockProduct(order);
+
+    await order.cancelFulfillment(vendorId, customerCancel);
+
+    expect(stripeRefund).toHaveBeenCalledTimes(1);
+    expect(stripeRefund.mock.calls[0][0]).toMatchObject({ payment_intent: 'pi_test_123', amount: 11800 });
+    expect(stripeRefund.mock.calls[0][1]).toEqual({ idempotencyKey: `cancel:${order._id}:${vendorId}` });
+    const saved = await Order.findById(order._id);
+    expect(saved).toMatchObject({ status: 'cancelled', paymentStatus: 'refunded', refundedAmount: 118 });
+    expect(saved.fulfillments[0].escrowStatus).toBe('refunded');
+    expect((await getVendorLedgerBalances(vendorId)).pendingBalance).toBe(0);
+    expect(await stockOf(order)).toBe(5);
+  });
+
+  test('an order paid from store credit is refunded to it', async () => {
+    const order = await createOrder({ paymentStatus: 'completed', isPaid: true });
+
+    await order.cancelFulfillment(order.fulfillments[0].vendor, customerCancel);
+
+    expect(stripeRefund).not.toHaveBeenCalled();
+    expect((await getCustomerLedgerBalances(order.customer)).spendingBalance).toBe(118);
+  });
+
+  test('a declined card refund leaves the fulfillment open', async () => {
+    const order = await createOrder({ paymentStatus: 'completed', isPaid: true, paymentTransactionId: 'pi_test_123' });
+    stripeRefund.mockRejectedValueOnce(new Error('card_declined'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(order.cancelFulfillment(order.fulfillments[0].vendor, customerCancel)).rejects.toMatchObject({ statusCode: 502 });
+
+    const saved = await Order.findById(order._id);
+    expect(saved.fulfillments[0]).toMatchObject({ status: 'pending', escrowStatus: 'held' });
+    expect(saved.refundedAmount).toBe(0);
+    expect((await getVendorLedgerBalances(order.fulfillments[0].vendor)).pendingBalance).toBe(110);
+  });
+});
@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import Vendor from '../models/Vendor.js';
+import { calculateOrderPricing } from '../utils/orderPricing.js';
+import { useMemoryMongo } from './helpers/memoryMongo.js';
+
+const db = useMemoryMongo();
+
+describe('calculateOrderPricing shipping methods', () => {
+  let productId;
+
+  beforeEach(async () => {
+    db.reset();
+    const vendorId = new mongoose.Types.ObjectId();
+    productId = new mongoose.Types.ObjectId();
+    await Vendor.collection.insertOne({
+      _id: vendorId,
+      storeName: 'Test Pottery',
+      isActive: true,
+      verification: { status: 'approved' },
+      shipping: { domesticShipping: { available: true, cost: 10, freeShippingThreshold: 100 } }
+    });
+    await Product.collection.insertOne({
+      _id: productId,
+      vendor: vendorId,
+      title: 'Ceramic Mug',
+      price: 40,
+      status: 'active',
+      isDeleted: false,
+      options: [],
+      variants: []
+    });
+  });
+
+  const quote = (quantity, shippingMethod) =>
+    calculateOrderPricing([{ productId: productId.toString(), quantity }], { shippingMethod });
+
+  test('free shipping is priced at nothing on an order that qualifies', async () => {
+    const pricing = await quote(3, 'free');
+
+    expect(pricing).toMatchObject({ shippingMethod: 'free', shippingCost: 0, subtotal: 120 });
+  });
+
+  test('free shipping is refused on an order that does not qualify', async () => {
+    await expect(quote(1, 'free')).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Items from Test Pottery do not qualify for free shipping'
+    });
+  });
+
+  test('standard and express shipping are charged below the threshold', async () => {
+    expect((await quote(1, 'standard')).shippingCost).toBe(10);
+    expect((await quote(1, 'express')).shippingCost).toBe(20);
+  });
+
+  test('an unknown shipping method is refused', async () => {
+    await expect(quote(1, 'overnight')).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
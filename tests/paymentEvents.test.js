@@ -0,0 +1,123 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import PaymentEvent from '../models/PaymentEvent.js';
+import '../models/VendorBalance.js';
+import '../models/CustomerBalance.js';
+import { getVendorLedgerBalances } from '../utils/ledger.js';
+import { receiveStripeEvent } from '../utils/paymentEvents.js';
+import { useMemoryMongo } from './helpers/memoryMongo.js';
+import { createOrder } from './helpers/fixtures.js';
+
+const db = useMemoryMongo();
+
+/**
+ * A payment_intent.succeeded event for an order
+ * @param {Object} order - Order document
+ * @param {Object} overrides - { id, paymentIntentId, amount, metadata }
+ * @returns {Object} - Stripe event
+ */
+function paymentSucceeded(order, {
+  id = 'evt_paid_1',
+  paymentIntentId = 'pi_test_123',
+  amount = Math.round(order.total * 100),
+  metadata = { orderId: order._id.toString() }
+} = {}) {
+  return {
+    id,
+    type: 'payment_intent.succeeded',
+    livemode: false,
+    data: {
+      object: {
+        id: paymentIntentId,
+        object: 'payment_intent',
+        amount,
+        amount_received: amount,
+        created: Math.floor(Date.now() / 1000),
+        metadata
+      }
+    }
+  };
+}
+
+describe('receiveStripeEvent', () => {
+  let order;
+  let vendorId;
+
+  beforeEach(async () => {
+    db.reset();
+    // Linked to its PaymentIntent when it was created, as the order route does
+    order = await createOrder({ paymentTransactionId: 'pi_test_123' });
+    vendorId = order.fulfillments[0].vendor;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('a successful payment marks the order paid and holds the vendor share in escrow', async () => {
+    const { duplicate, log } = await receiveStripeEvent(paymentSucceeded(order));
+
+    expect(duplicate).toBe(false);
+    expect(log.status).toBe('processed');
+    const paid = await Order.findById(order._id);
+    expect(paid).toMatchObject({ paymentStatus: 'completed', isPaid: true, paymentTransactionId: 'pi_test_123' });
+    expect((await getVendorLedgerBalances(vendorId)).pendingBalance).toBe(110);
+  });
+
+  test('a redelivered event is acknowledged without being applied again', async () => {
+    await receiveStripeEvent(paymentSucceeded(order));
+    const entries = db.docs('LedgerEntry').length;
+
+    const { duplicate } = await receiveStripeEvent(paymentSucceeded(order));
+
+    expect(duplicate).toBe(true);
+    expect(db.docs('LedgerEntry')).toHaveLength(entries);
+    expect(await PaymentEvent.findOne({ eventId: 'evt_paid_1' })).toMatchObject({ deliveries: 2, attempts: 1 });
+    expect((await getVendorLedgerBalances(vendorId)).pendingBalance).toBe(110);
+  });
+
+  test('the same payment sent as two different events is only counted once', async () => {
+    await receiveStripeEvent(paymentSucceeded(order, { id: 'evt_paid_1' }));
+    await receiveStripeEvent(paymentSucceeded(order, { id: 'evt_paid_2' }));
+
+    expect((await getVendorLedgerBalances(vendorId)).pendingBalance).toBe(110);
+  });
+
+  test('a payment that does not match the order total leaves the order unpaid', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const { log } = await receiveStripeEvent(paymentSucceeded(order, { amount: 100 }));
+
+    expect(log.status).toBe('failed');
+    expect(log.lastError).toMatch('does not match order total 118.00');
+    expect((await Order.findById(order._id)).paymentStatus).toBe('pending');
+    expect(db.docs('LedgerEntry')).toHaveLength(0);
+  });
+
+  test('a payment pointed at someone else\'s order through metadata is refused', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const { log } = await receiveStripeEvent(paymentSucceeded(order, {
+      paymentIntentId: 'pi_other_customer',
+      metadata: { orderId: order._id.toString(), userId: new mongoose.Types.ObjectId().toString() }
+    }));
+
+    expect(log.status).toBe('failed');
+    expect(log.lastError).toMatch('does not belong to order');
+    expect(await Order.findById(order._id)).toMatchObject({ paymentStatus: 'pending', paymentTransactionId: 'pi_test_123' });
+    expect(db.docs('LedgerEntry')).toHaveLength(0);
+  });
+
+  test('a payment made by the order\'s own customer is applied even before it was linked', async () => {
+    const unlinked = await createOrder();
+
+    const { log } = await receiveStripeEvent(paymentSucceeded(unlinked, {
+      paymentIntentId: 'pi_own_payment',
+      metadata: { orderId: unlinked._id.toString(), userId: unlinked.customer.toString() }
+    }));
+
+    expect(log.status).toBe('processed');
+    expect(await Order.findById(unlinked._id)).toMatchObject({ paymentStatus: 'completed', paymentTransactionId: 'pi_own_payment' });
+  });
+});
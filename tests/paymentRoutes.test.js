@@ -0,0 +1,137 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import mongoose from 'mongoose';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+
+process.env.JWT_SECRET = 'test-secret';
+process.env.STRIPE_SECRET_KEY = 'sk_test_unused';
+process.env.PAYMENT_VAULT_PROVIDER = 'fake';
+
+// The routes reach the running server for Socket.IO and Plaid; neither is used here
+jest.unstable_mockModule('../server.js', () => ({
+  io: { to: () => ({ emit: () => {} }), emit: () => {} },
+  plaidClient: {},
+  stripeClient: null
+}));
+
+const { default: User } = await import('../models/User.js');
+const { default: Vendor } = await import('../models/Vendor.js');
+const { default: Product } = await import('../models/Product.js');
+const { default: Order } = await import('../models/Order.js');
+await import('../models/VendorBalance.js');
+await import('../models/CustomerBalance.js');
+const { default: paymentRoutes } = await import('../routes/paymentRoutes.js');
+const { default: orderRoutes } = await import('../routes/orderRoutes.js');
+const { errorHandler } = await import('../middleware/errorHandler.js');
+const { getStripe } = await import('../config/stripe.js');
+const { useMemoryMongo } = await import('./helpers/memoryMongo.js');
+
+const db = useMemoryMongo();
+
+const app = express();
+app.use(express.json());
+app.use('/api/payments', paymentRoutes);
+app.use('/api/orders', orderRoutes);
+app.use(errorHandler);
+
+const shippingAddress = {
+  firstName: 'Ada',
+  lastName: 'Lovelace',
+  email: 'ada@example.com',
+  phone: '555-0100',
+  address: '1 Test Street',
+  city: 'Springfield',
+  state: 'IL',
+  zipCode: '62701',
+  country: 'US'
+};
+
+describe('paying for an order with a PaymentIntent', () => {
+  let token;
+  let userId;
+  let productId;
+  let intents;
+
+  beforeEach(async () => {
+    db.reset();
+
+    // Stored directly: these tests are about payments, not catalogue validation
+    userId = new mongoose.Types.ObjectId();
+    const vendorId = new mongoose.Types.ObjectId();
+    productId = new mongoose.Types.ObjectId();
+    await User.collection.insertOne({ _id: userId, name: 'Ada', email: 'ada@example.com', role: 'customer' });
+    await Vendor.collection.insertOne({
+      _id: vendorId,
+      user: new mongoose.Types.ObjectId(),
+      storeName: 'Test Pottery',
+      isActive: true,
+      verification: { status: 'approved' },
+      shipping: { domesticShipping: { available: true, cost: 10 } }
+    });
+    await Product.collection.insertOne({
+      _id: productId,
+      vendor: vendorId,
+      title: 'Ceramic Mug',
+      price: 50,
+      status: 'active',
+      isDeleted: false,
+      inventory: { quantity: 5, trackQuantity: true },
+      options: [],
+      variants: []
+    });
+    token = jwt.sign({ userId }, process.env.JWT_SECRET);
+
+    // Stripe keeps the PaymentIntents it creates, so retrieve sees them
+    intents = new Map();
+    const stripe = getStripe();
+    jest.spyOn(stripe.customers, 'create').mockImplementation(async () => ({ id: 'cus_test_1' }));
+    jest.spyOn(stripe.paymentIntents, 'create').mockImplementation(async (params) => {
+      const intent = { id: `pi_test_${intents.size + 1}`, client_secret: 'secret', ...params };
+      intents.set(intent.id, intent);
+      return intent;
+    });
+    jest.spyOn(stripe.paymentIntents, 'retrieve').mockImplementation(async (id) => intents.get(id));
+    jest.spyOn(stripe.paymentIntents, 'update').mockImplementation(async (id, { metadata }) => {
+      Object.assign(intents.get(id).metadata, metadata);
+      return intents.get(id);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const post = (path, body) => request(app).post(path).set('Authorization', `Bearer ${token}`).send(body);
+
+  test('an order can be created with the PaymentIntent the API created for it', async () => {
+    const items = [{ productId: productId.toString(), quantity: 2 }];
+    const quote = await post('/api/orders/quote', { items, shippingAddress });
+    expect(quote.status).toBe(200);
+
+    const intent = await post('/api/payments/create-payment-intent', { amount: quote.body.pricing.total });
+    expect(intent.status).toBe(200);
+    expect(intents.get(intent.body.paymentIntentId).customer).toBe('cus_test_1');
+
+    const created = await post('/api/orders', {
+      items,
+      shippingAddress,
+      paymentMethod: { token: 'pm_card_visa' },
+      paymentIntentId: intent.body.paymentIntentId
+    });
+
+    expect(created.status).toBe(201);
+    const order = await Order.findById(created.body.order._id);
+    expect(order).toMatchObject({ paymentTransactionId: intent.body.paymentIntentId, paymentStatus: 'pending' });
+    expect(intents.get(intent.body.paymentIntentId).metadata.orderId).toBe(order._id.toString());
+  });
+
+  test('the client cannot set the order or user a PaymentIntent belongs to', async () => {
+    const intent = await post('/api/payments/create-payment-intent', {
+      amount: 118,
+      metadata: { orderId: new mongoose.Types.ObjectId().toString(), userId: 'someone-else', cartId: 'cart-1' }
+    });
+
+    expect(intents.get(intent.body.paymentIntentId).metadata).toEqual({ cartId: 'cart-1', userId: userId.toString() });
+  });
+});
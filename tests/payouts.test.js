@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+import VendorBalance from '../models/VendorBalance.js';
+import Payout from '../models/Payout.js';
+import { getVendorLedgerBalances } from '../utils/ledger.js';
+import { useMemoryMongo } from './helpers/memoryMongo.js';
+
+const db = useMemoryMongo();
+
+describe('Payout.request', () => {
+  let vendorId;
+  let vendorBalance;
+
+  beforeEach(async () => {
+    db.reset();
+    vendorId = new mongoose.Types.ObjectId();
+    vendorBalance = await VendorBalance.create({
+      vendor: vendorId,
+      bankAccount: new mongoose.Types.ObjectId(),
+      availableBalance: 100
+    });
+  });
+
+  test('moves the amount from available to in transit', async () => {
+    const payout = await Payout.request({ vendorBalance, amount: 30 });
+
+    expect(payout.status).toBe('requested');
+    expect(await getVendorLedgerBalances(vendorId)).toMatchObject({ availableBalance: 70, inTransitBalance: 30 });
+    expect((await VendorBalance.findById(vendorBalance._id)).availableBalance).toBe(70);
+  });
+
+  test('two concurrent requests cannot pay out the same money', async () => {
+    const results = await Promise.allSettled([
+      Payout.request({ vendorBalance, amount: 80 }),
+      Payout.request({ vendorBalance, amount: 80 })
+    ]);
+
+    const rejected = results.filter(result => result.status === 'rejected');
+    expect(rejected).toHaveLength(1);
+    expect(rejected[0].reason.message).toMatch('Insufficient available balance');
+    expect(db.docs('Payout')).toHaveLength(1);
+    expect((await getVendorLedgerBalances(vendorId)).availableBalance).toBe(20);
+  });
+
+  test('checks the ledger, not the stored balance', async () => {
+    // The projection is rewritten by every sync, so it cannot be trusted to reserve against
+    await VendorBalance.updateOne({ _id: vendorBalance._id }, { availableBalance: 1000 });
+
+    await expect(Payout.request({ vendorBalance, amount: 150 })).rejects.toThrow('Insufficient available balance');
+    expect(db.docs('Payout')).toHaveLength(0);
+  });
+
+  test('releases the lock so later requests go through', async () => {
+    await Payout.request({ vendorBalance, amount: 10 });
+    await Payout.request({ vendorBalance, amount: 10 });
+
+    const stored = db.docs('VendorBalance')[0];
+    expect(stored.ledgerLockedUntil).toBeUndefined();
+    expect((await getVendorLedgerBalances(vendorId)).availableBalance).toBe(80);
+  });
+
+  test('a failed payout returns the money to the available balance', async () => {
+    const payout = await Payout.request({ vendorBalance, amount: 60 });
+    await payout.transitionTo('failed', { reason: 'Bank rejected the transfer' });
+
+    expect(await getVendorLedgerBalances(vendorId)).toMatchObject({ availableBalance: 100, inTransitBalance: 0 });
+  });
+});
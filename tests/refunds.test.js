@@ -0,0 +1,119 @@
+import { jest } from '@jest/globals';
+import Order from '../models/Order.js';
+import LedgerEntry from '../models/LedgerEntry.js';
+import '../models/VendorBalance.js';
+import CustomerBalance from '../models/CustomerBalance.js';
+import { getStripe } from '../config/stripe.js';
+import { getVendorLedgerBalances, getCustomerLedgerBalances } from '../utils/ledger.js';
+import { refundFulfillment } from '../utils/refunds.js';
+import { useMemoryMongo } from './helpers/memoryMongo.js';
+import { createOrder } from './helpers/fixtures.js';
+
+const db = useMemoryMongo();
+process.env.STRIPE_SECRET_KEY = 'sk_test_unused';
+
+describe('refundFulfillment', () => {
+  let order;
+  let vendorId;
+  let key;
+  let stripeRefund;
+
+  beforeEach(async () => {
+    db.reset();
+    order = await createOrder({ paymentStatus: 'completed', isPaid: true, paymentTransactionId: 'pi_test_123' });
+    vendorId = order.fulfillments[0].vendor;
+    // As built by the refund route from the Idempotency-Key header
+    key = `refund:${order._id}:client-key-1`;
+    stripeRefund = jest.spyOn(getStripe().refunds, 'create')
+      .mockImplementation(async ({ amount }) => ({ id: `re_${amount}`, status: 'succeeded' }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('refunds the card and takes the vendor share out of held escrow', async () => {
+    const refund = await refundFulfillment(order, vendorId, { type: 'amount', amount: 54, key });
+
+    expect(refund.amount).toBe(54);
+    expect(stripeRefund).toHaveBeenCalledTimes(1);
+    expect(stripeRefund.mock.calls[0][1]).toEqual({ idempotencyKey: key });
+    // 54.00 tax included at 8% is 4.00 tax and 50.00 back from the vendor
+    expect((await getVendorLedgerBalances(vendorId)).pendingBalance).toBe(60);
+  });
+
+  test('a retry with the same key returns the original refund', async () => {
+    const first = await refundFulfillment(order, vendorId, { type: 'amount', amount: 54, key });
+
+    // The retry arrives on a fresh request, with the order loaded again
+    const reloaded = await Order.findById(order._id);
+    const second = await refundFulfillment(reloaded, vendorId, { type: 'amount', amount: 54, key });
+
+    expect(second._id.toString()).toBe(first._id.toString());
+    expect(stripeRefund).toHaveBeenCalledTimes(1);
+    expect((await Order.findById(order._id)).refundedAmount).toBe(54);
+    expect((await getVendorLedgerBalances(vendorId)).pendingBalance).toBe(60);
+  });
+
+  test('two concurrent requests with the same key refund once', async () => {
+    const copy = await Order.findById(order._id);
+
+    const results = await Promise.allSettled([
+      refundFulfillment(order, vendorId, { type: 'amount', amount: 54, key }),
+      refundFulfillment(copy, vendorId, { type: 'amount', amount: 54, key })
+    ]);
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    expect(results.find(result => result.status === 'rejected').reason.statusCode).toBe(409);
+    expect(stripeRefund).toHaveBeenCalledTimes(1);
+    expect((await Order.findById(order._id)).refundedAmount).toBe(54);
+  });
+
+  test('a first store-credit refund opens a balance holding only the refund', async () => {
+    await refundFulfillment(order, vendorId, { type: 'full', destination: 'customer_balance', key });
+
+    expect(stripeRefund).not.toHaveBeenCalled();
+    expect((await getCustomerLedgerBalances(order.customer)).spendingBalance).toBe(118);
+    expect((await CustomerBalance.findOne({ customer: order.customer })).spendingBalance).toBe(118);
+  });
+
+  test('a failed card refund gives the claim back so the same key can be retried', async () => {
+    stripeRefund.mockRejectedValueOnce(new Error('card_declined'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(refundFulfillment(order, vendorId, { type: 'full', key })).rejects.toMatchObject({ statusCode: 502 });
+    expect((await Order.findById(order._id)).refundedAmount).toBe(0);
+    expect((await getVendorLedgerBalances(vendorId)).pendingBalance).toBe(110);
+
+    const reloaded = await Order.findById(order._id);
+    const refund = await refundFulfillment(reloaded, vendorId, { type: 'full', key });
+
+    expect(refund.amount).toBe(118);
+    expect((await Order.findById(order._id)).paymentStatus).toBe('refunded');
+    expect((await getVendorLedgerBalances(vendorId)).pendingBalance).toBe(0);
+  });
+
+  test('a ledger failure after the card refund gives the claim back, and the retry reuses the Stripe key', async () => {
+    const create = LedgerEntry.create.bind(LedgerEntry);
+    let failed = false;
+    jest.spyOn(LedgerEntry, 'create').mockImplementation(async (entry) => {
+      if (!failed && entry.idempotencyKey === `${key}:customer`) {
+        failed = true;
+        throw new Error('connection reset');
+      }
+      return create(entry);
+    });
+
+    await expect(refundFulfillment(order, vendorId, { type: 'amount', amount: 54, key })).rejects.toThrow('connection reset');
+    expect((await Order.findById(order._id)).refundedAmount).toBe(0);
+
+    const reloaded = await Order.findById(order._id);
+    await refundFulfillment(reloaded, vendorId, { type: 'amount', amount: 54, key });
+
+    // Stripe deduplicates on the key, so the card is only refunded once
+    expect(stripeRefund.mock.calls.map(call => call[1].idempotencyKey)).toEqual([key, key]);
+    expect((await Order.findById(order._id)).refundedAmount).toBe(54);
+    // The vendor posting that succeeded the first time is not repeated
+    expect((await getVendorLedgerBalances(vendorId)).pendingBalance).toBe(60);
+  });
+});
@@ -0,0 +1,116 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import ReturnRequest from '../models/ReturnRequest.js';
+import '../models/Vendor.js';
+import '../models/VendorBalance.js';
+import '../models/CustomerBalance.js';
+import { getCustomerLedgerBalances } from '../utils/ledger.js';
+import { resolveReturn } from '../utils/returns.js';
+import { useMemoryMongo } from './helpers/memoryMongo.js';
+import { createOrder } from './helpers/fixtures.js';
+
+const db = useMemoryMongo();
+
+/**
+ * A return of one of the order's two units, inspected and marked for restock
+ * @param {Object} order - Order document
+ * @returns {Promise<Object>} - ReturnRequest in 'received'
+ */
+async function receivedReturn(order) {
+  const [item] = order.items;
+  return ReturnRequest.create({
+    order: order._id,
+    customer: order.customer,
+    vendor: item.vendor,
+    items: [{ item: item._id, product: item.product, quantity: 1, unitPrice: 50, reason: 'damaged', restock: true }],
+    status: 'received'
+  });
+}
+
+describe('resolveReturn', () => {
+  const vendorStaff = { role: 'vendor', actor: new mongoose.Types.ObjectId() };
+  let order;
+  let returnRequest;
+
+  beforeEach(async () => {
+    db.reset();
+    // Store credit keeps the refund off Stripe
+    order = await createOrder({ paymentStatus: 'completed', isPaid: true });
+    await Product.collection.insertOne({
+      _id: order.items[0].product,
+      inventory: { quantity: 3, trackQuantity: true },
+      variants: []
+    });
+    returnRequest = await receivedReturn(order);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const stock = async () => (await Product.findById(order.items[0].product)).inventory.quantity;
+  const returnedQuantity = async () => (await Order.findById(order._id)).items[0].returnedQuantity;
+
+  test('refunds the units, restocks them and counts them as returned', async () => {
+    const resolved = await resolveReturn(returnRequest, { resolution: 'refund', ...vendorStaff });
+
+    expect(resolved.status).toBe('completed');
+    expect((await ReturnRequest.findById(returnRequest._id)).resolution).toMatchObject({ type: 'refund', refundAmount: 54 });
+    expect((await getCustomerLedgerBalances(order.customer)).spendingBalance).toBe(54);
+    expect(await stock()).toBe(4);
+    expect(await returnedQuantity()).toBe(1);
+  });
+
+  test('two concurrent resolutions restock and count the units once', async () => {
+    const copy = await ReturnRequest.findById(returnRequest._id);
+
+    const results = await Promise.allSettled([
+      resolveReturn(returnRequest, { resolution: 'refund', ...vendorStaff }),
+      resolveReturn(copy, { resolution: 'refund', ...vendorStaff })
+    ]);
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    expect(results.find(result => result.status === 'rejected').reason.statusCode).toBe(409);
+    expect((await getCustomerLedgerBalances(order.customer)).spendingBalance).toBe(54);
+    expect(await stock()).toBe(4);
+    expect(await returnedQuantity()).toBe(1);
+  });
+
+  test('a retry after a failed save does not restock or refund again', async () => {
+    const save = ReturnRequest.prototype.save;
+    jest.spyOn(ReturnRequest.prototype, 'save').mockImplementationOnce(async () => {
+      throw new Error('connection reset');
+    });
+
+    await expect(resolveReturn(returnRequest, { resolution: 'refund', ...vendorStaff })).rejects.toThrow('connection reset');
+    expect(await stock()).toBe(3);
+    ReturnRequest.prototype.save.mockImplementation(save);
+
+    const reloaded = await ReturnRequest.findById(returnRequest._id);
+    await resolveReturn(reloaded, { resolution: 'refund', ...vendorStaff });
+
+    // The refund from the first attempt is found by its key, not issued twice
+    expect((await getCustomerLedgerBalances(order.customer)).spendingBalance).toBe(54);
+    expect(await stock()).toBe(4);
+    expect(await returnedQuantity()).toBe(1);
+  });
+
+  test('once the return is saved as completed, a retry is refused rather than restocking again', async () => {
+    const save = Order.prototype.save;
+    let saves = 0;
+    // The refund saves the order first; fail the save that records the returned units
+    jest.spyOn(Order.prototype, 'save').mockImplementation(function(...args) {
+      saves += 1;
+      return saves === 2 ? Promise.reject(new Error('connection reset')) : save.apply(this, args);
+    });
+
+    await expect(resolveReturn(returnRequest, { resolution: 'refund', ...vendorStaff })).rejects.toThrow('connection reset');
+
+    const reloaded = await ReturnRequest.findById(returnRequest._id);
+    expect(reloaded.status).toBe('completed');
+    await expect(resolveReturn(reloaded, { resolution: 'refund', ...vendorStaff })).rejects.toMatchObject({ statusCode: 409 });
+    expect(await stock()).toBe(4);
+  });
+});
@@ -0,0 +1,445 @@
+import mongoose from 'mongoose';
+import Category, { MAX_CATEGORY_DEPTH } from '../models/Category.js';
+import Product from '../models/Product.js';
+import CommissionRule from '../models/CommissionRule.js';
+import { deleteCache } from '../config/redis.js';
+import { slugify } from './slugify.js';
+
+// Redis key of the public category tree served by GET /api/products/categories/list
+export const CATEGORY_LIST_CACHE_KEY = 'categories:list';
+
+// The whole tree is small, so it is loaded at once and kept in process
+const CATEGORY_CACHE_TTL_MS = 60 * 1000;
+
+// Fields an admin can set when creating or editing a category
+const EDITABLE_FIELDS = ['name', 'slug', 'description', 'image', 'parent', 'attributes', 'sortOrder', 'isActive'];
+
+const MAX_TEXT_ATTRIBUTE_LENGTH = 200;
+
+let loaded = null;
+let loadedAt = 0;
+
+/**
+ * Build an error the global error handler reports with the given status
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} - Error with statusCode set
+ */
+function categoryError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Every category, active or not, indexed by ID and slug
+ * @returns {Promise<Object>} - { list, byId, bySlug }
+ */
+async function loadCategories() {
+  if (loaded && Date.now() - loadedAt < CATEGORY_CACHE_TTL_MS) {
+    return loaded;
+  }
+
+  const list = await Category.find().sort({ sortOrder: 1, name: 1 }).lean();
+  loaded = {
+    list,
+    byId: new Map(list.map(category => [category._id.toString(), category])),
+    bySlug: new Map(list.map(category => [category.slug, category]))
+  };
+  loadedAt = Date.now();
+  return loaded;
+}
+
+/**
+ * Forget cached categories after an admin change
+ * @returns {Promise<void>}
+ */
+export async function clearCategoryCache() {
+  loaded = null;
+  await deleteCache(CATEGORY_LIST_CACHE_KEY);
+}
+
+/**
+ * Whether a category and everything above it is active
+ * @param {Object} category - Lean category
+ * @param {Map} byId - Categories by ID
+ * @returns {boolean} - True if shoppers can see it
+ */
+function isVisible(category, byId) {
+  return category.isActive && category.ancestors.every(id => byId.get(id.toString())?.isActive);
+}
+
+/**
+ * Turn the categories a vendor picked (slugs or names) into slugs of
+ * active categories
+ * @param {string[]} input - Category slugs or names
+ * @returns {Promise<string[]>} - Unique slugs
+ */
+export async function resolveCategories(input) {
+  const values = Array.isArray(input) ? input : [input];
+  const slugs = [...new Set(values.filter(value => typeof value === 'string').map(slugify).filter(Boolean))];
+  if (slugs.length === 0) {
+    throw categoryError('Product category is required');
+  }
+
+  const { byId, bySlug } = await loadCategories();
+  const unknown = slugs.filter(slug => !bySlug.has(slug) || !isVisible(bySlug.get(slug), byId));
+  if (unknown.length > 0) {
+    throw categoryError(`Unknown category: ${unknown.join(', ')}`);
+  }
+  return slugs;
+}
+
+/**
+ * Categories with every category above them, closest last
+ * @param {string[]} slugs - Category slugs
+ * @param {Object} categories - Result of loadCategories
+ * @returns {Object[]} - Lean categories, without duplicates
+ */
+function withAncestors(slugs, { byId, bySlug }) {
+  const found = new Map();
+  for (const slug of slugs) {
+    const category = bySlug.get(slug);
+    if (!category) continue;
+    for (const id of category.ancestors) {
+      const ancestor = byId.get(id.toString());
+      if (ancestor) found.set(ancestor.slug, ancestor);
+    }
+    found.set(category.slug, category);
+  }
+  return [...found.values()];
+}
+
+/**
+ * Slugs of the given categories and every category above them, so rules
+ * set on a parent category also cover its subcategories
+ * @param {string[]} slugs - Category slugs
+ * @returns {Promise<string[]>} - Slugs, including any not in the tree
+ */
+export async function withAncestorSlugs(slugs = []) {
+  const categories = await loadCategories();
+  return [...new Set([...slugs, ...withAncestors(slugs, categories).map(category => category.slug)])];
+}
+
+/**
+ * Slugs of the given categories and every category below them, so that
+ * filtering by a category includes its subcategories
+ * @param {string[]} slugs - Category slugs
+ * @returns {Promise<string[]>} - Slugs, including any not in the tree
+ */
+export async function expandCategorySlugs(slugs = []) {
+  const { list, bySlug } = await loadCategories();
+  const ids = new Set(slugs.filter(slug => bySlug.has(slug)).map(slug => bySlug.get(slug)._id.toString()));
+  const descendants = list
+    .filter(category => category.ancestors.some(id => ids.has(id.toString())))
+    .map(category => category.slug);
+  return [...new Set([...slugs, ...descendants])];
+}
+
+/**
+ * Attribute template for a listing in the given categories: the attributes
+ * of each category and of every category above it. Where two categories
+ * ask for the same key, the first one found wins.
+ * @param {string[]} slugs - Category slugs
+ * @returns {Promise<Object[]>} - [{ key, label, type, options, unit, required, category }]
+ */
+export async function attributeTemplate(slugs = []) {
+  const categories = await loadCategories();
+  const template = new Map();
+  for (const category of withAncestors(slugs, categories)) {
+    for (const attribute of category.attributes || []) {
+      if (!template.has(attribute.key)) {
+        template.set(attribute.key, { ...attribute, category: category.slug });
+      }
+    }
+  }
+  return [...template.values()];
+}
+
+/**
+ * Coerce one attribute value to the template's type
+ * @param {Object} attribute - Template attribute
+ * @param {*} value - Value sent by the vendor
+ * @returns {*} - Stored value
+ */
+function coerceAttribute(attribute, value) {
+  switch (attribute.type) {
+    case 'number': {
+      const number = typeof value === 'number' ? value : parseFloat(value);
+      if (!Number.isFinite(number)) {
+        throw categoryError(`${attribute.label} must be a number`);
+      }
+      return number;
+    }
+    case 'boolean':
+      if (value === true || value === 'true') return true;
+      if (value === false || value === 'false') return false;
+      throw categoryError(`${attribute.label} must be true or false`);
+    case 'select': {
+      const option = attribute.options.find(o => o.toLowerCase() === String(value).trim().toLowerCase());
+      if (!option) {
+        throw categoryError(`${attribute.label} must be one of: ${attribute.options.join(', ')}`);
+      }
+      return option;
+    }
+    default:
+      return String(value).trim().slice(0, MAX_TEXT_ATTRIBUTE_LENGTH);
+  }
+}
+
+/**
+ * Check a listing's attributes against the template of its categories.
+ * Attributes the template does not ask for are dropped.
+ * @param {string[]} slugs - Category slugs
+ * @param {Object[]|Object} attributes - [{ key, value }] or { key: value }
+ * @returns {Promise<Object[]>} - [{ key, value }] in template order
+ */
+export async function validateAttributes(slugs, attributes = []) {
+  const given = new Map(
+    Array.isArray(attributes)
+      ? attributes.filter(attribute => attribute?.key).map(attribute => [String(attribute.key).toLowerCase(), attribute.value])
+      : Object.entries(attributes || {}).map(([key, value]) => [key.toLowerCase(), value])
+  );
+
+  const template = await attributeTemplate(slugs);
+  const result = [];
+  const missing = [];
+  for (const attribute of template) {
+    const value = given.get(attribute.key);
+    if (value === undefined || value === null || value === '') {
+      if (attribute.required) missing.push(attribute.label);
+      continue;
+    }
+    result.push({ key: attribute.key, value: coerceAttribute(attribute, value) });
+  }
+
+  if (missing.length > 0) {
+    throw categoryError(`Missing required attributes: ${missing.join(', ')}`);
+  }
+  return result;
+}
+
+/**
+ * Every category with its live product counts. `productCount` counts
+ * listings in the category itself; `totalCount` counts distinct listings
+ * in it or any category below it.
+ * @param {Object} options - { includeInactive }
+ * @returns {Promise<Object[]>} - Lean categories with counts, in tree order
+ */
+export async function categoriesWithCounts({ includeInactive = false } = {}) {
+  const categories = await loadCategories();
+  const { list, byId } = categories;
+
+  // Listings grouped by their exact set of categories; there are far fewer
+  // sets than listings, and each set is credited once to every category in
+  // or above it
+  const combinations = await Product.aggregate([
+    { $match: { status: 'active', isDeleted: false } },
+    { $group: { _id: '$categories', count: { $sum: 1 } } }
+  ]);
+
+  const direct = new Map();
+  const total = new Map();
+  for (const { _id: slugs, count } of combinations) {
+    for (const slug of new Set(slugs || [])) {
+      direct.set(slug, (direct.get(slug) || 0) + count);
+    }
+    for (const category of withAncestors(slugs || [], categories)) {
+      total.set(category.slug, (total.get(category.slug) || 0) + count);
+    }
+  }
+
+  return list
+    .filter(category => includeInactive || isVisible(category, byId))
+    .map(category => ({
+      ...category,
+      productCount: direct.get(category.slug) || 0,
+      totalCount: total.get(category.slug) || 0
+    }));
+}
+
+/**
+ * Categories as a tree of top-level categories with nested `children`
+ * @param {Object} options - { includeInactive }
+ * @returns {Promise<Object[]>} - Top-level categories
+ */
+export async function categoryTree({ includeInactive = false } = {}) {
+  const categories = await categoriesWithCounts({ includeInactive });
+
+  const nodes = new Map(categories.map(({ ancestors, createdAt, updatedAt, __v, ...category }) => [
+    category._id.toString(),
+    { ...category, ...(includeInactive && { createdAt, updatedAt }), children: [] }
+  ]));
+
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parent && nodes.get(node.parent.toString());
+    if (parent) {
+      parent.children.push(node);
+    } else if (!node.parent) {
+      roots.push(node);
+    }
+  }
+  return roots;
+}
+
+/**
+ * Copy the editable fields present in an admin request
+ * @param {Object} data - Request body
+ * @returns {Object} - Editable fields
+ */
+function pickEditable(data = {}) {
+  return Object.fromEntries(EDITABLE_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]]));
+}
+
+/**
+ * The ancestor list for a category placed under the given parent
+ * @param {string|null} parentId - Parent category ID, or null for top level
+ * @returns {Promise<Object[]>} - Ancestor IDs, top level first
+ */
+async function ancestorsUnder(parentId) {
+  if (!parentId) return [];
+  if (!mongoose.isValidObjectId(parentId)) {
+    throw categoryError('Invalid parent category ID');
+  }
+  const parent = await Category.findById(parentId).select('ancestors');
+  if (!parent) {
+    throw categoryError('Parent category not found', 404);
+  }
+  return [...parent.ancestors, parent._id];
+}
+
+/**
+ * Save a category, reporting validation failures and slug clashes as client errors
+ * @param {Object} category - Category document
+ * @returns {Promise<Object>} - Saved category
+ */
+async function saveCategory(category) {
+  try {
+    return await category.save();
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      throw categoryError(Object.values(error.errors)[0].message);
+    }
+    if (error.code === 11000) {
+      throw categoryError(`A category with the slug "${category.slug}" already exists`, 409);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Create a category
+ * @param {Object} data - { name, slug, description, image, parent, attributes, sortOrder, isActive }
+ * @returns {Promise<Object>} - Created category
+ */
+export async function createCategory(data) {
+  const fields = pickEditable(data);
+  if (fields.slug !== undefined) fields.slug = slugify(fields.slug);
+
+  const ancestors = await ancestorsUnder(fields.parent || null);
+  const category = new Category({ ...fields, parent: fields.parent || null, ancestors });
+  await saveCategory(category);
+
+  await clearCategoryCache();
+  return category;
+}
+
+/**
+ * Edit a category. Moving it moves everything below it; renaming its slug
+ * renames it on listings and commission rules.
+ * @param {string} categoryId - Category ID
+ * @param {Object} data - Fields to change
+ * @returns {Promise<Object>} - Updated category
+ */
+export async function updateCategory(categoryId, data) {
+  if (!mongoose.isValidObjectId(categoryId)) {
+    throw categoryError('Invalid category ID');
+  }
+  const category = await Category.findById(categoryId);
+  if (!category) {
+    throw categoryError('Category not found', 404);
+  }
+
+  const { parent, ...fields } = pickEditable(data);
+  if (fields.slug !== undefined) fields.slug = slugify(fields.slug);
+  const previousSlug = category.slug;
+  category.set(fields);
+
+  const descendants = await Category.find({ ancestors: category._id });
+  if (parent !== undefined && String(parent || '') !== String(category.parent || '')) {
+    const ancestors = await ancestorsUnder(parent || null);
+    if (ancestors.some(id => id.equals(category._id))) {
+      throw categoryError('A category cannot be moved under itself or one of its subcategories');
+    }
+
+    const deepest = Math.max(0, ...descendants.map(d => d.ancestors.length - category.ancestors.length));
+    if (ancestors.length + deepest > MAX_CATEGORY_DEPTH) {
+      throw categoryError(`Categories can be at most ${MAX_CATEGORY_DEPTH + 1} levels deep`);
+    }
+
+    category.parent = parent || null;
+    category.ancestors = ancestors;
+  }
+
+  await saveCategory(category);
+
+  // Subcategories keep their place below this category
+  const chain = [...category.ancestors, category._id];
+  const moved = [];
+  for (const descendant of descendants) {
+    const below = descendant.ancestors.slice(descendant.ancestors.findIndex(id => id.equals(category._id)) + 1);
+    const ancestors = [...chain, ...below];
+    if (ancestors.join() !== descendant.ancestors.join()) {
+      moved.push({ updateOne: { filter: { _id: descendant._id }, update: { $set: { ancestors } } } });
+    }
+  }
+  if (moved.length > 0) {
+    await Category.bulkWrite(moved);
+  }
+
+  if (category.slug !== previousSlug) {
+    await Promise.all([
+      Product.updateMany(
+        { categories: previousSlug },
+        { $set: { 'categories.$[category]': category.slug } },
+        { arrayFilters: [{ category: previousSlug }] }
+      ),
+      CommissionRule.updateMany({ category: previousSlug }, { $set: { category: category.slug } })
+    ]);
+  }
+
+  await clearCategoryCache();
+  return category;
+}
+
+/**
+ * Delete a category that has no subcategories and no listings. Categories
+ * still in use can be deactivated instead.
+ * @param {string} categoryId - Category ID
+ * @returns {Promise<Object>} - Deleted category
+ */
+export async function deleteCategory(categoryId) {
+  if (!mongoose.isValidObjectId(categoryId)) {
+    throw categoryError('Invalid category ID');
+  }
+  const category = await Category.findById(categoryId);
+  if (!category) {
+    throw categoryError('Category not found', 404);
+  }
+
+  const [hasChildren, hasProducts] = await Promise.all([
+    Category.exists({ parent: category._id }),
+    Product.exists({ categories: category.slug, isDeleted: false })
+  ]);
+  if (hasChildren) {
+    throw categoryError('Move or delete the subcategories first', 409);
+  }
+  if (hasProducts) {
+    throw categoryError('Listings still use this category; deactivate it instead', 409);
+  }
+
+  await category.deleteOne();
+  await clearCategoryCache();
+  return category;
+}
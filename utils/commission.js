@@ -0,0 +1,112 @@
+import CommissionRule from '../models/CommissionRule.js';
+import Product from '../models/Product.js';
+import Vendor from '../models/Vendor.js';
+import { roundCurrency } from './orderPricing.js';
+import { withAncestorSlugs } from './categories.js';
+
+// Platform rate used when neither a rule nor the vendor sets one
+const DEFAULT_COMMISSION_RATE = parseFloat(process.env.DEFAULT_COMMISSION_RATE || '0.15');
+
+/**
+ * Rank a rule by how narrowly it is scoped
+ * @param {Object} rule - CommissionRule document
+ * @returns {number} - 3 vendor+category, 2 vendor, 1 category, 0 platform-wide
+ */
+function specificity(rule) {
+  return (rule.vendor ? 2 : 0) + (rule.category ? 1 : 0);
+}
+
+/**
+ * Pick the most specific rule, preferring the lower rate on a tie
+ * @param {Array} rules - Candidate rules
+ * @returns {Object|null} - Winning rule
+ */
+function mostSpecific(rules) {
+  return [...rules].sort((a, b) =>
+    specificity(b) - specificity(a) || a.rate - b.rate
+  )[0] || null;
+}
+
+/**
+ * Work out the commission rate for one line item. Precedence:
+ * running promotions, then standing rules, then the vendor's own
+ * rate, then the platform default. Within each, the most specific wins.
+ * @param {Object} context - { categories, vendorRate }
+ * @param {Array} rules - Rules already filtered to this vendor and moment
+ * @returns {Object} - { rate, source, rule }
+ */
+export function resolveCommissionRate({ categories = [], vendorRate }, rules) {
+  const matching = rules.filter(rule => !rule.category || categories.includes(rule.category));
+
+  const promotion = mostSpecific(matching.filter(rule => rule.startsAt || rule.endsAt));
+  if (promotion) {
+    return { rate: promotion.rate, source: 'promotion', rule: promotion._id };
+  }
+
+  const standing = mostSpecific(matching.filter(rule => !rule.startsAt && !rule.endsAt));
+  if (standing) {
+    return { rate: standing.rate, source: 'rule', rule: standing._id };
+  }
+
+  if (typeof vendorRate === 'number') {
+    return { rate: vendorRate, source: 'vendor', rule: null };
+  }
+
+  return { rate: DEFAULT_COMMISSION_RATE, source: 'default', rule: null };
+}
+
+/**
+ * Calculate the platform commission on one vendor's fulfillment, per line item.
+ * Shipping passes through to the vendor without commission.
+ * @param {Object} order - Order document
+ * @param {Object} fulfillment - The vendor's fulfillment subdocument
+ * @param {Date} at - Moment the commission applies (release time)
+ * @returns {Promise<Object>} - { gross, shipping, fee, net, calculatedAt, lines }
+ */
+export async function calculateFulfillmentCommission(order, fulfillment, at = new Date()) {
+  const items = order.itemsForVendor(fulfillment.vendor);
+  const productIds = items.map(item => item.product._id || item.product);
+
+  const [products, vendor, rules] = await Promise.all([
+    Product.find({ _id: { $in: productIds } }).select('categories'),
+    Vendor.findById(fulfillment.vendor).select('financials.commissionRate'),
+    CommissionRule.findApplicable(fulfillment.vendor, at)
+  ]);
+  // Rules on a parent category also apply to products in its subcategories
+  const categoriesById = new Map(await Promise.all(
+    products.map(async p => [p._id.toString(), await withAncestorSlugs(p.categories || [])])
+  ));
+
+  const lines = items.map(item => {
+    const productId = (item.product._id || item.product).toString();
+    // Units already refunded earn the vendor nothing, so carry no commission
+    const gross = roundCurrency(item.price * (item.quantity - (item.refundedQuantity || 0)));
+    const { rate, source, rule } = resolveCommissionRate({
+      categories: categoriesById.get(productId) || [],
+      vendorRate: vendor?.financials?.commissionRate
+    }, rules);
+
+    return {
+      item: item._id,
+      product: productId,
+      gross,
+      rate,
+      fee: roundCurrency(gross * rate),
+      source,
+      rule
+    };
+  });
+
+  const gross = roundCurrency(lines.reduce((sum, line) => sum + line.gross, 0));
+  const fee = roundCurrency(lines.reduce((sum, line) => sum + line.fee, 0));
+  const shipping = roundCurrency(fulfillment.shippingCost || 0);
+
+  return {
+    gross,
+    shipping,
+    fee,
+    net: roundCurrency(fulfillment.escrowAmount - fee),
+    calculatedAt: at,
+    lines
+  };
+}
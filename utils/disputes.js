@@ -0,0 +1,342 @@
+import Dispute, { DISPUTE_REASONS, DISPUTE_OUTCOMES } from '../models/Dispute.js';
+import DeliveryProof from '../models/DeliveryProof.js';
+import Order from '../models/Order.js';
+import { refundOrder, refundFulfillment } from './refunds.js';
+
+// Days a vendor has to answer a case before an admin steps in
+export const VENDOR_RESPONSE_DAYS = parseInt(process.env.DISPUTE_RESPONSE_DAYS || '5');
+
+const MAX_EVIDENCE = 10;
+
+// Stripe chargeback reasons mapped onto our own
+const STRIPE_REASONS = {
+  fraudulent: 'unauthorized',
+  unrecognized: 'unauthorized',
+  duplicate: 'duplicate',
+  product_not_received: 'not_received',
+  product_unacceptable: 'not_as_described'
+};
+
+/**
+ * Build an error the global error handler reports with the given status
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} - Error with statusCode set
+ */
+function disputeError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Turn a list of uploaded file URLs into evidence entries
+ * @param {Array} urls - Image or document URLs
+ * @param {Object} submitter - { actor, role }
+ * @returns {Array} - Evidence subdocuments
+ */
+export function evidenceFromUrls(urls = [], { actor, role }) {
+  if (!Array.isArray(urls) || urls.length > MAX_EVIDENCE) {
+    throw disputeError(`Up to ${MAX_EVIDENCE} files can be attached`);
+  }
+  return urls.map(url => ({
+    kind: /\.pdf($|\?)/i.test(url) ? 'document' : 'image',
+    url,
+    submittedBy: actor,
+    submittedByRole: role
+  }));
+}
+
+/**
+ * Stop held escrow on an order from being released while a case is open
+ * @param {string} orderId - Order ID
+ * @param {string|null} vendorId - Vendor whose fulfillment to freeze, or null for all
+ * @param {string} reason - Shown alongside the frozen escrow
+ */
+export async function freezeEscrow(orderId, vendorId, reason) {
+  const match = { 'f.escrowStatus': 'held' };
+  if (vendorId) match['f.vendor'] = vendorId;
+
+  await Order.updateOne(
+    { _id: orderId },
+    {
+      $set: {
+        'fulfillments.$[f].escrowFrozen': true,
+        'fulfillments.$[f].escrowFrozenReason': reason
+      }
+    },
+    { arrayFilters: [match] }
+  );
+}
+
+/**
+ * Let escrow move again once no open case covers it
+ * @param {string} orderId - Order ID
+ * @param {string|null} vendorId - Vendor whose fulfillment to unfreeze, or null for all
+ */
+export async function unfreezeEscrow(orderId, vendorId) {
+  const [order, openCases] = await Promise.all([
+    Order.findById(orderId).select('fulfillments.vendor fulfillments.escrowFrozen'),
+    Dispute.findOpenForOrder(orderId)
+  ]);
+  if (!order) return;
+
+  for (const fulfillment of order.fulfillments) {
+    if (!fulfillment.escrowFrozen) continue;
+    if (vendorId && fulfillment.vendor.toString() !== vendorId.toString()) continue;
+    // A chargeback (no vendor) or another case on this vendor keeps it frozen
+    if (openCases.some(c => !c.vendor || c.vendor.toString() === fulfillment.vendor.toString())) continue;
+
+    await Order.updateOne(
+      { _id: orderId, 'fulfillments.vendor': fulfillment.vendor },
+      {
+        $set: { 'fulfillments.$.escrowFrozen': false },
+        $unset: { 'fulfillments.$.escrowFrozenReason': '' }
+      }
+    );
+  }
+}
+
+/**
+ * Customer opens a case against one vendor's part of a paid order
+ * @param {Object} order - Order document owned by the customer
+ * @param {Object} details - { vendorId, reason, description, evidence, actor }
+ * @returns {Promise<Object>} - Created Dispute
+ */
+export async function openDispute(order, { vendorId, reason, description, evidence = [], actor }) {
+  if (!DISPUTE_REASONS.includes(reason)) {
+    throw disputeError(`Dispute reason must be one of: ${DISPUTE_REASONS.join(', ')}`);
+  }
+  if (!description) {
+    throw disputeError('Please describe the problem');
+  }
+  if (order.paymentStatus !== 'completed') {
+    throw disputeError('Only paid orders can be disputed', 409);
+  }
+
+  const fulfillments = order.ensureFulfillments();
+  const fulfillment = vendorId
+    ? order.getFulfillment(vendorId)
+    : fulfillments.length === 1 ? fulfillments[0] : null;
+  if (!fulfillment) {
+    throw disputeError(vendorId ? 'Vendor has no items in this order' : 'Choose which seller the dispute is about');
+  }
+  if (fulfillment.status === 'cancelled' || fulfillment.escrowStatus === 'refunded') {
+    throw disputeError('This part of the order was cancelled or refunded', 409);
+  }
+
+  const openCases = await Dispute.findOpenForOrder(order._id, fulfillment.vendor);
+  if (openCases.length > 0) {
+    throw disputeError(`Case ${openCases[0].caseNumber} is already open for this order`, 409);
+  }
+
+  const dispute = await Dispute.create({
+    order: order._id,
+    customer: order.customer,
+    vendor: fulfillment.vendor,
+    reason,
+    description,
+    evidence: evidenceFromUrls(evidence, { actor, role: 'customer' }),
+    vendorResponseDueAt: new Date(Date.now() + VENDOR_RESPONSE_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  await freezeEscrow(order._id, fulfillment.vendor, `Dispute ${dispute.caseNumber}`);
+  return dispute;
+}
+
+/**
+ * Vendor answers a case with a message and evidence, which may include
+ * delivery proof photos already uploaded for the order
+ * @param {Object} dispute - Dispute document
+ * @param {Object} response - { message, evidence, deliveryProofIds, trackingNumber, role, actor }
+ * @returns {Promise<Object>} - Updated Dispute
+ */
+export async function respondToDispute(dispute, { message, evidence = [], deliveryProofIds = [], trackingNumber, role, actor }) {
+  if (!dispute.isOpen) {
+    throw disputeError('This dispute is closed', 409);
+  }
+  if (!message && evidence.length === 0 && deliveryProofIds.length === 0) {
+    throw disputeError('Add a message or evidence to respond');
+  }
+
+  const proofs = deliveryProofIds.length > 0
+    ? await DeliveryProof.find({ _id: { $in: deliveryProofIds }, order: dispute.order, vendor: dispute.vendor })
+    : [];
+  if (proofs.length !== deliveryProofIds.length) {
+    throw disputeError('Delivery proof must belong to this order');
+  }
+
+  dispute.evidence.push(
+    ...evidenceFromUrls(evidence, { actor, role }),
+    ...proofs.map(proof => ({
+      kind: 'delivery_proof',
+      url: proof.imageUrl,
+      deliveryProof: proof._id,
+      note: proof.arrivalNotes,
+      submittedBy: actor,
+      submittedByRole: role
+    }))
+  );
+  if (trackingNumber) {
+    dispute.evidence.push({ kind: 'tracking', note: trackingNumber, submittedBy: actor, submittedByRole: role });
+  }
+  if (message) {
+    dispute.messages.push({ author: actor, authorRole: role, body: message });
+  }
+
+  if (dispute.status === 'open') {
+    dispute.transition('vendor_responded', { role, actor, note: 'Vendor responded' });
+    dispute.vendorRespondedAt = new Date();
+  }
+
+  return dispute.save();
+}
+
+/**
+ * Customer drops the case; escrow resumes its normal schedule
+ * @param {Object} dispute - Dispute document
+ * @param {Object} options - { role, actor, note }
+ * @returns {Promise<Object>} - Updated Dispute
+ */
+export async function withdrawDispute(dispute, { role, actor, note }) {
+  if (dispute.source === 'chargeback' && role !== 'admin') {
+    throw disputeError('Chargebacks are withdrawn through the card issuer', 409);
+  }
+
+  dispute.transition('withdrawn', { role, actor, note });
+  await dispute.save();
+  await unfreezeEscrow(dispute.order, dispute.vendor);
+  return dispute;
+}
+
+/**
+ * Admin settles a case: refund it in full, refund part of it, or release
+ * the escrow to the vendor. Whatever is not refunded is released straight
+ * away if the items were delivered, or follows the normal schedule if not.
+ * @param {Object} dispute - Dispute document
+ * @param {Object} decision - { outcome, amount, vendorId, notes, actor }
+ * @returns {Promise<Object>} - Updated Dispute
+ */
+export async function resolveDispute(dispute, { outcome, amount, vendorId, notes, actor }) {
+  if (!DISPUTE_OUTCOMES.includes(outcome)) {
+    throw disputeError(`Outcome must be one of: ${DISPUTE_OUTCOMES.join(', ')}`);
+  }
+
+  // Validate the move before touching any money
+  dispute.transition('resolved', { role: 'admin', actor, note: notes });
+
+  const order = await Order.findById(dispute.order);
+  if (!order) {
+    throw disputeError('Order not found', 404);
+  }
+
+  const key = `dispute:${dispute._id}`;
+  const refundOptions = {
+    reason: `Dispute ${dispute.caseNumber}`,
+    // A chargeback has already returned the customer's money through their bank
+    destination: dispute.source === 'chargeback' ? 'chargeback' : undefined,
+    actor
+  };
+  let refunded = 0;
+
+  if (outcome === 'refund') {
+    const refunds = await refundOrder(order, { ...refundOptions, vendorId: dispute.vendor, type: 'full', key });
+    refunded = refunds.reduce((sum, refund) => sum + refund.amount, 0);
+  } else if (outcome === 'partial_refund') {
+    const refundVendor = dispute.vendor || vendorId;
+    if (!refundVendor) {
+      throw disputeError('Choose which vendor the partial refund comes from');
+    }
+    const refund = await refundFulfillment(order, refundVendor, { ...refundOptions, type: 'amount', amount, key });
+    refunded = refund.amount;
+  }
+
+  dispute.resolution = {
+    outcome,
+    amount: refunded,
+    notes,
+    resolvedBy: actor,
+    resolvedAt: new Date()
+  };
+  await dispute.save();
+  await unfreezeEscrow(order._id, dispute.vendor);
+
+  if (outcome !== 'refund') {
+    const current = await Order.findById(order._id);
+    const releasable = current.paymentStatus !== 'completed' ? [] : current.fulfillments.filter(f =>
+      f.status === 'delivered' &&
+      f.escrowStatus === 'held' &&
+      !f.escrowFrozen &&
+      (!dispute.vendor || f.vendor.toString() === dispute.vendor.toString())
+    );
+    for (const fulfillment of releasable) {
+      await current.releaseEscrow(fulfillment.vendor);
+    }
+  }
+
+  return dispute;
+}
+
+/**
+ * Mirror a Stripe chargeback as a case on the order it was paid for.
+ * Repeated and out-of-order events update the same case.
+ * @param {Object} stripeDispute - Stripe dispute object from a charge.dispute.* event
+ * @returns {Promise<Object|null>} - Linked Dispute, or null if no order matches
+ */
+export async function recordChargeback(stripeDispute) {
+  const paymentIntentId = typeof stripeDispute.payment_intent === 'string'
+    ? stripeDispute.payment_intent
+    : stripeDispute.payment_intent?.id;
+  const stripeDetails = {
+    disputeId: stripeDispute.id,
+    chargeId: typeof stripeDispute.charge === 'string' ? stripeDispute.charge : stripeDispute.charge?.id,
+    paymentIntentId,
+    amount: stripeDispute.amount / 100,
+    currency: stripeDispute.currency,
+    reason: stripeDispute.reason,
+    status: stripeDispute.status,
+    evidenceDueBy: stripeDispute.evidence_details?.due_by
+      ? new Date(stripeDispute.evidence_details.due_by * 1000)
+      : undefined
+  };
+
+  const existing = await Dispute.findOne({ 'stripe.disputeId': stripeDispute.id });
+  if (existing) {
+    if (existing.stripe.status !== stripeDetails.status) {
+      existing.messages.push({
+        authorRole: 'system',
+        body: `Card issuer updated the chargeback: ${stripeDetails.status}`,
+        internal: true
+      });
+    }
+    existing.stripe = stripeDetails;
+    return existing.save();
+  }
+
+  const order = await Order.findOne({ paymentTransactionId: paymentIntentId });
+  if (!order) {
+    console.warn(`⚠️ Chargeback ${stripeDispute.id} does not match any order (payment ${paymentIntentId})`);
+    return null;
+  }
+
+  let dispute;
+  try {
+    dispute = await Dispute.create({
+      order: order._id,
+      customer: order.customer,
+      source: 'chargeback',
+      reason: STRIPE_REASONS[stripeDispute.reason] || 'other',
+      description: `Card chargeback (${stripeDispute.reason}) for ${stripeDetails.amount.toFixed(2)} ${stripeDetails.currency?.toUpperCase()}`,
+      stripe: stripeDetails
+    });
+  } catch (error) {
+    // Another delivery of the same event created it first
+    if (error.code === 11000) {
+      return Dispute.findOne({ 'stripe.disputeId': stripeDispute.id });
+    }
+    throw error;
+  }
+
+  await freezeEscrow(order._id, null, `Chargeback ${dispute.caseNumber}`);
+  return dispute;
+}
@@ -1,87 +1,220 @@
 import crypto from 'crypto';
 
-// Get encryption key from environment variables
-const ENCRYPTION_KEY = process.env.BANK_ENCRYPTION_KEY;
-const IV_LENGTH = 16; // For AES, this is always 16
+// Key ID that ciphertext written before key versioning (untagged AES-256-CBC)
+// was encrypted with. BANK_ENCRYPTION_KEY on its own is this key.
+const LEGACY_KEY_ID = 'v1';
+const GCM_PREFIX = 'gcm';
+const GCM_IV_LENGTH = 12; // Recommended IV size for GCM
+const CBC_IV_LENGTH = 16; // For AES-CBC, this is always 16
+const GCM_TAG_LENGTH = 16; // Full-length tag; shorter ones are easier to forge
 
-// Validate encryption key
-if (!ENCRYPTION_KEY || ENCRYPTION_KEY.length !== 64) {
-  console.error('❌ BANK_ENCRYPTION_KEY must be exactly 64 characters long (32 bytes in hex)');
-  console.error('📝 Generate a secure key: node -e "console.log(require(\'crypto\').randomBytes(32).toString(\'hex\'))"');
-  process.exit(1);
+let keyringCache = null;
+
+/**
+ * Build an error the global error handler reports with the given status
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} - Error with statusCode set
+ */
+function encryptionError(message, statusCode = 500) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
 }
 
 /**
- * Encrypt text using AES-256-CBC
+ * Read the keyring from the environment. BANK_ENCRYPTION_KEYS lists keys as
+ * "id:hexkey,id:hexkey"; BANK_ENCRYPTION_KEY_ID picks the one new data is
+ * written with (default: the last listed). A lone BANK_ENCRYPTION_KEY is
+ * key v1. Read lazily so .env has been loaded by the time it is needed.
+ * @returns {Object} - { keys: Map, currentKeyId, error }
+ */
+function getKeyring() {
+  const { BANK_ENCRYPTION_KEY, BANK_ENCRYPTION_KEYS, BANK_ENCRYPTION_KEY_ID } = process.env;
+  const signature = [BANK_ENCRYPTION_KEY, BANK_ENCRYPTION_KEYS, BANK_ENCRYPTION_KEY_ID].join('|');
+  if (keyringCache?.signature === signature) return keyringCache;
+
+  const keys = new Map();
+  let error = null;
+
+  if (BANK_ENCRYPTION_KEY) {
+    keys.set(LEGACY_KEY_ID, BANK_ENCRYPTION_KEY);
+  }
+  for (const entry of (BANK_ENCRYPTION_KEYS || '').split(',').map(e => e.trim()).filter(Boolean)) {
+    const [id, key] = entry.split(':');
+    if (!id || !key) {
+      error = 'BANK_ENCRYPTION_KEYS entries must look like "id:hexkey"';
+      continue;
+    }
+    keys.set(id, key);
+  }
+
+  for (const [id, key] of keys) {
+    if (!isValidEncryptionKey(key)) {
+      error = `Encryption key ${id} must be exactly 64 hex characters long (32 bytes)`;
+      keys.delete(id);
+    }
+  }
+
+  const currentKeyId = BANK_ENCRYPTION_KEY_ID || [...keys.keys()].pop();
+  if (keys.size === 0) {
+    error = error || 'No encryption key configured (set BANK_ENCRYPTION_KEY or BANK_ENCRYPTION_KEYS)';
+  } else if (!keys.has(currentKeyId)) {
+    error = `BANK_ENCRYPTION_KEY_ID ${currentKeyId} is not in the keyring`;
+  }
+
+  keyringCache = { signature, keys, currentKeyId, error };
+  return keyringCache;
+}
+
+/**
+ * Look up a key by ID, failing if encryption is not usable
+ * @param {string} keyId - Key ID
+ * @returns {Buffer} - Key bytes
+ */
+function keyFor(keyId) {
+  const { keys, error } = getKeyring();
+  if (keys.size === 0) {
+    throw encryptionError(`Encryption is not configured: ${error}`, 503);
+  }
+  if (!keys.has(keyId)) {
+    throw encryptionError(`Encryption key ${keyId} is not configured`);
+  }
+  return Buffer.from(keys.get(keyId), 'hex');
+}
+
+/**
+ * Whether encryption can be used, and with which keys. Services that never
+ * decrypt can start without keys; anything that does gets a 503 until
+ * they are configured.
+ * @returns {Object} - { configured, currentKeyId, keyIds, error }
+ */
+export function encryptionStatus() {
+  const { keys, currentKeyId, error } = getKeyring();
+  return {
+    configured: !error,
+    currentKeyId: keys.has(currentKeyId) ? currentKeyId : null,
+    keyIds: [...keys.keys()],
+    error
+  };
+}
+
+/**
+ * Encrypt text using AES-256-GCM with the current key
  * @param {string} text - Text to encrypt
- * @returns {string} - Encrypted text in format: iv:encryptedData
+ * @returns {string} - Encrypted text in format: gcm:keyId:iv:authTag:encryptedData
  */
 export function encrypt(text) {
+  if (!text) return null;
+
+  const { currentKeyId, error } = getKeyring();
+  if (error) {
+    throw encryptionError(`Encryption is not configured: ${error}`, 503);
+  }
+
   try {
-    if (!text) return null;
-    
-    // Generate a random IV
-    const iv = crypto.randomBytes(IV_LENGTH);
-    
-    // Create cipher
-    const cipher = crypto.createCipheriv(
-      'aes-256-cbc', 
-      Buffer.from(ENCRYPTION_KEY, 'hex'), 
-      iv
-    );
-    
-    // Encrypt the text
+    const iv = crypto.randomBytes(GCM_IV_LENGTH);
+    const cipher = crypto.createCipheriv('aes-256-gcm', keyFor(currentKeyId), iv, { authTagLength: GCM_TAG_LENGTH });
+    // Bind the key ID to the ciphertext so it cannot be swapped
+    cipher.setAAD(Buffer.from(currentKeyId, 'utf8'));
+
     let encrypted = cipher.update(text, 'utf8', 'hex');
     encrypted += cipher.final('hex');
-    
-    // Return IV and encrypted data
-    return iv.toString('hex') + ':' + encrypted;
+
+    return [GCM_PREFIX, currentKeyId, iv.toString('hex'), cipher.getAuthTag().toString('hex'), encrypted].join(':');
   } catch (error) {
     console.error('❌ Encryption failed:', error.message);
-    throw new Error('Encryption failed');
+    throw encryptionError('Encryption failed');
   }
 }
 
 /**
- * Decrypt text using AES-256-CBC
- * @param {string} encryptedText - Encrypted text in format: iv:encryptedData
+ * Decrypt text written by encrypt(): AES-256-GCM with a tagged key, or the
+ * older untagged AES-256-CBC format (iv:encryptedData) under key v1
+ * @param {string} encryptedText - Encrypted text
  * @returns {string} - Decrypted text
  */
 export function decrypt(encryptedText) {
+  if (!encryptedText) return null;
+
+  const parts = encryptedText.split(':');
+  const isGcm = parts[0] === GCM_PREFIX && parts.length === 5;
+  if (!isGcm && parts.length !== 2) {
+    throw encryptionError('Invalid encrypted text format');
+  }
+
+  // Missing keys are a configuration problem, not a bad ciphertext
+  const keyId = isGcm ? parts[1] : LEGACY_KEY_ID;
+  const key = keyFor(keyId);
+
   try {
-    if (!encryptedText) return null;
-    
-    // Split IV and encrypted data
-    const [ivHex, encryptedData] = encryptedText.split(':');
-    
-    if (!ivHex || !encryptedData) {
-      throw new Error('Invalid encrypted text format');
+    if (isGcm) {
+      const [, , ivHex, tagHex, encryptedData] = parts;
+      const tag = Buffer.from(tagHex, 'hex');
+      if (tag.length !== GCM_TAG_LENGTH) {
+        throw new Error('Invalid auth tag length');
+      }
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(ivHex, 'hex'), { authTagLength: GCM_TAG_LENGTH });
+      decipher.setAAD(Buffer.from(keyId, 'utf8'));
+      decipher.setAuthTag(tag);
+
+      let decrypted = decipher.update(encryptedData, 'hex', 'utf8');
+      decrypted += decipher.final('utf8');
+      return decrypted;
     }
-    
-    // Convert IV back to buffer
+
+    const [ivHex, encryptedData] = parts;
     const iv = Buffer.from(ivHex, 'hex');
-    
-    // Create decipher
-    const decipher = crypto.createDecipheriv(
-      'aes-256-cbc', 
-      Buffer.from(ENCRYPTION_KEY, 'hex'), 
-      iv
-    );
-    
-    // Decrypt the data
+    if (iv.length !== CBC_IV_LENGTH) {
+      throw new Error('Invalid IV length');
+    }
+    const decipher = crypto.createDecipheriv('aes-256-cbc', key, iv);
+
     let decrypted = decipher.update(encryptedData, 'hex', 'utf8');
     decrypted += decipher.final('utf8');
-    
     return decrypted;
   } catch (error) {
     console.error('❌ Decryption failed:', error.message);
-    throw new Error('Decryption failed');
+    throw encryptionError('Decryption failed');
   }
 }
 
+/**
+ * Whether a value looks like something encrypt() produced, in either format
+ * @param {string} value - Stored value
+ * @returns {boolean} - True if it is ciphertext
+ */
+export function isEncrypted(value) {
+  if (typeof value !== 'string') return false;
+  const parts = value.split(':');
+  if (parts[0] === GCM_PREFIX) return parts.length === 5;
+  return parts.length === 2 && /^[0-9a-f]{32}$/i.test(parts[0]) && /^[0-9a-f]+$/i.test(parts[1]);
+}
+
+/**
+ * Whether ciphertext should be rewritten: it is in the old CBC format or
+ * was encrypted with a key other than the current one
+ * @param {string} encryptedText - Encrypted text
+ * @returns {boolean} - True if it needs re-encrypting
+ */
+export function needsReencryption(encryptedText) {
+  if (!isEncrypted(encryptedText)) return false;
+  const parts = encryptedText.split(':');
+  return parts[0] !== GCM_PREFIX || parts[1] !== getKeyring().currentKeyId;
+}
+
+/**
+ * Re-encrypt ciphertext with the current key using AES-256-GCM
+ * @param {string} encryptedText - Encrypted text
+ * @returns {string} - Encrypted text under the current key
+ */
+export function reencrypt(encryptedText) {
+  return needsReencryption(encryptedText) ? encrypt(decrypt(encryptedText)) : encryptedText;
+}
+
 /**
  * Generate a secure encryption key
- * @returns {string} - 32-character hex string
+ * @returns {string} - 64-character hex string
  */
 export function generateEncryptionKey() {
   return crypto.randomBytes(32).toString('hex');
@@ -93,7 +226,7 @@ export function generateEncryptionKey() {
  * @returns {boolean} - True if valid
  */
 export function isValidEncryptionKey(key) {
-  return key && key.length === 64 && /^[0-9a-fA-F]+$/.test(key);
+  return !!key && key.length === 64 && /^[0-9a-fA-F]+$/.test(key);
 }
 
 /**
@@ -244,5 +377,3 @@ export function getTestCardNumbers() {
     '6200000000000005'  // UnionPay test card
   ];
 }
-
-console.log('✅ Encryption utility loaded successfully'); 
\ No newline at end of file
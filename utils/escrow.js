@@ -0,0 +1,170 @@
+import Order from '../models/Order.js';
+import Vendor from '../models/Vendor.js';
+
+// Days after delivery before held escrow is released, per vendor tier
+export const ESCROW_RELEASE_DAYS = {
+  standard: parseInt(process.env.ESCROW_RELEASE_DAYS_STANDARD || '14'),
+  trusted: parseInt(process.env.ESCROW_RELEASE_DAYS_TRUSTED || '7'),
+  premium: parseInt(process.env.ESCROW_RELEASE_DAYS_PREMIUM || '3')
+};
+
+// How long one server instance holds its claim on a fulfillment being released
+const RELEASE_LOCK_MS = 5 * 60 * 1000;
+
+/**
+ * Build an error the global error handler reports with the given status
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} - Error with statusCode set
+ */
+function escrowError(message, statusCode = 409) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Work out when a delivered fulfillment's escrow becomes due for release
+ * @param {string} vendorId - Vendor ID
+ * @param {Date} deliveredAt - Delivery time
+ * @returns {Promise<Date>} - Release time
+ */
+export async function escrowReleaseDateFor(vendorId, deliveredAt = new Date()) {
+  const vendor = await Vendor.findById(vendorId).select('tier');
+  const days = ESCROW_RELEASE_DAYS[vendor?.tier] ?? ESCROW_RELEASE_DAYS.standard;
+  return new Date(deliveredAt.getTime() + days * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Schedule automatic release for a fulfillment that was just delivered
+ * @param {Object} order - Order document
+ * @param {string} vendorId - Vendor whose fulfillment was delivered
+ * @returns {Promise<Date|null>} - Release time, or null if nothing is held
+ */
+export async function scheduleEscrowRelease(order, vendorId) {
+  const fulfillment = order.getFulfillment(vendorId);
+  if (!fulfillment || fulfillment.escrowStatus !== 'held' || fulfillment.escrowReleaseAt) {
+    return null;
+  }
+
+  const releaseAt = await escrowReleaseDateFor(vendorId, fulfillment.deliveredAt || new Date());
+
+  // Positional update so this never conflicts with other writes to the order
+  await Order.updateOne(
+    { _id: order._id, fulfillments: { $elemMatch: { vendor: fulfillment.vendor, escrowReleaseAt: null } } },
+    { $set: { 'fulfillments.$.escrowReleaseAt': releaseAt } }
+  );
+  fulfillment.escrowReleaseAt = releaseAt;
+
+  return releaseAt;
+}
+
+/**
+ * Query for a fulfillment whose escrow is due and not claimed by another instance
+ * @param {Date} now - Current time
+ * @returns {Object} - $elemMatch condition
+ */
+function dueForRelease(now) {
+  return {
+    status: 'delivered',
+    escrowStatus: 'held',
+    escrowFrozen: { $ne: true },
+    escrowReleaseAt: { $lte: now },
+    $or: [
+      { escrowReleaseLockedUntil: null },
+      { escrowReleaseLockedUntil: { $lte: now } }
+    ]
+  };
+}
+
+/**
+ * Release every held escrow whose delivery window has passed. Each
+ * fulfillment is claimed with an atomic update before it is released, so
+ * several server instances can run this at once without releasing the same
+ * escrow twice; ledger postings are idempotent as a second safeguard.
+ * @param {number} limit - Maximum releases in one run
+ * @returns {Promise<number>} - Number of fulfillments released
+ */
+export async function releaseDueEscrow(limit = 50) {
+  let released = 0;
+
+  for (let i = 0; i < limit; i++) {
+    const now = new Date();
+    const lockedUntil = new Date(now.getTime() + RELEASE_LOCK_MS);
+
+    // Only paid orders have money in escrow to release
+    const order = await Order.findOneAndUpdate(
+      { paymentStatus: 'completed', fulfillments: { $elemMatch: dueForRelease(now) } },
+      { $set: { 'fulfillments.$.escrowReleaseLockedUntil': lockedUntil } },
+      { new: true }
+    );
+    if (!order) break;
+
+    const fulfillment = order.fulfillments.find(f =>
+      f.escrowReleaseLockedUntil?.getTime() === lockedUntil.getTime()
+    );
+    if (!fulfillment) continue;
+
+    try {
+      await order.releaseEscrow(fulfillment.vendor);
+      released++;
+    } catch (error) {
+      // The claim expires, so the next run retries it
+      console.error(`❌ Automatic escrow release failed for order ${order.orderNumber}:`, error);
+    }
+  }
+
+  if (released > 0) {
+    console.log(`💰 Automatically released escrow for ${released} fulfillment(s)`);
+  }
+  return released;
+}
+
+/**
+ * Customer confirms they received their items: anything still shipped is
+ * marked delivered and its escrow is released straight away
+ * @param {Object} order - Order document
+ * @param {Object} options - { actor, vendorId } - vendorId limits it to one fulfillment
+ * @returns {Promise<Object>} - Updated order
+ */
+export async function confirmReceipt(order, { actor, vendorId } = {}) {
+  if (order.paymentStatus !== 'completed') {
+    throw escrowError('Receipt can only be confirmed once the order has been paid');
+  }
+
+  order.ensureFulfillments();
+  const groups = order.fulfillments.filter(f =>
+    f.status !== 'cancelled' &&
+    (!vendorId || f.vendor.toString() === vendorId.toString())
+  );
+
+  if (groups.length === 0) {
+    throw escrowError('No matching items to confirm', 404);
+  }
+
+  const notArrived = groups.find(f => !['shipped', 'delivered'].includes(f.status));
+  if (notArrived) {
+    throw escrowError('Items that have not shipped cannot be confirmed as received');
+  }
+
+  if (groups.some(f => f.escrowFrozen)) {
+    throw escrowError('Payment is on hold while a dispute is open for this order');
+  }
+
+  for (const group of groups.filter(f => f.status === 'shipped')) {
+    order.applyTransition('delivered', {
+      role: 'customer',
+      actor,
+      reason: 'Receipt confirmed by customer',
+      vendorId: group.vendor
+    });
+  }
+  await order.commitTransitions();
+
+  const held = groups.filter(f => f.escrowStatus === 'held');
+  for (const group of held) {
+    await order.releaseEscrow(group.vendor);
+  }
+
+  return order;
+}
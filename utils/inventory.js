@@ -0,0 +1,203 @@
+import Product from '../models/Product.js';
+import StockReservation from '../models/StockReservation.js';
+
+/**
+ * Build an error the global error handler reports with the given status
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} - Error with statusCode set
+ */
+function inventoryError(message, statusCode = 409) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * The variant a stock line refers to. Lines carry either the variant ID or
+ * an order item's variant snapshot ({ variantId, ... }).
+ * @param {Object} line - Stock line
+ * @returns {string|undefined} - Variant ID as a string
+ */
+function variantIdOf(line) {
+  const variant = line.variant?.variantId ?? line.variant;
+  return variant ? variant.toString() : undefined;
+}
+
+/**
+ * Merge cart lines so each product/variant appears once with its total quantity
+ * @param {Array} lines - Lines as { product, variant, quantity }
+ * @returns {Array} - Merged lines as { product, variant, quantity }
+ */
+export function mergeStockLines(lines) {
+  const merged = new Map();
+  for (const line of lines) {
+    const product = line.product.toString();
+    const variant = variantIdOf(line);
+    const key = `${product}:${variant || ''}`;
+    const entry = merged.get(key) || { product, variant, quantity: 0 };
+    entry.quantity += line.quantity;
+    merged.set(key, entry);
+  }
+  return [...merged.values()];
+}
+
+/**
+ * Atomic stock update for one line. Variant lines move the variant's stock
+ * and the product total together.
+ * @param {Object} line - Merged line as { product, variant, quantity }
+ * @param {number} delta - Signed quantity change
+ * @returns {Object} - { filter, update } for Product.updateOne
+ */
+function stockUpdate(line, delta) {
+  if (!line.variant) {
+    return {
+      filter: { _id: line.product, 'inventory.trackQuantity': { $ne: false } },
+      update: { $inc: { 'inventory.quantity': delta } }
+    };
+  }
+
+  return {
+    filter: { _id: line.product, 'inventory.trackQuantity': { $ne: false } },
+    variantMatch: { _id: line.variant },
+    update: { $inc: { 'variants.$.inventory.quantity': delta, 'inventory.quantity': delta } }
+  };
+}
+
+/**
+ * Decrement stock for every line, all or nothing. Each decrement is a
+ * conditional $inc that only matches while enough stock remains, so two
+ * buyers can never both take the last item. If any line fails, the lines
+ * already decremented are restored before the error is thrown.
+ * @param {Array} lines - Lines as { product, variant, quantity }
+ * @returns {Promise<Array>} - Lines as { product, variant, quantity, stockApplied }
+ */
+export async function decrementStock(lines) {
+  const applied = [];
+
+  try {
+    for (const line of mergeStockLines(lines)) {
+      const { filter, variantMatch, update } = stockUpdate(line, -line.quantity);
+      const result = await Product.updateOne(
+        variantMatch
+          ? { ...filter, variants: { $elemMatch: { ...variantMatch, isActive: true, 'inventory.quantity': { $gte: line.quantity } } } }
+          : { ...filter, 'variants.0': { $exists: false }, 'inventory.quantity': { $gte: line.quantity } },
+        update
+      );
+
+      if (result.modifiedCount === 1) {
+        applied.push({ ...line, stockApplied: true });
+        continue;
+      }
+
+      const product = await Product.findById(line.product).select('title options inventory variants');
+      if (product && product.inventory?.trackQuantity === false) {
+        applied.push({ ...line, stockApplied: false });
+        continue;
+      }
+
+      if (!line.variant && product?.variants.length > 0) {
+        throw inventoryError(`Please choose an option for ${product.title}`, 400);
+      }
+      const variant = line.variant && product?.variants.id(line.variant);
+      if (line.variant && product && !variant?.isActive) {
+        throw inventoryError(`The selected option of ${product.title} is no longer available`);
+      }
+      const name = variant ? `${product.title} (${product.variantLabel(variant)})` : (product ? product.title : line.product);
+      throw inventoryError(`Insufficient inventory for ${name}`);
+    }
+  } catch (error) {
+    await restoreStock(applied);
+    throw error;
+  }
+
+  return applied;
+}
+
+/**
+ * Put stock back for lines previously taken by decrementStock
+ * @param {Array} lines - Lines as { product, variant, quantity, stockApplied }
+ * @returns {Promise<void>}
+ */
+export async function restoreStock(lines) {
+  for (const line of lines) {
+    if (line.stockApplied === false) continue;
+    try {
+      const { filter, variantMatch, update } = stockUpdate({ ...line, variant: variantIdOf(line) }, line.quantity);
+      const result = await Product.updateOne(
+        variantMatch ? { ...filter, 'variants._id': variantMatch._id } : filter,
+        update
+      );
+      if (variantMatch && result.matchedCount === 0) {
+        console.warn(`⚠️ Variant ${variantMatch._id} of product ${line.product} no longer exists; stock not restored`);
+      }
+    } catch (error) {
+      console.error(`❌ Failed to restore stock for product ${line.product}:`, error);
+    }
+  }
+}
+
+/**
+ * Hold stock for a customer while they complete payment
+ * @param {string} customerId - Customer user ID
+ * @param {Array} lines - Lines as { product, variant, quantity }
+ * @returns {Promise<Object>} - Created StockReservation
+ */
+export async function createReservation(customerId, lines) {
+  const applied = await decrementStock(lines);
+
+  try {
+    return await StockReservation.create({ customer: customerId, items: applied });
+  } catch (error) {
+    await restoreStock(applied);
+    throw error;
+  }
+}
+
+/**
+ * Release an active hold and return its stock
+ * @param {Object} filter - Query identifying the reservation
+ * @param {string} status - Final status: 'released' or 'expired'
+ * @returns {Promise<Object|null>} - Closed reservation, or null if it was not active
+ */
+export async function releaseReservation(filter, status = 'released') {
+  const reservation = await StockReservation.close(filter, status);
+  if (reservation) {
+    await restoreStock(reservation.items);
+  }
+  return reservation;
+}
+
+/**
+ * Release every hold whose payment window has passed
+ * @returns {Promise<number>} - Number of reservations expired
+ */
+export async function releaseExpiredReservations() {
+  const expired = await StockReservation.findExpired();
+  let count = 0;
+
+  for (const reservation of expired) {
+    const released = await releaseReservation({ _id: reservation._id }, 'expired');
+    if (released) count++;
+  }
+
+  if (count > 0) {
+    console.log(`📦 Released ${count} expired stock reservation(s)`);
+  }
+  return count;
+}
+
+/**
+ * Check that a reservation covers exactly the given order lines
+ * @param {Object} reservation - StockReservation document
+ * @param {Array} lines - Lines as { product, variant, quantity }
+ * @returns {boolean} - True if products, variants and quantities match
+ */
+export function reservationMatches(reservation, lines) {
+  const key = line => `${line.product}:${variantIdOf(line) || ''}`;
+  const held = new Map(mergeStockLines(reservation.items).map(line => [key(line), line.quantity]));
+  const wanted = mergeStockLines(lines);
+
+  return wanted.length === held.size &&
+    wanted.every(line => held.get(key(line)) === line.quantity);
+}
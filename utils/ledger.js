@@ -0,0 +1,435 @@
+import mongoose from 'mongoose';
+import LedgerEntry from '../models/LedgerEntry.js';
+import { roundCurrency } from './orderPricing.js';
+
+/**
+ * Ledger
+ * Every money movement is an append-only, balanced journal entry. The
+ * figures stored on VendorBalance and CustomerBalance are projections
+ * rebuilt from the journal after each posting, never edited directly.
+ *
+ * Vendor and customer accounts are liabilities (credit increases them);
+ * platform:cash is an asset (debit increases it).
+ */
+
+// Platform-level accounts
+export const PLATFORM_ACCOUNTS = {
+  cash: 'platform:cash',
+  orderClearing: 'platform:order_clearing',
+  taxPayable: 'platform:tax_payable',
+  revenue: 'platform:revenue',
+  adjustments: 'platform:adjustments'
+};
+
+// Differences below half a cent are rounding, not drift
+const DRIFT_TOLERANCE = 0.005;
+
+// A balance lock lapses after this long, so a crashed request cannot hold it forever
+const BALANCE_LOCK_MS = 30 * 1000;
+// How long a spend waits for another one on the same balance to finish
+const BALANCE_LOCK_WAIT_MS = 5 * 1000;
+const BALANCE_LOCK_RETRY_MS = 50;
+
+/**
+ * Build an error the global error handler reports with the given status
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} - Error with statusCode set
+ */
+function ledgerError(message, statusCode = 409) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Name of a vendor's ledger account
+ * @param {string} vendorId - Vendor ID
+ * @param {string} bucket - 'pending', 'available' or 'in_transit'
+ * @returns {string} - Account name
+ */
+export function vendorAccount(vendorId, bucket) {
+  return `vendor:${vendorId}:${bucket}`;
+}
+
+/**
+ * Name of a customer's spending balance account
+ * @param {string} customerId - Customer user ID
+ * @returns {string} - Account name
+ */
+export function customerAccount(customerId) {
+  return `customer:${customerId}:balance`;
+}
+
+/**
+ * Find the vendors and customers whose accounts appear in a set of lines
+ * @param {Array} lines - Ledger lines as { account, debit, credit }
+ * @returns {Object} - { vendors: Set, customers: Set }
+ */
+function accountHolders(lines) {
+  const vendors = new Set();
+  const customers = new Set();
+  for (const { account } of lines) {
+    const [kind, id] = account.split(':');
+    if (kind === 'vendor') vendors.add(id);
+    if (kind === 'customer') customers.add(id);
+  }
+  return { vendors, customers };
+}
+
+/**
+ * Insert an entry, treating a repeated idempotency key as already posted
+ * @param {Object} entry - LedgerEntry fields
+ * @returns {Promise<Object>} - The new or previously posted entry
+ */
+async function createEntry(entry) {
+  try {
+    return await LedgerEntry.create(entry);
+  } catch (error) {
+    if (error.code === 11000 && entry.idempotencyKey) {
+      return LedgerEntry.findOne({ idempotencyKey: entry.idempotencyKey });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Check whether any entry has touched an account holder yet
+ * @param {string} prefix - Account name prefix, e.g. "vendor:<id>:"
+ * @returns {Promise<boolean>} - True if the holder has ledger history
+ */
+async function hasLedgerHistory(prefix) {
+  return !!(await LedgerEntry.exists({ 'lines.account': { $regex: `^${prefix}` } }));
+}
+
+/**
+ * Open a vendor's ledger from their stored balance. Balances that predate
+ * the ledger are carried in as opening entries the first time the vendor
+ * is touched; vendors that already have history are left alone.
+ * @param {string} vendorId - Vendor ID
+ * @returns {Promise<void>}
+ */
+export async function ensureVendorLedger(vendorId) {
+  if (await hasLedgerHistory(`vendor:${vendorId}:`)) return;
+
+  const VendorBalance = mongoose.model('VendorBalance');
+  const vendorBalance = await VendorBalance.findOne({ vendor: vendorId });
+  if (!vendorBalance) return;
+
+  const pending = roundCurrency(vendorBalance.pendingBalance || 0);
+  const available = roundCurrency(vendorBalance.availableBalance || 0);
+  const paidOut = roundCurrency(vendorBalance.totalPayouts || 0);
+  if (pending + available + paidOut <= 0) return;
+
+  await createEntry({
+    type: 'adjustment',
+    description: 'Opening balance carried over from stored vendor balance',
+    idempotencyKey: `opening:vendor:${vendorId}`,
+    vendor: vendorId,
+    lines: [
+      { account: PLATFORM_ACCOUNTS.adjustments, debit: roundCurrency(pending + available + paidOut) },
+      { account: vendorAccount(vendorId, 'pending'), credit: pending },
+      { account: vendorAccount(vendorId, 'available'), credit: roundCurrency(available + paidOut) }
+    ].filter(line => line.debit || line.credit)
+  });
+
+  if (paidOut > 0) {
+    await createEntry({
+      type: 'payout',
+      description: 'Opening balance of payouts made before the ledger',
+      idempotencyKey: `opening:vendor:${vendorId}:payouts`,
+      vendor: vendorId,
+      lines: [
+        { account: vendorAccount(vendorId, 'available'), debit: paidOut },
+        { account: PLATFORM_ACCOUNTS.cash, credit: paidOut }
+      ]
+    });
+  }
+}
+
+/**
+ * Open a customer's ledger from their stored balance
+ * @param {string} customerId - Customer user ID
+ * @returns {Promise<void>}
+ */
+export async function ensureCustomerLedger(customerId) {
+  if (await hasLedgerHistory(`customer:${customerId}:`)) return;
+
+  const CustomerBalance = mongoose.model('CustomerBalance');
+  const customerBalance = await CustomerBalance.findOne({ customer: customerId });
+  if (!customerBalance) return;
+
+  const balance = roundCurrency(customerBalance.spendingBalance || 0);
+  const spent = roundCurrency(customerBalance.totalSpent || 0);
+  if (balance + spent <= 0) return;
+
+  await createEntry({
+    type: 'adjustment',
+    description: 'Opening balance carried over from stored customer balance',
+    idempotencyKey: `opening:customer:${customerId}`,
+    customer: customerId,
+    lines: [
+      { account: PLATFORM_ACCOUNTS.adjustments, debit: roundCurrency(balance + spent) },
+      { account: customerAccount(customerId), credit: roundCurrency(balance + spent) }
+    ]
+  });
+
+  if (spent > 0) {
+    await createEntry({
+      type: 'order_charge',
+      description: 'Opening balance of spending before the ledger',
+      idempotencyKey: `opening:customer:${customerId}:spent`,
+      customer: customerId,
+      lines: [
+        { account: customerAccount(customerId), debit: spent },
+        { account: PLATFORM_ACCOUNTS.cash, credit: spent }
+      ]
+    });
+  }
+}
+
+/**
+ * Net credit (credit - debit) of one account from grouped totals
+ * @param {Array} totals - Result of LedgerEntry.totalsByAccount
+ * @param {string} account - Account name
+ * @param {Function} includeType - Filter on entry type
+ * @returns {number} - Net credit, rounded to cents
+ */
+function netCredit(totals, account, includeType = () => true) {
+  return roundCurrency(totals
+    .filter(t => t._id.account === account && includeType(t._id.type))
+    .reduce((sum, t) => sum + t.credit - t.debit, 0));
+}
+
+/**
+ * Derive a vendor's balances from the ledger
+ * @param {string} vendorId - Vendor ID
+ * @returns {Promise<Object>} - { pendingBalance, availableBalance, inTransitBalance, totalEarnings, totalPayouts }
+ */
+export async function getVendorLedgerBalances(vendorId) {
+  const pending = vendorAccount(vendorId, 'pending');
+  const available = vendorAccount(vendorId, 'available');
+  const inTransit = vendorAccount(vendorId, 'in_transit');
+
+  const totals = await LedgerEntry.totalsByAccount([pending, available, inTransit]);
+  const [payouts] = await LedgerEntry.aggregate([
+    { $match: { vendor: new mongoose.Types.ObjectId(String(vendorId)), type: 'payout' } },
+    { $unwind: '$lines' },
+    { $match: { 'lines.account': PLATFORM_ACCOUNTS.cash } },
+    { $group: { _id: null, debit: { $sum: '$lines.debit' }, credit: { $sum: '$lines.credit' } } }
+  ]);
+
+  return {
+    pendingBalance: netCredit(totals, pending),
+    availableBalance: netCredit(totals, available),
+    inTransitBalance: netCredit(totals, inTransit),
+    // Everything that reached the available balance other than payout movements
+    totalEarnings: netCredit(totals, available, type => type !== 'payout'),
+    totalPayouts: payouts ? roundCurrency(payouts.credit - payouts.debit) : 0
+  };
+}
+
+/**
+ * Derive a customer's balances from the ledger
+ * @param {string} customerId - Customer user ID
+ * @returns {Promise<Object>} - { spendingBalance, totalSpent }
+ */
+export async function getCustomerLedgerBalances(customerId) {
+  const account = customerAccount(customerId);
+  const totals = await LedgerEntry.totalsByAccount([account]);
+
+  return {
+    spendingBalance: netCredit(totals, account),
+    totalSpent: roundCurrency(-(
+      netCredit(totals, account, type => type === 'order_charge') +
+      netCredit(totals, account, type => type === 'refund')
+    ))
+  };
+}
+
+/**
+ * Rewrite a vendor's stored balance from the ledger
+ * @param {string} vendorId - Vendor ID
+ * @returns {Promise<Object>} - Derived balances
+ */
+export async function syncVendorBalance(vendorId) {
+  const balances = await getVendorLedgerBalances(vendorId);
+  const { inTransitBalance, ...stored } = balances;
+
+  await mongoose.model('VendorBalance').updateOne(
+    { vendor: vendorId },
+    { ...stored, updatedAt: new Date() }
+  );
+  return balances;
+}
+
+/**
+ * Rewrite a customer's stored balance from the ledger
+ * @param {string} customerId - Customer user ID
+ * @returns {Promise<Object>} - Derived balances
+ */
+export async function syncCustomerBalance(customerId) {
+  const balances = await getCustomerLedgerBalances(customerId);
+
+  await mongoose.model('CustomerBalance').updateOne(
+    { customer: customerId },
+    { ...balances, lastTransaction: new Date(), updatedAt: new Date() }
+  );
+  return balances;
+}
+
+/**
+ * Post a balanced journal entry and refresh the balances it touches.
+ * Zero-amount lines are dropped; an entry with nothing left is skipped.
+ * @param {Object} entry - { type, description, lines, idempotencyKey, order, payout, vendor, customer, createdBy, metadata }
+ * @returns {Promise<Object|null>} - Posted entry, or null if there was nothing to post
+ */
+export async function postEntry({ lines, ...entry }) {
+  const postedLines = lines
+    .map(line => ({
+      account: line.account,
+      debit: roundCurrency(line.debit || 0),
+      credit: roundCurrency(line.credit || 0)
+    }))
+    .filter(line => line.debit > 0 || line.credit > 0);
+
+  if (postedLines.length === 0) return null;
+
+  const { vendors, customers } = accountHolders(postedLines);
+  for (const vendorId of vendors) await ensureVendorLedger(vendorId);
+  for (const customerId of customers) await ensureCustomerLedger(customerId);
+
+  const posted = await createEntry({ ...entry, lines: postedLines });
+
+  for (const vendorId of vendors) await syncVendorBalance(vendorId);
+  for (const customerId of customers) await syncCustomerBalance(customerId);
+
+  return posted;
+}
+
+/**
+ * Run a spend while holding an exclusive lease on one stored balance, so
+ * the ledger balance it checks cannot change under it from another spend.
+ * The lease lives in fields the ledger sync never writes.
+ * @param {string} modelName - 'VendorBalance' or 'CustomerBalance'
+ * @param {string} balanceId - Balance document ID
+ * @param {Function} fn - Async work to run under the lock
+ * @returns {Promise<*>} - Whatever fn resolves to
+ */
+export async function withBalanceLock(modelName, balanceId, fn) {
+  const Model = mongoose.model(modelName);
+  const token = new mongoose.Types.ObjectId();
+  const giveUpAt = Date.now() + BALANCE_LOCK_WAIT_MS;
+
+  for (;;) {
+    const now = new Date();
+    const claimed = await Model.findOneAndUpdate(
+      {
+        _id: balanceId,
+        $or: [
+          { ledgerLockedUntil: null },
+          { ledgerLockedUntil: { $lte: now } }
+        ]
+      },
+      { $set: { ledgerLockToken: token, ledgerLockedUntil: new Date(now.getTime() + BALANCE_LOCK_MS) } }
+    );
+    if (claimed) break;
+
+    if (Date.now() >= giveUpAt) {
+      throw ledgerError('Another transaction on this balance is in progress, please try again');
+    }
+    await new Promise(resolve => setTimeout(resolve, BALANCE_LOCK_RETRY_MS));
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await Model.updateOne(
+      { _id: balanceId, ledgerLockToken: token },
+      { $unset: { ledgerLockToken: 1, ledgerLockedUntil: 1 } }
+    );
+  }
+}
+
+/**
+ * Carry every stored balance that predates the ledger into it
+ * @returns {Promise<Object>} - { vendors, customers } counts checked
+ */
+export async function openLedgerAccounts() {
+  const vendorIds = await mongoose.model('VendorBalance').distinct('vendor');
+  for (const vendorId of vendorIds) await ensureVendorLedger(vendorId);
+
+  const customerIds = await mongoose.model('CustomerBalance').distinct('customer');
+  for (const customerId of customerIds) await ensureCustomerLedger(customerId);
+
+  return { vendors: vendorIds.length, customers: customerIds.length };
+}
+
+/**
+ * Compare one stored figure with its ledger-derived value
+ * @returns {Object|null} - Drift record, or null if they agree
+ */
+function compareField(holder, id, field, stored, derived) {
+  const difference = roundCurrency((stored || 0) - derived);
+  if (Math.abs(difference) <= DRIFT_TOLERANCE) return null;
+  return { holder, id, field, stored: stored || 0, derived, difference };
+}
+
+/**
+ * Check the ledger balances as a whole, every entry balances on its own,
+ * and every stored balance matches what the ledger says it should be
+ * @returns {Promise<Object>} - { checkedAt, consistent, totals, unbalancedEntries, drift }
+ */
+export async function checkLedgerConsistency() {
+  const [totals = { debits: 0, credits: 0 }] = await LedgerEntry.aggregate([
+    { $unwind: '$lines' },
+    { $group: { _id: null, debits: { $sum: '$lines.debit' }, credits: { $sum: '$lines.credit' } } }
+  ]);
+
+  const unbalancedEntries = await LedgerEntry.aggregate([
+    {
+      $project: {
+        type: 1,
+        idempotencyKey: 1,
+        createdAt: 1,
+        debits: { $round: [{ $sum: '$lines.debit' }, 2] },
+        credits: { $round: [{ $sum: '$lines.credit' }, 2] }
+      }
+    },
+    { $match: { $expr: { $ne: ['$debits', '$credits'] } } },
+    { $limit: 100 }
+  ]);
+
+  const drift = [];
+
+  const vendorBalances = await mongoose.model('VendorBalance').find()
+    .select('vendor pendingBalance availableBalance totalEarnings totalPayouts');
+  for (const vendorBalance of vendorBalances) {
+    const derived = await getVendorLedgerBalances(vendorBalance.vendor);
+    for (const field of ['pendingBalance', 'availableBalance', 'totalEarnings', 'totalPayouts']) {
+      const record = compareField('vendor', vendorBalance.vendor, field, vendorBalance[field], derived[field]);
+      if (record) drift.push(record);
+    }
+  }
+
+  const customerBalances = await mongoose.model('CustomerBalance').find()
+    .select('customer spendingBalance totalSpent');
+  for (const customerBalance of customerBalances) {
+    const derived = await getCustomerLedgerBalances(customerBalance.customer);
+    for (const field of ['spendingBalance', 'totalSpent']) {
+      const record = compareField('customer', customerBalance.customer, field, customerBalance[field], derived[field]);
+      if (record) drift.push(record);
+    }
+  }
+
+  const debits = roundCurrency(totals.debits);
+  const credits = roundCurrency(totals.credits);
+
+  return {
+    checkedAt: new Date(),
+    consistent: debits === credits && unbalancedEntries.length === 0 && drift.length === 0,
+    totals: { debits, credits },
+    unbalancedEntries,
+    drift
+  };
+}
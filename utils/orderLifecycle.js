@@ -0,0 +1,51 @@
+import { orderEvents } from '../models/Order.js'
+import { io } from '../server.js'
+import { scheduleEscrowRelease } from './escrow.js'
+
+/**
+ * Order Lifecycle Hooks
+ * Side effects of order status changes live here, in one place, instead of
+ * being repeated in every route that moves an order along.
+ */
+
+let registered = false
+
+/**
+ * Start the escrow release window once a fulfillment is delivered.
+ * The release itself happens in releaseDueEscrow, or sooner if the
+ * customer confirms receipt.
+ * @param {Object} transition - { order, vendor, from, to }
+ */
+async function scheduleReleaseOnDelivery({ order, vendor, to }) {
+  if (to !== 'delivered') return
+
+  await scheduleEscrowRelease(order, vendor)
+}
+
+/**
+ * Push the change to the vendor's Socket.IO room
+ * @param {Object} transition - { order, vendor, from, to, role, reason }
+ */
+function notifyVendor({ order, vendor, from, to, role, reason }) {
+  if (!io) return
+
+  io.to(`vendor-${vendor}`).emit('order-status-changed', {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    from,
+    to,
+    changedBy: role,
+    reason
+  })
+}
+
+/**
+ * Register all order lifecycle listeners (idempotent)
+ */
+export function registerOrderLifecycleHooks() {
+  if (registered) return
+  registered = true
+
+  orderEvents.on('transition', scheduleReleaseOnDelivery)
+  orderEvents.on('transition', notifyVendor)
+}
@@ -0,0 +1,285 @@
+import Product from '../models/Product.js';
+import Vendor from '../models/Vendor.js';
+
+// Tax applied to the merchandise subtotal (shipping is not taxed)
+const TAX_RATE = parseFloat(process.env.TAX_RATE || '0.08');
+
+// Multiplier applied to a vendor's base shipping cost per shipping method.
+// 'free' is only accepted for orders that qualify (see calculateVendorShipping).
+const SHIPPING_METHOD_MULTIPLIERS = {
+  free: 0,
+  standard: 1,
+  express: 2
+};
+
+// Submitted totals may differ from the server's by at most this much
+const PRICE_TOLERANCE = 0.01;
+
+/**
+ * Round a monetary amount to cents
+ * @param {number} amount - Amount to round
+ * @returns {number} - Amount rounded to 2 decimal places
+ */
+export function roundCurrency(amount) {
+  return Math.round((amount + Number.EPSILON) * 100) / 100;
+}
+
+/**
+ * Build an error the global error handler reports as a 400
+ * @param {string} message - Error message
+ * @returns {Error} - Error with statusCode set
+ */
+function pricingError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Resolve the customization options a buyer selected for a product
+ * @param {Object} product - Product document
+ * @param {Array} selected - Option names or IDs chosen by the buyer
+ * @returns {Array} - Matched options as { name, additionalPrice }
+ */
+function resolveCustomizations(product, selected = []) {
+  if (!selected.length) return [];
+
+  if (!product.customization?.available) {
+    throw pricingError(`${product.title} cannot be customized`);
+  }
+
+  return selected.map(choice => {
+    const key = typeof choice === 'object' ? (choice.id || choice._id || choice.name) : choice;
+    const option = product.customization.options.find(opt =>
+      opt._id?.toString() === String(key) || opt.name === key
+    );
+
+    if (!option) {
+      throw pricingError(`Customization "${key}" is not available for ${product.title}`);
+    }
+
+    return {
+      name: option.name,
+      additionalPrice: option.additionalPrice || 0
+    };
+  });
+}
+
+/**
+ * Resolve the variant a buyer selected for a product. Products sold as
+ * variants must have one selected.
+ * @param {Object} product - Product document
+ * @param {string} variantId - Selected variant ID
+ * @returns {Object|null} - Matched variant, or null for products without variants
+ */
+function resolveVariant(product, variantId) {
+  if (!product.variants?.length) {
+    if (variantId) {
+      throw pricingError(`${product.title} has no options to choose from`);
+    }
+    return null;
+  }
+
+  if (!variantId) {
+    throw pricingError(`Please choose an option for ${product.title}`);
+  }
+
+  const variant = product.variants.find(v => v._id.toString() === String(variantId));
+  if (!variant || !variant.isActive) {
+    throw pricingError(`The selected option of ${product.title} is not available`);
+  }
+  return variant;
+}
+
+/**
+ * What an order line records about the variant bought
+ * @param {Object} product - Product document
+ * @param {Object} variant - Variant subdocument
+ * @returns {Object} - { variantId, sku, name, value, options, image }
+ */
+function variantSnapshot(product, variant) {
+  const options = product.options
+    .map(option => variant.options.find(o => o.name === option.name))
+    .filter(Boolean)
+    .map(({ name, value }) => ({ name, value }));
+
+  return {
+    variantId: variant._id,
+    sku: variant.sku,
+    name: options.map(option => option.name).join(' / '),
+    value: options.map(option => option.value).join(' / '),
+    options,
+    image: variant.images?.[0]?.url
+  };
+}
+
+/**
+ * Work out whether a vendor ships internationally for this address
+ * @param {Object} vendor - Vendor document
+ * @param {Object} shippingAddress - Order shipping address
+ * @returns {boolean} - True if the shipment crosses a border
+ */
+function isInternational(vendor, shippingAddress) {
+  const origin = vendor.business?.address?.country;
+  const destination = shippingAddress?.country;
+  if (!origin || !destination) return false;
+  return origin.trim().toLowerCase() !== destination.trim().toLowerCase();
+}
+
+/**
+ * Calculate the shipping cost of one vendor's group of items. The 'free'
+ * method is refused unless the group already ships free.
+ * @param {Object} vendor - Vendor document
+ * @param {Object} group - { subtotal, allFreeShipping }
+ * @param {string} shippingMethod - 'free', 'standard' or 'express'
+ * @param {Object} shippingAddress - Order shipping address
+ * @returns {number} - Shipping cost for the group
+ */
+function calculateVendorShipping(vendor, group, shippingMethod, shippingAddress) {
+  const international = isInternational(vendor, shippingAddress);
+  const rule = international
+    ? vendor.shipping?.internationalShipping
+    : vendor.shipping?.domesticShipping;
+
+  if (international) {
+    const countries = rule?.countries || [];
+    const allowed = countries.length === 0 || countries
+      .map(c => c.toLowerCase())
+      .includes(shippingAddress.country.trim().toLowerCase());
+
+    if (!rule?.available || !allowed) {
+      throw pricingError(`${vendor.storeName || 'This vendor'} does not ship to ${shippingAddress.country}`);
+    }
+  } else if (rule && rule.available === false) {
+    throw pricingError(`${vendor.storeName || 'This vendor'} is not currently shipping orders`);
+  }
+
+  if (group.allFreeShipping) return 0;
+
+  const threshold = rule?.freeShippingThreshold;
+  if (threshold && group.subtotal >= threshold) return 0;
+
+  if (shippingMethod === 'free') {
+    throw pricingError(`Items from ${vendor.storeName || 'this vendor'} do not qualify for free shipping`);
+  }
+
+  const multiplier = SHIPPING_METHOD_MULTIPLIERS[shippingMethod];
+  return roundCurrency((rule?.cost || 0) * multiplier);
+}
+
+/**
+ * Compute the full price breakdown of an order from the catalogue.
+ * Client-supplied prices are ignored; everything is derived from the
+ * current Product and Vendor documents.
+ * @param {Array} items - Cart lines as { productId, quantity, variantId, customizations }
+ * @param {Object} options - { shippingMethod, shippingAddress }
+ * @returns {Promise<Object>} - { items, vendors, subtotal, shippingCost, tax, taxRate, total }
+ */
+export async function calculateOrderPricing(items, { shippingMethod = 'standard', shippingAddress } = {}) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw pricingError('Order must contain at least one item');
+  }
+
+  if (!Object.hasOwn(SHIPPING_METHOD_MULTIPLIERS, shippingMethod)) {
+    throw pricingError(`Invalid shipping method: ${shippingMethod}`);
+  }
+
+  const productIds = items.map(item => item.productId);
+  const products = await Product.find({ _id: { $in: productIds } });
+  const productsById = new Map(products.map(p => [p._id.toString(), p]));
+
+  const vendorIds = [...new Set(products.map(p => p.vendor.toString()))];
+  const vendors = await Vendor.find({ _id: { $in: vendorIds } });
+  const vendorsById = new Map(vendors.map(v => [v._id.toString(), v]));
+
+  const lines = [];
+  const groups = new Map();
+
+  for (const item of items) {
+    const quantity = parseInt(item.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw pricingError(`Invalid quantity for product ${item.productId}`);
+    }
+
+    const product = productsById.get(String(item.productId));
+    if (!product || product.isDeleted || product.status !== 'active') {
+      throw pricingError(`Product ${item.productId} is not available`);
+    }
+
+    const vendorId = product.vendor.toString();
+    const vendor = vendorsById.get(vendorId);
+    // Suspended or unverified sellers cannot take orders
+    if (!vendor || !vendor.isActive || vendor.verification?.status !== 'approved') {
+      throw pricingError(`${product.title} is not currently available`);
+    }
+
+    const variant = resolveVariant(product, item.variantId);
+    const customizations = resolveCustomizations(product, item.customizations);
+
+    const basePrice = variant && typeof variant.price === 'number' ? variant.price : product.price;
+    const customizationTotal = customizations.reduce((sum, c) => sum + c.additionalPrice, 0);
+    const unitPrice = roundCurrency(basePrice + customizationTotal);
+    const lineTotal = roundCurrency(unitPrice * quantity);
+
+    lines.push({
+      product: product._id,
+      vendor: product.vendor,
+      title: product.title,
+      quantity,
+      basePrice,
+      variant: variant ? variantSnapshot(product, variant) : undefined,
+      customizations,
+      unitPrice,
+      lineTotal
+    });
+
+    if (!groups.has(vendorId)) {
+      groups.set(vendorId, { subtotal: 0, allFreeShipping: true, itemCount: 0 });
+    }
+    const group = groups.get(vendorId);
+    group.subtotal = roundCurrency(group.subtotal + lineTotal);
+    group.itemCount += quantity;
+    group.allFreeShipping = group.allFreeShipping && !!product.shipping?.freeShipping;
+  }
+
+  const vendorBreakdown = [];
+  for (const [vendorId, group] of groups) {
+    const vendor = vendorsById.get(vendorId);
+    vendorBreakdown.push({
+      vendor: vendor._id,
+      storeName: vendor.storeName,
+      itemCount: group.itemCount,
+      subtotal: group.subtotal,
+      shippingCost: calculateVendorShipping(vendor, group, shippingMethod, shippingAddress)
+    });
+  }
+
+  const subtotal = roundCurrency(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+  const shippingCost = roundCurrency(vendorBreakdown.reduce((sum, v) => sum + v.shippingCost, 0));
+  const tax = roundCurrency(subtotal * TAX_RATE);
+  const total = roundCurrency(subtotal + shippingCost + tax);
+
+  return {
+    items: lines,
+    vendors: vendorBreakdown,
+    shippingMethod,
+    subtotal,
+    shippingCost,
+    tax,
+    taxRate: TAX_RATE,
+    total
+  };
+}
+
+/**
+ * Compare client-submitted totals with a server-side quote
+ * @param {Object} pricing - Result of calculateOrderPricing
+ * @param {Object} submitted - { subtotal, shippingCost, tax, total } from the client
+ * @returns {string[]} - Names of the fields that do not match
+ */
+export function findPricingMismatches(pricing, submitted = {}) {
+  return ['subtotal', 'shippingCost', 'tax', 'total'].filter(field => {
+    if (submitted[field] === undefined || submitted[field] === null) return false;
+    return Math.abs(parseFloat(submitted[field]) - pricing[field]) > PRICE_TOLERANCE;
+  });
+}
@@ -0,0 +1,266 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import User from '../models/User.js';
+import PaymentEvent from '../models/PaymentEvent.js';
+import { recordChargeback } from './disputes.js';
+
+// An event stuck in 'processing' this long (e.g. the server died) may be claimed again
+const PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Stripe refund statuses mapped onto the order's refund records
+const REFUND_STATUSES = {
+  succeeded: 'succeeded',
+  pending: 'pending',
+  requires_action: 'pending',
+  failed: 'failed',
+  canceled: 'failed'
+};
+
+/**
+ * Build an error the global error handler reports with the given status
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} - Error with statusCode set
+ */
+function paymentEventError(message, statusCode = 422) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * PaymentIntent ID of a PaymentIntent or charge object
+ * @param {Object} object - Stripe object
+ * @returns {string|undefined} - PaymentIntent ID
+ */
+function paymentIntentIdOf(object) {
+  if (object.object === 'payment_intent') return object.id;
+  return typeof object.payment_intent === 'string' ? object.payment_intent : object.payment_intent?.id;
+}
+
+/**
+ * Find the order a PaymentIntent or charge paid for: by the orderId in its
+ * metadata, falling back to the PaymentIntent stored on the order
+ * @param {Object} object - Stripe PaymentIntent or charge
+ * @returns {Promise<Object|null>} - Order document
+ */
+async function findOrderForPayment(object) {
+  const { orderId, orderNumber } = object.metadata || {};
+
+  if (orderId && mongoose.isValidObjectId(orderId)) {
+    const order = await Order.findById(orderId);
+    if (order) return order;
+  }
+  if (orderNumber) {
+    const order = await Order.findOne({ orderNumber });
+    if (order) return order;
+  }
+
+  const paymentIntentId = paymentIntentIdOf(object);
+  return paymentIntentId ? Order.findOne({ paymentTransactionId: paymentIntentId }) : null;
+}
+
+/**
+ * Check that a payment may be applied to an order: the order is already
+ * linked to its PaymentIntent, or the payment was made by the order's
+ * customer (as the Stripe customer, or the userId the server set). Metadata
+ * alone can point a payment at any order, so it is never enough by itself.
+ * @param {Object} order - Order document
+ * @param {Object} object - Stripe PaymentIntent or charge
+ */
+async function assertPaymentForOrder(order, object) {
+  const paymentIntentId = paymentIntentIdOf(object);
+  if (paymentIntentId && order.paymentTransactionId === paymentIntentId) return;
+
+  const customerId = order.customer.toString();
+  if (object.metadata?.userId === customerId) return;
+
+  const stripeCustomer = typeof object.customer === 'string' ? object.customer : object.customer?.id;
+  if (stripeCustomer) {
+    const user = await User.findById(customerId).select('stripeCustomerId');
+    if (user?.stripeCustomerId === stripeCustomer) return;
+  }
+
+  throw paymentEventError(`Payment ${paymentIntentId || object.id} does not belong to order ${order.orderNumber}`);
+}
+
+/**
+ * Mark an order paid and put each vendor's share into pending escrow.
+ * Safe to repeat: ledger postings are keyed per order and vendor.
+ * @param {Object} order - Order document
+ * @param {Object} object - Stripe PaymentIntent or charge that succeeded
+ * @returns {Promise<Object>} - Updated order
+ */
+async function markOrderPaid(order, object) {
+  await assertPaymentForOrder(order, object);
+
+  const received = object.object === 'payment_intent'
+    ? (object.amount_received ?? object.amount)
+    : (object.amount_captured ?? object.amount);
+  if (received !== Math.round(order.total * 100)) {
+    throw paymentEventError(
+      `Payment of ${(received / 100).toFixed(2)} does not match order total ${order.total.toFixed(2)}`
+    );
+  }
+
+  if (order.paymentStatus !== 'completed' && order.paymentStatus !== 'refunded') {
+    if (order.status === 'cancelled') {
+      console.warn(`⚠️ Payment received for cancelled order ${order.orderNumber}; it needs refunding`);
+    }
+    order.paymentStatus = 'completed';
+    order.isPaid = true;
+    order.paidAt = new Date((object.created || Date.now() / 1000) * 1000);
+    order.paymentFailureReason = undefined;
+  }
+  order.paymentTransactionId = paymentIntentIdOf(object);
+  await order.save();
+
+  await order.addToVendorPending();
+  return order;
+}
+
+/**
+ * Record a failed payment attempt, unless the order was paid some other way
+ * @param {Object} order - Order document
+ * @param {Object} object - Stripe PaymentIntent or charge that failed
+ * @returns {Promise<Object>} - Updated order
+ */
+async function markPaymentFailed(order, object) {
+  if (order.paymentStatus === 'completed' || order.paymentStatus === 'refunded') {
+    return order;
+  }
+  await assertPaymentForOrder(order, object);
+
+  order.paymentStatus = 'failed';
+  order.isPaid = false;
+  order.paymentTransactionId = paymentIntentIdOf(object);
+  order.paymentFailureReason = object.last_payment_error?.message || object.failure_message || 'Payment failed';
+  await order.save();
+  return order;
+}
+
+/**
+ * Bring a refund issued from our side up to date with Stripe's outcome
+ * @param {Object} refund - Stripe refund object
+ * @returns {Promise<Object|null>} - Order the refund belongs to
+ */
+async function updateRefundStatus(refund) {
+  const order = await Order.findOne({ 'refunds.stripeRefundId': refund.id });
+  if (!order) return null;
+
+  const record = order.refunds.find(r => r.stripeRefundId === refund.id);
+  const status = REFUND_STATUSES[refund.status] || 'pending';
+  if (record.status !== status) {
+    record.status = status;
+    await order.save();
+    if (status === 'failed') {
+      console.error(`❌ Stripe refund ${refund.id} on order ${order.orderNumber} failed: ${refund.failure_reason}`);
+    }
+  }
+  return order;
+}
+
+/**
+ * Apply one Stripe event to our records
+ * @param {Object} event - Stripe event
+ * @returns {Promise<Object>} - { order, ignored }
+ */
+async function applyStripeEvent(event) {
+  const object = event.data.object;
+
+  switch (event.type) {
+    case 'payment_intent.succeeded':
+    case 'charge.succeeded':
+    case 'payment_intent.payment_failed':
+    case 'charge.failed': {
+      const order = await findOrderForPayment(object);
+      if (!order) {
+        throw paymentEventError(`No order found for payment ${paymentIntentIdOf(object) || object.id}`, 404);
+      }
+      if (event.type.endsWith('succeeded')) {
+        await markOrderPaid(order, object);
+      } else {
+        await markPaymentFailed(order, object);
+      }
+      return { order: order._id };
+    }
+
+    case 'charge.refund.updated':
+    case 'refund.updated': {
+      const order = await updateRefundStatus(object);
+      return { order: order?._id, ignored: !order };
+    }
+
+    case 'charge.dispute.created':
+    case 'charge.dispute.updated':
+    case 'charge.dispute.closed': {
+      // Chargebacks open (or update) a linked case and freeze the order's escrow
+      const dispute = await recordChargeback(object);
+      return { order: dispute?.order, ignored: !dispute };
+    }
+
+    default:
+      return { ignored: true };
+  }
+}
+
+/**
+ * Process a logged event if no one else is. Events that were received,
+ * failed, or got stuck mid-processing can be claimed; anything already
+ * processed or ignored is left alone.
+ * @param {string} eventId - Stripe event ID
+ * @returns {Promise<Object|null>} - Updated event log, or null if it was not claimable
+ */
+export async function processPaymentEvent(eventId) {
+  const staleBefore = new Date(Date.now() - PROCESSING_TIMEOUT_MS);
+  const log = await PaymentEvent.findOneAndUpdate(
+    {
+      eventId,
+      $or: [
+        { status: { $in: ['received', 'failed'] } },
+        { status: 'processing', processingStartedAt: { $lte: staleBefore } }
+      ]
+    },
+    { $set: { status: 'processing', processingStartedAt: new Date() }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!log) return null;
+
+  try {
+    const { order, ignored } = await applyStripeEvent(log.payload);
+    log.status = ignored ? 'ignored' : 'processed';
+    log.order = order;
+    log.lastError = undefined;
+    log.processedAt = new Date();
+  } catch (error) {
+    console.error(`❌ Failed to process Stripe event ${eventId} (${log.type}):`, error);
+    log.status = 'failed';
+    log.lastError = error.message;
+  }
+
+  return log.save();
+}
+
+/**
+ * Log a verified webhook event and process it. Stripe delivers at least
+ * once, so replays of an event already handled are acknowledged and skipped.
+ * @param {Object} event - Verified Stripe event
+ * @returns {Promise<Object>} - { duplicate, log }
+ */
+export async function receiveStripeEvent(event) {
+  try {
+    await PaymentEvent.create({
+      eventId: event.id,
+      type: event.type,
+      livemode: event.livemode,
+      objectId: event.data?.object?.id,
+      payload: event
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    await PaymentEvent.updateOne({ eventId: event.id }, { $inc: { deliveries: 1 } });
+  }
+
+  const log = await processPaymentEvent(event.id);
+  return log ? { duplicate: false, log } : { duplicate: true, log: null };
+}
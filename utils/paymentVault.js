@@ -0,0 +1,289 @@
+import crypto from 'crypto';
+import PaymentMethod, { CARD_BRANDS } from '../models/PaymentMethod.js';
+import User from '../models/User.js';
+import Order from '../models/Order.js';
+import { getStripe, isStripePayment } from '../config/stripe.js';
+
+// Cards the fake provider understands, named like Stripe's test PaymentMethods
+const FAKE_CARDS = {
+  pm_card_visa: { brand: 'visa', last4: '4242' },
+  pm_card_visa_debit: { brand: 'visa', last4: '5556' },
+  pm_card_mastercard: { brand: 'mastercard', last4: '4444' },
+  pm_card_amex: { brand: 'amex', last4: '8431' },
+  pm_card_discover: { brand: 'discover', last4: '1117' },
+  pm_card_diners: { brand: 'diners', last4: '0004' },
+  pm_card_jcb: { brand: 'jcb', last4: '0505' },
+  pm_card_unionpay: { brand: 'unionpay', last4: '0005' }
+};
+
+// Card number prefixes, checked in order
+const BRAND_PREFIXES = [
+  ['amex', /^3[47]/],
+  ['diners', /^3(0[0-5]|[68])/],
+  ['jcb', /^35/],
+  ['visa', /^4/],
+  ['mastercard', /^(5[1-5]|2[2-7])/],
+  ['discover', /^(6011|65|64[4-9])/],
+  ['unionpay', /^62/]
+];
+
+/**
+ * Build an error the global error handler reports with the given status
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} - Error with statusCode set
+ */
+function vaultError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Work out a card's brand from its number, for records that predate the vault
+ * @param {string} cardNumber - Full or partial card number
+ * @returns {string} - One of CARD_BRANDS
+ */
+export function detectCardBrand(cardNumber) {
+  const digits = String(cardNumber || '').replace(/\D/g, '');
+  return BRAND_PREFIXES.find(([, pattern]) => pattern.test(digits))?.[0] || 'unknown';
+}
+
+/**
+ * The provider new cards are saved with. Stripe whenever it is configured;
+ * the fake provider is for local development and never used in production.
+ * @returns {string} - 'stripe' or 'fake'
+ */
+export function vaultProvider() {
+  const configured = process.env.PAYMENT_VAULT_PROVIDER;
+  if (process.env.NODE_ENV === 'production') return 'stripe';
+  return configured || (process.env.STRIPE_SECRET_KEY ? 'stripe' : 'fake');
+}
+
+/**
+ * Get (or create) the Stripe customer a user's cards are attached to
+ * @param {Object} user - User document
+ * @returns {Promise<string>} - Stripe customer ID
+ */
+export async function ensureStripeCustomer(user) {
+  // req.user only carries _id and role, so read the rest from the database
+  const stored = await User.findById(user._id).select('name email stripeCustomerId');
+  if (stored?.stripeCustomerId) return stored.stripeCustomerId;
+
+  const customer = await getStripe().customers.create({
+    email: stored?.email,
+    name: stored?.name,
+    metadata: { userId: user._id.toString() }
+  });
+  await User.updateOne({ _id: user._id }, { stripeCustomerId: customer.id });
+  return customer.id;
+}
+
+const providers = {
+  stripe: {
+    async describe(token, user) {
+      const stripe = getStripe();
+      const customerId = await ensureStripeCustomer(user);
+
+      let method = await stripe.paymentMethods.retrieve(token);
+      if (method.type !== 'card') {
+        throw vaultError('Only cards can be saved');
+      }
+      if (!method.customer) {
+        method = await stripe.paymentMethods.attach(token, { customer: customerId });
+      } else if (method.customer !== customerId) {
+        throw vaultError('This payment method belongs to another customer', 403);
+      }
+
+      return {
+        providerMethodId: method.id,
+        providerCustomerId: customerId,
+        brand: CARD_BRANDS.includes(method.card.brand) ? method.card.brand : 'unknown',
+        last4: method.card.last4,
+        expMonth: method.card.exp_month,
+        expYear: method.card.exp_year,
+        fingerprint: method.card.fingerprint,
+        cardholderName: method.billing_details?.name
+      };
+    },
+
+    async remove(method) {
+      await getStripe().paymentMethods.detach(method.providerMethodId);
+    }
+  },
+
+  fake: {
+    async describe(token) {
+      const card = FAKE_CARDS[token];
+      if (!card) {
+        throw vaultError(`Unknown test card. Use one of: ${Object.keys(FAKE_CARDS).join(', ')}`);
+      }
+
+      return {
+        providerMethodId: `${token}_${crypto.randomBytes(6).toString('hex')}`,
+        brand: card.brand,
+        last4: card.last4,
+        expMonth: 12,
+        expYear: new Date().getFullYear() + 3,
+        fingerprint: `fake_${token}`
+      };
+    },
+
+    async remove() {}
+  }
+};
+
+/**
+ * Save a card to a user's vault from a provider token. Saving the same card
+ * again returns the existing entry.
+ * @param {Object} user - User document
+ * @param {Object} options - { token, cardholderName, makeDefault }
+ * @returns {Promise<Object>} - PaymentMethod document
+ */
+export async function saveCard(user, { token, cardholderName, makeDefault = false }) {
+  if (typeof token !== 'string' || !token) {
+    throw vaultError('A payment method token is required');
+  }
+  // Card numbers must go straight to the provider, never through us
+  if (/^[\d\s-]{12,}$/.test(token)) {
+    throw vaultError('Send a payment method token, not card details');
+  }
+
+  const provider = vaultProvider();
+  const details = await providers[provider].describe(token, user);
+
+  const duplicate = details.fingerprint &&
+    await PaymentMethod.findOne({ user: user._id, fingerprint: details.fingerprint, provider });
+  if (duplicate) {
+    duplicate.expMonth = details.expMonth;
+    duplicate.expYear = details.expYear;
+    await duplicate.save();
+    return makeDefault ? PaymentMethod.setDefault(user._id, duplicate._id) : duplicate;
+  }
+
+  const existingCount = await PaymentMethod.countDocuments({ user: user._id });
+  const method = await PaymentMethod.create({
+    user: user._id,
+    provider,
+    ...details,
+    cardholderName: cardholderName || details.cardholderName
+  });
+
+  // The first card saved becomes the default
+  if (makeDefault || existingCount === 0) {
+    return PaymentMethod.setDefault(user._id, method._id);
+  }
+  return method;
+}
+
+/**
+ * Remove a saved card, detaching it from the provider. If it was the
+ * default, the most recently added remaining card takes over.
+ * @param {string} userId - Owner's user ID
+ * @param {string} methodId - PaymentMethod ID
+ * @returns {Promise<boolean>} - False if the card was not found
+ */
+export async function removeCard(userId, methodId) {
+  const method = await PaymentMethod.findOne({ _id: methodId, user: userId });
+  if (!method) return false;
+
+  try {
+    await providers[method.provider].remove(method);
+  } catch (error) {
+    // Still remove our copy; an orphaned provider token cannot be charged without us
+    console.error(`❌ Failed to detach payment method ${method._id} from ${method.provider}:`, error.message);
+  }
+  await method.deleteOne();
+
+  if (method.isDefault) {
+    const next = await PaymentMethod.findOne({ user: userId }).sort({ createdAt: -1 });
+    if (next) await PaymentMethod.setDefault(userId, next._id);
+  }
+  return true;
+}
+
+// Raw card fields a client must never send us; cards go straight to the provider
+const RAW_CARD_FIELDS = ['cardNumber', 'number', 'cvv', 'cvc', 'expiry', 'expiryMonth', 'expiryYear', 'expMonth', 'expYear'];
+
+/**
+ * The card details an order keeps for receipts, from a saved card or a
+ * provider payment method token. Raw card details are refused.
+ * @param {string} userId - Customer's user ID
+ * @param {Object} body - { paymentMethodId, paymentMethod: { token, cardholderName } }
+ * @returns {Promise<Object>} - Order paymentMethod snapshot
+ */
+export async function orderPaymentSnapshot(userId, { paymentMethodId, paymentMethod }) {
+  if (paymentMethod && RAW_CARD_FIELDS.some(field => paymentMethod[field] !== undefined)) {
+    throw vaultError('Card details must not be sent to the server; use a saved card or a payment method token');
+  }
+
+  if (paymentMethodId) {
+    const method = await PaymentMethod.findOne({ _id: paymentMethodId, user: userId });
+    if (!method) {
+      throw vaultError('Saved payment method not found', 404);
+    }
+    return {
+      method: method._id,
+      provider: method.provider,
+      brand: method.brand,
+      last4: method.last4,
+      cardholderName: method.cardholderName,
+      expiryMonth: String(method.expMonth),
+      expiryYear: String(method.expYear)
+    };
+  }
+
+  const token = paymentMethod?.token;
+  if (typeof token !== 'string' || !token) {
+    throw vaultError('A saved payment method or a payment method token is required');
+  }
+
+  const provider = vaultProvider();
+  const details = await providers[provider].describe(token, { _id: userId });
+  return {
+    provider,
+    brand: details.brand,
+    last4: details.last4,
+    cardholderName: paymentMethod.cardholderName || details.cardholderName,
+    expiryMonth: String(details.expMonth),
+    expiryYear: String(details.expYear)
+  };
+}
+
+/**
+ * Check that a PaymentIntent the client wants to pay an order with is the
+ * caller's own, for exactly the order total, and not linked to another order
+ * @param {string} userId - Customer's user ID
+ * @param {string} paymentIntentId - Stripe PaymentIntent ID from the client
+ * @param {number} total - Order total, server-priced
+ * @returns {Promise<string>} - The PaymentIntent ID, safe to link
+ */
+export async function verifyPaymentIntent(userId, paymentIntentId, total) {
+  if (!isStripePayment(paymentIntentId)) {
+    throw vaultError('Invalid PaymentIntent ID');
+  }
+
+  const [user, linkedOrder] = await Promise.all([
+    User.findById(userId).select('stripeCustomerId'),
+    Order.exists({ paymentTransactionId: paymentIntentId })
+  ]);
+
+  let intent;
+  try {
+    intent = await getStripe().paymentIntents.retrieve(paymentIntentId);
+  } catch (error) {
+    throw vaultError('PaymentIntent not found');
+  }
+
+  const customerId = typeof intent.customer === 'string' ? intent.customer : intent.customer?.id;
+  if (!user?.stripeCustomerId || customerId !== user.stripeCustomerId) {
+    throw vaultError('PaymentIntent does not belong to this customer', 403);
+  }
+  if (intent.amount !== Math.round(total * 100)) {
+    throw vaultError('PaymentIntent amount does not match the order total');
+  }
+  if (intent.metadata?.orderId || linkedOrder) {
+    throw vaultError('PaymentIntent is already linked to an order', 409);
+  }
+  return intent.id;
+}
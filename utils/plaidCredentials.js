@@ -0,0 +1,146 @@
+import PlaidCredential from '../models/PlaidCredential.js';
+import CredentialAccessLog from '../models/CredentialAccessLog.js';
+import { encrypt, decrypt } from './encryption.js';
+import { plaidClient } from '../server.js';
+
+// Development connections made without Plaid configured; never sent to Plaid
+const MOCK_TOKEN_PREFIX = 'mock_';
+
+// Plaid errors meaning the item is already gone on their side
+const ITEM_GONE_ERRORS = ['ITEM_NOT_FOUND', 'INVALID_ACCESS_TOKEN'];
+
+/**
+ * Build an error the global error handler reports with the given status
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} - Error with statusCode set
+ */
+function plaidCredentialError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Record an access to a credential
+ * @param {Object} credential - PlaidCredential document
+ * @param {Object} entry - { action, purpose, actor, success, error }
+ * @returns {Promise<Object>} - CredentialAccessLog document
+ */
+function logAccess(credential, { action, purpose, actor, success = true, error }) {
+  return CredentialAccessLog.create({
+    credential: credential._id,
+    vendor: credential.vendor,
+    action,
+    purpose,
+    actor,
+    success,
+    error
+  });
+}
+
+/**
+ * The vendor's connected Plaid item, without its token
+ * @param {string} vendorId - Vendor ID
+ * @returns {Promise<Object|null>} - PlaidCredential document
+ */
+export function findActivePlaidCredential(vendorId) {
+  return PlaidCredential.findOne({ vendor: vendorId, status: 'active' });
+}
+
+/**
+ * Store a newly exchanged access token. A vendor has one connection at a
+ * time, so any previous item is revoked (and removed at Plaid) first.
+ * @param {Object} vendor - Vendor document
+ * @param {Object} details - { accessToken, itemId, accountId, institutionName, actor }
+ * @returns {Promise<Object>} - PlaidCredential document
+ */
+export async function storePlaidCredential(vendor, { accessToken, itemId, accountId, institutionName, actor }) {
+  const existing = await findActivePlaidCredential(vendor._id);
+  if (existing) {
+    await revokePlaidCredential(existing, { actor, reason: 'Replaced by a new bank connection' });
+  }
+
+  const credential = await PlaidCredential.create({
+    vendor: vendor._id,
+    user: vendor.user,
+    itemId,
+    accountId,
+    institutionName,
+    accessToken: encrypt(accessToken),
+    lastSync: new Date()
+  });
+
+  await logAccess(credential, { action: 'create', purpose: 'Bank account connected', actor });
+  return credential;
+}
+
+/**
+ * Decrypt a vendor's access token for one use. The read is logged before
+ * the token is returned; callers should not keep it beyond the request.
+ * @param {string} vendorId - Vendor ID
+ * @param {Object} options - { purpose, actor }
+ * @returns {Promise<Object>} - { credential, accessToken }
+ */
+export async function usePlaidAccessToken(vendorId, { purpose, actor }) {
+  const credential = await PlaidCredential.findOne({ vendor: vendorId, status: 'active' }).select('+accessToken');
+  if (!credential) {
+    throw plaidCredentialError('No bank account connected. Please set up a bank account first.');
+  }
+
+  let accessToken;
+  try {
+    accessToken = decrypt(credential.accessToken);
+  } catch (error) {
+    await logAccess(credential, { action: 'read', purpose, actor, success: false, error: error.message });
+    throw error;
+  }
+
+  await logAccess(credential, { action: 'read', purpose, actor });
+  await PlaidCredential.updateOne({ _id: credential._id }, { lastAccessedAt: new Date() });
+
+  return { credential, accessToken };
+}
+
+/**
+ * Revoke a connection: remove the item at Plaid so the token stops working
+ * there, then erase our copy. If Plaid cannot be reached the credential is
+ * left active so the revoke can be retried.
+ * @param {Object} credential - PlaidCredential document
+ * @param {Object} options - { actor, reason }
+ * @returns {Promise<Object>} - Revoked PlaidCredential document
+ */
+export async function revokePlaidCredential(credential, { actor, reason }) {
+  const stored = await PlaidCredential.findById(credential._id).select('+accessToken');
+  if (!stored || stored.status === 'revoked') {
+    return stored;
+  }
+
+  const purpose = reason || 'Bank connection revoked';
+  try {
+    const accessToken = decrypt(stored.accessToken);
+    if (!accessToken.startsWith(MOCK_TOKEN_PREFIX)) {
+      if (!plaidClient) {
+        throw plaidCredentialError('Plaid is not configured', 503);
+      }
+      await plaidClient.itemRemove({ access_token: accessToken });
+    }
+  } catch (error) {
+    const plaidCode = error.response?.data?.error_code;
+    if (!ITEM_GONE_ERRORS.includes(plaidCode)) {
+      const message = error.response?.data?.error_message || error.message;
+      await logAccess(stored, { action: 'revoke', purpose, actor, success: false, error: message });
+      throw error.statusCode ? error : plaidCredentialError(`Could not remove the bank connection at Plaid: ${message}`, 502);
+    }
+  }
+
+  stored.status = 'revoked';
+  stored.accessToken = undefined;
+  stored.revokedAt = new Date();
+  stored.revokedBy = actor;
+  stored.revokeReason = reason;
+  await stored.save();
+
+  await logAccess(stored, { action: 'revoke', purpose, actor });
+  return stored;
+}
@@ -0,0 +1,213 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import Vendor from '../models/Vendor.js';
+import { deleteCache } from '../config/redis.js';
+import { io } from '../server.js';
+
+// off: listings go live straight away (checks are still recorded)
+// flagged: listings from flagged vendors, or that fail a check, wait for review
+// all: every new or edited listing waits for review
+export const MODERATION_MODES = ['off', 'flagged', 'all'];
+export const MODERATION_MODE = MODERATION_MODES.includes(process.env.PRODUCT_MODERATION_MODE)
+  ? process.env.PRODUCT_MODERATION_MODE
+  : 'flagged';
+
+// Words that send a listing to review, e.g. counterfeit goods
+const BANNED_WORDS = (process.env.MODERATION_BANNED_WORDS || 'counterfeit,replica,knockoff,fake')
+  .split(',')
+  .map(word => word.trim().toLowerCase())
+  .filter(Boolean);
+
+// A price this many times above or below the category median is an outlier
+const PRICE_OUTLIER_FACTOR = parseFloat(process.env.MODERATION_PRICE_OUTLIER_FACTOR || '5');
+
+// Active listings a category needs before its median price is trusted
+const MIN_PRICE_COMPARABLES = 5;
+
+// Editing any of these puts a live listing back through moderation
+export const REVIEWED_FIELDS = ['title', 'description', 'price', 'images', 'categories', 'tags'];
+
+export const MAX_BULK_REVIEW = 100;
+
+export const UNVERIFIED_VENDOR_MESSAGE = 'Your vendor account must be verified before products can be published';
+
+/**
+ * Build an error the global error handler reports with the given status
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} - Error with statusCode set
+ */
+function moderationError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Escape user input for use inside a regular expression
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Median price of other active listings in the product's first category
+ * @param {Object} product - Product document
+ * @returns {Promise<number|null>} - Median price, or null if too few listings
+ */
+async function categoryMedianPrice(product) {
+  const category = product.categories?.[0];
+  if (!category) return null;
+
+  const filter = { categories: category, status: 'active', isDeleted: false, _id: { $ne: product._id } };
+  const count = await Product.countDocuments(filter);
+  if (count < MIN_PRICE_COMPARABLES) return null;
+
+  const [middle] = await Product.find(filter)
+    .select('price')
+    .sort({ price: 1 })
+    .skip(Math.floor(count / 2))
+    .limit(1);
+  return middle?.price ?? null;
+}
+
+/**
+ * Automated checks run on every new or edited listing
+ * @param {Object} product - Product document
+ * @returns {Promise<Object[]>} - [{ check, message }] for each failed check
+ */
+export async function runAutomatedChecks(product) {
+  const flags = [];
+
+  if (!product.images?.length) {
+    flags.push({ check: 'missing_images', message: 'Listing has no images' });
+  }
+
+  if (BANNED_WORDS.length > 0) {
+    const pattern = new RegExp(`\\b(${BANNED_WORDS.map(escapeRegex).join('|')})\\b`, 'gi');
+    const text = [product.title, product.description, ...(product.tags || [])].join(' ');
+    const found = [...new Set((text.match(pattern) || []).map(word => word.toLowerCase()))];
+    if (found.length > 0) {
+      flags.push({ check: 'banned_words', message: `Listing contains banned words: ${found.join(', ')}` });
+    }
+  }
+
+  const median = await categoryMedianPrice(product);
+  if (median && (product.price > median * PRICE_OUTLIER_FACTOR || product.price < median / PRICE_OUTLIER_FACTOR)) {
+    flags.push({
+      check: 'price_outlier',
+      message: `Price ${product.price} is far from the ${product.categories[0]} median of ${median}`
+    });
+  }
+
+  return flags;
+}
+
+/**
+ * Decide where a listing goes when its vendor publishes or edits it, and
+ * record the check results on the product. Vendors who are not verified
+ * cannot publish at all, so their listings never reach the queue.
+ * @param {Object} product - Product document (not yet saved)
+ * @returns {Promise<Object>} - { status, blocked, message }
+ */
+export async function publishDecision(product) {
+  const vendor = await Vendor.findById(product.vendor).select('verification.status moderation.flagged');
+  if (vendor?.verification?.status !== 'approved') {
+    return { status: 'inactive', blocked: true, message: UNVERIFIED_VENDOR_MESSAGE };
+  }
+
+  const flags = await runAutomatedChecks(product);
+  product.moderation.flags = flags;
+
+  const needsReview = MODERATION_MODE === 'all'
+    || (MODERATION_MODE === 'flagged' && (vendor.moderation?.flagged || flags.length > 0));
+  if (!needsReview) {
+    return { status: 'active', blocked: false };
+  }
+
+  product.moderation.submittedAt = new Date();
+  product.moderation.reviewedAt = undefined;
+  product.moderation.reviewedBy = undefined;
+  product.moderation.rejectionReason = undefined;
+  return { status: 'pending', blocked: false, message: 'Listing submitted for review and will go live once approved' };
+}
+
+/**
+ * Tell a vendor's dashboard the outcome of a review
+ * @param {Object} product - Reviewed product
+ */
+function notifyVendor(product) {
+  io.to(`vendor-${product.vendor}`).emit('product-moderated', {
+    productId: product._id,
+    title: product.title,
+    status: product.status,
+    rejectionReason: product.moderation.rejectionReason
+  });
+}
+
+/**
+ * Approve or reject pending listings in bulk. Listings that are no longer
+ * pending, or whose vendor has lost verification, are skipped.
+ * @param {string[]} productIds - Product IDs
+ * @param {Object} options - { decision: 'approve'|'reject', reason, actor }
+ * @returns {Promise<Object>} - { updated: [id], skipped: [{ product, reason }] }
+ */
+export async function reviewListings(productIds, { decision, reason, actor }) {
+  if (!['approve', 'reject'].includes(decision)) {
+    throw moderationError('Decision must be one of: approve, reject');
+  }
+  if (decision === 'reject' && !reason?.trim()) {
+    throw moderationError('A rejection reason is required');
+  }
+  if (!Array.isArray(productIds) || productIds.length === 0) {
+    throw moderationError('productIds must be a non-empty array');
+  }
+  if (productIds.length > MAX_BULK_REVIEW) {
+    throw moderationError(`At most ${MAX_BULK_REVIEW} listings can be reviewed at once`);
+  }
+
+  const result = { updated: [], skipped: [] };
+  const ids = [...new Set(productIds.map(String))];
+  const validIds = ids.filter(id => mongoose.isValidObjectId(id));
+
+  const products = await Product.find({ _id: { $in: validIds }, isDeleted: false });
+  const found = new Set(products.map(product => product._id.toString()));
+  ids.filter(id => !found.has(id)).forEach(id => result.skipped.push({ product: id, reason: 'Not found' }));
+
+  const verifiedVendors = new Set(
+    (await Vendor.find({
+      _id: { $in: products.map(product => product.vendor) },
+      'verification.status': 'approved'
+    }).distinct('_id')).map(String)
+  );
+
+  const touchedVendors = new Set();
+  for (const product of products) {
+    if (product.status !== 'pending') {
+      result.skipped.push({ product: product._id, reason: `Listing is ${product.status}` });
+      continue;
+    }
+    if (decision === 'approve' && !verifiedVendors.has(product.vendor.toString())) {
+      result.skipped.push({ product: product._id, reason: 'Vendor is not verified' });
+      continue;
+    }
+
+    product.status = decision === 'approve' ? 'active' : 'rejected';
+    product.moderation.reviewedAt = new Date();
+    product.moderation.reviewedBy = actor;
+    product.moderation.rejectionReason = decision === 'reject' ? reason.trim() : undefined;
+    await product.save();
+
+    result.updated.push(product._id);
+    touchedVendors.add(product.vendor.toString());
+    notifyVendor(product);
+  }
+
+  await Promise.all([...touchedVendors].map(vendorId =>
+    deleteCache(`products:{"status":"active","isDeleted":false,"vendor":"${vendorId}"}:1:12:createdAt:desc`)
+  ));
+
+  return result;
+}
@@ -0,0 +1,415 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import Vendor, { VENDOR_SUMMARY_FIELDS } from '../models/Vendor.js';
+import { expandCategorySlugs } from './categories.js';
+
+// Search backend: 'mongo' (the product text index) or an engine registered
+// with registerSearchEngine. Other engines fall back to 'mongo' on failure.
+const SEARCH_ENGINE = process.env.SEARCH_ENGINE || 'mongo';
+
+export const SEARCH_SORTS = {
+  relevance: { score: { $meta: 'textScore' }, 'ratings.average': -1, _id: 1 },
+  newest: { createdAt: -1, _id: -1 },
+  oldest: { createdAt: 1, _id: 1 },
+  price_asc: { price: 1, _id: 1 },
+  price_desc: { price: -1, _id: -1 },
+  rating: { 'ratings.average': -1, 'ratings.count': -1, _id: -1 },
+  popular: { 'sales.totalSold': -1, views: -1, _id: -1 }
+};
+
+// Upper bounds of the price facet buckets; the last bucket is open-ended
+const PRICE_BUCKETS = [0, 25, 50, 100, 250, 500, 1000];
+
+// Rating facet thresholds ("4 stars & up", ...)
+const RATING_THRESHOLDS = [4, 3, 2, 1];
+
+// Values returned per list facet (materials, techniques, locations)
+const FACET_LIMIT = 20;
+
+const MAX_PAGE_SIZE = 48;
+
+// How long the typo-correction vocabulary is reused before being rebuilt
+const VOCABULARY_TTL_MS = 10 * 60 * 1000;
+const MAX_VOCABULARY_SIZE = 50000;
+
+const engines = new Map();
+
+let vocabulary = null;
+let vocabularyBuiltAt = 0;
+let vocabularyBuilding = null;
+
+/**
+ * Make another search backend available under SEARCH_ENGINE=<name>. It is
+ * called with the parsed params and must resolve to the same shape as
+ * searchProducts.
+ * @param {string} name - Engine name
+ * @param {Function} search - async (params) => result
+ */
+export function registerSearchEngine(name, search) {
+  engines.set(name, search);
+}
+
+/**
+ * Split text into lowercase search terms
+ * @param {string} text - Raw text
+ * @returns {string[]} - Terms
+ */
+export function tokenize(text) {
+  return String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Escape user input for use inside a regular expression
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Read a comma-separated or repeated query parameter as a list
+ * @param {string|string[]} value - Query value
+ * @returns {string[]} - Non-empty values
+ */
+function listParam(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+}
+
+/**
+ * Normalise search query parameters. Only filters that were given appear
+ * in `filters`.
+ * @param {Object} query - Request query
+ * @returns {Object} - { q, filters, sort, page, limit }
+ */
+export function parseSearchParams(query = {}) {
+  const q = String(query.q ?? query.search ?? '').trim();
+  const filters = {};
+
+  if (query.category) filters.categories = listParam(query.category);
+  if (query.materials) filters.materials = listParam(query.materials);
+  if (query.techniques) filters.techniques = listParam(query.techniques);
+  if (query.minPrice) filters.minPrice = parseFloat(query.minPrice);
+  if (query.maxPrice) filters.maxPrice = parseFloat(query.maxPrice);
+  if (query.minRating) filters.minRating = parseFloat(query.minRating);
+  if (query.location) filters.location = String(query.location).trim();
+  if (query.country) filters.country = String(query.country).trim();
+  if (query.featured === 'true') filters.featured = true;
+  if (query.vendor) filters.vendor = String(query.vendor);
+
+  let sort = SEARCH_SORTS[query.sort] ? query.sort : null;
+  if (!sort && query.sortBy) {
+    // Older clients send sortBy/sortOrder
+    const ascending = query.sortOrder === 'asc';
+    sort = {
+      createdAt: ascending ? 'oldest' : 'newest',
+      price: ascending ? 'price_asc' : 'price_desc',
+      'ratings.average': 'rating'
+    }[query.sortBy] || null;
+  }
+  if (!sort || (sort === 'relevance' && !q)) {
+    sort = q ? 'relevance' : 'newest';
+  }
+
+  return {
+    q,
+    filters,
+    sort,
+    page: Math.max(parseInt(query.page) || 1, 1),
+    limit: Math.min(Math.max(parseInt(query.limit) || 12, 1), MAX_PAGE_SIZE)
+  };
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent swaps),
+ * giving up once it exceeds max
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @param {number} max - Largest distance of interest
+ * @returns {number} - Distance, or max + 1 if further apart
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previousPrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previousPrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previousPrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Words used across live listings, with how many listings use each. Built
+ * in process and cached; used to correct misspelled search terms.
+ * @returns {Promise<Map<string, number>>} - Word frequencies
+ */
+export async function getVocabulary() {
+  if (vocabulary && Date.now() - vocabularyBuiltAt < VOCABULARY_TTL_MS) {
+    return vocabulary;
+  }
+  if (!vocabularyBuilding) {
+    vocabularyBuilding = (async () => {
+      const words = new Map();
+      const cursor = Product.find({ status: 'active', isDeleted: false })
+        .select('title tags materials techniques categories')
+        .lean()
+        .cursor();
+
+      for await (const product of cursor) {
+        const text = [product.title, ...(product.tags || []), ...(product.materials || []),
+          ...(product.techniques || []), ...(product.categories || [])].join(' ');
+        for (const word of new Set(tokenize(text))) {
+          if (word.length < 3) continue;
+          if (!words.has(word) && words.size >= MAX_VOCABULARY_SIZE) continue;
+          words.set(word, (words.get(word) || 0) + 1);
+        }
+      }
+
+      vocabulary = words;
+      vocabularyBuiltAt = Date.now();
+      return words;
+    })().finally(() => {
+      vocabularyBuilding = null;
+    });
+  }
+  return vocabularyBuilding;
+}
+
+/**
+ * Replace search terms that no listing uses with the closest word that one
+ * does: one edit for short words, two for longer ones. Ties go to the more
+ * common word.
+ * @param {string[]} terms - Search terms
+ * @returns {Promise<Object>} - { terms, corrections: { [term]: correction } }
+ */
+export async function correctTerms(terms) {
+  const words = await getVocabulary();
+  const corrections = {};
+
+  const corrected = terms.map(term => {
+    if (term.length < 3 || words.has(term) || /^\d+$/.test(term)) return term;
+
+    const maxEdits = term.length <= 4 ? 1 : 2;
+    let best = null;
+    let bestDistance = maxEdits + 1;
+    let bestCount = 0;
+    for (const [word, count] of words) {
+      const distance = editDistance(term, word, maxEdits);
+      if (distance < bestDistance || (distance === bestDistance && count > bestCount)) {
+        best = word;
+        bestDistance = distance;
+        bestCount = count;
+      }
+    }
+
+    if (best && bestDistance <= maxEdits) {
+      corrections[term] = best;
+      return best;
+    }
+    return term;
+  });
+
+  return { terms: corrected, corrections };
+}
+
+/**
+ * Build the product filter for the given search filters
+ * @param {Object} filters - Parsed filters
+ * @returns {Promise<Object>} - MongoDB filter (without the text clause)
+ */
+async function buildFilter(filters) {
+  const match = { status: 'active', isDeleted: false };
+
+  // A category includes its subcategories
+  if (filters.categories?.length) match.categories = { $in: await expandCategorySlugs(filters.categories) };
+  if (filters.materials?.length) match.materials = { $in: filters.materials };
+  if (filters.techniques?.length) match.techniques = { $in: filters.techniques };
+  if (filters.minPrice !== undefined || filters.maxPrice !== undefined) {
+    match.price = {};
+    if (Number.isFinite(filters.minPrice)) match.price.$gte = filters.minPrice;
+    if (Number.isFinite(filters.maxPrice)) match.price.$lte = filters.maxPrice;
+  }
+  if (Number.isFinite(filters.minRating)) match['ratings.average'] = { $gte: filters.minRating };
+  if (filters.featured) match.featured = true;
+
+  const vendorIds = [];
+  if (filters.vendor) {
+    if (!mongoose.isValidObjectId(filters.vendor)) {
+      match.vendor = { $in: [] };
+      return match;
+    }
+    vendorIds.push(new mongoose.Types.ObjectId(filters.vendor));
+  }
+  if (filters.location || filters.country) {
+    const caseless = value => new RegExp(`^${escapeRegex(value)}$`, 'i');
+    const located = await Vendor.find({
+      ...(filters.location && { 'business.address.city': caseless(filters.location) }),
+      ...(filters.country && { 'business.address.country': caseless(filters.country) }),
+      ...(vendorIds.length && { _id: { $in: vendorIds } })
+    }).distinct('_id');
+    match.vendor = { $in: located };
+  } else if (vendorIds.length) {
+    match.vendor = vendorIds[0];
+  }
+
+  return match;
+}
+
+/**
+ * Turn raw facet aggregation output into the response format
+ * @param {Object} raw - $facet output
+ * @returns {Promise<Object>} - { categories, prices, materials, techniques, locations, ratings }
+ */
+async function formatFacets(raw) {
+  const list = (buckets, key) => buckets.map(bucket => ({ [key]: bucket._id, count: bucket.count }));
+
+  // $bucket labels each bucket by its lower bound; 'more' is the open-ended top one
+  const prices = raw.prices.map(bucket => bucket._id === 'more'
+    ? { min: PRICE_BUCKETS[PRICE_BUCKETS.length - 1], max: null, count: bucket.count }
+    : { min: bucket._id, max: PRICE_BUCKETS[PRICE_BUCKETS.indexOf(bucket._id) + 1], count: bucket.count });
+
+  const ratingCounts = new Map(raw.ratings.map(bucket => [bucket._id, bucket.count]));
+  const ratings = RATING_THRESHOLDS.map(threshold => ({
+    minRating: threshold,
+    count: [...ratingCounts].filter(([floor]) => floor >= threshold).reduce((sum, [, count]) => sum + count, 0)
+  }));
+
+  // Locations come from the vendors' profiles, so count per vendor first
+  const vendors = await Vendor.find({ _id: { $in: raw.vendors.map(v => v._id) } })
+    .select('business.address.city business.address.country');
+  const vendorCounts = new Map(raw.vendors.map(v => [v._id.toString(), v.count]));
+  const locations = new Map();
+  for (const vendor of vendors) {
+    const city = vendor.business?.address?.city?.trim();
+    if (!city) continue;
+    const country = vendor.business.address.country?.trim() || null;
+    const key = `${city.toLowerCase()}|${(country || '').toLowerCase()}`;
+    const entry = locations.get(key) || { location: city, country, count: 0 };
+    entry.count += vendorCounts.get(vendor._id.toString()) || 0;
+    locations.set(key, entry);
+  }
+
+  return {
+    categories: list(raw.categories, 'category'),
+    prices,
+    materials: list(raw.materials, 'material'),
+    techniques: list(raw.techniques, 'technique'),
+    locations: [...locations.values()].sort((a, b) => b.count - a.count).slice(0, FACET_LIMIT),
+    ratings
+  };
+}
+
+/**
+ * Facet pipeline for an array field: value counts, most common first
+ * @param {string} field - Array field name
+ * @returns {Object[]} - Aggregation stages
+ */
+function listFacet(field) {
+  return [
+    { $unwind: `$${field}` },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: FACET_LIMIT }
+  ];
+}
+
+/**
+ * Search using the product text index: relevance ranking, stemming from
+ * the index, typo correction from the listing vocabulary, and facet counts
+ * over the whole result set.
+ * @param {Object} params - Result of parseSearchParams
+ * @returns {Promise<Object>} - { products, pagination, facets, query, correctedQuery, sort }
+ */
+async function mongoSearch({ q, filters, sort, page, limit }) {
+  const match = await buildFilter(filters);
+
+  let correctedQuery = null;
+  if (q) {
+    const terms = tokenize(q);
+    const { terms: corrected, corrections } = await correctTerms(terms);
+    if (Object.keys(corrections).length > 0) {
+      correctedQuery = corrected.join(' ');
+    }
+    // Text search matches any term; keep the original words alongside the
+    // corrections so exact matches still rank first
+    match.$text = { $search: [...new Set([...terms, ...corrected])].join(' ') };
+  }
+
+  const [result] = await Product.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        results: [
+          ...(q ? [{ $addFields: { score: { $meta: 'textScore' } } }] : []),
+          { $sort: SEARCH_SORTS[sort] },
+          { $skip: (page - 1) * limit },
+          { $limit: limit }
+        ],
+        total: [{ $count: 'count' }],
+        categories: listFacet('categories'),
+        materials: listFacet('materials'),
+        techniques: listFacet('techniques'),
+        prices: [
+          { $bucket: { groupBy: '$price', boundaries: PRICE_BUCKETS, default: 'more', output: { count: { $sum: 1 } } } }
+        ],
+        ratings: [
+          { $match: { 'ratings.count': { $gt: 0 } } },
+          { $group: { _id: { $floor: '$ratings.average' }, count: { $sum: 1 } } }
+        ],
+        vendors: [{ $group: { _id: '$vendor', count: { $sum: 1 } } }]
+      }
+    }
+  ]);
+
+  const products = await Product.populate(result.results, { path: 'vendor', select: VENDOR_SUMMARY_FIELDS });
+  const totalProducts = result.total[0]?.count || 0;
+  const totalPages = Math.ceil(totalProducts / limit);
+
+  return {
+    products,
+    pagination: {
+      currentPage: page,
+      totalPages,
+      totalProducts,
+      hasNext: page < totalPages,
+      hasPrev: page > 1
+    },
+    facets: await formatFacets(result),
+    query: q,
+    correctedQuery,
+    sort
+  };
+}
+
+/**
+ * Search live products with facets, using the configured engine
+ * @param {Object} params - Result of parseSearchParams
+ * @returns {Promise<Object>} - { products, pagination, facets, query, correctedQuery, sort }
+ */
+export async function searchProducts(params) {
+  const engine = SEARCH_ENGINE !== 'mongo' && engines.get(SEARCH_ENGINE);
+  if (engine) {
+    try {
+      return await engine(params);
+    } catch (error) {
+      console.error(`❌ Search engine "${SEARCH_ENGINE}" failed, using the built-in search:`, error.message);
+    }
+  }
+  return mongoSearch(params);
+}
@@ -0,0 +1,355 @@
+import Order from '../models/Order.js';
+import CustomerBalance from '../models/CustomerBalance.js';
+import { getStripe, isStripePayment } from '../config/stripe.js';
+import { PLATFORM_ACCOUNTS, vendorAccount, customerAccount, postEntry } from './ledger.js';
+import { roundCurrency } from './orderPricing.js';
+
+export const REFUND_TYPES = ['items', 'amount', 'full'];
+export const REFUND_DESTINATIONS = ['original_payment', 'customer_balance'];
+// A lost chargeback: the card network already returned the money, so only
+// the books and the vendor's balance change
+const CHARGEBACK_DESTINATION = 'chargeback';
+
+/**
+ * Build an error the global error handler reports with the given status
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} - Error with statusCode set
+ */
+function refundError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * What is still refundable on one vendor's part of the order, by component
+ * @param {Object} order - Order document
+ * @param {Object} fulfillment - The vendor's fulfillment subdocument
+ * @returns {Object} - { merchandise, shipping, tax, total }
+ */
+export function refundableForFulfillment(order, fulfillment) {
+  const taxRate = order.subtotal > 0 ? order.tax / order.subtotal : 0;
+  const previous = order.refunds.filter(refund => refund.vendor.toString() === fulfillment.vendor.toString());
+  const sum = field => previous.reduce((total, refund) => total + (refund[field] || 0), 0);
+
+  const merchandise = Math.max(roundCurrency(fulfillment.subtotal - sum('merchandise')), 0);
+  const shipping = Math.max(roundCurrency((fulfillment.shippingCost || 0) - sum('shipping')), 0);
+  const tax = Math.max(roundCurrency(fulfillment.subtotal * taxRate - sum('tax')), 0);
+
+  return { merchandise, shipping, tax, total: roundCurrency(merchandise + shipping + tax) };
+}
+
+/**
+ * Work out what refunding some of a vendor's line items is worth
+ * @param {Object} order - Order document
+ * @param {Object} fulfillment - The vendor's fulfillment subdocument
+ * @param {Array} lines - Lines as { itemId, quantity }
+ * @returns {Object} - { merchandise, shipping, tax, lines: [{ item, quantity, gross, fee }] }
+ */
+export function calculateItemRefund(order, fulfillment, lines) {
+  if (!Array.isArray(lines) || lines.length === 0) {
+    throw refundError('Select at least one item to refund');
+  }
+
+  const refundLines = lines.map(({ itemId, quantity }) => {
+    const item = order.items.id(itemId);
+    if (!item || item.vendor.toString() !== fulfillment.vendor.toString()) {
+      throw refundError(`Item ${itemId} is not part of this vendor's order`);
+    }
+
+    const units = parseInt(quantity);
+    const refundable = item.quantity - (item.refundedQuantity || 0);
+    if (!Number.isInteger(units) || units < 1 || units > refundable) {
+      throw refundError(`Only ${refundable} of item ${itemId} can be refunded`);
+    }
+
+    const gross = roundCurrency(item.price * units);
+    const commissionLine = fulfillment.commission?.lines?.find(line => line.item?.toString() === item._id.toString());
+    const fee = commissionLine ? roundCurrency(gross * commissionLine.rate) : 0;
+
+    return { item, quantity: units, gross, fee };
+  });
+
+  const remaining = refundableForFulfillment(order, fulfillment);
+  const taxRate = order.subtotal > 0 ? order.tax / order.subtotal : 0;
+  // Earlier amount refunds may already have returned part of these items' value
+  const merchandise = Math.min(roundCurrency(refundLines.reduce((sum, line) => sum + line.gross, 0)), remaining.merchandise);
+  const tax = Math.min(roundCurrency(merchandise * taxRate), remaining.tax);
+
+  return { merchandise, shipping: 0, tax, lines: refundLines };
+}
+
+/**
+ * Split a flat refund amount into merchandise, tax and shipping
+ * @param {Object} order - Order document
+ * @param {Object} fulfillment - The vendor's fulfillment subdocument
+ * @param {number} amount - Amount to refund, tax included
+ * @returns {Object} - { merchandise, shipping, tax, lines: [] }
+ */
+export function calculateAmountRefund(order, fulfillment, amount) {
+  const remaining = refundableForFulfillment(order, fulfillment);
+  const value = roundCurrency(parseFloat(amount));
+  if (!(value > 0) || value > remaining.total) {
+    throw refundError(`Refund amount must be between 0.01 and ${remaining.total.toFixed(2)}`);
+  }
+
+  const taxRate = order.subtotal > 0 ? order.tax / order.subtotal : 0;
+  let tax = Math.min(roundCurrency(value * taxRate / (1 + taxRate)), remaining.tax);
+  const merchandise = Math.min(roundCurrency(value - tax), remaining.merchandise);
+  let shipping = roundCurrency(value - tax - merchandise);
+  if (shipping > remaining.shipping) {
+    tax = roundCurrency(tax + shipping - remaining.shipping);
+    shipping = remaining.shipping;
+  }
+
+  return { merchandise, shipping, tax, lines: [] };
+}
+
+/**
+ * Everything still refundable on a vendor's part of the order
+ * @param {Object} order - Order document
+ * @param {Object} fulfillment - The vendor's fulfillment subdocument
+ * @returns {Object} - { merchandise, shipping, tax, lines }
+ */
+export function calculateFullRefund(order, fulfillment) {
+  const remaining = refundableForFulfillment(order, fulfillment);
+  if (remaining.total <= 0) {
+    throw refundError('Nothing left to refund for this vendor', 409);
+  }
+
+  const lines = order.itemsForVendor(fulfillment.vendor)
+    .filter(item => item.quantity > (item.refundedQuantity || 0))
+    .map(item => ({ item, quantity: item.quantity - (item.refundedQuantity || 0) }));
+
+  return { merchandise: remaining.merchandise, shipping: remaining.shipping, tax: remaining.tax, lines };
+}
+
+/**
+ * Commission the platform hands back when refunding released escrow
+ * @param {Object} fulfillment - The vendor's fulfillment subdocument
+ * @param {Object} refund - Refund breakdown
+ * @param {string} type - Refund type
+ * @returns {number} - Commission to return
+ */
+function commissionToReturn(fulfillment, refund, type) {
+  const commission = fulfillment.commission;
+  if (fulfillment.escrowStatus !== 'released' || !commission?.fee) return 0;
+
+  if (type === 'full') return roundCurrency(commission.fee);
+  if (type === 'items') {
+    return Math.min(roundCurrency(refund.lines.reduce((sum, line) => sum + line.fee, 0)), commission.fee);
+  }
+  return commission.gross > 0
+    ? Math.min(roundCurrency(refund.merchandise * commission.fee / commission.gross), commission.fee)
+    : 0;
+}
+
+/**
+ * Refund part or all of one vendor's share of a paid order. The customer gets
+ * their money back on the original Stripe payment or as spending balance;
+ * the vendor's share comes out of held escrow, or out of their available
+ * balance (less the commission the platform returns) if already released.
+ * Calling again with the same key returns the original refund.
+ * @param {Object} order - Order document
+ * @param {string} vendorId - Vendor whose part is refunded
+ * @param {Object} options - { type, items, amount, reason, destination, actor, key }
+ * @returns {Promise<Object>} - The refund record on the order
+ */
+export async function refundFulfillment(order, vendorId, { type, items, amount, reason, destination, actor, key }) {
+  const existing = order.refunds.find(refund => refund.key === key);
+  if (existing) return existing;
+
+  if (!REFUND_TYPES.includes(type)) {
+    throw refundError(`Refund type must be one of: ${REFUND_TYPES.join(', ')}`);
+  }
+  if (destination && destination !== CHARGEBACK_DESTINATION && !REFUND_DESTINATIONS.includes(destination)) {
+    throw refundError(`Refund destination must be one of: ${REFUND_DESTINATIONS.join(', ')}`);
+  }
+  if (order.paymentStatus !== 'completed') {
+    throw refundError('Only paid orders can be refunded', 409);
+  }
+
+  const fulfillment = order.getFulfillment(vendorId);
+  if (!fulfillment) {
+    throw refundError('Vendor has no items in this order', 404);
+  }
+  if (refundableForFulfillment(order, fulfillment).total <= 0) {
+    throw refundError('This vendor\'s part of the order has already been refunded', 409);
+  }
+
+  const refund = type === 'items'
+    ? calculateItemRefund(order, fulfillment, items)
+    : type === 'amount'
+      ? calculateAmountRefund(order, fulfillment, amount)
+      : calculateFullRefund(order, fulfillment);
+  const vendorShare = roundCurrency(refund.merchandise + refund.shipping);
+  const total = roundCurrency(vendorShare + refund.tax);
+  const fee = commissionToReturn(fulfillment, refund, type);
+
+  const viaStripe = isStripePayment(order.paymentTransactionId);
+  if (destination === 'original_payment' && !viaStripe) {
+    throw refundError('This order was not paid by card; refund it to the customer\'s balance instead', 409);
+  }
+  const refundDestination = destination || (viaStripe ? 'original_payment' : 'customer_balance');
+
+  // Claim the amount first so two refunds cannot both pass the checks above
+  const previousRefunded = order.refundedAmount || 0;
+  const claim = await Order.updateOne(
+    { _id: order._id, refundedAmount: previousRefunded, 'refunds.key': { $ne: key } },
+    { $inc: { refundedAmount: total } }
+  );
+  if (claim.matchedCount === 0) {
+    throw refundError('The order changed while refunding; reload it and try again', 409);
+  }
+
+  // Give the claim back if anything below fails. Retrying with the same key
+  // is then safe: Stripe and the ledger both deduplicate on it.
+  try {
+    let stripeRefund = null;
+    if (refundDestination === 'original_payment') {
+      try {
+        stripeRefund = await getStripe().refunds.create({
+          payment_intent: order.paymentTransactionId,
+          amount: Math.round(total * 100),
+          reason: 'requested_by_customer',
+          metadata: { orderId: order._id.toString(), vendorId: fulfillment.vendor.toString() }
+        }, { idempotencyKey: key });
+      } catch (error) {
+        console.error(`❌ Stripe refund failed for order ${order.orderNumber}:`, error);
+        throw refundError(`Card refund failed: ${error.message}`, 502);
+      }
+    } else if (refundDestination === 'customer_balance' && !(await CustomerBalance.exists({ customer: order.customer }))) {
+      // Customers without a balance get an empty one, so the credit has
+      // somewhere to land without the model's starting balance coming with it
+      await CustomerBalance.create({ customer: order.customer, spendingBalance: 0 });
+    }
+
+    const description = reason || `Refund on order ${order.orderNumber}`;
+    // Cancelling a fulfillment already took its escrow back from the vendor
+    const clawedBackFrom = fulfillment.escrowStatus === 'refunded'
+      ? undefined
+      : fulfillment.escrowStatus === 'held' ? 'pending' : 'available';
+
+    if (clawedBackFrom === 'pending') {
+      // Make sure the original hold is on the ledger before reducing it
+      await order.recordEscrowHold(fulfillment);
+      await postEntry({
+        type: 'refund',
+        description,
+        idempotencyKey: `${key}:vendor`,
+        order: order._id,
+        vendor: fulfillment.vendor,
+        createdBy: actor,
+        lines: [
+          { account: vendorAccount(fulfillment.vendor, 'pending'), debit: vendorShare },
+          { account: PLATFORM_ACCOUNTS.orderClearing, credit: vendorShare }
+        ]
+      });
+      fulfillment.escrowAmount = Math.max(roundCurrency(fulfillment.escrowAmount - vendorShare), 0);
+    } else if (clawedBackFrom === 'available') {
+      await postEntry({
+        type: 'refund',
+        description,
+        idempotencyKey: `${key}:vendor`,
+        order: order._id,
+        vendor: fulfillment.vendor,
+        createdBy: actor,
+        lines: [
+          { account: vendorAccount(fulfillment.vendor, 'available'), debit: vendorShare - fee },
+          { account: PLATFORM_ACCOUNTS.revenue, debit: fee },
+          { account: PLATFORM_ACCOUNTS.orderClearing, credit: vendorShare }
+        ]
+      });
+
+      if (fulfillment.commission) {
+        fulfillment.commission.gross = roundCurrency(fulfillment.commission.gross - refund.merchandise);
+        fulfillment.commission.shipping = roundCurrency((fulfillment.commission.shipping || 0) - refund.shipping);
+        fulfillment.commission.fee = roundCurrency(fulfillment.commission.fee - fee);
+        fulfillment.commission.net = roundCurrency(fulfillment.commission.net - (vendorShare - fee));
+      }
+    }
+
+    await postEntry({
+      type: 'refund',
+      description,
+      idempotencyKey: `${key}:customer`,
+      order: order._id,
+      customer: order.customer,
+      createdBy: actor,
+      lines: [
+        { account: PLATFORM_ACCOUNTS.orderClearing, debit: vendorShare },
+        { account: PLATFORM_ACCOUNTS.taxPayable, debit: refund.tax },
+        refundDestination !== 'customer_balance'
+          ? { account: PLATFORM_ACCOUNTS.cash, credit: total }
+          : { account: customerAccount(order.customer), credit: total }
+      ]
+    });
+
+    for (const line of refund.lines) {
+      line.item.refundedQuantity = (line.item.refundedQuantity || 0) + line.quantity;
+    }
+    fulfillment.refundedAmount = roundCurrency((fulfillment.refundedAmount || 0) + total);
+    order.refundedAmount = roundCurrency(previousRefunded + total);
+
+    order.refunds.push({
+      vendor: fulfillment.vendor,
+      key,
+      type,
+      items: refund.lines.map(line => ({ item: line.item._id, quantity: line.quantity })),
+      merchandise: refund.merchandise,
+      shipping: refund.shipping,
+      tax: refund.tax,
+      amount: total,
+      commissionReturned: fee,
+      clawedBackFrom,
+      destination: refundDestination,
+      stripeRefundId: stripeRefund?.id,
+      status: stripeRefund && stripeRefund.status !== 'succeeded'
+        ? (stripeRefund.status === 'failed' ? 'failed' : 'pending')
+        : 'succeeded',
+      reason,
+      createdBy: actor
+    });
+
+    if (refundableForFulfillment(order, fulfillment).total <= 0) {
+      fulfillment.escrowStatus = 'refunded';
+      order.syncFromFulfillments();
+    }
+    if (order.fulfillments.every(f => refundableForFulfillment(order, f).total <= 0)) {
+      order.paymentStatus = 'refunded';
+    }
+
+    await order.save();
+  } catch (error) {
+    await Order.updateOne({ _id: order._id }, { $inc: { refundedAmount: -total } });
+    throw error;
+  }
+  return order.refunds[order.refunds.length - 1];
+}
+
+/**
+ * Refund an order. With a vendor, refunds that vendor's part; without one
+ * only a full refund is allowed, and every vendor's remaining part is refunded.
+ * @param {Object} order - Order document
+ * @param {Object} options - { vendorId, type, items, amount, reason, destination, actor, key }
+ * @returns {Promise<Array>} - Refund records created (or found, on retry)
+ */
+export async function refundOrder(order, { vendorId, key, ...options }) {
+  if (vendorId) {
+    return [await refundFulfillment(order, vendorId, { ...options, key })];
+  }
+  if (options.type !== 'full') {
+    throw refundError('Choose a vendor for item or amount refunds');
+  }
+
+  const refunds = [];
+  for (const fulfillment of order.ensureFulfillments()) {
+    if (refundableForFulfillment(order, fulfillment).total <= 0) continue;
+    refunds.push(await refundFulfillment(order, fulfillment.vendor, { ...options, key: `${key}:${fulfillment.vendor}` }));
+  }
+  if (refunds.length === 0) {
+    throw refundError('Nothing left to refund on this order', 409);
+  }
+  return refunds;
+}
@@ -0,0 +1,226 @@
+import ReturnRequest, { RETURN_REASONS } from '../models/ReturnRequest.js';
+import Vendor from '../models/Vendor.js';
+import Order from '../models/Order.js';
+import { decrementStock, restoreStock } from './inventory.js';
+import { refundFulfillment } from './refunds.js';
+
+// Reasons that need photos so the vendor can judge the claim
+const PHOTO_REQUIRED_REASONS = ['damaged', 'defective'];
+const MAX_PHOTOS = 10;
+
+/**
+ * Build an error the global error handler reports with the given status
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} - Error with statusCode set
+ */
+function returnError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Open a return for some of the line items on a delivered order. All items
+ * must come from one vendor, and that vendor's return policy is enforced.
+ * @param {Object} order - Order document owned by the customer
+ * @param {Object} request - { items: [{ itemId, quantity, reason, details }], photos, comments, resolution }
+ * @returns {Promise<Object>} - Created ReturnRequest
+ */
+export async function createReturnRequest(order, { items, photos = [], comments, resolution = 'refund' }) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw returnError('Select at least one item to return');
+  }
+  if (!['refund', 'exchange'].includes(resolution)) {
+    throw returnError('Resolution must be refund or exchange');
+  }
+  if (!Array.isArray(photos) || photos.length > MAX_PHOTOS) {
+    throw returnError(`Up to ${MAX_PHOTOS} photos can be attached`);
+  }
+
+  const orderItems = items.map(line => {
+    const item = order.items.id(line.itemId);
+    if (!item) {
+      throw returnError(`Item ${line.itemId} is not part of this order`);
+    }
+    return item;
+  });
+
+  const vendorIds = new Set(orderItems.map(item => item.vendor.toString()));
+  if (vendorIds.size > 1) {
+    throw returnError('Items from different sellers must be returned separately');
+  }
+  const vendorId = orderItems[0].vendor;
+
+  const fulfillment = order.ensureFulfillments().find(f => f.vendor.toString() === vendorId.toString());
+  if (!fulfillment || fulfillment.status !== 'delivered') {
+    throw returnError('Items can only be returned once they have been delivered', 409);
+  }
+
+  const vendor = await Vendor.findById(vendorId).select('storeName policies');
+  if (vendor?.policies?.acceptsReturns === false) {
+    throw returnError(`${vendor.storeName || 'This seller'} does not accept returns`, 409);
+  }
+  if (resolution === 'exchange' && !vendor?.policies?.exchanges) {
+    throw returnError(`${vendor?.storeName || 'This seller'} does not offer exchanges`, 409);
+  }
+
+  const windowDays = vendor?.policies?.returnWindowDays ?? 30;
+  const deliveredAt = fulfillment.deliveredAt || order.updatedAt;
+  if (Date.now() > deliveredAt.getTime() + windowDays * 24 * 60 * 60 * 1000) {
+    throw returnError(`The ${windowDays}-day return window for this order has closed`, 409);
+  }
+
+  // Quantities already claimed by other open returns
+  const claimed = new Map();
+  for (const open of await ReturnRequest.findOpenForOrder(order._id)) {
+    for (const item of open.items) {
+      const key = item.item.toString();
+      claimed.set(key, (claimed.get(key) || 0) + item.quantity);
+    }
+  }
+
+  const returnItems = items.map((line, index) => {
+    const item = orderItems[index];
+    const quantity = parseInt(line.quantity);
+    const returnable = item.quantity - (item.refundedQuantity || 0) - (claimed.get(item._id.toString()) || 0);
+
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > returnable) {
+      throw returnError(`Only ${Math.max(returnable, 0)} of item ${item._id} can be returned`);
+    }
+    if (!RETURN_REASONS.includes(line.reason)) {
+      throw returnError(`Return reason must be one of: ${RETURN_REASONS.join(', ')}`);
+    }
+    if (PHOTO_REQUIRED_REASONS.includes(line.reason) && photos.length === 0) {
+      throw returnError('Please attach photos showing the problem');
+    }
+
+    return {
+      item: item._id,
+      product: item.product._id || item.product,
+      variant: item.variant,
+      quantity,
+      unitPrice: item.price,
+      reason: line.reason,
+      details: line.details
+    };
+  });
+
+  return ReturnRequest.create({
+    order: order._id,
+    customer: order.customer,
+    vendor: vendorId,
+    items: returnItems,
+    photos,
+    comments,
+    requestedResolution: resolution
+  });
+}
+
+/**
+ * Record that the vendor received the parcel and inspected it
+ * @param {Object} returnRequest - ReturnRequest document
+ * @param {Object} inspection - { accepted, notes, items: [{ itemId, restock, condition }], role, actor }
+ * @returns {Promise<Object>} - Updated ReturnRequest
+ */
+export async function receiveReturn(returnRequest, { accepted, notes, items = [], role, actor }) {
+  returnRequest.transition('received', { role, actor, note: notes });
+
+  for (const line of items) {
+    const item = returnRequest.items.find(i => i.item.toString() === String(line.itemId));
+    if (!item) {
+      throw returnError(`Item ${line.itemId} is not part of this return`);
+    }
+    item.restock = !!line.restock;
+    if (line.condition) item.condition = line.condition;
+  }
+
+  returnRequest.inspection = {
+    accepted: accepted !== false,
+    notes,
+    receivedAt: new Date(),
+    inspectedBy: actor
+  };
+
+  if (accepted === false) {
+    returnRequest.transition('rejected', { role, actor, note: notes || 'Failed inspection' });
+  }
+
+  return returnRequest.save();
+}
+
+/**
+ * Settle an inspected return with a refund or an exchange. Units marked for
+ * restock go back into inventory; an exchange takes replacement stock.
+ * @param {Object} returnRequest - ReturnRequest document in 'received'
+ * @param {Object} options - { resolution, replacementTrackingNumber, role, actor }
+ * @returns {Promise<Object>} - Updated ReturnRequest
+ */
+export async function resolveReturn(returnRequest, { resolution, replacementTrackingNumber, role, actor }) {
+  const type = resolution || returnRequest.requestedResolution;
+  if (!['refund', 'exchange'].includes(type)) {
+    throw returnError('Resolution must be refund or exchange');
+  }
+
+  // Validate the move before touching stock or money
+  returnRequest.transition('completed', { role, actor, note: `Resolved by ${type}` });
+
+  const order = await Order.findById(returnRequest.order);
+  if (!order) {
+    throw returnError('Order not found', 404);
+  }
+
+  const stockLines = returnRequest.items.map(item => ({
+    product: item.product,
+    variant: item.variant?.variantId,
+    quantity: item.quantity
+  }));
+  const resolutionRecord = { type, resolvedAt: new Date() };
+
+  if (type === 'exchange') {
+    const vendor = await Vendor.findById(returnRequest.vendor).select('policies');
+    if (!vendor?.policies?.exchanges) {
+      throw returnError('This seller does not offer exchanges', 409);
+    }
+    // Fails with 409 if a replacement is out of stock; the vendor can refund instead
+    await decrementStock(stockLines);
+    resolutionRecord.replacementTrackingNumber = replacementTrackingNumber;
+  } else {
+    const refund = await refundFulfillment(order, returnRequest.vendor, {
+      type: 'items',
+      items: returnRequest.items.map(item => ({ itemId: item.item, quantity: item.quantity })),
+      reason: `Return ${returnRequest.rmaNumber}`,
+      actor,
+      key: `return:${returnRequest._id}`
+    });
+    resolutionRecord.refundAmount = refund.amount;
+  }
+
+  // Save the completed return before restocking, and only if it is still
+  // 'received'. A retry after a failure below then stops here instead of
+  // restocking and counting the returned units a second time; the refund
+  // above is safe to repeat because it deduplicates on its key.
+  returnRequest.resolution = resolutionRecord;
+  returnRequest.$where = { status: 'received' };
+  try {
+    await returnRequest.save();
+  } catch (error) {
+    if (error.name !== 'DocumentNotFoundError') throw error;
+    if (type === 'exchange') await restoreStock(stockLines);
+    throw returnError('This return has already been resolved', 409);
+  } finally {
+    returnRequest.$where = undefined;
+  }
+
+  await restoreStock(returnRequest.items
+    .filter(item => item.restock)
+    .map(item => ({ product: item.product, variant: item.variant?.variantId, quantity: item.quantity })));
+
+  for (const returned of returnRequest.items) {
+    const item = order.items.id(returned.item);
+    if (item) item.returnedQuantity = (item.returnedQuantity || 0) + returned.quantity;
+  }
+  await order.save();
+
+  return returnRequest;
+}
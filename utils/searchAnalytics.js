@@ -0,0 +1,260 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import SearchQuery from '../models/SearchQuery.js';
+
+const MAX_QUERY_LENGTH = 200;
+
+// Clicks kept per search; enough to see what was opened without letting
+// one client grow a document without bound
+const MAX_CLICKS = 20;
+
+const DEFAULT_REPORT_DAYS = 30;
+const MAX_REPORT_ROWS = 100;
+const REPORT_INTERVALS = ['day', 'week', 'month'];
+
+/**
+ * Build an error the global error handler reports with the given status
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} - Error with statusCode set
+ */
+function analyticsError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Lowercase and tidy a query for grouping, masking anything that looks like
+ * an email address or phone number a shopper may have typed
+ * @param {string} query - Raw query
+ * @returns {string} - Normalised query
+ */
+export function normalizeQuery(query) {
+  return String(query || '')
+    .toLowerCase()
+    .replace(/[^\s@]+@[^\s@]+\.[^\s@]+/g, '[email]')
+    .replace(/\+?\d[\d\s().-]{5,}\d/g, '[number]')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MAX_QUERY_LENGTH);
+}
+
+/**
+ * Anonymous session marker: a salted hash of the client address and user
+ * agent that changes every day, so searches can be de-duplicated but never
+ * traced back to a person or followed across days
+ * @param {Object} req - Express request
+ * @returns {string} - Session hash
+ */
+function sessionHash(req) {
+  const salt = process.env.SEARCH_ANALYTICS_SALT || process.env.JWT_SECRET || 'search-analytics';
+  const day = new Date().toISOString().slice(0, 10);
+  return crypto.createHmac('sha256', salt)
+    .update(`${req.ip}|${req.get('user-agent') || ''}|${day}`)
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/**
+ * Log a search without holding up the response. Searches without query
+ * text (plain browsing) are not logged.
+ * @param {Object} req - Express request
+ * @param {Object} search - { source, params, resultCount, correctedQuery }
+ * @returns {string|null} - ID the client sends back with clicks, or null if not logged
+ */
+export function logSearch(req, { source, params, resultCount, correctedQuery }) {
+  const query = normalizeQuery(params.q);
+  if (!query) return null;
+
+  const id = new mongoose.Types.ObjectId();
+  SearchQuery.create({
+    _id: id,
+    query,
+    source,
+    filters: Object.keys(params.filters || {}).length > 0 ? params.filters : undefined,
+    sort: params.sort,
+    page: params.page,
+    resultCount,
+    zeroResults: resultCount === 0,
+    correctedQuery: correctedQuery || undefined,
+    session: sessionHash(req)
+  }).catch(error => {
+    console.error('❌ Failed to log search:', error.message);
+  });
+
+  return id.toString();
+}
+
+/**
+ * Record that a shopper opened a result of a logged search
+ * @param {string} searchId - ID returned with the search results
+ * @param {Object} click - { productId, position }
+ * @returns {Promise<void>}
+ */
+export async function recordClick(searchId, { productId, position }) {
+  if (!mongoose.isValidObjectId(searchId) || !mongoose.isValidObjectId(productId)) {
+    throw analyticsError('Invalid search or product ID');
+  }
+
+  const click = { product: productId };
+  const parsedPosition = parseInt(position);
+  if (Number.isInteger(parsedPosition) && parsedPosition > 0) click.position = parsedPosition;
+
+  const result = await SearchQuery.updateOne(
+    { _id: searchId, clickCount: { $lt: MAX_CLICKS } },
+    { $push: { clicks: click }, $inc: { clickCount: 1 } }
+  );
+
+  if (result.matchedCount === 0 && !(await SearchQuery.exists({ _id: searchId }))) {
+    throw analyticsError('Search not found', 404);
+  }
+}
+
+/**
+ * Date range and row limit for a report, defaulting to the last 30 days
+ * @param {Object} query - { from, to, limit }
+ * @returns {Object} - { from, to, limit }
+ */
+function reportRange({ from, to, limit } = {}) {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_REPORT_DAYS * 24 * 60 * 60 * 1000);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    throw analyticsError('from and to must be valid dates');
+  }
+  if (start >= end) {
+    throw analyticsError('from must be before to');
+  }
+
+  return {
+    from: start,
+    to: end,
+    limit: Math.min(Math.max(parseInt(limit) || 20, 1), MAX_REPORT_ROWS)
+  };
+}
+
+/**
+ * Most searched queries with their result counts and click-through rate
+ * @param {Object} options - { from, to, limit }
+ * @returns {Promise<Object>} - { from, to, queries }
+ */
+export async function topQueries(options) {
+  const { from, to, limit } = reportRange(options);
+
+  const queries = await SearchQuery.aggregate([
+    { $match: { createdAt: { $gte: from, $lt: to } } },
+    {
+      $group: {
+        _id: '$query',
+        searches: { $sum: 1 },
+        sessions: { $addToSet: '$session' },
+        zeroResults: { $sum: { $cond: ['$zeroResults', 1, 0] } },
+        clickedSearches: { $sum: { $cond: [{ $gt: ['$clickCount', 0] }, 1, 0] } },
+        averageResults: { $avg: '$resultCount' },
+        lastSearched: { $max: '$createdAt' }
+      }
+    },
+    { $sort: { searches: -1, _id: 1 } },
+    { $limit: limit },
+    {
+      $project: {
+        _id: 0,
+        query: '$_id',
+        searches: 1,
+        uniqueSessions: { $size: '$sessions' },
+        zeroResults: 1,
+        averageResults: { $round: ['$averageResults', 1] },
+        clickThroughRate: { $round: [{ $divide: ['$clickedSearches', '$searches'] }, 3] },
+        lastSearched: 1
+      }
+    }
+  ]);
+
+  return { from, to, queries };
+}
+
+/**
+ * Queries that found nothing, most frequent first: demand we cannot meet yet
+ * @param {Object} options - { from, to, limit }
+ * @returns {Promise<Object>} - { from, to, queries }
+ */
+export async function zeroResultQueries(options) {
+  const { from, to, limit } = reportRange(options);
+
+  const queries = await SearchQuery.aggregate([
+    { $match: { zeroResults: true, createdAt: { $gte: from, $lt: to } } },
+    { $sort: { createdAt: 1 } },
+    {
+      $group: {
+        _id: '$query',
+        searches: { $sum: 1 },
+        sessions: { $addToSet: '$session' },
+        firstSearched: { $first: '$createdAt' },
+        lastSearched: { $last: '$createdAt' },
+        correctedQuery: { $last: '$correctedQuery' }
+      }
+    },
+    { $sort: { searches: -1, _id: 1 } },
+    { $limit: limit },
+    {
+      $project: {
+        _id: 0,
+        query: '$_id',
+        searches: 1,
+        uniqueSessions: { $size: '$sessions' },
+        firstSearched: 1,
+        lastSearched: 1,
+        correctedQuery: 1
+      }
+    }
+  ]);
+
+  return { from, to, queries };
+}
+
+/**
+ * Searches, click-through rate and zero-result rate per day, week or month
+ * @param {Object} options - { from, to, interval }
+ * @returns {Promise<Object>} - { from, to, interval, totals, series }
+ */
+export async function clickThroughSeries(options = {}) {
+  const { from, to } = reportRange(options);
+  const interval = options.interval || 'day';
+  if (!REPORT_INTERVALS.includes(interval)) {
+    throw analyticsError(`interval must be one of: ${REPORT_INTERVALS.join(', ')}`);
+  }
+
+  const series = await SearchQuery.aggregate([
+    { $match: { createdAt: { $gte: from, $lt: to } } },
+    {
+      $group: {
+        _id: { $dateTrunc: { date: '$createdAt', unit: interval } },
+        searches: { $sum: 1 },
+        clickedSearches: { $sum: { $cond: [{ $gt: ['$clickCount', 0] }, 1, 0] } },
+        zeroResults: { $sum: { $cond: ['$zeroResults', 1, 0] } }
+      }
+    },
+    { $sort: { _id: 1 } },
+    {
+      $project: {
+        _id: 0,
+        period: '$_id',
+        searches: 1,
+        clickedSearches: 1,
+        zeroResults: 1,
+        clickThroughRate: { $round: [{ $divide: ['$clickedSearches', '$searches'] }, 3] },
+        zeroResultRate: { $round: [{ $divide: ['$zeroResults', '$searches'] }, 3] }
+      }
+    }
+  ]);
+
+  const totals = series.reduce((sum, row) => ({
+    searches: sum.searches + row.searches,
+    clickedSearches: sum.clickedSearches + row.clickedSearches,
+    zeroResults: sum.zeroResults + row.zeroResults
+  }), { searches: 0, clickedSearches: 0, zeroResults: 0 });
+  totals.clickThroughRate = totals.searches ? Math.round((totals.clickedSearches / totals.searches) * 1000) / 1000 : 0;
+  totals.zeroResultRate = totals.searches ? Math.round((totals.zeroResults / totals.searches) * 1000) / 1000 : 0;
+
+  return { from, to, interval, totals, series };
+}
@@ -0,0 +1,183 @@
+import Product from '../models/Product.js';
+import Vendor from '../models/Vendor.js';
+import { getCache, setCache } from '../config/redis.js';
+import { correctTerms, tokenize } from './productSearch.js';
+
+// Seconds a suggestion list stays cached in Redis
+const SUGGESTION_TTL = 300;
+
+// Shortest query worth suggesting for, and the most of it that is used
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 50;
+
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 10;
+
+// A sale counts for this many views when ranking by popularity
+const SALES_WEIGHT = 10;
+
+const LIVE_PRODUCTS = { status: 'active', isDeleted: false };
+
+// Product popularity, as an aggregation expression
+const PRODUCT_POPULARITY = {
+  $add: [
+    { $ifNull: ['$views', 0] },
+    { $multiply: [{ $ifNull: ['$sales.totalSold', 0] }, SALES_WEIGHT] }
+  ]
+};
+
+/**
+ * Escape user input for use inside a regular expression
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Anchored, case-sensitive patterns for the usual capitalisations of a
+ * lowercase query. Unlike a case-insensitive or mid-word regex these can
+ * use an index on the field, so suggestions never scan the collection.
+ * @param {string} q - Normalised lowercase query
+ * @returns {Object} - $in condition matching values that start with the query
+ */
+function prefixMatch(q) {
+  const forms = new Set([
+    q,
+    q.charAt(0).toUpperCase() + q.slice(1),
+    q.replace(/(^|[\s\-/(])(\S)/g, (match, gap, letter) => gap + letter.toUpperCase()),
+    q.toUpperCase()
+  ]);
+  return { $in: [...forms].map(form => new RegExp(`^${escapeRegex(form)}`)) };
+}
+
+/**
+ * Titles of the most popular live products starting with the query
+ * @param {Object} pattern - Prefix condition from prefixMatch
+ * @param {number} limit - Maximum suggestions
+ * @returns {Promise<Object[]>} - [{ text, productId, slug, image }]
+ */
+async function productSuggestions(pattern, limit) {
+  const products = await Product.aggregate([
+    { $match: { ...LIVE_PRODUCTS, title: pattern } },
+    { $addFields: { popularity: PRODUCT_POPULARITY } },
+    { $sort: { popularity: -1, _id: 1 } },
+    { $limit: limit },
+    { $project: { title: 1, 'seo.slug': 1, images: { $slice: ['$images', 1] } } }
+  ]);
+
+  return products.map(product => ({
+    text: product.title,
+    productId: product._id,
+    slug: product.seo?.slug,
+    image: product.images?.[0]?.url
+  }));
+}
+
+/**
+ * Values of an array field on live products that start with the query,
+ * ranked by the popularity of the products using them
+ * @param {string} field - 'tags' or 'categories'
+ * @param {Object} pattern - Prefix condition from prefixMatch
+ * @param {number} limit - Maximum suggestions
+ * @returns {Promise<Object[]>} - [{ text, count }]
+ */
+async function productFieldSuggestions(field, pattern, limit) {
+  const values = await Product.aggregate([
+    { $match: { ...LIVE_PRODUCTS, [field]: pattern } },
+    { $unwind: `$${field}` },
+    { $match: { [field]: pattern } },
+    { $group: { _id: { $toLower: `$${field}` }, count: { $sum: 1 }, popularity: { $sum: PRODUCT_POPULARITY } } },
+    { $sort: { popularity: -1, count: -1, _id: 1 } },
+    { $limit: limit }
+  ]);
+
+  return values.map(value => ({ text: value._id, count: value.count }));
+}
+
+/**
+ * Active stores whose name starts with the query, best sellers first
+ * @param {Object} pattern - Prefix condition from prefixMatch
+ * @param {number} limit - Maximum suggestions
+ * @returns {Promise<Object[]>} - [{ text, vendorId, slug, logo }]
+ */
+async function storeSuggestions(pattern, limit) {
+  const stores = await Vendor.find({ isActive: true, storeName: pattern })
+    .select('storeName slug logo')
+    .sort({ 'metrics.totalSales': -1, 'metrics.totalOrders': -1, _id: 1 })
+    .limit(limit);
+
+  return stores.map(store => ({
+    text: store.storeName,
+    vendorId: store._id,
+    slug: store.slug,
+    logo: store.logo
+  }));
+}
+
+/**
+ * Vendor specialties starting with the query, most widely offered first
+ * @param {Object} pattern - Prefix condition from prefixMatch
+ * @param {number} limit - Maximum suggestions
+ * @returns {Promise<Object[]>} - [{ text, count }]
+ */
+async function specialtySuggestions(pattern, limit) {
+  const specialties = await Vendor.aggregate([
+    { $match: { isActive: true, specialties: pattern } },
+    { $unwind: '$specialties' },
+    { $match: { specialties: pattern } },
+    { $group: { _id: { $toLower: '$specialties' }, count: { $sum: 1 }, sales: { $sum: '$metrics.totalSales' } } },
+    { $sort: { count: -1, sales: -1, _id: 1 } },
+    { $limit: limit }
+  ]);
+
+  return specialties.map(specialty => ({ text: specialty._id, count: specialty.count }));
+}
+
+/**
+ * Autocomplete suggestions for a partly typed query, grouped by kind. When
+ * nothing matches, `didYouMean` holds a spelling correction if there is one.
+ * @param {string} query - Text typed so far
+ * @param {Object} options - { limit } per group
+ * @returns {Promise<Object>} - { query, products, stores, categories, tags, specialties, didYouMean }
+ */
+export async function getSuggestions(query, { limit } = {}) {
+  // Capped before it reaches a regex or the cache key
+  const q = String(query || '').trim().toLowerCase().replace(/\s+/g, ' ').slice(0, MAX_QUERY_LENGTH).trim();
+  const perGroup = Math.min(Math.max(parseInt(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  const empty = { query: q, products: [], stores: [], categories: [], tags: [], specialties: [], didYouMean: null };
+  if (q.length < MIN_QUERY_LENGTH) {
+    return empty;
+  }
+
+  const cacheKey = `suggest:${perGroup}:${q}`;
+  const cached = await getCache(cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  const prefix = prefixMatch(q);
+
+  const [products, stores, categories, tags, specialties] = await Promise.all([
+    productSuggestions(prefix, perGroup),
+    storeSuggestions(prefix, perGroup),
+    productFieldSuggestions('categories', prefix, perGroup),
+    productFieldSuggestions('tags', prefix, perGroup),
+    specialtySuggestions(prefix, perGroup)
+  ]);
+
+  const suggestions = { ...empty, products, stores, categories, tags, specialties };
+
+  const hits = products.length + stores.length + categories.length + tags.length + specialties.length;
+  if (hits === 0) {
+    const { terms, corrections } = await correctTerms(tokenize(q));
+    if (Object.keys(corrections).length > 0) {
+      suggestions.didYouMean = terms.join(' ');
+    }
+  }
+
+  await setCache(cacheKey, suggestions, SUGGESTION_TTL);
+  return suggestions;
+}
@@ -0,0 +1,15 @@
+/**
+ * Turn a name into a URL slug: lowercase letters, digits and single hyphens
+ * @param {string} text - Name to slugify
+ * @returns {string} - Slug, empty if nothing usable remains
+ */
+export function slugify(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // Drop accents left after normalizing
+    .toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, '')
+    .trim()
+    .replace(/[\s-]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
@@ -0,0 +1,154 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import Review from '../models/Review.js';
+import { expandCategorySlugs } from './categories.js';
+
+const PRODUCT_CARD_FIELDS = 'title price comparePrice currency images categories ratings featured inventory.quantity seo.slug createdAt';
+
+// Storefront product sort options
+const SORTS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  price_asc: { price: 1, createdAt: -1 },
+  price_desc: { price: -1, createdAt: -1 },
+  rating: { 'ratings.average': -1, 'ratings.count': -1 },
+  popular: { 'sales.totalSold': -1, views: -1 }
+};
+
+const RECENT_REVIEWS = 5;
+const MAX_PAGE_SIZE = 48;
+
+/**
+ * Escape user input for use inside a regular expression
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * A page of the vendor's active products
+ * @param {Object} vendorId - Vendor ID
+ * @param {Object} query - { page, limit, category, minPrice, maxPrice, search, sort }
+ * @returns {Promise<Object>} - { items, pagination, sort }
+ */
+async function storefrontProducts(vendorId, query) {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 12, 1), MAX_PAGE_SIZE);
+  const sort = SORTS[query.sort] ? query.sort : 'newest';
+
+  const filter = { vendor: vendorId, status: 'active', isDeleted: false };
+  if (query.category) {
+    filter.categories = { $in: await expandCategorySlugs([String(query.category)]) };
+  }
+  if (query.minPrice || query.maxPrice) {
+    filter.price = {};
+    if (query.minPrice) filter.price.$gte = parseFloat(query.minPrice);
+    if (query.maxPrice) filter.price.$lte = parseFloat(query.maxPrice);
+  }
+  if (query.search) {
+    const pattern = new RegExp(escapeRegex(String(query.search).trim()), 'i');
+    filter.$or = [{ title: pattern }, { tags: pattern }];
+  }
+
+  const [items, total] = await Promise.all([
+    Product.find(filter)
+      .select(PRODUCT_CARD_FIELDS)
+      .sort(SORTS[sort])
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Product.countDocuments(filter)
+  ]);
+
+  return {
+    items,
+    sort,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+}
+
+/**
+ * Rating summary across all of the vendor's products, plus the latest reviews
+ * @param {Object} vendorId - Vendor ID
+ * @returns {Promise<Object>} - { average, count, distribution, recent }
+ */
+async function storefrontReviews(vendorId) {
+  const productIds = await Product.find({ vendor: vendorId, isDeleted: false }).distinct('_id');
+
+  const [byRating, recent] = await Promise.all([
+    Review.aggregate([
+      { $match: { product: { $in: productIds } } },
+      { $group: { _id: '$rating', count: { $sum: 1 } } }
+    ]),
+    Review.find({ product: { $in: productIds } })
+      .populate('user', 'name')
+      .populate('product', 'title images seo.slug')
+      .sort({ createdAt: -1 })
+      .limit(RECENT_REVIEWS)
+  ]);
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let count = 0;
+  let sum = 0;
+  for (const { _id: rating, count: n } of byRating) {
+    distribution[rating] = n;
+    count += n;
+    sum += rating * n;
+  }
+
+  return {
+    average: count > 0 ? Math.round((sum / count) * 10) / 10 : 0,
+    count,
+    distribution,
+    recent: recent.map(review => ({
+      id: review._id,
+      rating: review.rating,
+      comment: review.comment,
+      reviewer: review.user?.name,
+      product: review.product,
+      createdAt: review.createdAt
+    }))
+  };
+}
+
+/**
+ * Categories the vendor has active products in, most stocked first
+ * @param {Object} vendorId - Vendor ID
+ * @returns {Promise<Object[]>} - [{ category, count }]
+ */
+async function storefrontCategories(vendorId) {
+  const categories = await Product.aggregate([
+    { $match: { vendor: new mongoose.Types.ObjectId(vendorId), status: 'active', isDeleted: false } },
+    { $unwind: '$categories' },
+    { $group: { _id: '$categories', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } }
+  ]);
+  return categories.map(c => ({ category: c._id, count: c.count }));
+}
+
+/**
+ * Everything a shop page needs in one response
+ * @param {Object} vendor - Vendor document (public fields selected)
+ * @param {Object} query - Product filters, sort and pagination
+ * @returns {Promise<Object>} - { store, products, reviews, categories }
+ */
+export async function getStorefront(vendor, query = {}) {
+  const [products, reviews, categories] = await Promise.all([
+    storefrontProducts(vendor._id, query),
+    storefrontReviews(vendor._id),
+    storefrontCategories(vendor._id)
+  ]);
+
+  return {
+    store: vendor.toPublicProfile(),
+    products,
+    reviews,
+    categories
+  };
+}
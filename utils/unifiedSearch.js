@@ -0,0 +1,324 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import Vendor, { VENDOR_SUMMARY_FIELDS } from '../models/Vendor.js';
+import { correctTerms, tokenize } from './productSearch.js';
+import { categoriesWithCounts } from './categories.js';
+
+// Hit types, in the order they are listed when scores tie
+export const HIT_TYPES = ['category', 'store', 'product'];
+
+// Text scores differ in scale between collections (the product index is
+// weighted, the vendor index is not), so each is scaled before the shared
+// log score is taken. Categories score by the share of terms they match.
+const TEXT_SCALE = { product: 1, store: 10 };
+const CATEGORY_MATCH_SCALE = 20;
+
+// Weight of popularity relative to text relevance
+const POPULARITY_WEIGHT = 0.1;
+
+// A sale counts for this many views when measuring product popularity
+const SALES_WEIGHT = 10;
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+const LIVE_PRODUCTS = { status: 'active', isDeleted: false };
+
+/**
+ * Build an error the global error handler reports as a 400
+ * @param {string} message - Error message
+ * @returns {Error} - Error with statusCode set
+ */
+function searchError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Round a score so it compares exactly between the database and the cursor
+ * @param {number} score - Raw score
+ * @returns {number} - Score rounded to 6 decimal places
+ */
+function roundScore(score) {
+  return Math.round(score * 1e6) / 1e6;
+}
+
+/**
+ * Encode the position of the last hit returned
+ * @param {Object} hit - { type, score, key }
+ * @returns {string} - Opaque cursor
+ */
+function encodeCursor(hit) {
+  return Buffer.from(JSON.stringify({ s: hit.score, t: HIT_TYPES.indexOf(hit.type), k: hit.key })).toString('base64url');
+}
+
+/**
+ * Decode a cursor from the client
+ * @param {string} cursor - Opaque cursor
+ * @returns {Object|null} - { score, rank, key }, or null for the first page
+ */
+function decodeCursor(cursor) {
+  if (!cursor) return null;
+  try {
+    const { s, t, k } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof s !== 'number' || !Number.isInteger(t) || !HIT_TYPES[t] || typeof k !== 'string') {
+      throw new Error('Malformed cursor');
+    }
+    // Product and store keys are compared as ObjectIds in the database
+    if (HIT_TYPES[t] !== 'category' && !mongoose.isValidObjectId(k)) {
+      throw new Error('Malformed cursor');
+    }
+    return { score: s, rank: t, key: k };
+  } catch (error) {
+    throw searchError('Invalid cursor');
+  }
+}
+
+/**
+ * Whether a hit comes after the cursor in the merged order
+ * (score descending, then type order, then key ascending)
+ * @param {Object} cursor - Decoded cursor, or null
+ * @param {string} type - Hit type
+ * @param {number} score - Hit score
+ * @param {string} key - Hit key
+ * @returns {boolean} - True if the hit belongs on a later page
+ */
+function isAfterCursor(cursor, type, score, key) {
+  if (!cursor) return true;
+  if (score !== cursor.score) return score < cursor.score;
+  const rank = HIT_TYPES.indexOf(type);
+  if (rank !== cursor.rank) return rank > cursor.rank;
+  return key > cursor.key;
+}
+
+/**
+ * The same test as isAfterCursor, as a $match on `score` and `_id`
+ * @param {Object} cursor - Decoded cursor, or null
+ * @param {string} type - Hit type of the collection being queried
+ * @returns {Object} - $match filter
+ */
+function afterCursorMatch(cursor, type) {
+  if (!cursor) return {};
+  const rank = HIT_TYPES.indexOf(type);
+  if (rank > cursor.rank) return { score: { $lte: cursor.score } };
+  if (rank < cursor.rank) return { score: { $lt: cursor.score } };
+  return {
+    $or: [
+      { score: { $lt: cursor.score } },
+      { score: cursor.score, _id: { $gt: new mongoose.Types.ObjectId(cursor.key) } }
+    ]
+  };
+}
+
+/**
+ * Shared score expression: scaled text relevance plus a little popularity
+ * @param {string} type - 'product' or 'store'
+ * @param {Object} popularity - Aggregation expression for popularity
+ * @returns {Object} - Aggregation expression
+ */
+function scoreExpression(type, popularity) {
+  return {
+    $round: [{
+      $add: [
+        { $ln: { $add: [1, { $multiply: [{ $meta: 'textScore' }, TEXT_SCALE[type]] }] } },
+        { $multiply: [POPULARITY_WEIGHT, { $ln: { $add: [1, popularity] } }] }
+      ]
+    }, 6]
+  };
+}
+
+/**
+ * Matching live products in score order, from the cursor on
+ * @param {string} search - $text search string
+ * @param {Object} cursor - Decoded cursor, or null
+ * @param {number} limit - Maximum hits
+ * @returns {Promise<Object[]>} - Hits
+ */
+async function productHits(search, cursor, limit) {
+  const products = await Product.aggregate([
+    { $match: { $text: { $search: search }, ...LIVE_PRODUCTS } },
+    {
+      $addFields: {
+        score: scoreExpression('product', {
+          $add: [{ $ifNull: ['$views', 0] }, { $multiply: [{ $ifNull: ['$sales.totalSold', 0] }, SALES_WEIGHT] }]
+        })
+      }
+    },
+    { $match: afterCursorMatch(cursor, 'product') },
+    { $sort: { score: -1, _id: 1 } },
+    { $limit: limit },
+    {
+      $project: {
+        score: 1,
+        title: 1,
+        price: 1,
+        comparePrice: 1,
+        currency: 1,
+        images: { $slice: ['$images', 1] },
+        ratings: 1,
+        'seo.slug': 1,
+        vendor: 1
+      }
+    }
+  ]);
+  await Product.populate(products, { path: 'vendor', select: VENDOR_SUMMARY_FIELDS });
+
+  return products.map(({ score, ...product }) => ({
+    type: 'product',
+    key: product._id.toString(),
+    score,
+    title: product.title,
+    image: product.images?.[0]?.url || null,
+    product
+  }));
+}
+
+/**
+ * Matching active stores in score order, from the cursor on
+ * @param {string} search - $text search string
+ * @param {Object} cursor - Decoded cursor, or null
+ * @param {number} limit - Maximum hits
+ * @returns {Promise<Object[]>} - Hits
+ */
+async function storeHits(search, cursor, limit) {
+  const stores = await Vendor.aggregate([
+    { $match: { $text: { $search: search }, isActive: true } },
+    { $addFields: { score: scoreExpression('store', { $ifNull: ['$metrics.totalSales', 0] }) } },
+    { $match: afterCursorMatch(cursor, 'store') },
+    { $sort: { score: -1, _id: 1 } },
+    { $limit: limit },
+    { $project: { score: 1, ...Object.fromEntries(VENDOR_SUMMARY_FIELDS.split(' ').map(field => [field, 1])) } }
+  ]);
+
+  return stores.map(({ score, ...store }) => ({
+    type: 'store',
+    key: store._id.toString(),
+    score,
+    title: store.storeName,
+    image: store.logo || null,
+    store
+  }));
+}
+
+/**
+ * Categories named by the query, scored by the share of query terms they
+ * match and how many live products they and their subcategories hold
+ * @param {string[]} terms - Query terms, including corrections
+ * @returns {Promise<Object[]>} - All matching category hits, best first
+ */
+async function categoryHits(terms) {
+  const categories = await categoriesWithCounts();
+
+  const hits = [];
+  for (const category of categories) {
+    if (category.totalCount === 0) continue;
+
+    const words = new Set([...tokenize(category.name), ...category.slug.split('-')]);
+    const matched = terms.filter(term => term.length >= 3 && [...words].some(word => word.startsWith(term))).length;
+    if (matched === 0) continue;
+
+    const score = roundScore(
+      Math.log(1 + CATEGORY_MATCH_SCALE * (matched / terms.length)) + POPULARITY_WEIGHT * Math.log(1 + category.totalCount)
+    );
+    hits.push({
+      type: 'category',
+      key: category.slug,
+      score,
+      title: category.name,
+      image: category.image?.url || null,
+      category: {
+        _id: category._id,
+        name: category.name,
+        slug: category.slug,
+        parent: category.parent,
+        productCount: category.totalCount
+      }
+    });
+  }
+
+  return hits.sort(compareHits);
+}
+
+/**
+ * Merged order: score descending, then type order, then key
+ * @param {Object} a - Hit
+ * @param {Object} b - Hit
+ * @returns {number} - Sort comparison
+ */
+function compareHits(a, b) {
+  if (a.score !== b.score) return b.score - a.score;
+  const rank = HIT_TYPES.indexOf(a.type) - HIT_TYPES.indexOf(b.type);
+  if (rank !== 0) return rank;
+  return a.key < b.key ? -1 : a.key > b.key ? 1 : 0;
+}
+
+/**
+ * Search products, stores and categories as one ranked stream with cursor
+ * pagination. `counts` gives the total per type for "see all" links.
+ * @param {Object} query - { q, types, limit, cursor }
+ * @returns {Promise<Object>} - { query, correctedQuery, hits, counts, pageInfo }
+ */
+export async function unifiedSearch({ q, types, limit, cursor } = {}) {
+  const text = String(q || '').trim();
+  const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const after = decodeCursor(cursor);
+
+  const wanted = types
+    ? String(types).split(',').map(type => type.trim()).filter(type => HIT_TYPES.includes(type))
+    : HIT_TYPES;
+  if (wanted.length === 0) {
+    throw searchError(`types must include one of: ${HIT_TYPES.join(', ')}`);
+  }
+
+  const terms = tokenize(text);
+  if (terms.length === 0) {
+    return {
+      query: text,
+      correctedQuery: null,
+      hits: [],
+      counts: { product: 0, store: 0, category: 0, total: 0 },
+      pageInfo: { limit: pageSize, nextCursor: null, hasMore: false }
+    };
+  }
+
+  const { terms: corrected, corrections } = await correctTerms(terms);
+  const allTerms = [...new Set([...terms, ...corrected])];
+  const search = allTerms.join(' ');
+
+  // Fetch one more than a page of each type after the cursor; the merged
+  // page can only draw from those
+  const [products, stores, categories, productCount, storeCount] = await Promise.all([
+    wanted.includes('product') ? productHits(search, after, pageSize + 1) : [],
+    wanted.includes('store') ? storeHits(search, after, pageSize + 1) : [],
+    wanted.includes('category') ? categoryHits(allTerms) : [],
+    wanted.includes('product') ? Product.countDocuments({ $text: { $search: search }, ...LIVE_PRODUCTS }) : 0,
+    wanted.includes('store') ? Vendor.countDocuments({ $text: { $search: search }, isActive: true }) : 0
+  ]);
+
+  const merged = [
+    ...products,
+    ...stores,
+    ...categories.filter(hit => isAfterCursor(after, hit.type, hit.score, hit.key))
+  ].sort(compareHits);
+
+  const page = merged.slice(0, pageSize);
+  const hasMore = merged.length > pageSize;
+
+  return {
+    query: text,
+    correctedQuery: Object.keys(corrections).length > 0 ? corrected.join(' ') : null,
+    hits: page.map(({ key, ...hit }) => ({ id: key, ...hit })),
+    counts: {
+      product: productCount,
+      store: storeCount,
+      category: categories.length,
+      total: productCount + storeCount + categories.length
+    },
+    pageInfo: {
+      limit: pageSize,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+      hasMore
+    }
+  };
+}
@@ -0,0 +1,209 @@
+import Product from '../models/Product.js';
+import { getImageKit, signedFileUrl } from '../config/imagekit.js';
+import { deleteCache } from '../config/redis.js';
+import { io } from '../server.js';
+
+// Review decisions an admin can make, and the status each leads to
+export const VERIFICATION_DECISIONS = {
+  approve: 'approved',
+  reject: 'rejected',
+  request_info: 'info_requested',
+  suspend: 'suspended'
+};
+
+// Allowed status changes
+const TRANSITIONS = {
+  pending: ['submitted'],
+  submitted: ['approved', 'rejected', 'info_requested'],
+  info_requested: ['submitted'],
+  rejected: ['submitted'],
+  approved: ['suspended'],
+  suspended: ['approved']
+};
+
+// Statuses in which the vendor may change their documents
+const EDITABLE_STATUSES = ['pending', 'info_requested', 'rejected'];
+
+export const MAX_VERIFICATION_DOCUMENTS = 10;
+
+/**
+ * Build an error the global error handler reports with the given status
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} - Error with statusCode set
+ */
+function verificationError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Document kinds a vendor must provide: identity always, plus business
+ * registration for registered businesses and companies
+ * @param {Object} vendor - Vendor document
+ * @returns {string[]} - Required document kinds
+ */
+export function requiredDocumentKinds(vendor) {
+  return vendor.business?.type && vendor.business.type !== 'individual'
+    ? ['identity', 'business_registration']
+    : ['identity'];
+}
+
+/**
+ * Move a vendor's verification to a new status and record it in the history
+ * @param {Object} vendor - Vendor document
+ * @param {string} status - New status
+ * @param {Object} event - { note, actor, actorRole }
+ */
+function transition(vendor, status, { note, actor, actorRole }) {
+  const current = vendor.verification.status || 'pending';
+  if (!TRANSITIONS[current]?.includes(status)) {
+    throw verificationError(`Cannot move verification from ${current} to ${status}`, 409);
+  }
+
+  vendor.verification.status = status;
+  vendor.verification.history.push({ status, note, actor, actorRole });
+}
+
+/**
+ * Tell the vendor's dashboard their verification changed
+ * @param {Object} vendor - Vendor document
+ */
+function notifyVendor(vendor) {
+  io.to(`vendor-${vendor._id}`).emit('verification-updated', {
+    status: vendor.verification.status,
+    rejectionReason: vendor.verification.rejectionReason,
+    infoRequest: vendor.verification.infoRequest,
+    reviewedAt: vendor.verification.reviewedAt
+  });
+}
+
+/**
+ * Fail unless the vendor may upload another document right now
+ * @param {Object} vendor - Vendor document
+ */
+export function assertCanAddDocument(vendor) {
+  if (!EDITABLE_STATUSES.includes(vendor.verification.status)) {
+    throw verificationError(`Documents cannot be changed while verification is ${vendor.verification.status}`, 409);
+  }
+  if (vendor.verification.documents.length >= MAX_VERIFICATION_DOCUMENTS) {
+    throw verificationError(`At most ${MAX_VERIFICATION_DOCUMENTS} documents can be uploaded`);
+  }
+}
+
+/**
+ * Record an uploaded document against the vendor's application
+ * @param {Object} vendor - Vendor document
+ * @param {Object} document - { kind, description, fileId, filePath, fileName, mimeType, size }
+ * @returns {Promise<Object>} - The stored document
+ */
+export async function addVerificationDocument(vendor, document) {
+  assertCanAddDocument(vendor);
+
+  vendor.verification.documents.push(document);
+  await vendor.save();
+  return vendor.verification.documents[vendor.verification.documents.length - 1];
+}
+
+/**
+ * Remove a document the vendor uploaded by mistake, along with its file
+ * @param {Object} vendor - Vendor document
+ * @param {string} documentId - Document subdocument ID
+ * @returns {Promise<Object|null>} - The removed document, or null if not found
+ */
+export async function removeVerificationDocument(vendor, documentId) {
+  if (!EDITABLE_STATUSES.includes(vendor.verification.status)) {
+    throw verificationError(`Documents cannot be changed while verification is ${vendor.verification.status}`, 409);
+  }
+
+  const document = vendor.verification.documents.id(documentId);
+  if (!document) return null;
+
+  document.deleteOne();
+  await vendor.save();
+
+  // The record is gone either way; a leftover private file is only logged
+  const imagekit = getImageKit();
+  if (imagekit && document.fileId) {
+    imagekit.deleteFile(document.fileId).catch(error => {
+      console.error(`Failed to delete verification file ${document.fileId}:`, error.message);
+    });
+  }
+  return document;
+}
+
+/**
+ * Send the application to the admin review queue
+ * @param {Object} vendor - Vendor document
+ * @param {Object} options - { note, actor }
+ * @returns {Promise<Object>} - Updated vendor
+ */
+export async function submitForVerification(vendor, { note, actor }) {
+  const uploaded = new Set(vendor.verification.documents.map(d => d.kind));
+  const missing = requiredDocumentKinds(vendor).filter(kind => !uploaded.has(kind));
+  if (missing.length > 0) {
+    throw verificationError(`Upload the required documents first: ${missing.join(', ')}`);
+  }
+
+  transition(vendor, 'submitted', { note, actor, actorRole: 'vendor' });
+  vendor.verification.submittedAt = new Date();
+  await vendor.save();
+  return vendor;
+}
+
+/**
+ * Take a suspended vendor's listings out of search and checkout. They stay
+ * inactive after reinstatement until the vendor publishes them again.
+ * @param {string} vendorId - Vendor ID
+ */
+async function takeDownListings(vendorId) {
+  await Product.updateMany(
+    { vendor: vendorId, status: { $in: ['active', 'pending'] } },
+    { $set: { status: 'inactive' } }
+  );
+  await deleteCache(`products:{"status":"active","isDeleted":false,"vendor":"${vendorId}"}:1:12:createdAt:desc`);
+}
+
+/**
+ * Apply an admin's decision. Rejections, information requests and
+ * suspensions need a reason, which is shown to the vendor.
+ * @param {Object} vendor - Vendor document
+ * @param {Object} options - { decision, reason, actor }
+ * @returns {Promise<Object>} - Updated vendor
+ */
+export async function reviewVerification(vendor, { decision, reason, actor }) {
+  const status = VERIFICATION_DECISIONS[decision];
+  if (!status) {
+    throw verificationError(`Decision must be one of: ${Object.keys(VERIFICATION_DECISIONS).join(', ')}`);
+  }
+  if (decision !== 'approve' && !reason?.trim()) {
+    throw verificationError('A reason is required');
+  }
+
+  transition(vendor, status, { note: reason, actor, actorRole: 'admin' });
+  vendor.verification.reviewedAt = new Date();
+  vendor.verification.reviewedBy = actor;
+  vendor.verification.rejectionReason = ['rejected', 'suspended'].includes(status) ? reason : undefined;
+  vendor.verification.infoRequest = status === 'info_requested' ? reason : undefined;
+  await vendor.save();
+
+  if (status === 'suspended') {
+    await takeDownListings(vendor._id);
+  }
+
+  notifyVendor(vendor);
+  return vendor;
+}
+
+/**
+ * Documents with short-lived links for a reviewer to open them
+ * @param {Object} vendor - Vendor document
+ * @returns {Object[]} - Documents with a signed url
+ */
+export function documentsForReview(vendor) {
+  return vendor.verification.documents.map(document => ({
+    ...document.toObject(),
+    url: signedFileUrl(document.filePath)
+  }));
+}